@@ -0,0 +1,1848 @@
+// app.js
+// The call page UI (public/index.html): the lobby with device preview, joining and leaving, the room
+// controls, chat, and the tiles that ParticipantManager fills. Signaling and Calls API traffic go through
+// SignalingClient and CallsApiClient.
+import { CallsApiClient } from './calls-api.js';
+import { isEncryptionSupported, MediaEncryption, needsInsertableStreams } from './e2ee.js';
+import { ParticipantManager, SIMULCAST_ENCODINGS } from './participants.js';
+import { defaultColor, forgetIdentity, initials, loadIdentity, resizeAvatar, saveIdentity } from './profile.js';
+import { describeRing, isPushSupported, subscribeToPush } from './push.js';
+import { CLOSE_CODES, ERROR_CODES } from './protocol.js';
+import { pickRecordingMimeType, RecordingUploader, RoomRecorder } from './recorder.js';
+import { SignalingClient } from './signaling.js';
+
+// Active speaker detection: audio levels are sampled on an interval rather than per animation frame
+const SPEAKER_POLL_INTERVAL_MS = 200;
+const SPEAKING_LEVEL_THRESHOLD = 0.02; // RMS of the waveform, 0..1
+const SPEAKING_HOLD_MS = 800; // Keep the highlight through short pauses between words
+const FEATURED_SWITCH_DELAY_MS = 1500; // Don't move the big tile for a cough from someone else
+// Tiles scrolled out of view stop pulling video after this long, and pull it again when they come back
+const HIDDEN_VIDEO_PAUSE_DELAY_MS = 3000;
+const LAYOUT_MODES = ['grid', 'speaker', 'filmstrip'];
+// Connection quality is sampled from getStats; after a few bad samples we fall back to audio only
+const STATS_INTERVAL_MS = 3000;
+const POOR_SAMPLES_BEFORE_AUDIO_ONLY = 2;
+const GOOD_SAMPLES_BEFORE_VIDEO = 5;
+const REPEAT_TEXT = { never: 'Once', daily: 'Every day', weekly: 'Every week' };
+const STUN_SERVER = { urls: 'stun:stun.cloudflare.com:3478' };
+// TURN credentials are renewed this long before they run out, and retried this often when renewing fails
+const TURN_RENEW_MARGIN_MS = 5 * 60 * 1000;
+const TURN_RETRY_DELAY_MS = 60 * 1000;
+
+const localVideo = document.querySelector('video#local');
+const localUserNameSpan = document.getElementById('localUserName');
+const userNameInput = document.getElementById('userNameInput');
+const colorInput = document.getElementById('colorInput');
+const avatarInput = document.getElementById('avatarInput');
+const roomIdInput = document.getElementById('roomIdInput');
+const joinButton = document.getElementById('joinButton');
+const leaveButton = document.getElementById('leaveButton');
+const micButton = document.getElementById('micButton');
+const cameraButton = document.getElementById('cameraButton');
+const screenShareButton = document.getElementById('screenShareButton');
+const localVideoContainer = document.getElementById('localVideoContainer');
+const claimButton = document.getElementById('claimButton');
+const inviteButton = document.getElementById('inviteButton');
+const inviteList = document.getElementById('inviteList');
+const lockButton = document.getElementById('lockButton');
+const waitingRoomButton = document.getElementById('waitingRoomButton');
+const encryptionButton = document.getElementById('encryptionButton');
+const encryptionStatus = document.getElementById('encryptionStatus');
+const recordButton = document.getElementById('recordButton');
+const recordingIndicator = document.getElementById('recordingIndicator');
+const recordingList = document.getElementById('recordingList');
+const ringButton = document.getElementById('ringButton');
+const ringMeButton = document.getElementById('ringMeButton');
+const ringStatus = document.getElementById('ringStatus');
+const scheduleForm = document.getElementById('scheduleForm');
+const scheduleTitleInput = document.getElementById('scheduleTitleInput');
+const scheduleStartInput = document.getElementById('scheduleStartInput');
+const scheduleRepeatSelect = document.getElementById('scheduleRepeatSelect');
+const scheduleList = document.getElementById('scheduleList');
+const nextCallInfo = document.getElementById('nextCallInfo');
+const calendarLink = document.getElementById('calendarLink');
+const knockList = document.getElementById('knockList');
+const waitingScreen = document.getElementById('waitingScreen');
+const layoutSelect = document.getElementById('layoutSelect');
+const micSelect = document.getElementById('micSelect');
+const cameraSelect = document.getElementById('cameraSelect');
+const speakerSelect = document.getElementById('speakerSelect');
+const micLevel = document.getElementById('micLevel');
+const gridContainer = document.querySelector('.grid'); // For adding remote videos
+const chatPanel = document.getElementById('chatPanel');
+const chatMessages = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const loadOlderButton = document.getElementById('loadOlderButton');
+const connectionStatus = document.getElementById('connectionStatus');
+
+if (!(localVideo instanceof HTMLVideoElement)) throw new Error('Local video element not found');
+
+let localPeerConnection;
+let localStream;
+let userName;
+let roomId;
+let localTracksInfo = []; // What we told the room we are sending; re-sent on every (re)join
+let audioEnabled = true; // Mic / camera switches, also re-sent on every (re)join
+let videoEnabled = true;
+let hostSessionId = null; // Who may kick, ask to mute, lock the room and hand the role on
+let roomLocked = false;
+let waitingRoomEnabled = false;
+let preparedJoinToken = null; // Fetched early by joinRoom; the first socket uses it only when it spent an invite or ring
+let identity = null; // `{ id, secret, displayName, color }` of the member we join as, or null to join as a guest
+let turnRenewTimer;
+let roomEncrypted = false;
+// Everyone's public key for end-to-end encryption, by session id; null for browsers that can't encrypt
+const publicKeys = new Map();
+// The host's key hand-outs run one at a time, so an older key can never overtake a newer one
+let keyDistribution = Promise.resolve();
+
+let audioContext;
+let speakerTimer;
+let featuredSessionId = null; // The remote tile enlarged by the speaker and filmstrip layouts
+let layoutMode = LAYOUT_MODES.includes(localStorage.getItem('layoutMode')) ? localStorage.getItem('layoutMode') : 'grid';
+// Audio level meters: sessionId (or "local") -> { source, analyser, samples, lastSpokeAt }
+const audioMeters = new Map();
+let audioOutputId = ''; // Chosen speaker; "" is the system default
+let statsTimer;
+let previousInbound = new Map(); // mid -> { packetsLost, packetsReceived } from the last sample
+let poorSamples = 0;
+let goodSamples = 0;
+// Our own screen share while active: { stream, transceiver, trackInfo }
+let localScreenShare = null;
+let activeRecording = null; // The room's recording in progress, whoever is recording it
+let localRecording = null; // `{ id, recorder, uploader }` while we are the recorder
+let recordingMimeType = null; // The format we asked to record in
+const unfinishedUploads = new Set(); // Recording uploads not completed yet, including the one in progress
+
+// All Calls API traffic goes through the Worker's proxy routes; the app token stays on the server.
+const calls = new CallsApiClient();
+const encryption = new MediaEncryption();
+
+// Draws the tiles for the participants and screen shares ParticipantManager tracks
+const tiles = {
+	createParticipantTile(remoteSessionId, participant) {
+		const container = document.createElement('div');
+		container.className = 'video-container';
+		container.id = 'container-' + remoteSessionId; // Unique ID for the container
+		// Names come from other people: they only ever go in as text
+		const title = document.createElement('h2');
+		const media = document.createElement('div');
+		media.className = 'tile-media';
+		const videoElement = document.createElement('video');
+		videoElement.id = 'remote-video-' + remoteSessionId;
+		videoElement.autoplay = true;
+		videoElement.playsInline = true;
+		const placeholder = document.createElement('div');
+		placeholder.className = 'camera-off-placeholder';
+		const qualityIndicator = document.createElement('span');
+		qualityIndicator.className = 'quality-indicator';
+		qualityIndicator.title = 'Connection quality';
+		media.append(videoElement, placeholder, qualityIndicator);
+		const muteBadge = document.createElement('span');
+		muteBadge.className = 'badge mic-off-badge';
+		muteBadge.textContent = '🔇 Muted';
+		const hostBadge = document.createElement('span');
+		hostBadge.className = 'badge host-badge';
+		hostBadge.textContent = '★ Host';
+		container.append(title, media, muteBadge, hostBadge, createHostControls(remoteSessionId));
+		showProfile(container, participant.profile ?? { displayName: participant.userName });
+		gridContainer.appendChild(container);
+		container.classList.toggle('host', remoteSessionId === hostSessionId);
+		videoElement.srcObject = participant.mediaStream;
+		applyAudioOutput(videoElement);
+		tileVisibilityObserver.observe(container);
+		return { container, videoElement };
+	},
+
+	/**
+	 * Shows a remote participant's mute / camera-off badges instead of a frozen frame.
+	 */
+	setTrackState(participant, { audioEnabled = true, videoEnabled = true }) {
+		participant.container.classList.toggle('audio-muted', !audioEnabled);
+		participant.container.classList.toggle('camera-off', !videoEnabled);
+	},
+
+	setReconnecting(participant, reconnecting) {
+		participant.container.classList.toggle('reconnecting', reconnecting);
+	},
+
+	setProfile(participant) {
+		showProfile(participant.container, participant.profile);
+	},
+
+	removeParticipantTile(sessionId, participant) {
+		tileVisibilityObserver.unobserve(participant.container);
+		stopAudioLevelMeter(sessionId);
+		participant.container.remove();
+		if (featuredSessionId === sessionId) {
+			featuredSessionId = null;
+		}
+	},
+
+	createScreenShareTile(remoteSessionId, remoteUserName, mediaStream) {
+		const container = document.createElement('div');
+		container.className = 'video-container screen-share';
+		container.id = 'screen-' + remoteSessionId;
+		const title = document.createElement('h2');
+		title.textContent = remoteUserName + "'s Screen";
+		const video = document.createElement('video');
+		video.autoplay = true;
+		video.playsInline = true;
+		video.srcObject = mediaStream;
+		applyAudioOutput(video);
+		container.append(title, video);
+		// Screen shares go first, above the camera tiles
+		gridContainer.insertBefore(container, document.getElementById('controls').nextSibling);
+		return { container };
+	},
+
+	removeScreenShareTile(share) {
+		share.container.remove();
+	},
+
+	audioTrackReceived(sessionId, track) {
+		startAudioLevelMeter(sessionId, new MediaStream([track]));
+	},
+
+	layoutChanged() {
+		applyLayout();
+	},
+};
+
+const remote = new ParticipantManager({ calls, tiles });
+
+const signaling = new SignalingClient({
+	getUrl: async (resume) => {
+		// An invite or ring may only be good for one join token, so the one joinRoom already has must not go to waste
+		const joinToken = !resume && preparedJoinToken ? preparedJoinToken : await requestJoinToken(roomId, resume);
+		preparedJoinToken = null;
+		return (
+			(location.protocol === 'https:' ? 'wss://' : 'ws://') +
+			location.host +
+			'/websocket?room=' +
+			encodeURIComponent(roomId) +
+			'&token=' +
+			encodeURIComponent(joinToken)
+		);
+	},
+	getJoinFields: () => ({
+		sessionId: calls.sessionId,
+		sessionToken: calls.sessionToken,
+		userName,
+		trackInfo: localTracksInfo,
+		audioEnabled,
+		videoEnabled,
+		...(encryption.publicKey && { publicKey: encryption.publicKey }),
+		...(identity && { memberId: identity.id, memberSecret: identity.secret }),
+	}),
+	onMessage: (message) => handleSignalingMessage(message).catch((error) => console.error('Error handling ' + message.type + ':', error)),
+	onOpen: () => {
+		connectionStatus.textContent = '';
+	},
+	onReconnecting: () => {
+		connectionStatus.textContent = 'Reconnecting…';
+	},
+	onDisconnected: (code, reason) => {
+		if (code === CLOSE_CODES.KICKED) {
+			alert('The host removed you from the room: ' + reason);
+		} else if (code === CLOSE_CODES.PROTOCOL_VIOLATION || code === CLOSE_CODES.REPLACED) {
+			// A newer socket took over our session (e.g. another tab): reconnecting would just fight it
+			alert('Disconnected by the server: ' + reason);
+		} else {
+			alert(reason);
+		}
+		cleanupSession();
+	},
+});
+
+// Invite links look like /?room=<room>&invite=<code>; ring notifications open /?room=<room>&ring=<id>&answer=<token>
+const pageParams = new URLSearchParams(location.search);
+if (pageParams.get('room')) {
+	roomIdInput.value = pageParams.get('room');
+}
+const inviteCode = pageParams.get('invite');
+const ringAnswer =
+	pageParams.get('ring') && pageParams.get('answer') ? { id: pageParams.get('ring'), token: pageParams.get('answer') } : null;
+
+joinButton.addEventListener('click', joinRoom);
+leaveButton.addEventListener('click', leaveRoom);
+micButton.addEventListener('click', toggleMicrophone);
+cameraButton.addEventListener('click', toggleCamera);
+screenShareButton.addEventListener('click', toggleScreenShare);
+// Most phones cannot capture their screen from a browser
+screenShareButton.hidden = !navigator.mediaDevices?.getDisplayMedia;
+claimButton.addEventListener('click', claimRoom);
+inviteButton.addEventListener('click', createInvite);
+lockButton.addEventListener('click', () => signaling.send('setRoomLock', { locked: !roomLocked }));
+waitingRoomButton.addEventListener('click', () => signaling.send('setWaitingRoom', { enabled: !waitingRoomEnabled }));
+encryptionButton.addEventListener('click', () => signaling.send('setEncryption', { enabled: !roomEncrypted }));
+// A host whose browser can't encrypt can't hand out keys either
+encryptionButton.disabled = !isEncryptionSupported();
+recordButton.addEventListener('click', toggleRecording);
+ringButton.addEventListener('click', () => signaling.send('ring', {}));
+ringMeButton.addEventListener('click', registerForRings);
+ringMeButton.hidden = !isPushSupported();
+document.getElementById('cancelWaitingButton').addEventListener('click', leaveRoom);
+roomIdInput.addEventListener('input', updateOwnerControls);
+roomIdInput.addEventListener('input', fillInIdentity);
+// Not on every keystroke: each room name looked up counts against this network's room limit
+roomIdInput.addEventListener('change', () => refreshSchedules().catch((error) => console.error('Failed to load schedules:', error)));
+scheduleForm.addEventListener('submit', createSchedule);
+chatForm.addEventListener('submit', sendChatMessage);
+loadOlderButton.addEventListener('click', loadOlderMessages);
+layoutSelect.value = layoutMode;
+layoutSelect.addEventListener('change', () => {
+	layoutMode = layoutSelect.value;
+	localStorage.setItem('layoutMode', layoutMode);
+	applyLayout();
+});
+// Remote tiles that can't be seen don't need their video pulled
+const tileVisibilityObserver = new IntersectionObserver(handleTileVisibility);
+applyLayout();
+micSelect.addEventListener('change', () => switchDevice('audio'));
+cameraSelect.addEventListener('change', () => switchDevice('video'));
+speakerSelect.addEventListener('change', () => {
+	audioOutputId = speakerSelect.value;
+	gridContainer.querySelectorAll('video:not(#local)').forEach(applyAudioOutput);
+});
+// Only some browsers can route audio to a chosen output device
+document.getElementById('speakerLabel').hidden = !('setSinkId' in HTMLMediaElement.prototype);
+navigator.mediaDevices.addEventListener('devicechange', refreshDeviceLists);
+// The AudioContext for the level meters may only start after the user has interacted with the page
+document.addEventListener('click', () => audioContext?.resume(), { once: true });
+startPreview();
+// Coming back online is the best moment to retry, rather than waiting out the backoff
+window.addEventListener('online', () => {
+	if (signaling.reconnectPending) {
+		signaling.reconnectNow();
+	}
+	unfinishedUploads.forEach(resumeUpload);
+});
+// Closing the tab would lose the part of a recording that has not been uploaded yet
+window.addEventListener('beforeunload', (event) => {
+	if (unfinishedUploads.size > 0) {
+		event.preventDefault();
+	}
+});
+updateOwnerControls();
+fillInIdentity();
+refreshSchedules().catch((error) => console.error('Failed to load schedules:', error));
+
+async function joinRoom() {
+	userName = userNameInput.value.trim() || 'Guest';
+	roomId = roomIdInput.value.trim() || 'default-room';
+
+	if (!userName || !roomId) {
+		alert('Please enter your name and a room ID.');
+		return;
+	}
+
+	joinButton.disabled = true;
+	leaveButton.disabled = false;
+	userNameInput.disabled = true;
+	colorInput.disabled = true;
+	avatarInput.disabled = true;
+	roomIdInput.disabled = true;
+	localUserNameSpan.textContent = userName;
+	showProfile(localVideoContainer, { displayName: userName, color: colorInput.value, avatarUrl: null });
+
+	try {
+		// 1. Get local media (camera/mic), unless the lobby preview already has it
+		if (!localStream) {
+			await startPreview(true);
+		}
+		await audioContext.resume();
+		// Without a camera we join audio-only; the others see the camera-off placeholder
+		if (localStream.getVideoTracks().length === 0) {
+			videoEnabled = false;
+			applyLocalTrackState();
+		}
+		screenShareButton.disabled = false;
+
+		// 2. Get a join token (owner secret or invite) now: the Worker only creates Calls sessions for people about to
+		// join a room, and it also gets us TURN credentials for restrictive networks
+		preparedJoinToken = await requestJoinToken(roomId, false);
+
+		// 3. Create local Calls session (the client keeps the token proving we own it)
+		const localSessionId = await calls.createSession(roomId, preparedJoinToken);
+		console.log('Cloudflare Calls local session created:', localSessionId);
+
+		// Our key pair for end-to-end encryption, used if the room is or becomes encrypted
+		if (isEncryptionSupported()) {
+			await encryption.init();
+		}
+
+		// The join token also lets us become a member of the room, the first time we join it from this device
+		identity = await saveProfile(roomId, preparedJoinToken).catch((error) => {
+			console.warn('Failed to save your profile, joining as a guest:', error);
+			return loadIdentity(localStorage, roomId);
+		});
+		const iceServers = await requestIceServers(roomId, { token: preparedJoinToken }).catch((error) => {
+			// The call still goes ahead, but only on networks that let WebRTC through
+			console.warn('No TURN credentials, joining without a relay:', error);
+			return [STUN_SERVER];
+		});
+
+		// 4. Create local RTCPeerConnection for sending our stream
+		localPeerConnection = createPeerConnection(iceServers); // This will also set up the ontrack listener
+		remote.peerConnection = localPeerConnection;
+		console.log('Local RTCPeerConnection created.');
+		startQualityMonitor();
+
+		// Add local tracks to our peer connection for sending (sendonly)
+		const transceivers = localStream.getTracks().map((track) =>
+			localPeerConnection.addTransceiver(track, {
+				direction: 'sendonly',
+				// Camera video goes out in several layers so each viewer can pull the one that suits them
+				...(track.kind === 'video' && { sendEncodings: SIMULCAST_ENCODINGS }),
+			}),
+		);
+		transceivers.forEach(({ sender }) => encryption.protectSender(sender));
+
+		// The transceivers' mids are only assigned by setLocalDescription
+		const localOffer = await localPeerConnection.createOffer();
+		await localPeerConnection.setLocalDescription(localOffer);
+		console.log('Local offer created and set.');
+
+		localTracksInfo = transceivers.map(({ mid, sender }) => ({
+			mid,
+			trackName: sender.track?.id,
+			kind: sender.track?.kind,
+			...(sender.track?.kind === 'video' && { simulcast: true }),
+		}));
+		console.log(
+			'Local tracks added to peer connection, MIDs populated:',
+			localTracksInfo.map((t) => t.mid),
+		);
+
+		// Push our tracks to the Cloudflare Calls API
+		const pushTracksResponse = await calls.push(localOffer, localTracksInfo);
+		await localPeerConnection.setRemoteDescription(new RTCSessionDescription(pushTracksResponse.sessionDescription));
+		console.log('Pushed local tracks to Calls API and set remote description.');
+
+		// 5. Connect to the WebSocket signaling server. Join tokens only last a minute and everything above can take
+		// longer on a slow connection, so get a fresh one - unless the first one spent an invite or ring we can't reuse.
+		if (!inviteCode && !ringAnswer) {
+			preparedJoinToken = null;
+		}
+		await signaling.connect(false);
+	} catch (error) {
+		console.error('Error joining room:', error);
+		alert('Failed to join room: ' + error.message);
+		cleanupSession();
+	}
+}
+
+async function handleSignalingMessage(message) {
+	console.log('Received WS message:', message.type, message);
+
+	if (message.type === 'participantJoined') {
+		const { sessionId: remoteSessionId, profile, trackInfo: remoteTrackInfo } = message;
+		const remoteUserName = profile.displayName;
+		console.log('New participant joined: ' + remoteUserName + ' (' + remoteSessionId.substring(0, 8) + '...)');
+		publicKeys.set(remoteSessionId, message.publicKey);
+		sendMediaKey(remoteSessionId);
+		await remote.addParticipant(remoteSessionId, remoteUserName, remoteTrackInfo, message);
+		updateEncryptionStatus();
+	} else if (message.type === 'existingParticipants') {
+		const { participants } = message;
+		// We are in (possibly after waiting to be let in)
+		waitingScreen.hidden = true;
+		chatPanel.hidden = false;
+		console.log('Received ' + participants.length + ' existing participants.');
+		// The room did not recognise the member we joined as (the room was reset, say): become a new one next time
+		if (identity && message.profile.memberId !== identity.id) {
+			forgetIdentity(localStorage, roomId);
+			identity = null;
+		}
+		localUserNameSpan.textContent = message.profile.displayName;
+		showProfile(localVideoContainer, message.profile);
+		// After a reconnect, drop anyone who left while we were away
+		const present = new Set(participants.map((participant) => participant.sessionId));
+		for (const sessionId of [...remote.participants.keys()]) {
+			if (!present.has(sessionId)) {
+				remote.removeParticipant(sessionId);
+			}
+		}
+		publicKeys.clear();
+		for (const participant of participants) {
+			publicKeys.set(participant.sessionId, participant.publicKey);
+		}
+		for (const participant of participants) {
+			const { displayName } = participant.profile;
+			console.log('Existing participant: ' + displayName + ' (' + participant.sessionId.substring(0, 8) + '...)');
+			remote.setReconnecting(participant.sessionId, participant.reconnecting);
+			await remote.addParticipant(participant.sessionId, displayName, participant.trackInfo, participant);
+		}
+		setHost(message.hostSessionId);
+		setRoomLocked(message.locked);
+		setWaitingRoomEnabled(message.waitingRoom);
+		setEncrypted(message.encrypted);
+		// A host who (re)joins an encrypted room starts it on a fresh key
+		rotateMediaKey();
+		knockList.replaceChildren();
+		for (const knock of message.knocks) {
+			showKnock(knock.sessionId, knock.userName);
+		}
+		setRecording(message.recording);
+		setRing(message.ring);
+		ringButton.disabled = false;
+		ringMeButton.disabled = false;
+		claimButton.disabled = false;
+		// Our recording was stopped while we were reconnecting
+		if (localRecording && message.recording?.id !== localRecording.id) {
+			await finishLocalRecording();
+		}
+	} else if (message.type === 'participantLeft') {
+		const { sessionId: leavingSessionId } = message;
+		console.log('Participant left: ' + leavingSessionId.substring(0, 8) + '...');
+		remote.removeParticipant(leavingSessionId);
+		publicKeys.delete(leavingSessionId);
+		// Whoever left keeps the old key, so the rest of the call moves to a new one
+		rotateMediaKey();
+		updateEncryptionStatus();
+	} else if (message.type === 'participantReconnecting') {
+		console.log('Participant reconnecting: ' + message.sessionId.substring(0, 8) + '...');
+		remote.setReconnecting(message.sessionId, true);
+	} else if (message.type === 'participantResumed') {
+		console.log('Participant resumed: ' + message.profile.displayName);
+		// Their Calls session (and so our pulled tracks) survived; only pull if we never had them
+		remote.setReconnecting(message.sessionId, false);
+		publicKeys.set(message.sessionId, message.publicKey);
+		// A key handed out while they were away never reached them
+		sendMediaKey(message.sessionId);
+		await remote.addParticipant(message.sessionId, message.profile.displayName, message.trackInfo, message);
+	} else if (message.type === 'profileChanged') {
+		if (message.sessionId === calls.sessionId) {
+			localUserNameSpan.textContent = message.profile.displayName;
+			showProfile(localVideoContainer, message.profile);
+		} else {
+			remote.setProfile(message.sessionId, message.profile);
+		}
+	} else if (message.type === 'trackStateChanged') {
+		remote.setTrackState(message.sessionId, message);
+	} else if (message.type === 'screenShareStarted') {
+		const participant = remote.participants.get(message.sessionId);
+		if (participant) {
+			await remote.showScreenShare(message.sessionId, participant.userName, message.track);
+		}
+	} else if (message.type === 'screenShareStopped') {
+		remote.removeScreenShare(message.sessionId);
+	} else if (message.type === 'hostChanged') {
+		setHost(message.hostSessionId);
+		// Keys now come from the new host, who starts on a new one
+		rotateMediaKey();
+		updateEncryptionStatus();
+	} else if (message.type === 'roomLockChanged') {
+		setRoomLocked(message.locked);
+	} else if (message.type === 'waitingRoomChanged') {
+		setWaitingRoomEnabled(message.enabled);
+	} else if (message.type === 'encryptionChanged') {
+		setEncrypted(message.enabled);
+		rotateMediaKey();
+	} else if (message.type === 'mediaKey') {
+		await receiveMediaKey(message);
+	} else if (message.type === 'waitingForApproval') {
+		waitingScreen.hidden = false;
+	} else if (message.type === 'knock') {
+		showKnock(message.sessionId, message.userName);
+	} else if (message.type === 'knockAnswered' || message.type === 'knockCancelled') {
+		document.getElementById('knock-' + message.sessionId)?.remove();
+	} else if (message.type === 'muteRequested') {
+		const host = remote.participants.get(message.bySessionId);
+		if (audioEnabled && confirm((host ? host.userName : 'The host') + ' asked you to mute your microphone. Mute now?')) {
+			toggleMicrophone();
+		}
+	} else if (message.type === 'participantKicked') {
+		const participant = remote.participants.get(message.sessionId);
+		console.log(
+			'Participant removed by the host: ' + (participant ? participant.userName : message.sessionId) + ' (' + message.reason + ')',
+		);
+	} else if (message.type === 'chatMessage') {
+		renderChatMessage(message.message);
+	} else if (message.type === 'chatMessageEdited') {
+		renderChatMessage(message.message);
+	} else if (message.type === 'chatMessageDeleted') {
+		document.getElementById('chat-' + message.id)?.remove();
+	} else if (message.type === 'chatHistory') {
+		for (const chatMessage of message.messages) {
+			renderChatMessage(chatMessage);
+		}
+		loadOlderButton.hidden = !message.hasMore;
+	} else if (message.type === 'recordingStarted') {
+		setRecording(message.recording);
+		if (message.uploadToken) {
+			startLocalRecording(message.recording, message.uploadToken);
+		}
+	} else if (message.type === 'recordingStopped') {
+		setRecording(null);
+		if (localRecording?.id === message.recordingId) {
+			await finishLocalRecording();
+		}
+	} else if (message.type === 'ringStarted' || message.type === 'ringUpdated') {
+		setRing(message.ring);
+	} else if (message.type === 'callStartingSoon') {
+		showNextCall('📅 ' + message.schedule.title + ' starts ' + formatCallTime(message.startsAt));
+	} else if (message.type === 'error') {
+		console.warn('Signaling server rejected a message (' + message.code + '): ' + message.reason);
+		if (message.code === ERROR_CODES.RECORDING_UNAVAILABLE) {
+			alert('Could not start recording: ' + message.reason);
+		} else if (message.code === ERROR_CODES.RING_UNAVAILABLE) {
+			alert('Could not ring the family: ' + message.reason);
+		}
+	}
+}
+
+/**
+ * Marks the host's tile and shows the host controls if that is us.
+ */
+function setHost(sessionId) {
+	hostSessionId = sessionId;
+	const isHost = !!calls.sessionId && sessionId === calls.sessionId;
+	document.body.classList.toggle('is-host', isHost);
+	lockButton.hidden = !isHost;
+	waitingRoomButton.hidden = !isHost;
+	encryptionButton.hidden = !isHost;
+	updateRecordButton();
+	localVideoContainer.classList.toggle('host', isHost);
+	remote.participants.forEach((participant, remoteSessionId) => {
+		participant.container.classList.toggle('host', remoteSessionId === sessionId);
+	});
+}
+
+function setRoomLocked(locked) {
+	roomLocked = locked;
+	lockButton.textContent = locked ? 'Unlock Room' : 'Lock Room';
+	connectionStatus.textContent = locked ? '🔒 Room locked' : '';
+}
+
+function setWaitingRoomEnabled(enabled) {
+	waitingRoomEnabled = enabled;
+	waitingRoomButton.textContent = enabled ? 'Turn Off Waiting Room' : 'Turn On Waiting Room';
+}
+
+/**
+ * Switches our frame transforms to the room's end-to-end encryption setting.
+ */
+function setEncrypted(enabled) {
+	roomEncrypted = enabled;
+	encryption.setEnabled(enabled);
+	encryptionButton.textContent = enabled ? 'Turn Off Encryption' : 'Turn On Encryption';
+	updateEncryptionStatus();
+}
+
+function isLocalHost() {
+	return !!calls.sessionId && hostSessionId === calls.sessionId;
+}
+
+/**
+ * Host only: makes a new media key and hands it to everyone, once the room is encrypted.
+ */
+function rotateMediaKey() {
+	queueKeyDistribution(async () => {
+		await encryption.rotateKey();
+		for (const remoteSessionId of publicKeys.keys()) {
+			await wrapMediaKeyFor(remoteSessionId);
+		}
+	});
+}
+
+/**
+ * Host only: hands the current media key to one participant, e.g. someone who just joined.
+ */
+function sendMediaKey(remoteSessionId) {
+	queueKeyDistribution(() => (encryption.mediaKey ? wrapMediaKeyFor(remoteSessionId) : null));
+}
+
+function queueKeyDistribution(task) {
+	keyDistribution = keyDistribution
+		.then(() => {
+			// Checked when the task runs: the room or the host may have changed while it waited
+			if (roomEncrypted && isLocalHost() && encryption.publicKey) {
+				return task();
+			}
+		})
+		.then(updateEncryptionStatus)
+		.catch((error) => console.error('Failed to hand out the media key:', error));
+}
+
+async function wrapMediaKeyFor(remoteSessionId) {
+	const publicKey = publicKeys.get(remoteSessionId);
+	// Without a key their browser can't encrypt; the status line names them
+	if (publicKey) {
+		signaling.send('mediaKey', { sessionId: remoteSessionId, ...(await encryption.wrapFor(publicKey)) });
+	}
+}
+
+/**
+ * Starts using a media key from the host. Keys from anyone else are ignored (the server only relays the host's), and
+ * so are keys no newer than the last one the same host sent.
+ */
+async function receiveMediaKey(message) {
+	const hostPublicKey = publicKeys.get(message.fromSessionId);
+	if (message.fromSessionId !== hostSessionId || !hostPublicKey || !encryption.publicKey) {
+		console.warn('Ignoring a media key that did not come from the host.');
+		return;
+	}
+	try {
+		if (!(await encryption.receiveKey(hostPublicKey, message))) {
+			console.warn('Ignoring a media key no newer than the last one from the host (epoch ' + message.epoch + ').');
+		}
+	} catch (error) {
+		console.error('Could not unwrap the media key:', error);
+	}
+	updateEncryptionStatus();
+}
+
+/**
+ * Tells everyone whether the call is end-to-end encrypted right now, with the code to compare when it is.
+ */
+async function updateEncryptionStatus() {
+	// Like the chat, only shown once we are in the call
+	encryptionStatus.hidden = chatPanel.hidden;
+	let text = '🔓 Not end-to-end encrypted';
+	let state = '';
+	if (roomEncrypted && !encryption.publicKey) {
+		text = "⚠️ The call is end-to-end encrypted, but this browser can't decrypt it";
+		state = 'warning';
+	} else if (roomEncrypted && !encryption.mediaKey) {
+		text = '🔒 Waiting for the encryption key…';
+		state = 'warning';
+	} else if (roomEncrypted) {
+		text = '🔒 End-to-end encrypted · code ' + (await encryption.verificationCode());
+		state = 'encrypted';
+		const left = [...publicKeys]
+			.filter(([id, publicKey]) => !publicKey && remote.participants.has(id))
+			.map(([id]) => remote.participants.get(id).userName);
+		if (left.length > 0) {
+			text += " · can't see or hear: " + left.join(', ');
+			state = 'warning';
+		}
+	}
+	encryptionStatus.textContent = text;
+	encryptionStatus.className = state;
+}
+
+/**
+ * Shows a "wants to join" prompt with Let in / Deny buttons. Whoever answers first decides;
+ * the server then tells everyone to drop the prompt.
+ */
+function showKnock(knockSessionId, knockUserName) {
+	document.getElementById('knock-' + knockSessionId)?.remove();
+	const item = document.createElement('li');
+	item.id = 'knock-' + knockSessionId;
+	const text = document.createElement('span');
+	text.textContent = knockUserName + ' wants to join';
+	const admitButton = document.createElement('button');
+	admitButton.textContent = 'Let in';
+	admitButton.addEventListener('click', () => signaling.send('answerKnock', { sessionId: knockSessionId, admit: true }));
+	const denyButton = document.createElement('button');
+	denyButton.textContent = 'Deny';
+	denyButton.addEventListener('click', () => signaling.send('answerKnock', { sessionId: knockSessionId, admit: false }));
+	item.append(text, admitButton, denyButton);
+	knockList.appendChild(item);
+}
+
+/**
+ * Shows everyone that the call is being recorded, and by whom.
+ *
+ * @param recording - The Recording from the server, or null when nothing is being recorded
+ */
+function setRecording(recording) {
+	activeRecording = recording;
+	recordingIndicator.hidden = !recording;
+	recordingIndicator.textContent = recording ? '● Recording (started by ' + recording.recorderName + ')' : '';
+	updateRecordButton();
+}
+
+/**
+ * Shows how the family is being rung. Only one ring runs at a time, so ringing again waits until it ends.
+ *
+ * @param ring - The Ring from the server, or null when nobody has rung
+ */
+function setRing(ring) {
+	ringStatus.hidden = !ring;
+	ringStatus.textContent = ring ? '📞 ' + describeRing(ring) : '';
+	ringButton.textContent = ring && !ring.ended ? 'Ringing…' : 'Ring the Family';
+}
+
+/**
+ * Registers this device to be rung when someone calls the room while we are not in it. The room files the
+ * device under our name, and a ring reaches everyone with a device who isn't in the call at that moment.
+ */
+async function registerForRings() {
+	try {
+		const { publicKey } = await fetch('/api/push/public-key').then(readApiResponse);
+		if (!publicKey) {
+			throw new Error('Ringing is not set up on this server');
+		}
+		const subscription = await subscribeToPush(publicKey);
+		await fetch(roomApi(roomId) + '/push-subscriptions', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ subscription, sessionId: calls.sessionId, sessionToken: calls.sessionToken }),
+		}).then(readApiResponse);
+		alert('This device will ring when someone calls ' + roomId + '.');
+	} catch (error) {
+		alert('Could not set up ringing: ' + error.message);
+	}
+}
+
+// The host can start a recording; the host and the recorder can stop it
+function updateRecordButton() {
+	const isHost = !!calls.sessionId && hostSessionId === calls.sessionId;
+	recordButton.hidden = !(isHost || localRecording);
+	recordButton.textContent = activeRecording ? 'Stop Recording' : 'Record';
+}
+
+function toggleRecording() {
+	if (activeRecording) {
+		signaling.send('stopRecording', {});
+		return;
+	}
+	recordingMimeType = pickRecordingMimeType();
+	if (!recordingMimeType || !HTMLCanvasElement.prototype.captureStream) {
+		alert('This browser cannot record calls.');
+		return;
+	}
+	if (confirm('Everyone in the call will be told that it is being recorded. Start recording?')) {
+		// The server only needs the container; the codecs are between us and MediaRecorder
+		signaling.send('startRecording', { mimeType: recordingMimeType.split(';')[0] });
+	}
+}
+
+/**
+ * Starts recording the call on this device, after the server made us the recorder.
+ */
+function startLocalRecording(recording, uploadToken) {
+	const uploader = new RecordingUploader({
+		url: roomApi(roomId) + '/recordings/' + recording.id,
+		uploadToken,
+		onError: (error) => {
+			console.error('Recording upload paused:', error);
+			connectionStatus.textContent = 'Recording upload paused; it resumes when you are back online.';
+		},
+	});
+	const recorder = new RoomRecorder({
+		getSources: recordingSources,
+		audioContext,
+		mimeType: recordingMimeType,
+		onData: (blob) => uploader.append(blob),
+	});
+	recorder.start();
+	unfinishedUploads.add(uploader);
+	localRecording = { id: recording.id, recorder, uploader };
+	updateRecordButton();
+	console.log('Recording ' + recording.id + ' started.');
+}
+
+/**
+ * Stops our recorder and uploads the rest of the recording.
+ */
+async function finishLocalRecording() {
+	const { recorder, uploader } = localRecording;
+	localRecording = null;
+	updateRecordButton();
+	await recorder.stop();
+	await saveRecording(uploader);
+}
+
+async function saveRecording(uploader) {
+	try {
+		const recording = await uploader.finish();
+		unfinishedUploads.delete(uploader);
+		console.log('Recording saved:', recording);
+		if (localStorage.getItem(ownerSecretKey(roomId))) {
+			await refreshRecordings();
+		}
+	} catch (error) {
+		console.error('Could not save the recording yet:', error);
+	}
+}
+
+function resumeUpload(uploader) {
+	uploader
+		.resume()
+		.then(() => (uploader.finishing ? saveRecording(uploader) : undefined))
+		.catch((error) => console.error('Could not resume the recording upload:', error));
+}
+
+/**
+ * Lists what the recording shows: screen shares first, then our own tile and everyone else's.
+ */
+function recordingSources() {
+	const sources = [];
+	remote.screenShares.forEach((share, sessionId) => {
+		const owner = remote.participants.get(sessionId);
+		sources.push({
+			label: (owner ? owner.userName : 'Someone') + "'s screen",
+			video: share.container.querySelector('video'),
+			audioTrack: null,
+		});
+	});
+	sources.push({
+		label: userName,
+		video: localVideo,
+		videoOff: !videoEnabled,
+		audioTrack: localStream?.getAudioTracks()[0] ?? null,
+	});
+	remote.participants.forEach((participant) => {
+		sources.push({
+			label: participant.userName,
+			video: participant.videoElement,
+			videoOff: participant.videoPaused || participant.container.classList.contains('camera-off'),
+			audioTrack: participant.mediaStream.getAudioTracks()[0] ?? null,
+		});
+	});
+	return sources;
+}
+
+/**
+ * Builds the Kick / Ask to mute / Make host buttons for a remote tile. They are only visible while
+ * we are the host, and the server checks every one of them anyway.
+ */
+function createHostControls(remoteSessionId) {
+	const controls = document.createElement('div');
+	controls.className = 'host-controls';
+	const actions = [
+		['Ask to mute', () => signaling.send('requestMute', { sessionId: remoteSessionId })],
+		['Make host', () => signaling.send('transferHost', { sessionId: remoteSessionId })],
+		[
+			'Kick',
+			() => {
+				const participant = remote.participants.get(remoteSessionId);
+				if (confirm('Remove ' + (participant ? participant.userName : 'this participant') + ' from the room?')) {
+					signaling.send('kickParticipant', { sessionId: remoteSessionId });
+				}
+			},
+		],
+	];
+	for (const [label, action] of actions) {
+		const button = document.createElement('button');
+		button.textContent = label;
+		button.addEventListener('click', action);
+		controls.appendChild(button);
+	}
+	return controls;
+}
+
+async function toggleScreenShare() {
+	if (localScreenShare) {
+		await stopScreenShare();
+	} else {
+		await startScreenShare();
+	}
+}
+
+/**
+ * Captures a screen or window and pushes it as an extra track, the same way joinRoom pushes the camera.
+ */
+async function startScreenShare() {
+	let stream;
+	try {
+		stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+	} catch (error) {
+		console.log('Screen share cancelled:', error);
+		return;
+	}
+	const [track] = stream.getVideoTracks();
+	screenShareButton.disabled = true;
+	try {
+		const trackInfo = await remote.enqueueNegotiation(async () => {
+			const transceiver = localPeerConnection.addTransceiver(track, { direction: 'sendonly' });
+			encryption.protectSender(transceiver.sender);
+			const offer = await localPeerConnection.createOffer();
+			await localPeerConnection.setLocalDescription(offer);
+			const info = { mid: transceiver.mid, trackName: track.id, kind: 'video', source: 'screen' };
+			const pushResponse = await calls.push(offer, [info]);
+			await localPeerConnection.setRemoteDescription(new RTCSessionDescription(pushResponse.sessionDescription));
+			localScreenShare = { stream, transceiver, trackInfo: info };
+			return info;
+		});
+		localTracksInfo = [...localTracksInfo, trackInfo];
+		// The browser's own "Stop sharing" control ends the track
+		track.addEventListener('ended', () => stopScreenShare());
+		signaling.send('screenShareStarted', { track: trackInfo });
+		screenShareButton.textContent = 'Stop Sharing';
+		console.log('Screen share pushed on mid ' + trackInfo.mid + '.');
+	} catch (error) {
+		console.error('Failed to share screen:', error);
+		stream.getTracks().forEach((t) => t.stop());
+		alert('Could not share your screen: ' + error.message);
+	} finally {
+		screenShareButton.disabled = false;
+	}
+}
+
+async function stopScreenShare() {
+	const share = localScreenShare;
+	if (!share) {
+		return;
+	}
+	localScreenShare = null;
+	share.stream.getTracks().forEach((track) => track.stop());
+	localTracksInfo = localTracksInfo.filter((t) => t.source !== 'screen');
+	screenShareButton.textContent = 'Share Screen';
+	try {
+		await remote.closeTracks([share.trackInfo.mid]);
+	} catch (error) {
+		console.error('Failed to close screen share track:', error);
+	} finally {
+		signaling.send('screenShareStopped', {});
+	}
+}
+
+function toggleMicrophone() {
+	audioEnabled = !audioEnabled;
+	applyLocalTrackState();
+}
+
+function toggleCamera() {
+	videoEnabled = !videoEnabled;
+	applyLocalTrackState();
+}
+
+/**
+ * Enables or disables our outgoing tracks (a disabled track sends silence / black frames)
+ * and tells the room, so everyone shows badges rather than a frozen picture.
+ */
+function applyLocalTrackState() {
+	localStream?.getAudioTracks().forEach((track) => (track.enabled = audioEnabled));
+	localStream?.getVideoTracks().forEach((track) => (track.enabled = videoEnabled));
+	micButton.textContent = audioEnabled ? 'Mute' : 'Unmute';
+	cameraButton.textContent = videoEnabled ? 'Stop Camera' : 'Start Camera';
+	localVideoContainer.classList.toggle('audio-muted', !audioEnabled);
+	localVideoContainer.classList.toggle('camera-off', !videoEnabled);
+	signaling.send('trackStateChanged', { audioEnabled, videoEnabled });
+}
+
+/**
+ * Opens the selected mic and camera for the lobby preview, then lists the available devices (their
+ * labels are only readable once the user has granted access). The mic / camera buttons work here too,
+ * so people can join with either one already off.
+ *
+ * @param throwOnError - Rethrow when no media could be opened (joinRoom needs it); the lobby just waits
+ */
+async function startPreview(throwOnError = false) {
+	try {
+		localStream = await openLocalMedia();
+	} catch (error) {
+		console.warn('No camera or microphone available:', error);
+		if (throwOnError) {
+			throw error;
+		}
+		return;
+	}
+	localVideo.srcObject = localStream;
+	console.log('Local media stream obtained.');
+	audioContext = audioContext || new AudioContext();
+	startAudioLevelMeter('local', localStream);
+	startSpeakerDetection();
+	micButton.disabled = localStream.getAudioTracks().length === 0;
+	cameraButton.disabled = localStream.getVideoTracks().length === 0;
+	applyLocalTrackState();
+	await refreshDeviceLists();
+}
+
+/**
+ * getUserMedia for the selected devices. A missing (or busy) camera is not fatal: we fall back to
+ * the microphone alone.
+ */
+async function openLocalMedia() {
+	const audio = micSelect.value ? { deviceId: { exact: micSelect.value } } : true;
+	const video = cameraSelect.value ? { deviceId: { exact: cameraSelect.value } } : true;
+	try {
+		return await navigator.mediaDevices.getUserMedia({ audio, video });
+	} catch (error) {
+		console.warn('Camera unavailable, continuing with audio only:', error);
+		return await navigator.mediaDevices.getUserMedia({ audio });
+	}
+}
+
+async function refreshDeviceLists() {
+	const devices = await navigator.mediaDevices.enumerateDevices();
+	fillDeviceSelect(micSelect, devices, 'audioinput', currentDeviceId('audio'));
+	fillDeviceSelect(cameraSelect, devices, 'videoinput', currentDeviceId('video'));
+	fillDeviceSelect(speakerSelect, devices, 'audiooutput', audioOutputId);
+}
+
+function fillDeviceSelect(select, devices, kind, selectedId) {
+	const options = devices
+		.filter((device) => device.kind === kind)
+		.map((device, index) => {
+			const option = document.createElement('option');
+			option.value = device.deviceId;
+			option.textContent = device.label || kind + ' ' + (index + 1);
+			return option;
+		});
+	select.replaceChildren(...options);
+	select.disabled = options.length === 0;
+	if (options.some((option) => option.value === selectedId)) {
+		select.value = selectedId;
+	}
+}
+
+function currentDeviceId(kind) {
+	const track = kind === 'audio' ? localStream?.getAudioTracks()[0] : localStream?.getVideoTracks()[0];
+	return track?.getSettings().deviceId || '';
+}
+
+/**
+ * Switches to the mic or camera picked in the device list. During a call the new track replaces the
+ * old one on the same sender, so the Calls track (and everyone pulling it) stays as it is.
+ */
+async function switchDevice(kind) {
+	const select = kind === 'audio' ? micSelect : cameraSelect;
+	const oldTrack = kind === 'audio' ? localStream?.getAudioTracks()[0] : localStream?.getVideoTracks()[0];
+	if (!localStream || oldTrack?.getSettings().deviceId === select.value) {
+		return;
+	}
+	const sender = oldTrack && localPeerConnection?.getSenders().find((s) => s.track === oldTrack);
+	if (localPeerConnection && !sender) {
+		// We joined without this kind of track, so there is no sender to swap it into
+		alert('Leave and rejoin the room to start using this ' + (kind === 'audio' ? 'microphone.' : 'camera.'));
+		select.value = currentDeviceId(kind);
+		return;
+	}
+	let newTrack;
+	try {
+		const stream = await navigator.mediaDevices.getUserMedia({ [kind]: { deviceId: { exact: select.value } } });
+		newTrack = stream.getTracks()[0];
+	} catch (error) {
+		console.error('Failed to open ' + kind + ' device:', error);
+		alert('Could not switch device: ' + error.message);
+		select.value = currentDeviceId(kind);
+		return;
+	}
+	newTrack.enabled = kind === 'audio' ? audioEnabled : videoEnabled;
+	await sender?.replaceTrack(newTrack);
+	if (oldTrack) {
+		localStream.removeTrack(oldTrack);
+		oldTrack.stop();
+	}
+	localStream.addTrack(newTrack);
+	if (kind === 'audio') {
+		startAudioLevelMeter('local', localStream);
+	} else {
+		cameraButton.disabled = false;
+	}
+	console.log('Switched ' + kind + ' to ' + (newTrack.label || select.value) + '.');
+}
+
+function applyAudioOutput(element) {
+	if (audioOutputId && element.setSinkId) {
+		element.setSinkId(audioOutputId).catch((error) => console.error('Failed to change speaker:', error));
+	}
+}
+
+function sendChatMessage(event) {
+	event.preventDefault();
+	const body = chatInput.value.trim();
+	if (!body) {
+		return;
+	}
+	signaling.send('chatMessage', { body });
+	chatInput.value = '';
+}
+
+function loadOlderMessages() {
+	const oldest = chatMessages.firstElementChild;
+	signaling.send('chatHistoryRequest', oldest ? { before: Number(oldest.dataset.id) } : {});
+}
+
+/**
+ * Adds a chat message to the panel in id order, or updates it in place if it is already shown.
+ * Everything user-supplied goes in through textContent.
+ */
+function renderChatMessage(chatMessage) {
+	const existing = document.getElementById('chat-' + chatMessage.id);
+	const item = existing || document.createElement('li');
+	item.id = 'chat-' + chatMessage.id;
+	item.dataset.id = chatMessage.id;
+
+	const meta = document.createElement('div');
+	meta.className = 'chat-meta';
+	meta.textContent =
+		chatMessage.senderName + ' · ' + new Date(chatMessage.sentAt).toLocaleTimeString() + (chatMessage.editedAt ? ' (edited)' : '');
+	const body = document.createElement('div');
+	body.className = 'chat-body';
+	body.textContent = chatMessage.body;
+	item.replaceChildren(meta, body);
+
+	if (chatMessage.senderSessionId === calls.sessionId) {
+		const editButton = document.createElement('button');
+		editButton.textContent = 'Edit';
+		editButton.addEventListener('click', () => {
+			const edited = prompt('Edit your message:', chatMessage.body);
+			if (edited && edited.trim() && edited.trim() !== chatMessage.body) {
+				signaling.send('chatEdit', { id: chatMessage.id, body: edited.trim() });
+			}
+		});
+		const deleteButton = document.createElement('button');
+		deleteButton.textContent = 'Delete';
+		deleteButton.addEventListener('click', () => {
+			if (confirm('Delete this message for everyone?')) {
+				signaling.send('chatDelete', { id: chatMessage.id });
+			}
+		});
+		item.append(editButton, deleteButton);
+	}
+
+	if (existing) {
+		return;
+	}
+	const next = [...chatMessages.children].find((child) => Number(child.dataset.id) > chatMessage.id);
+	if (next) {
+		chatMessages.insertBefore(item, next);
+	} else {
+		chatMessages.append(item);
+		chatMessages.scrollTop = chatMessages.scrollHeight;
+	}
+}
+
+function roomApi(room) {
+	return '/api/rooms/' + encodeURIComponent(room);
+}
+
+// Owner secrets are only shown once, when the room is claimed, so keep them on this device
+function ownerSecretKey(room) {
+	return 'familyrealtime.ownerSecret.' + room;
+}
+
+function ownerHeaders(room) {
+	const ownerSecret = localStorage.getItem(ownerSecretKey(room));
+	return ownerSecret ? { Authorization: 'Bearer ' + ownerSecret } : {};
+}
+
+async function readApiResponse(res) {
+	const data = await res.json();
+	if (!res.ok) {
+		throw new Error(data.error || 'Request failed with status ' + res.status);
+	}
+	return data;
+}
+
+/**
+ * Asks the Worker for a join token, presenting our owner secret or the invite or ring answer from the page URL,
+ * or - when resuming after a dropped connection - the Calls session we are already using in the room.
+ */
+async function requestJoinToken(room, resume) {
+	const body = resume
+		? { sessionId: calls.sessionId, sessionToken: calls.sessionToken }
+		: { invite: inviteCode || undefined, ring: ringAnswer || undefined };
+	const { token } = await fetch(roomApi(room) + '/join', {
+		method: 'POST',
+		headers: { ...ownerHeaders(room), 'Content-Type': 'application/json' },
+		body: JSON.stringify(body),
+	}).then(readApiResponse);
+	return token;
+}
+
+/**
+ * Gets the ICE servers for the peer connection: Cloudflare's STUN server, plus short-lived TURN credentials when
+ * the deployment has a TURN server, and schedules their renewal.
+ *
+ * @param room - The room name
+ * @param proof - `{ token }` with a join token before joining; empty once we are in the room
+ * @returns The RTCIceServer list
+ */
+async function requestIceServers(room, proof = {}) {
+	const { iceServers, expiresIn } = await fetch(roomApi(room) + '/turn-credentials', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ sessionId: calls.sessionId, sessionToken: calls.sessionToken, ...proof }),
+	}).then(readApiResponse);
+	clearTimeout(turnRenewTimer);
+	if (expiresIn) {
+		turnRenewTimer = setTimeout(renewTurnCredentials, Math.max(expiresIn * 1000 - TURN_RENEW_MARGIN_MS, TURN_RETRY_DELAY_MS));
+	}
+	return [STUN_SERVER, ...iceServers];
+}
+
+/**
+ * Swaps fresh TURN credentials into the peer connection before the current ones run out. The connection keeps
+ * its relay, and any ICE gathering from now on (after a network change, say) uses the new credentials.
+ */
+async function renewTurnCredentials() {
+	if (!localPeerConnection) {
+		return;
+	}
+	try {
+		const iceServers = await requestIceServers(roomId);
+		localPeerConnection?.setConfiguration({ ...localPeerConnection.getConfiguration(), iceServers });
+		console.log('TURN credentials renewed.');
+	} catch (error) {
+		// The old credentials still work for a while
+		console.warn('Failed to renew the TURN credentials:', error);
+		turnRenewTimer = setTimeout(renewTurnCredentials, TURN_RETRY_DELAY_MS);
+	}
+}
+
+/**
+ * Makes us a member of the room on our first join from this device, and saves any change to our name, colour
+ * or avatar made in the lobby since the last one.
+ *
+ * @param room - The room name
+ * @param token - A join token for the room, which is what lets us become a member
+ * @returns The identity to join as
+ */
+async function saveProfile(room, token) {
+	const fields = { displayName: userName, color: colorInput.value };
+	let saved = loadIdentity(localStorage, room);
+	if (!saved) {
+		const { member, secret } = await fetch(roomApi(room) + '/members', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ token, ...fields }),
+		}).then(readApiResponse);
+		saved = { id: member.memberId, secret, ...fields };
+		saveIdentity(localStorage, room, saved);
+	} else if (saved.displayName !== fields.displayName || saved.color !== fields.color) {
+		await fetch(memberApi(room, saved), {
+			method: 'PATCH',
+			headers: memberHeaders(saved),
+			body: JSON.stringify(fields),
+		}).then(readApiResponse);
+		saved = { ...saved, ...fields };
+		saveIdentity(localStorage, room, saved);
+	}
+	const photo = avatarInput.files[0];
+	if (photo) {
+		const avatar = await resizeAvatar(photo);
+		await fetch(memberApi(room, saved) + '/avatar', {
+			method: 'PUT',
+			headers: { ...memberHeaders(saved), 'Content-Type': avatar.type },
+			body: avatar,
+		}).then(readApiResponse);
+		avatarInput.value = '';
+	}
+	return saved;
+}
+
+function memberApi(room, member) {
+	return roomApi(room) + '/members/' + encodeURIComponent(member.id);
+}
+
+function memberHeaders(member) {
+	return { Authorization: 'Bearer ' + member.secret, 'Content-Type': 'application/json' };
+}
+
+/**
+ * Fills the lobby's name and colour with the member this device joins the room as, if any.
+ */
+function fillInIdentity() {
+	const saved = loadIdentity(localStorage, roomIdInput.value.trim());
+	if (saved) {
+		userNameInput.value = saved.displayName;
+		colorInput.value = saved.color;
+	} else {
+		colorInput.value = defaultColor(userNameInput.value);
+	}
+}
+
+/**
+ * Shows whose tile this is: the name in its title, and their avatar (or initials on their colour) while their
+ * camera is off.
+ *
+ * @param container - The tile
+ * @param profile - The participant's Profile
+ */
+function showProfile(container, profile) {
+	const color = profile.color ?? defaultColor(profile.displayName);
+	// Only ever a '#rrggbb' the room checked, or one of ours
+	container.style.setProperty('--member-color', color);
+	if (container !== localVideoContainer) {
+		container.querySelector('h2').textContent = profile.displayName + "'s Stream";
+	}
+	let avatar;
+	if (profile.avatarUrl) {
+		avatar = document.createElement('img');
+		avatar.src = profile.avatarUrl;
+		avatar.alt = '';
+	} else {
+		avatar = document.createElement('span');
+		avatar.textContent = initials(profile.displayName);
+	}
+	avatar.className = 'avatar';
+	const label = document.createElement('span');
+	label.textContent = 'Camera off';
+	container.querySelector('.camera-off-placeholder').replaceChildren(avatar, label);
+}
+
+function updateOwnerControls() {
+	const room = roomIdInput.value.trim();
+	const isOwner = !!localStorage.getItem(ownerSecretKey(room));
+	claimButton.hidden = isOwner;
+	inviteButton.hidden = !isOwner;
+	scheduleForm.hidden = !isOwner;
+	scheduleList.hidden = !isOwner;
+	inviteList.replaceChildren();
+	recordingList.replaceChildren();
+	if (isOwner) {
+		refreshInvites().catch((error) => console.error('Failed to load invites:', error));
+		refreshRecordings().catch((error) => console.error('Failed to load recordings:', error));
+	}
+}
+
+// Only someone in the call can claim the room, so the button is enabled once we have joined
+async function claimRoom() {
+	const room = roomId;
+	try {
+		const { ownerSecret } = await fetch(roomApi(room) + '/claim', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ sessionId: calls.sessionId, sessionToken: calls.sessionToken }),
+		}).then(readApiResponse);
+		localStorage.setItem(ownerSecretKey(room), ownerSecret);
+		console.log('Room ' + room + ' is now private.');
+		updateOwnerControls();
+	} catch (error) {
+		alert('Could not make the room private: ' + error.message);
+	}
+}
+
+async function createInvite() {
+	const room = roomIdInput.value.trim();
+	const singleUse = confirm('Should this invite work only once? (Cancel creates a reusable link.)');
+	try {
+		const invite = await fetch(roomApi(room) + '/invites', {
+			method: 'POST',
+			headers: { ...ownerHeaders(room), 'Content-Type': 'application/json' },
+			body: JSON.stringify({ singleUse }),
+		}).then(readApiResponse);
+		prompt('Share this invite link with your family:', invite.url);
+		await refreshInvites();
+	} catch (error) {
+		alert('Could not create an invite: ' + error.message);
+	}
+}
+
+async function refreshInvites() {
+	const room = roomIdInput.value.trim();
+	const { invites } = await fetch(roomApi(room) + '/invites', { headers: ownerHeaders(room) }).then(readApiResponse);
+	inviteList.replaceChildren(
+		...invites.map((invite) => {
+			const item = document.createElement('li');
+			const expired = invite.expiresAt < Date.now();
+			item.className = invite.revokedAt || expired ? 'revoked' : '';
+			item.textContent =
+				(invite.singleUse ? 'Single-use' : 'Reusable') +
+				' invite, created ' +
+				new Date(invite.createdAt).toLocaleString() +
+				', used ' +
+				invite.uses +
+				' time(s) ';
+			if (!invite.revokedAt && !expired) {
+				const revokeButton = document.createElement('button');
+				revokeButton.textContent = 'Revoke';
+				revokeButton.addEventListener('click', () => revokeInvite(room, invite.id));
+				item.appendChild(revokeButton);
+			}
+			return item;
+		}),
+	);
+}
+
+async function revokeInvite(room, inviteId) {
+	try {
+		await fetch(roomApi(room) + '/invites/' + inviteId, {
+			method: 'DELETE',
+			headers: ownerHeaders(room),
+		}).then(readApiResponse);
+		await refreshInvites();
+	} catch (error) {
+		alert('Could not revoke the invite: ' + error.message);
+	}
+}
+
+/**
+ * Shows the room's next scheduled call and a link to its calendar feed, and lists the schedules for the owner.
+ */
+async function refreshSchedules() {
+	const room = roomIdInput.value.trim();
+	if (!room) {
+		return;
+	}
+	const { schedules } = await fetch(roomApi(room) + '/schedules').then(readApiResponse);
+	// The room lists the next call first
+	const next = schedules[0]?.nextStartsAt ? schedules[0] : null;
+	showNextCall(next && '📅 Next call: ' + next.title + ', ' + formatCallTime(next.nextStartsAt));
+	calendarLink.hidden = schedules.length === 0;
+	// webcal: makes calendar apps subscribe to the feed rather than import it once
+	calendarLink.href = (location.protocol === 'https:' ? 'webcal://' + location.host : '') + roomApi(room) + '/calendar.ics';
+	scheduleList.replaceChildren(
+		...schedules.map((schedule) => {
+			const item = document.createElement('li');
+			item.textContent =
+				schedule.title +
+				': ' +
+				REPEAT_TEXT[schedule.repeat].toLowerCase() +
+				(schedule.nextStartsAt ? ', next ' + formatCallTime(schedule.nextStartsAt) : ' (over)') +
+				' ';
+			const cancelButton = document.createElement('button');
+			cancelButton.textContent = 'Cancel';
+			cancelButton.addEventListener('click', () => deleteSchedule(room, schedule.id));
+			item.appendChild(cancelButton);
+			return item;
+		}),
+	);
+}
+
+async function createSchedule(event) {
+	event.preventDefault();
+	const room = roomIdInput.value.trim();
+	try {
+		await fetch(roomApi(room) + '/schedules', {
+			method: 'POST',
+			headers: { ...ownerHeaders(room), 'Content-Type': 'application/json' },
+			body: JSON.stringify({
+				title: scheduleTitleInput.value.trim(),
+				start: scheduleStartInput.value.slice(0, 16),
+				timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+				repeat: scheduleRepeatSelect.value,
+			}),
+		}).then(readApiResponse);
+		await refreshSchedules();
+	} catch (error) {
+		alert('Could not schedule the call: ' + error.message);
+	}
+}
+
+async function deleteSchedule(room, scheduleId) {
+	try {
+		await fetch(roomApi(room) + '/schedules/' + scheduleId, {
+			method: 'DELETE',
+			headers: ownerHeaders(room),
+		}).then(readApiResponse);
+		await refreshSchedules();
+	} catch (error) {
+		alert('Could not cancel the call: ' + error.message);
+	}
+}
+
+function showNextCall(text) {
+	nextCallInfo.hidden = !text;
+	nextCallInfo.textContent = text || '';
+}
+
+function formatCallTime(time) {
+	return new Date(time).toLocaleString([], { weekday: 'long', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+async function refreshRecordings() {
+	const room = roomIdInput.value.trim();
+	const { recordings } = await fetch(roomApi(room) + '/recordings', { headers: ownerHeaders(room) }).then(readApiResponse);
+	recordingList.replaceChildren(
+		...recordings.map((recording) => {
+			const item = document.createElement('li');
+			item.textContent = 'Recording by ' + recording.recorderName + ', ' + new Date(recording.startedAt).toLocaleString() + ' ';
+			if (recording.status === 'saved') {
+				const downloadButton = document.createElement('button');
+				downloadButton.textContent = 'Download (' + Math.ceil(recording.size / (1024 * 1024)) + ' MB)';
+				downloadButton.addEventListener('click', () => downloadRecording(room, recording));
+				item.appendChild(downloadButton);
+			} else {
+				item.append(recording.status === 'recording' ? '(recording…)' : '(uploading…)');
+			}
+			return item;
+		}),
+	);
+}
+
+/**
+ * Downloads a recording. The route needs our owner secret in a header, so it can't be a plain link.
+ */
+async function downloadRecording(room, recording) {
+	try {
+		const res = await fetch(roomApi(room) + '/recordings/' + recording.id, { headers: ownerHeaders(room) });
+		if (!res.ok) {
+			await readApiResponse(res);
+		}
+		const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'recording';
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(await res.blob());
+		link.download = filename;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+	} catch (error) {
+		alert('Could not download the recording: ' + error.message);
+	}
+}
+
+function leaveRoom() {
+	cleanupSession();
+}
+
+function cleanupSession() {
+	console.log('Cleaning up session...');
+	signaling.close();
+	// The upload carries on after we leave; the room stops the recording when we go
+	if (localRecording) {
+		finishLocalRecording().catch((error) => console.error('Failed to stop the recording:', error));
+	}
+	setRecording(null);
+	recordButton.hidden = true;
+	setRing(null);
+	ringButton.disabled = true;
+	claimButton.disabled = true;
+	encryption.reset();
+	roomEncrypted = false;
+	publicKeys.clear();
+	encryptionButton.hidden = true;
+	encryptionButton.textContent = 'Turn On Encryption';
+	encryptionStatus.hidden = true;
+	ringMeButton.disabled = true;
+	connectionStatus.textContent = '';
+	joinButton.disabled = false;
+	leaveButton.disabled = true;
+	micButton.disabled = true;
+	cameraButton.disabled = true;
+	screenShareButton.disabled = true;
+	micButton.textContent = 'Mute';
+	cameraButton.textContent = 'Stop Camera';
+	screenShareButton.textContent = 'Share Screen';
+	if (localScreenShare) {
+		localScreenShare.stream.getTracks().forEach((track) => track.stop());
+		localScreenShare = null;
+	}
+	localVideoContainer.classList.remove('audio-muted', 'camera-off', 'host', 'speaking');
+	clearInterval(speakerTimer);
+	speakerTimer = null;
+	clearInterval(statsTimer);
+	statsTimer = null;
+	clearTimeout(turnRenewTimer);
+	preparedJoinToken = null;
+	poorSamples = 0;
+	goodSamples = 0;
+	delete localVideoContainer.querySelector('.quality-indicator').dataset.quality;
+	audioMeters.forEach((meter, key) => stopAudioLevelMeter(key));
+	featuredSessionId = null;
+	document.body.classList.remove('is-host');
+	hostSessionId = null;
+	roomLocked = false;
+	lockButton.hidden = true;
+	lockButton.textContent = 'Lock Room';
+	waitingRoomEnabled = false;
+	waitingRoomButton.hidden = true;
+	waitingRoomButton.textContent = 'Turn On Waiting Room';
+	waitingScreen.hidden = true;
+	knockList.replaceChildren();
+	userNameInput.disabled = false;
+	colorInput.disabled = false;
+	avatarInput.disabled = false;
+	roomIdInput.disabled = false;
+	localUserNameSpan.textContent = '';
+	identity = null;
+	chatPanel.hidden = true;
+	chatMessages.replaceChildren();
+	loadOlderButton.hidden = true;
+
+	if (localStream) {
+		localStream.getTracks().forEach((track) => track.stop());
+		localStream = null;
+		localVideo.srcObject = null;
+		console.log('Local stream stopped.');
+	}
+	if (localPeerConnection) {
+		localPeerConnection.close();
+		localPeerConnection = null;
+		console.log('Local peer connection closed.');
+	}
+	calls.reset();
+
+	// Remove all remote videos and screen shares
+	remote.clear();
+	console.log('All remote streams and video elements removed.');
+	// Back to the lobby, with a fresh preview for the next call
+	startPreview();
+}
+
+/**
+ * Measures a stream's audio level with an AnalyserNode. The stream is not connected to the
+ * speakers - the tile's video element already plays it.
+ */
+function startAudioLevelMeter(key, stream) {
+	if (!audioContext || stream.getAudioTracks().length === 0) {
+		return;
+	}
+	stopAudioLevelMeter(key);
+	const source = audioContext.createMediaStreamSource(stream);
+	const analyser = audioContext.createAnalyser();
+	analyser.fftSize = 512;
+	source.connect(analyser);
+	audioMeters.set(key, { source, analyser, samples: new Uint8Array(analyser.fftSize), lastSpokeAt: 0 });
+}
+
+function stopAudioLevelMeter(key) {
+	const meter = audioMeters.get(key);
+	if (meter) {
+		meter.source.disconnect();
+		audioMeters.delete(key);
+	}
+}
+
+/**
+ * Root-mean-square of the current waveform, from 0 (silence) to 1.
+ */
+function readAudioLevel(meter) {
+	meter.analyser.getByteTimeDomainData(meter.samples);
+	let sum = 0;
+	for (const sample of meter.samples) {
+		const value = (sample - 128) / 128;
+		sum += value * value;
+	}
+	return Math.sqrt(sum / meter.samples.length);
+}
+
+/**
+ * Highlights whoever is speaking and, in the speaker and filmstrip layouts, moves the loudest
+ * remote speaker into the featured tile once the current one has been quiet for a moment.
+ */
+function startSpeakerDetection() {
+	clearInterval(speakerTimer);
+	speakerTimer = setInterval(() => {
+		const now = Date.now();
+		let loudestSessionId = null;
+		let loudestLevel = SPEAKING_LEVEL_THRESHOLD;
+		audioMeters.forEach((meter, key) => {
+			const level = readAudioLevel(meter);
+			if (level > SPEAKING_LEVEL_THRESHOLD) {
+				meter.lastSpokeAt = now;
+			}
+			if (key === 'local') {
+				micLevel.value = audioEnabled ? Math.min(1, level * 5) : 0;
+			}
+			const container = key === 'local' ? localVideoContainer : remote.participants.get(key)?.container;
+			container?.classList.toggle('speaking', now - meter.lastSpokeAt < SPEAKING_HOLD_MS);
+			if (key !== 'local' && level > loudestLevel) {
+				loudestSessionId = key;
+				loudestLevel = level;
+			}
+		});
+		const featuredMeter = audioMeters.get(featuredSessionId);
+		const featuredQuiet = !featuredMeter || now - featuredMeter.lastSpokeAt > FEATURED_SWITCH_DELAY_MS;
+		if (loudestSessionId && loudestSessionId !== featuredSessionId && featuredQuiet) {
+			featuredSessionId = loudestSessionId;
+			applyLayout();
+		}
+	}, SPEAKER_POLL_INTERVAL_MS);
+}
+
+function rateConnection(lossFraction, roundTripSeconds) {
+	if (lossFraction > 0.08 || roundTripSeconds > 0.7) {
+		return 'poor';
+	}
+	if (lossFraction > 0.02 || roundTripSeconds > 0.3) {
+		return 'fair';
+	}
+	return 'good';
+}
+
+/**
+ * Every few seconds: rates each remote tile (and our own connection) from packet loss and round
+ * trip time, moves tiles to a better-fitting simulcast layer, and switches to audio only while the
+ * connection stays poor.
+ */
+function startQualityMonitor() {
+	clearInterval(statsTimer);
+	previousInbound = new Map();
+	statsTimer = setInterval(async () => {
+		if (!localPeerConnection) {
+			return;
+		}
+		const stats = await localPeerConnection.getStats();
+		let roundTrip = 0;
+		const inbound = new Map();
+		stats.forEach((report) => {
+			if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+				roundTrip = report.currentRoundTripTime || 0;
+			} else if (report.type === 'inbound-rtp' && report.mid) {
+				inbound.set(report.mid, { packetsLost: report.packetsLost || 0, packetsReceived: report.packetsReceived || 0 });
+			}
+		});
+		// Packet loss over the last interval, for a set of mids
+		const lossOver = (mids) => {
+			let lost = 0;
+			let received = 0;
+			for (const mid of mids) {
+				const now = inbound.get(mid);
+				const before = previousInbound.get(mid) || { packetsLost: 0, packetsReceived: 0 };
+				if (now) {
+					lost += Math.max(0, now.packetsLost - before.packetsLost);
+					received += Math.max(0, now.packetsReceived - before.packetsReceived);
+				}
+			}
+			return lost + received > 0 ? lost / (lost + received) : 0;
+		};
+
+		const connectionQuality = rateConnection(lossOver([...inbound.keys()]), roundTrip);
+		remote.connectionQuality = connectionQuality;
+		localVideoContainer.querySelector('.quality-indicator').dataset.quality = connectionQuality;
+		remote.participants.forEach((participant) => {
+			participant.container.querySelector('.quality-indicator').dataset.quality = rateConnection(lossOver(participant.mids), roundTrip);
+		});
+		remote.updateSimulcastLayers();
+		previousInbound = inbound;
+
+		poorSamples = connectionQuality === 'poor' ? poorSamples + 1 : 0;
+		goodSamples = connectionQuality === 'good' ? goodSamples + 1 : 0;
+		if (!remote.audioOnly && poorSamples >= POOR_SAMPLES_BEFORE_AUDIO_ONLY) {
+			setAudioOnly(true);
+		} else if (remote.audioOnly && goodSamples >= GOOD_SAMPLES_BEFORE_VIDEO) {
+			setAudioOnly(false);
+		}
+	}, STATS_INTERVAL_MS);
+}
+
+function setAudioOnly(enabled) {
+	console.log(enabled ? 'Weak connection: switching to audio only.' : 'Connection recovered: pulling video again.');
+	connectionStatus.textContent = enabled ? 'Weak connection: video paused' : '';
+	remote.setAudioOnly(enabled);
+}
+
+/**
+ * Applies the layout mode to the grid and marks the featured tile. Without anyone speaking yet,
+ * the first remote participant is featured.
+ */
+function applyLayout() {
+	for (const mode of LAYOUT_MODES) {
+		gridContainer.classList.toggle('layout-' + mode, mode === layoutMode);
+	}
+	if (!remote.participants.has(featuredSessionId)) {
+		featuredSessionId = remote.participants.keys().next().value ?? null;
+	}
+	remote.participants.forEach((participant, remoteSessionId) => {
+		participant.container.classList.toggle('featured', layoutMode !== 'grid' && remoteSessionId === featuredSessionId);
+	});
+	// The filmstrip's featured tile spans as many rows as the strip beside it has tiles
+	gridContainer.style.setProperty('--strip-rows', String(remote.participants.size + 1));
+}
+
+/**
+ * IntersectionObserver callback: tells the participant manager which tiles can be seen, so it only
+ * pulls video for those.
+ */
+function handleTileVisibility(entries) {
+	for (const entry of entries) {
+		remote.setVisible(entry.target.id.replace(/^container-/, ''), entry.isIntersecting, HIDDEN_VIDEO_PAUSE_DELAY_MS);
+	}
+}
+
+/**
+ * Creates a peer connection with some default settings and routes every incoming (pulled) track
+ * to the participant manager.
+ */
+function createPeerConnection(iceServers) {
+	const peerConnection = new RTCPeerConnection({
+		iceServers,
+		bundlePolicy: 'max-bundle',
+		// Chrome only lets us encrypt frames on connections made with this
+		...(needsInsertableStreams() && { encodedInsertableStreams: true }),
+	});
+	peerConnection.ontrack = (event) => {
+		encryption.protectReceiver(event.receiver);
+		remote.handleTrack(event);
+	};
+	return peerConnection;
+}
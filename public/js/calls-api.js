@@ -0,0 +1,133 @@
+// calls-api.js
+// Browser client for the Worker's /api/calls/* proxy (see src/calls.js). The proxy holds the Calls app token;
+// the browser only ever holds the session token it got back when it created its own session.
+
+/**
+ * Parses a proxy response, turning both proxy errors and Calls API errors into exceptions.
+ *
+ * @param res - The fetch response
+ * @returns The parsed body
+ */
+export async function readCallsResponse(res) {
+	const data = await res.json();
+	if (!res.ok || data.error || data.errorCode) {
+		throw new Error(data.error || data.errorDescription || 'Calls request failed with status ' + res.status);
+	}
+	return data;
+}
+
+/**
+ * One Calls session, created through the Worker proxy. Every method after `createSession` presents the
+ * session token that proves we own the session.
+ */
+export class CallsApiClient {
+	/**
+	 * @param options.baseUrl - Where the proxy routes live (defaults to /api/calls)
+	 * @param options.fetch - The fetch implementation (defaults to the global fetch)
+	 */
+	constructor({ baseUrl = '/api/calls', fetch } = {}) {
+		this.baseUrl = baseUrl;
+		this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+		this.sessionId = null;
+		this.sessionToken = null;
+	}
+
+	/**
+	 * Creates a new Calls session and remembers its id and token.
+	 *
+	 * @param room - The room the session is for
+	 * @param token - A join token for the room, which is what lets us have a session
+	 * @returns The session id
+	 */
+	async createSession(room, token) {
+		const { sessionId, sessionToken } = await this.fetch(this.baseUrl + '/sessions/new', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ room, token }),
+		}).then(readCallsResponse);
+		this.sessionId = sessionId;
+		this.sessionToken = sessionToken;
+		return sessionId;
+	}
+
+	/**
+	 * Pushes local tracks.
+	 *
+	 * @param offer - Our offer, `{ type: 'offer', sdp }`
+	 * @param tracks - `{ mid, trackName }` for each transceiver being pushed
+	 * @returns The Calls response, with the answer in `sessionDescription`
+	 */
+	push(offer, tracks) {
+		return this.request('POST', '/tracks/push', {
+			sessionDescription: { sdp: offer.sdp, type: 'offer' },
+			tracks: tracks.map(({ mid, trackName }) => ({ location: 'local', mid, trackName })),
+		});
+	}
+
+	/**
+	 * Pulls other sessions' tracks.
+	 *
+	 * @param tracks - `{ sessionId, trackName, simulcast? }` for each track
+	 * @returns The Calls response; check `requiresImmediateRenegotiation`
+	 */
+	pull(tracks) {
+		return this.request('POST', '/tracks/pull', {
+			tracks: tracks.map((track) => ({ location: 'remote', ...track })),
+		});
+	}
+
+	/**
+	 * Answers an offer the Calls API sent with a pull.
+	 *
+	 * @param answer - Our answer, `{ type: 'answer', sdp }`
+	 */
+	renegotiate(answer) {
+		return this.request('PUT', '/renegotiate', {
+			sessionDescription: { sdp: answer.sdp, type: 'answer' },
+		});
+	}
+
+	/**
+	 * Closes tracks (pushed or pulled) by mid.
+	 *
+	 * @param mids - The transceiver mids to close
+	 * @param offer - Our offer with those transceivers stopped
+	 */
+	closeTracks(mids, offer) {
+		return this.request('PUT', '/tracks/close', {
+			tracks: mids.map((mid) => ({ mid })),
+			sessionDescription: { sdp: offer.sdp, type: 'offer' },
+			force: false,
+		});
+	}
+
+	/**
+	 * Changes which simulcast layer pulled tracks receive.
+	 *
+	 * @param tracks - `{ sessionId, trackName, mid, simulcast: { preferredRid } }` for each pulled track
+	 */
+	updateTracks(tracks) {
+		return this.request('PUT', '/tracks/update', {
+			tracks: tracks.map((track) => ({ location: 'remote', ...track })),
+		});
+	}
+
+	/**
+	 * Forgets the session, e.g. after leaving the room.
+	 */
+	reset() {
+		this.sessionId = null;
+		this.sessionToken = null;
+	}
+
+	request(method, suffix, body) {
+		return this.fetch(this.baseUrl + '/sessions/' + this.sessionId + suffix, {
+			method,
+			headers: {
+				Authorization: 'Bearer ' + this.sessionToken,
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify(body),
+		}).then(readCallsResponse);
+	}
+}
@@ -0,0 +1,82 @@
+// e2ee-worker.js
+// The worker behind end-to-end encryption (see e2ee.js). Every encoded frame we send or pull passes through
+// here: senders encrypt, receivers decrypt. It is used as an RTCRtpScriptTransform where the browser has one,
+// and is handed the frame streams by the page otherwise (Chrome's insertable streams).
+//
+// The page sends it:
+//   { type: 'setEnabled', enabled }       - Off: frames pass through untouched
+//   { type: 'setKey', epoch, key }        - A raw AES key; the previous key is kept for frames still in flight
+//   { type: 'transform', readable, writable, operation } - The insertable streams fallback
+
+import { decryptFrame, encryptFrame } from './frame-crypto.js';
+
+let enabled = false;
+let currentIndex = null;
+// Key index -> CryptoKey: the current key and the one before it
+const keys = new Map();
+
+async function setKey(epoch, rawKey) {
+	const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+	const index = epoch % 256;
+	for (const oldIndex of keys.keys()) {
+		if (oldIndex !== currentIndex) {
+			keys.delete(oldIndex);
+		}
+	}
+	keys.set(index, key);
+	currentIndex = index;
+}
+
+function createTransform(operation) {
+	return new TransformStream({
+		async transform(frame, controller) {
+			if (!enabled) {
+				controller.enqueue(frame);
+				return;
+			}
+			const frameType = frame.type;
+			if (operation === 'encrypt') {
+				// Without a key yet, send nothing rather than media the others can't check
+				if (currentIndex === null) {
+					return;
+				}
+				frame.data = await encryptFrame(frame.data, frameType, keys.get(currentIndex), currentIndex);
+			} else {
+				const data = await decryptFrame(frame.data, frameType, keys);
+				if (!data) {
+					return;
+				}
+				frame.data = data;
+			}
+			controller.enqueue(frame);
+		},
+	});
+}
+
+function pipe(readable, writable, operation) {
+	readable
+		.pipeThrough(createTransform(operation))
+		.pipeTo(writable)
+		.catch((error) => {
+			// The track ended or the connection closed
+			console.debug('E2EE transform stopped:', error);
+		});
+}
+
+self.onmessage = async (event) => {
+	const message = event.data;
+	if (message.type === 'setEnabled') {
+		enabled = message.enabled;
+	} else if (message.type === 'setKey') {
+		await setKey(message.epoch, message.key);
+	} else if (message.type === 'transform') {
+		pipe(message.readable, message.writable, message.operation);
+	}
+};
+
+if ('RTCTransformEvent' in self) {
+	self.onrtctransform = (event) => {
+		const { readable, writable, options } = event.transformer;
+		pipe(readable, writable, options.operation);
+	};
+}
@@ -0,0 +1,245 @@
+// e2ee.js
+// End-to-end encryption of the call's media. With it on, every frame we send is encrypted before it leaves the
+// browser and every frame we pull is decrypted after it arrives (in e2ee-worker.js), so the Calls SFU forwards
+// media it cannot see or hear. One media key is shared by everyone in the room: the host makes it and hands it
+// to each participant wrapped under an ECDH key only the two of them can derive (see protocol.js), and makes a
+// new one whenever someone leaves, so they cannot follow the rest of the call.
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const MEDIA_KEY_BYTES = 16;
+const WRAP_INFO = new TextEncoder().encode('familyrealtime media key');
+
+/**
+ * Whether this browser can encrypt and decrypt media frames, with RTCRtpScriptTransform (Safari, Firefox) or
+ * Chrome's insertable streams.
+ */
+export function isEncryptionSupported() {
+	return typeof Worker !== 'undefined' && (hasScriptTransform() || 'createEncodedStreams' in (globalThis.RTCRtpSender?.prototype ?? {}));
+}
+
+/**
+ * Whether peer connections need `encodedInsertableStreams: true` in their configuration for encryption to work.
+ * Chrome's insertable streams can only be opened on connections created with it.
+ */
+export function needsInsertableStreams() {
+	return isEncryptionSupported() && !hasScriptTransform();
+}
+
+function hasScriptTransform() {
+	return typeof RTCRtpScriptTransform !== 'undefined';
+}
+
+/**
+ * Wraps a media key for one participant.
+ *
+ * @param privateKey - Our ECDH private CryptoKey
+ * @param publicKey - Their public key, base64url
+ * @param epoch - The key's epoch, bound into the wrapping so an old key cannot be replayed as a new one
+ * @param mediaKey - The raw media key (Uint8Array)
+ * @returns `{ key, iv }`, both base64url
+ */
+export async function wrapMediaKey(privateKey, publicKey, epoch, mediaKey) {
+	const wrappingKey = await deriveWrappingKey(privateKey, publicKey);
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: epochBytes(epoch) }, wrappingKey, mediaKey);
+	return { key: toBase64Url(new Uint8Array(wrapped)), iv: toBase64Url(iv) };
+}
+
+/**
+ * Unwraps a media key the host wrapped for us.
+ *
+ * @param privateKey - Our ECDH private CryptoKey
+ * @param publicKey - The host's public key, base64url
+ * @param epoch - The epoch the key was sent with
+ * @param key - The wrapped key, base64url
+ * @param iv - The IV, base64url
+ * @returns The raw media key (Uint8Array); rejects when it was not wrapped for us, by that host, for that epoch
+ */
+export async function unwrapMediaKey(privateKey, publicKey, epoch, key, iv) {
+	const wrappingKey = await deriveWrappingKey(privateKey, publicKey);
+	const mediaKey = await crypto.subtle.decrypt(
+		{ name: 'AES-GCM', iv: fromBase64Url(iv), additionalData: epochBytes(epoch) },
+		wrappingKey,
+		fromBase64Url(key),
+	);
+	return new Uint8Array(mediaKey);
+}
+
+/**
+ * Turns a media key into a short code people can read out to each other: everyone holding the same key sees the
+ * same code, so a key slipped in by anyone else would show.
+ *
+ * @param mediaKey - The raw media key (Uint8Array)
+ * @returns Eight digits, like `0123 4567`
+ */
+export async function verificationCode(mediaKey) {
+	const hash = new DataView(await crypto.subtle.digest('SHA-256', mediaKey));
+	const digits = String(hash.getUint32(0) % 100000000).padStart(8, '0');
+	return digits.slice(0, 4) + ' ' + digits.slice(4);
+}
+
+async function deriveWrappingKey(privateKey, publicKey) {
+	const theirKey = await crypto.subtle.importKey('raw', fromBase64Url(publicKey), ECDH, false, []);
+	const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: theirKey }, privateKey, 256);
+	const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+	return crypto.subtle.deriveKey(
+		{ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: WRAP_INFO },
+		hkdfKey,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		['encrypt', 'decrypt'],
+	);
+}
+
+function epochBytes(epoch) {
+	return new TextEncoder().encode(String(epoch));
+}
+
+function toBase64Url(bytes) {
+	return btoa(String.fromCharCode(...bytes))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Our side of an encrypted call: our ECDH key pair, the current media key, and the transforms on our senders and
+ * receivers. Transforms are attached to every sender and receiver whether or not the room is encrypted, since
+ * Chrome only allows it before media flows; with encryption off they pass frames through untouched.
+ */
+export class MediaEncryption {
+	/**
+	 * @param options.workerUrl - The URL of e2ee-worker.js
+	 */
+	constructor({ workerUrl = new URL('./e2ee-worker.js', import.meta.url) } = {}) {
+		this.workerUrl = workerUrl;
+		this.worker = null;
+		this.keyPair = null;
+		this.publicKey = null; // Ours, base64url; what we join with
+		this.enabled = false;
+		this.epoch = 0; // Of the current key; 0 until we have one
+		this.hostEpochs = new Map(); // Host public key -> the newest epoch we took from that host
+		this.mediaKey = null;
+		this.attached = new WeakSet(); // Senders and receivers with a transform already
+	}
+
+	/**
+	 * Makes our key pair and starts the worker. Call once, before joining.
+	 *
+	 * @returns Our public key, base64url
+	 */
+	async init() {
+		if (!this.keyPair) {
+			this.keyPair = await crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+			this.publicKey = toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', this.keyPair.publicKey)));
+			this.worker = new Worker(this.workerUrl, { type: 'module', name: 'e2ee' });
+		}
+		return this.publicKey;
+	}
+
+	/**
+	 * Encrypts what an RTCRtpSender sends.
+	 */
+	protectSender(sender) {
+		this.attach(sender, 'encrypt');
+	}
+
+	/**
+	 * Decrypts what an RTCRtpReceiver receives.
+	 */
+	protectReceiver(receiver) {
+		this.attach(receiver, 'decrypt');
+	}
+
+	attach(senderOrReceiver, operation) {
+		// Transceivers are reused when tracks come and go, and Chrome's streams can only be opened once
+		if (!this.worker || this.attached.has(senderOrReceiver)) {
+			return;
+		}
+		this.attached.add(senderOrReceiver);
+		if (hasScriptTransform()) {
+			senderOrReceiver.transform = new RTCRtpScriptTransform(this.worker, { operation });
+			return;
+		}
+		const { readable, writable } = senderOrReceiver.createEncodedStreams();
+		this.worker.postMessage({ type: 'transform', readable, writable, operation }, [readable, writable]);
+	}
+
+	/**
+	 * Turns encryption on or off. Switching it on without a key yet stops what we send until the host's key arrives.
+	 */
+	setEnabled(enabled) {
+		this.enabled = enabled;
+		this.worker?.postMessage({ type: 'setEnabled', enabled });
+	}
+
+	/**
+	 * Makes a new media key and starts using it. For the host: send it to everyone with wrapFor().
+	 *
+	 * @returns The new key's epoch
+	 */
+	async rotateKey() {
+		await this.useKey(this.epoch + 1, crypto.getRandomValues(new Uint8Array(MEDIA_KEY_BYTES)));
+		return this.epoch;
+	}
+
+	/**
+	 * Wraps the current media key for one participant.
+	 *
+	 * @param publicKey - Their public key, base64url
+	 * @returns `{ epoch, key, iv }`, as sent in mediaKey
+	 */
+	async wrapFor(publicKey) {
+		const epoch = this.epoch;
+		return { epoch, ...(await wrapMediaKey(this.keyPair.privateKey, publicKey, epoch, this.mediaKey)) };
+	}
+
+	/**
+	 * Starts using a media key the host sent us, unless it is no newer than the last one that host sent: a key
+	 * that arrives late, or is sent again, must not take us back to a key the host has already replaced. Each
+	 * host numbers its keys from its own counter, so a new host (the owner joining mid-call, say) may well start
+	 * below the old one; epochs are only compared between keys from the same host.
+	 *
+	 * @param hostPublicKey - The host's public key, base64url
+	 * @param message - The mediaKey message: `{ epoch, key, iv }`
+	 * @returns Whether the key was used
+	 */
+	async receiveKey(hostPublicKey, { epoch, key, iv }) {
+		if (epoch <= (this.hostEpochs.get(hostPublicKey) ?? 0)) {
+			return false;
+		}
+		const mediaKey = await unwrapMediaKey(this.keyPair.privateKey, hostPublicKey, epoch, key, iv);
+		this.hostEpochs.set(hostPublicKey, epoch);
+		await this.useKey(epoch, mediaKey);
+		return true;
+	}
+
+	async useKey(epoch, mediaKey) {
+		this.epoch = epoch;
+		this.mediaKey = mediaKey;
+		// A copy: transferring would empty our own
+		this.worker?.postMessage({ type: 'setKey', epoch, key: mediaKey.slice().buffer });
+	}
+
+	/**
+	 * The current key's verification code (see verificationCode()), or null without a key.
+	 */
+	async verificationCode() {
+		return this.mediaKey ? verificationCode(this.mediaKey) : null;
+	}
+
+	/**
+	 * Forgets the media key, e.g. after leaving the call. The key pair and worker stay for the next call.
+	 */
+	reset() {
+		this.setEnabled(false);
+		this.epoch = 0;
+		this.hostEpochs.clear();
+		this.mediaKey = null;
+	}
+}
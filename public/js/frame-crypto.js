@@ -0,0 +1,74 @@
+// frame-crypto.js
+// Encrypts and decrypts single encoded media frames for end-to-end encryption (see e2ee.js). Used inside the
+// e2ee-worker.js transform, on every frame we send and every frame we pull.
+//
+// An encrypted frame is laid out as
+//   [clear header][AES-GCM ciphertext and tag][IV, 12 bytes][key index, 1 byte]
+// The first bytes stay readable so the SFU can still tell key frames from delta frames (VP8 keeps its payload
+// header there; Opus its TOC byte), and they are authenticated as additional data. The key index is the key's
+// epoch modulo 256, so receivers can keep decrypting with the previous key while a new one is handed out.
+
+export const IV_LENGTH = 12;
+const TRAILER_LENGTH = IV_LENGTH + 1;
+const TAG_LENGTH = 16;
+// Clear bytes per frame type: video frames have a `type`, audio frames don't
+const CLEAR_BYTES = { key: 10, delta: 3, empty: 0, audio: 1 };
+
+/**
+ * Encrypts a frame.
+ *
+ * @param data - The encoded frame (ArrayBuffer)
+ * @param frameType - The frame's `type` (`key`, `delta` or `empty`), or undefined for audio
+ * @param key - The AES-GCM CryptoKey
+ * @param keyIndex - The key's index, 0..255
+ * @returns The encrypted frame (ArrayBuffer)
+ */
+export async function encryptFrame(data, frameType, key, keyIndex) {
+	const frame = new Uint8Array(data);
+	const header = frame.subarray(0, Math.min(CLEAR_BYTES[frameType ?? 'audio'] ?? 0, frame.length));
+	const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+	const ciphertext = new Uint8Array(
+		await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: header }, key, frame.subarray(header.length)),
+	);
+	const result = new Uint8Array(header.length + ciphertext.length + TRAILER_LENGTH);
+	result.set(header, 0);
+	result.set(ciphertext, header.length);
+	result.set(iv, header.length + ciphertext.length);
+	result[result.length - 1] = keyIndex;
+	return result.buffer;
+}
+
+/**
+ * Decrypts a frame.
+ *
+ * @param data - The encrypted frame (ArrayBuffer)
+ * @param frameType - The frame's `type`, or undefined for audio
+ * @param keys - Map of key index -> AES-GCM CryptoKey
+ * @returns The decrypted frame (ArrayBuffer), or null when it was not encrypted with any of the keys
+ */
+export async function decryptFrame(data, frameType, keys) {
+	const frame = new Uint8Array(data);
+	const headerLength = Math.min(CLEAR_BYTES[frameType ?? 'audio'] ?? 0, frame.length - TRAILER_LENGTH - TAG_LENGTH);
+	const key = keys.get(frame[frame.length - 1]);
+	if (headerLength < 0 || !key) {
+		return null;
+	}
+	const header = frame.subarray(0, headerLength);
+	const iv = frame.subarray(frame.length - TRAILER_LENGTH, frame.length - 1);
+	try {
+		const plaintext = new Uint8Array(
+			await crypto.subtle.decrypt(
+				{ name: 'AES-GCM', iv, additionalData: header },
+				key,
+				frame.subarray(headerLength, frame.length - TRAILER_LENGTH),
+			),
+		);
+		const result = new Uint8Array(headerLength + plaintext.length);
+		result.set(header, 0);
+		result.set(plaintext, headerLength);
+		return result.buffer;
+	} catch {
+		// Not encrypted, or with a key we don't have (yet)
+		return null;
+	}
+}
@@ -0,0 +1,405 @@
+// participants.js
+// Keeps track of the remote participants (and screen shares) we are pulling from the Calls API: which
+// tracks each tile needs, which transceiver mid carries each pulled track, and when video should be
+// paused or moved to another simulcast layer. Drawing the tiles is left to a `tiles` view object so this
+// module has no DOM dependency.
+//
+// The view is called with:
+//   createParticipantTile(sessionId, participant)   -> { container, videoElement }; shows participant.mediaStream
+//                                                   and participant.profile
+//   setProfile(participant)                         participant.profile (and userName) changed
+//   setTrackState(participant, { audioEnabled, videoEnabled })
+//   setReconnecting(participant, reconnecting)
+//   removeParticipantTile(sessionId, participant)
+//   createScreenShareTile(sessionId, userName, mediaStream) -> { container }
+//   removeScreenShareTile(share)
+//   audioTrackReceived(sessionId, track)            a participant's (not a screen share's) audio arrived
+//   layoutChanged()                                 a tile was added or removed
+
+// Camera video is pushed in three simulcast layers; rids sort from best to worst (see src/calls.js)
+export const SIMULCAST_ENCODINGS = [
+	{ rid: 'a', maxBitrate: 1200000 },
+	{ rid: 'b', scaleResolutionDownBy: 2, maxBitrate: 450000 },
+	{ rid: 'c', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+];
+
+/**
+ * Picks the simulcast layer for a tile: the smallest one that still looks sharp at the tile's
+ * size, one step lower again while the connection is struggling.
+ *
+ * @param width - The tile's video width in CSS pixels
+ * @param connectionQuality - 'good', 'fair' or 'poor'
+ * @returns The rid to pull
+ */
+export function chooseSimulcastLayer(width, connectionQuality) {
+	let layer = width >= 560 ? 0 : width >= 280 ? 1 : 2;
+	if (connectionQuality !== 'good') {
+		layer = Math.min(layer + 1, SIMULCAST_ENCODINGS.length - 1);
+	}
+	return SIMULCAST_ENCODINGS[layer].rid;
+}
+
+export class ParticipantManager {
+	/**
+	 * @param options.calls - The CallsApiClient for our session
+	 * @param options.tiles - The tile view (see the top of this file)
+	 * @param options.MediaStream - The MediaStream constructor (defaults to the browser's)
+	 */
+	constructor({ calls, tiles, MediaStream }) {
+		this.calls = calls;
+		this.tiles = tiles;
+		this.MediaStream = MediaStream || globalThis.MediaStream;
+		this.peerConnection = null;
+		// sessionId -> { userName, profile, container, videoElement, mediaStream, mids, trackInfo, videoPaused, visible, pauseTimer,
+		// videoRid }
+		this.participants = new Map();
+		// Remote screen shares, each in its own large tile: sessionId -> { container, mediaStream, mids }
+		this.screenShares = new Map();
+		// Which remote track each pulled transceiver carries, as assigned by the Calls API:
+		// mid -> { sessionId, trackName, target } where target is the tile record the track belongs in
+		this.pulledTracksByMid = new Map();
+		// SDP offer/answer exchanges on the peer connection must not interleave, so they run one at a time
+		this.negotiationQueue = Promise.resolve();
+		this.connectionQuality = 'good';
+		this.audioOnly = false; // True while the connection is too weak for remote video
+	}
+
+	/**
+	 * Runs an SDP exchange after any that are already in progress.
+	 */
+	enqueueNegotiation(task) {
+		const run = this.negotiationQueue.then(task);
+		this.negotiationQueue = run.catch(() => {});
+		return run;
+	}
+
+	/**
+	 * Creates a tile for a remote participant and pulls their tracks. "state" carries the participant's
+	 * audioEnabled / videoEnabled / reconnecting flags and their profile, which are applied even if the tile
+	 * already exists.
+	 */
+	async addParticipant(remoteSessionId, remoteUserName, remoteTrackInfo, state = {}) {
+		const existing = this.participants.get(remoteSessionId);
+		// Prevent adding duplicate remote participants if message is received multiple times
+		if (existing) {
+			this.tiles.setTrackState(existing, state);
+			if (state.profile) {
+				this.setProfile(remoteSessionId, state.profile);
+			}
+			console.log('Participant ' + remoteUserName + ' already handled, skipping.');
+			return;
+		}
+
+		console.log('Handling new remote participant: ' + remoteUserName);
+		const participant = {
+			userName: remoteUserName,
+			profile: state.profile ?? null,
+			mediaStream: new this.MediaStream(),
+			mids: [],
+			trackInfo: remoteTrackInfo.filter((t) => t.source !== 'screen'),
+			videoPaused: false, // True while its video track is closed (tile out of view, or audio-only mode)
+			visible: true,
+			pauseTimer: null,
+			videoRid: null, // The simulcast layer we asked for
+		};
+		Object.assign(participant, this.tiles.createParticipantTile(remoteSessionId, participant));
+		this.tiles.setReconnecting(participant, state.reconnecting === true);
+		this.tiles.setTrackState(participant, state);
+		this.participants.set(remoteSessionId, participant);
+		this.tiles.layoutChanged();
+
+		// Camera and mic go into the participant's tile; a screen share gets its own large tile
+		const screenTrack = remoteTrackInfo.find((t) => t.source === 'screen');
+		if (screenTrack) {
+			this.showScreenShare(remoteSessionId, remoteUserName, screenTrack);
+		}
+		await this.pullTracks(remoteSessionId, participant.trackInfo, participant);
+	}
+
+	setTrackState(sessionId, state) {
+		const participant = this.participants.get(sessionId);
+		if (participant) {
+			this.tiles.setTrackState(participant, state);
+		}
+	}
+
+	/**
+	 * Shows a participant's edited profile (name, colour, avatar) on their tile.
+	 */
+	setProfile(sessionId, profile) {
+		const participant = this.participants.get(sessionId);
+		if (participant) {
+			participant.profile = profile;
+			participant.userName = profile.displayName;
+			this.tiles.setProfile(participant);
+		}
+	}
+
+	setReconnecting(sessionId, reconnecting) {
+		const participant = this.participants.get(sessionId);
+		if (participant) {
+			this.tiles.setReconnecting(participant, reconnecting);
+		}
+	}
+
+	removeParticipant(sessionId) {
+		console.log('Removing remote participant: ' + sessionId.substring(0, 8) + '...');
+		const participant = this.participants.get(sessionId);
+		if (participant) {
+			// Stop all tracks in the stream to release camera/mic resources
+			participant.mediaStream.getTracks().forEach((track) => track.stop());
+			clearTimeout(participant.pauseTimer);
+			participant.removed = true;
+			this.participants.delete(sessionId);
+			this.tiles.removeParticipantTile(sessionId, participant);
+			this.closeTracks(participant.mids).catch((error) => console.error('Failed to close pulled tracks:', error));
+		}
+		this.removeScreenShare(sessionId);
+		this.tiles.layoutChanged();
+	}
+
+	/**
+	 * Adds a large tile for a participant's screen share and pulls the screen track into it.
+	 */
+	async showScreenShare(remoteSessionId, remoteUserName, screenTrack) {
+		if (this.screenShares.has(remoteSessionId)) {
+			return;
+		}
+		const mediaStream = new this.MediaStream();
+		const share = { mediaStream, mids: [] };
+		Object.assign(share, this.tiles.createScreenShareTile(remoteSessionId, remoteUserName, mediaStream));
+		this.screenShares.set(remoteSessionId, share);
+		this.tiles.layoutChanged();
+		try {
+			await this.pullTracks(remoteSessionId, [screenTrack], share);
+		} catch (error) {
+			console.error('Failed to pull screen share:', error);
+		}
+	}
+
+	removeScreenShare(sessionId) {
+		const share = this.screenShares.get(sessionId);
+		if (!share) {
+			return;
+		}
+		share.mediaStream.getTracks().forEach((track) => track.stop());
+		share.removed = true;
+		this.screenShares.delete(sessionId);
+		this.tiles.removeScreenShareTile(share);
+		this.closeTracks(share.mids).catch((error) => console.error('Failed to close screen share tracks:', error));
+	}
+
+	/**
+	 * Pulls a remote participant's tracks into our peer connection, recording which MID the Calls API
+	 * assigned to each one so handleTrack can route it to the right tile. "target" is the tile's
+	 * { mediaStream, mids } record (a participant or a screen share).
+	 */
+	pullTracks(remoteSessionId, remoteTrackInfo, target) {
+		return this.enqueueNegotiation(async () => {
+			// The tile may have been removed while this pull was queued
+			if (target.removed || remoteTrackInfo.length === 0) {
+				return;
+			}
+			const simulcast = remoteTrackInfo.some((t) => t.simulcast);
+			if (simulcast) {
+				target.videoRid = this.chooseLayer(target);
+			}
+			const tracksToPull = remoteTrackInfo.map((t) => ({
+				trackName: t.trackName,
+				sessionId: remoteSessionId, // This links to the other participant's session
+				...(t.simulcast && { simulcast: { preferredRid: target.videoRid } }),
+			}));
+			console.log('Requesting to pull ' + tracksToPull.length + ' tracks from ' + remoteSessionId.substring(0, 8) + '...');
+
+			const pullResponse = await this.calls.pull(tracksToPull);
+
+			// Record the MIDs before applying the offer: ontrack fires during setRemoteDescription
+			for (const track of pullResponse.tracks || []) {
+				if (track.error || !track.mid) {
+					console.warn('Could not pull track ' + track.trackName + ':', track.error);
+					continue;
+				}
+				this.pulledTracksByMid.set(track.mid, { sessionId: remoteSessionId, trackName: track.trackName, target });
+				target.mids.push(track.mid);
+			}
+
+			// Handle renegotiation if required by Calls API for this pull
+			if (pullResponse.requiresImmediateRenegotiation) {
+				console.log('Renegotiation required for pulling tracks.');
+				await this.peerConnection.setRemoteDescription(pullResponse.sessionDescription);
+				const localAnswer = await this.peerConnection.createAnswer();
+				await this.peerConnection.setLocalDescription(localAnswer);
+				await this.calls.renegotiate(localAnswer);
+				console.log('Renegotiation complete.');
+			} else {
+				console.log('No renegotiation required for pulling tracks.');
+			}
+		});
+	}
+
+	/**
+	 * Stops the transceivers carrying the given tracks (pulled or our own pushed ones) and closes them
+	 * in the Calls session, so they don't linger as dead m-lines (or keep costing bandwidth).
+	 */
+	closeTracks(mids) {
+		for (const mid of mids) {
+			this.pulledTracksByMid.delete(mid);
+		}
+		return this.enqueueNegotiation(async () => {
+			if (!this.peerConnection || mids.length === 0) {
+				return;
+			}
+			const transceivers = this.peerConnection.getTransceivers().filter((t) => mids.includes(t.mid));
+			transceivers.forEach((transceiver) => transceiver.stop());
+			const offer = await this.peerConnection.createOffer();
+			await this.peerConnection.setLocalDescription(offer);
+			const closeResponse = await this.calls.closeTracks(mids, offer);
+			if (closeResponse.sessionDescription) {
+				await this.peerConnection.setRemoteDescription(closeResponse.sessionDescription);
+			}
+			console.log('Closed tracks ' + mids.join(', ') + '.');
+		});
+	}
+
+	/**
+	 * The peer connection's ontrack handler: every pulled track arrives here, and the transceiver's MID
+	 * tells us whose track it is.
+	 */
+	handleTrack(event) {
+		const mid = event.transceiver.mid;
+		console.log('Track received on localPeerConnection:', event.track.kind, event.track.id, 'from transceiver:', mid);
+
+		const route = this.pulledTracksByMid.get(mid);
+		if (!route || route.target.removed) {
+			console.warn('Track ' + event.track.id + ' on mid ' + mid + ' does not belong to any pulled participant.');
+			return;
+		}
+		if (!route.target.mediaStream.getTrackById(event.track.id)) {
+			route.target.mediaStream.addTrack(event.track);
+			console.log('Added track ' + route.trackName + ' (mid ' + mid + ') to remote stream for ' + route.sessionId.substring(0, 8) + '...');
+		}
+		if (event.track.kind === 'audio' && route.target === this.participants.get(route.sessionId)) {
+			this.tiles.audioTrackReceived(route.sessionId, event.track);
+		}
+	}
+
+	chooseLayer(target) {
+		return chooseSimulcastLayer(target.videoElement?.clientWidth || 0, this.connectionQuality);
+	}
+
+	/**
+	 * Re-checks every tile's simulcast layer (after a resize or a change in connection quality) and asks
+	 * the Calls API for a different one where it no longer fits.
+	 */
+	updateSimulcastLayers() {
+		this.participants.forEach((participant, remoteSessionId) => {
+			const rid = this.chooseLayer(participant);
+			if (!participant.videoPaused && participant.videoRid && rid !== participant.videoRid) {
+				this.updateSimulcastLayer(remoteSessionId, participant, rid).catch((error) => console.error('Failed to switch layer:', error));
+			}
+		});
+	}
+
+	/**
+	 * Asks the Calls API to forward a different simulcast layer of a participant's video.
+	 */
+	async updateSimulcastLayer(remoteSessionId, participant, rid) {
+		const videoTrack = participant.trackInfo.find((t) => t.kind === 'video' && t.simulcast);
+		const mid = participant.mids.find((m) => this.pulledTracksByMid.get(m)?.trackName === videoTrack?.trackName);
+		if (!mid) {
+			return;
+		}
+		participant.videoRid = rid;
+		await this.calls.updateTracks([{ sessionId: remoteSessionId, trackName: videoTrack.trackName, mid, simulcast: { preferredRid: rid } }]);
+		console.log('Switched ' + participant.userName + ' to simulcast layer ' + rid + '.');
+	}
+
+	/**
+	 * Records whether a participant's tile can be seen. Video stops being pulled once a tile has been out
+	 * of view for pauseDelayMs, and is pulled again as soon as it comes back. Audio keeps flowing either way.
+	 */
+	setVisible(remoteSessionId, visible, pauseDelayMs) {
+		const participant = this.participants.get(remoteSessionId);
+		if (!participant) {
+			return;
+		}
+		clearTimeout(participant.pauseTimer);
+		participant.visible = visible;
+		if (visible) {
+			this.syncVideo(remoteSessionId, participant);
+		} else {
+			participant.pauseTimer = setTimeout(() => this.syncVideo(remoteSessionId, participant), pauseDelayMs);
+		}
+	}
+
+	/**
+	 * Stops (or resumes) pulling remote video for everyone while the connection is too weak for it.
+	 */
+	setAudioOnly(enabled) {
+		this.audioOnly = enabled;
+		this.participants.forEach((participant, remoteSessionId) => this.syncVideo(remoteSessionId, participant));
+	}
+
+	/**
+	 * Pulls or closes a participant's video so that we only receive it while their tile is visible
+	 * and the connection can carry it.
+	 */
+	syncVideo(remoteSessionId, participant) {
+		const wanted = participant.visible && !this.audioOnly;
+		if (wanted && participant.videoPaused && !participant.removed) {
+			participant.videoPaused = false;
+			console.log('Pulling video again for ' + participant.userName);
+			this.pullTracks(
+				remoteSessionId,
+				participant.trackInfo.filter((t) => t.kind === 'video'),
+				participant,
+			).catch((error) => console.error('Failed to resume video:', error));
+		} else if (!wanted && !participant.videoPaused) {
+			this.pauseVideo(participant);
+		}
+	}
+
+	pauseVideo(participant) {
+		const videoMids = participant.mids.filter((mid) => {
+			const route = this.pulledTracksByMid.get(mid);
+			return route && participant.trackInfo.some((t) => t.kind === 'video' && t.trackName === route.trackName);
+		});
+		if (participant.removed || videoMids.length === 0) {
+			return;
+		}
+		console.log('Closing video for ' + participant.userName);
+		participant.videoPaused = true;
+		participant.mids = participant.mids.filter((mid) => !videoMids.includes(mid));
+		participant.mediaStream.getVideoTracks().forEach((track) => {
+			track.stop();
+			participant.mediaStream.removeTrack(track);
+		});
+		this.closeTracks(videoMids).catch((error) => console.error('Failed to close hidden video:', error));
+	}
+
+	/**
+	 * Drops every participant and screen share without closing their tracks one by one (the peer
+	 * connection is going away anyway).
+	 */
+	clear() {
+		this.participants.forEach((participant, sessionId) => {
+			clearTimeout(participant.pauseTimer);
+			participant.mediaStream.getTracks().forEach((track) => track.stop());
+			participant.removed = true;
+			this.tiles.removeParticipantTile(sessionId, participant);
+		});
+		this.participants.clear();
+		this.screenShares.forEach((share) => {
+			share.mediaStream.getTracks().forEach((track) => track.stop());
+			share.removed = true;
+			this.tiles.removeScreenShareTile(share);
+		});
+		this.screenShares.clear();
+		this.pulledTracksByMid.clear();
+		this.tiles.layoutChanged();
+		this.negotiationQueue = Promise.resolve();
+		this.peerConnection = null;
+		this.connectionQuality = 'good';
+		this.audioOnly = false;
+	}
+}
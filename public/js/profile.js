@@ -0,0 +1,103 @@
+// profile.js
+// Family member profiles from the browser's side: what a tile shows for someone (their avatar, or their
+// initials on their colour), the member identity this device remembers for each room, and shrinking a
+// photo down to an avatar before it is uploaded.
+
+// Avatars are uploaded as square JPEGs this many pixels wide, well under LIMITS.maxAvatarBytes
+export const AVATAR_SIZE = 256;
+
+// Colours offered to members who have not picked one, chosen from their name so it stays the same
+const COLORS = ['#c0392b', '#d35400', '#b7950b', '#27ae60', '#16a085', '#2980b9', '#8e44ad', '#c2185b'];
+
+/**
+ * The letters shown in place of an avatar: the first letter of the first two words of the name.
+ *
+ * @param displayName - The name
+ * @returns One or two upper-case letters, or '?' for a name without any
+ */
+export function initials(displayName) {
+	const letters = displayName
+		.split(/\s+/)
+		.map((word) => [...word][0])
+		.filter(Boolean)
+		.slice(0, 2)
+		.join('');
+	return letters.toUpperCase() || '?';
+}
+
+/**
+ * The colour for someone who has none (guests, or a member before they pick one).
+ *
+ * @param displayName - The name
+ * @returns A '#rrggbb' colour
+ */
+export function defaultColor(displayName) {
+	let hash = 0;
+	for (const char of displayName.trim().toLowerCase()) {
+		hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+	}
+	return COLORS[hash % COLORS.length];
+}
+
+function identityKey(room) {
+	return 'familyrealtime.member.' + room;
+}
+
+/**
+ * Reads the member this device last joined a room as.
+ *
+ * @param storage - Where identities are kept (localStorage)
+ * @param room - The room name
+ * @returns `{ id, secret, displayName, color }`, or null when this device is not a member of the room
+ */
+export function loadIdentity(storage, room) {
+	try {
+		const identity = JSON.parse(storage.getItem(identityKey(room)));
+		return typeof identity?.id === 'string' && typeof identity.secret === 'string' ? identity : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Remembers the member this device joins a room as. The secret is only ever handed out once, when the member
+ * is created, so losing it means becoming a new member.
+ *
+ * @param storage - Where identities are kept (localStorage)
+ * @param room - The room name
+ * @param identity - `{ id, secret, displayName, color }`
+ */
+export function saveIdentity(storage, room, identity) {
+	storage.setItem(identityKey(room), JSON.stringify(identity));
+}
+
+/**
+ * Forgets the member this device joins a room as, e.g. when the room no longer recognises it.
+ *
+ * @param storage - Where identities are kept (localStorage)
+ * @param room - The room name
+ */
+export function forgetIdentity(storage, room) {
+	storage.removeItem(identityKey(room));
+}
+
+/**
+ * Crops a photo to a square from its middle and scales it down to an avatar.
+ *
+ * @param file - The image the user picked (any format the browser can decode)
+ * @returns A JPEG Blob, AVATAR_SIZE pixels square
+ */
+export async function resizeAvatar(file) {
+	const bitmap = await createImageBitmap(file);
+	const side = Math.min(bitmap.width, bitmap.height);
+	const canvas = document.createElement('canvas');
+	canvas.width = AVATAR_SIZE;
+	canvas.height = AVATAR_SIZE;
+	canvas
+		.getContext('2d')
+		.drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+	bitmap.close();
+	return new Promise((resolve, reject) =>
+		canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the avatar'))), 'image/jpeg', 0.85),
+	);
+}
@@ -0,0 +1,435 @@
+// protocol.js
+// The signaling message protocol spoken between the browser and the ChatRoom Durable Object.
+// This file is served to the browser as a static asset (/js/protocol.js) and bundled into the Worker,
+// so both ends validate and build messages from the same definitions.
+//
+// Every frame is a JSON object `{ v, type, ...fields }` where `v` is PROTOCOL_VERSION. The one exception
+// is the heartbeat: clients send the bare text HEARTBEAT_PING every HEARTBEAT_INTERVAL_MS and the server
+// answers HEARTBEAT_PONG without waking up from hibernation.
+//
+// Reconnecting: a client whose socket dropped opens a new one and sends joinRoom again with the same
+// sessionId. The server holds a dropped participant as "reconnecting" for RECONNECT_GRACE_MS; a joinRoom
+// within that window resumes the participant instead of announcing a new one.
+//
+// Client -> server
+//   joinRoom              { sessionId, sessionToken, userName, trackInfo: TrackInfo[], audioEnabled?, videoEnabled?, publicKey?,
+//                           memberId?, memberSecret? }   (a member joins with their profile; userName is for guests)
+//   trackStateChanged     { audioEnabled, videoEnabled }     local mic / camera switched on or off
+//   screenShareStarted    { track: TrackInfo }               a screen track (source 'screen') was pushed
+//   screenShareStopped    {}                                 the screen track was closed
+//   kickParticipant       { sessionId, reason? }             host only
+//   requestMute           { sessionId }                      host only; asks that participant to mute
+//   setRoomLock           { locked }                         host only; a locked room refuses new joins
+//   setWaitingRoom        { enabled }                        host only; newcomers must be let in by someone inside
+//   setEncryption         { enabled }                        host only; turns end-to-end media encryption on or off
+//   mediaKey              { sessionId, epoch, key, iv }      host only; hands that participant the media key, wrapped for them
+//   answerKnock           { sessionId, admit }               any participant; lets a waiting newcomer in or not
+//   transferHost          { sessionId }                      host only
+//   chatMessage           { body }
+//   chatEdit              { id, body }                       (own messages only)
+//   chatDelete            { id }                             (own messages only)
+//   chatHistoryRequest    { before?, limit? }                older messages, newest first before id `before`
+//   startRecording        { mimeType }                       host only, claimed rooms only; the sender becomes the recorder
+//   stopRecording         {}                                 the host or the recorder
+//   ring                  {}                                 any participant; push-notifies the room's subscribers who are not here
+//
+// Server -> client
+//   existingParticipants  { participants: Participant[], hostSessionId, locked, waitingRoom, knocks: { sessionId, userName }[],
+//                           recording: Recording | null, ring: Ring | null, encrypted, profile: Profile }   (profile is our own;
+//                           its memberId is null when we joined as a guest or our member was not recognised)
+//   participantJoined     Participant (without `reconnecting`)
+//   participantLeft       { sessionId }
+//   profileChanged        { sessionId, profile: Profile }    a member in the call edited their profile
+//   participantReconnecting { sessionId }                    socket dropped; participantLeft follows unless it resumes
+//   participantResumed    Participant (without `reconnecting`)
+//   trackStateChanged     { sessionId, audioEnabled, videoEnabled }
+//   screenShareStarted    { sessionId, track: TrackInfo }
+//   screenShareStopped    { sessionId, trackName }
+//   hostChanged           { hostSessionId }
+//   roomLockChanged       { locked }
+//   muteRequested         { bySessionId }                    only sent to the participant being asked
+//   participantKicked     { sessionId, reason }              followed by participantLeft
+//   waitingRoomChanged    { enabled }
+//   encryptionChanged     { enabled }
+//   mediaKey              { fromSessionId, epoch, key, iv }  only sent to the participant the host wrapped the key for
+//   waitingForApproval    {}                                 to a newcomer held in the waiting room
+//   knock                 { sessionId, userName }            someone is waiting to be let in
+//   knockAnswered         { sessionId, admitted }            denied newcomers are closed with KNOCK_DENIED
+//   knockCancelled        { sessionId }                      the newcomer gave up waiting
+//   chatMessage           { message: ChatMessage }
+//   chatMessageEdited     { message: ChatMessage }
+//   chatMessageDeleted    { id }
+//   chatHistory           { messages: ChatMessage[], hasMore }   oldest first; sent after existingParticipants
+//   recordingStarted      { recording: Recording, uploadToken? }   to everyone; only the recorder gets the upload token
+//   recordingStopped      { recordingId }                    the recorder finishes uploading what it has
+//   ringStarted           { ring: Ring }
+//   ringUpdated           { ring: Ring }                     someone answered or declined, or the ring ended
+//   callStartingSoon      { schedule: Schedule, startsAt }   a scheduled call starts at `startsAt` (its reminder time)
+//   error                 { code: ERROR_CODES[*], reason }
+//
+// TrackInfo   = { mid, trackName, kind: 'audio' | 'video', source?: 'camera' | 'screen', simulcast? }   (source defaults to camera;
+//               simulcast is true when the video is pushed in several layers that pullers can choose between)
+// Participant = { sessionId, profile: Profile, trackInfo: TrackInfo[], audioEnabled, videoEnabled, publicKey, reconnecting }
+//               (publicKey is null for clients that cannot take part in encrypted calls)
+// Profile     = { memberId, displayName, color, avatarUrl }   (guests have a null memberId, color and avatarUrl; color is
+//               '#rrggbb'; avatarUrl changes whenever the avatar does)
+// ChatMessage = { id, senderSessionId, senderName, body, sentAt, editedAt }   (times in ms since epoch)
+// Recording   = { id, recorderSessionId, recorderName, startedAt }
+// Ring        = { id, callerSessionId, callerName, startedAt, expiresAt, ended,
+//                 recipients: { userName, status: 'ringing' | 'answered' | 'declined' | 'missed' | 'failed' }[] }
+// Schedule    = { id, title, start, timeZone, durationMinutes, repeat: 'never' | 'daily' | 'weekly', reminderMinutes,
+//                 createdAt, nextStartsAt }   (start is a wall-clock time in timeZone, e.g. '2026-10-25T17:00';
+//                 nextStartsAt is the start of the next call not over yet, or null)
+//
+// Recordings are uploaded by the recorder over HTTP, not over the socket: it cuts the MediaRecorder output into
+// parts of LIMITS.recordingPartBytes (only the last part may be shorter) and PUTs them to
+// /api/rooms/:room/recordings/:id/parts/:n with the upload token, then POSTs .../complete.
+//
+// Ringing also happens partly over HTTP. A participant registers their device with
+// POST /api/rooms/:room/push-subscriptions; `ring` then sends each registered device whose owner is not in the
+// room (a member's matched by family member, a guest's by session or name) a push
+// `{ type: 'ring', ringId, room, callerName, url, declineUrl, token, expiresAt }`. Opening `url` joins the room
+// (the token stands in for an invite); POSTing `{ token }` to declineUrl declines. Rings nobody answers end after
+// RING_TIMEOUT_MS.
+//
+// Scheduled calls are managed over HTTP too (/api/rooms/:room/schedules, with a calendar feed at
+// /api/rooms/:room/calendar.ics). reminderMinutes before each call the room sends callStartingSoon to everyone
+// connected, pushes `{ type: 'reminder', room, title, startsAt, url }` to the same devices a ring would go to, and
+// posts to the reminder webhook if one is configured.
+//
+// Family members are the people who come back to a room. A member is created over HTTP with
+// POST /api/rooms/:room/members `{ token, displayName, color }` (token: a join token for the room) and gets a member
+// secret back, which the device keeps. The secret edits the profile (PATCH /api/rooms/:room/members/:id) and its
+// avatar (PUT .../avatar, an AVATAR_MIME_TYPES image of at most LIMITS.maxAvatarBytes), and joinRoom sends it with
+// memberId so the room shows the member's profile.
+//
+// End-to-end encryption keeps media away from the Calls SFU (see public/js/e2ee.js); the server only relays keys it
+// cannot read. Each client joins with an ECDH P-256 public key (base64url, uncompressed). While the room is encrypted
+// the host makes a random media key, wraps it with AES-GCM under a key derived from ECDH between the host's key and
+// each participant's, and sends it to them with mediaKey. `epoch` numbers each host's keys (a new host counts from
+// its own last key, not the old host's); the host makes a new one whenever someone leaves and whenever the host
+// role changes hands. Clients ignore a key whose epoch is no newer than the last one from the same host.
+//
+// A server that receives an invalid frame replies with an `error` message and keeps the socket open;
+// after MAX_PROTOCOL_ERRORS invalid frames it closes the socket with CLOSE_CODES.PROTOCOL_VIOLATION.
+//
+// Each socket may send LIMITS.maxMessagesPerWindow frames every LIMITS.messageWindowMs (heartbeats excepted).
+// Frames beyond that are dropped, the first of them with a RATE_LIMITED error; a socket that sends twice as many
+// is closed with CLOSE_CODES.RATE_LIMITED. A room holds at most LIMITS.maxParticipants participants (counting
+// those reconnecting): joinRoom into a full room gets a ROOM_FULL error and the socket is closed with
+// CLOSE_CODES.ROOM_FULL.
+
+export const PROTOCOL_VERSION = 1;
+
+export const LIMITS = {
+	maxFrameBytes: 16 * 1024,
+	maxSessionIdLength: 64,
+	maxTokenLength: 256,
+	maxUserNameLength: 64,
+	maxTracks: 8,
+	maxTrackNameLength: 128,
+	maxMidLength: 16,
+	maxChatBodyLength: 2000,
+	// WebSocket close reasons are capped at 123 bytes
+	maxKickReasonLength: 100,
+	maxAvatarBytes: 256 * 1024,
+	// Base64url: an uncompressed P-256 point is 87 characters, a wrapped 128-bit key 43
+	maxPublicKeyLength: 128,
+	maxWrappedKeyLength: 128,
+	chatHistoryPageSize: 50,
+	maxParticipants: 16,
+	maxMessagesPerWindow: 50,
+	messageWindowMs: 10 * 1000,
+	// R2 multipart uploads need equal parts of at least 5 MiB, except the last one
+	recordingPartBytes: 5 * 1024 * 1024,
+};
+
+// Containers a recording may be uploaded in (MediaRecorder support differs between browsers)
+export const RECORDING_MIME_TYPES = ['video/webm', 'video/mp4'];
+
+// Images a member's avatar may be uploaded as
+export const AVATAR_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+export const MAX_PROTOCOL_ERRORS = 5;
+
+export const HEARTBEAT_PING = 'ping';
+export const HEARTBEAT_PONG = 'pong';
+export const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+// A socket that has not pinged for this long is considered dead
+export const HEARTBEAT_TIMEOUT_MS = 45 * 1000;
+export const RECONNECT_GRACE_MS = 60 * 1000;
+export const RING_TIMEOUT_MS = 60 * 1000;
+
+export const ERROR_CODES = {
+	FRAME_TOO_LARGE: 'frame_too_large',
+	INVALID_JSON: 'invalid_json',
+	UNSUPPORTED_VERSION: 'unsupported_version',
+	UNKNOWN_TYPE: 'unknown_type',
+	INVALID_FIELD: 'invalid_field',
+	NOT_JOINED: 'not_joined',
+	ALREADY_JOINED: 'already_joined',
+	SESSION_NOT_OWNED: 'session_not_owned',
+	NOT_FOUND: 'not_found',
+	FORBIDDEN: 'forbidden',
+	ROOM_LOCKED: 'room_locked',
+	RECORDING_UNAVAILABLE: 'recording_unavailable',
+	RATE_LIMITED: 'rate_limited',
+	ROOM_FULL: 'room_full',
+	RING_UNAVAILABLE: 'ring_unavailable',
+};
+
+export const CLOSE_CODES = {
+	// Too many invalid frames from one socket
+	PROTOCOL_VIOLATION: 4400,
+	// No heartbeat within HEARTBEAT_TIMEOUT_MS
+	HEARTBEAT_TIMEOUT: 4408,
+	// The same session connected again on another socket
+	REPLACED: 4409,
+	// Removed by the host
+	KICKED: 4403,
+	// Tried to join a locked room
+	ROOM_LOCKED: 4423,
+	// Turned away from the waiting room
+	KNOCK_DENIED: 4401,
+	// Kept sending far more than LIMITS.maxMessagesPerWindow
+	RATE_LIMITED: 4429,
+	// The room already holds LIMITS.maxParticipants participants
+	ROOM_FULL: 4503,
+};
+
+// --- Field specs. A spec is `{ type, optional?, ... }`; see validateField() for what each type accepts.
+
+const sessionId = { type: 'string', minLength: 1, maxLength: LIMITS.maxSessionIdLength, pattern: /^[A-Za-z0-9_-]+$/ };
+
+const track = {
+	type: 'object',
+	fields: {
+		mid: { type: 'string', minLength: 1, maxLength: LIMITS.maxMidLength },
+		trackName: { type: 'string', minLength: 1, maxLength: LIMITS.maxTrackNameLength },
+		kind: { type: 'enum', values: ['audio', 'video'] },
+		source: { type: 'enum', values: ['camera', 'screen'], optional: true },
+		simulcast: { type: 'boolean', optional: true },
+	},
+};
+
+const trackInfo = {
+	type: 'array',
+	maxItems: LIMITS.maxTracks,
+	items: track,
+};
+
+const chatId = { type: 'integer', min: 1, max: Number.MAX_SAFE_INTEGER };
+
+const base64Url = (maxLength) => ({ type: 'string', minLength: 1, maxLength, pattern: /^[A-Za-z0-9_-]+$/ });
+
+const chatBody = { type: 'string', minLength: 1, maxLength: LIMITS.maxChatBodyLength };
+
+/**
+ * Schemas of the messages a client may send, keyed by message type.
+ */
+export const CLIENT_MESSAGES = {
+	joinRoom: {
+		sessionId,
+		sessionToken: { type: 'string', minLength: 1, maxLength: LIMITS.maxTokenLength },
+		userName: { type: 'string', minLength: 1, maxLength: LIMITS.maxUserNameLength },
+		trackInfo,
+		audioEnabled: { type: 'boolean', optional: true },
+		videoEnabled: { type: 'boolean', optional: true },
+		publicKey: { ...base64Url(LIMITS.maxPublicKeyLength), optional: true },
+		memberId: { ...base64Url(32), optional: true },
+		memberSecret: { ...base64Url(LIMITS.maxTokenLength), optional: true },
+	},
+	trackStateChanged: {
+		audioEnabled: { type: 'boolean' },
+		videoEnabled: { type: 'boolean' },
+	},
+	screenShareStarted: {
+		track,
+	},
+	screenShareStopped: {},
+	kickParticipant: {
+		sessionId,
+		reason: { type: 'string', minLength: 1, maxLength: LIMITS.maxKickReasonLength, optional: true },
+	},
+	requestMute: {
+		sessionId,
+	},
+	setRoomLock: {
+		locked: { type: 'boolean' },
+	},
+	transferHost: {
+		sessionId,
+	},
+	setWaitingRoom: {
+		enabled: { type: 'boolean' },
+	},
+	setEncryption: {
+		enabled: { type: 'boolean' },
+	},
+	mediaKey: {
+		sessionId,
+		epoch: { type: 'integer', min: 0, max: Number.MAX_SAFE_INTEGER },
+		key: base64Url(LIMITS.maxWrappedKeyLength),
+		iv: base64Url(16),
+	},
+	answerKnock: {
+		sessionId,
+		admit: { type: 'boolean' },
+	},
+	chatMessage: {
+		body: chatBody,
+	},
+	chatEdit: {
+		id: chatId,
+		body: chatBody,
+	},
+	chatDelete: {
+		id: chatId,
+	},
+	chatHistoryRequest: {
+		before: { ...chatId, optional: true },
+		limit: { type: 'integer', min: 1, max: LIMITS.chatHistoryPageSize, optional: true },
+	},
+	startRecording: {
+		mimeType: { type: 'enum', values: RECORDING_MIME_TYPES },
+	},
+	stopRecording: {},
+	ring: {},
+};
+
+/**
+ * Validates a value against a field spec.
+ *
+ * @param spec - The field spec
+ * @param value - The value to check
+ * @param path - Field path used in error messages
+ * @returns `{ value }` with unknown object keys stripped, or `{ error }` describing the first problem
+ */
+function validateField(spec, value, path) {
+	if (value === undefined || value === null) {
+		return spec.optional ? { value: undefined } : { error: path + ' is required' };
+	}
+	switch (spec.type) {
+		case 'string':
+			if (typeof value !== 'string') {
+				return { error: path + ' must be a string' };
+			}
+			if (value.length < (spec.minLength ?? 0) || value.length > (spec.maxLength ?? Infinity)) {
+				return { error: path + ' must be between ' + (spec.minLength ?? 0) + ' and ' + spec.maxLength + ' characters' };
+			}
+			if (spec.pattern && !spec.pattern.test(value)) {
+				return { error: path + ' has an invalid format' };
+			}
+			return { value };
+		case 'boolean':
+			return typeof value === 'boolean' ? { value } : { error: path + ' must be a boolean' };
+		case 'integer':
+			if (!Number.isInteger(value) || value < (spec.min ?? -Infinity) || value > (spec.max ?? Infinity)) {
+				return { error: path + ' must be an integer between ' + spec.min + ' and ' + spec.max };
+			}
+			return { value };
+		case 'enum':
+			return spec.values.includes(value) ? { value } : { error: path + ' must be one of ' + spec.values.join(', ') };
+		case 'array': {
+			if (!Array.isArray(value)) {
+				return { error: path + ' must be an array' };
+			}
+			if (value.length > spec.maxItems) {
+				return { error: path + ' may have at most ' + spec.maxItems + ' items' };
+			}
+			const items = [];
+			for (let i = 0; i < value.length; i++) {
+				const result = validateField(spec.items, value[i], path + '[' + i + ']');
+				if (result.error) {
+					return result;
+				}
+				items.push(result.value);
+			}
+			return { value: items };
+		}
+		case 'object':
+			if (typeof value !== 'object' || Array.isArray(value)) {
+				return { error: path + ' must be an object' };
+			}
+			return validateFields(spec.fields, value, path + '.');
+		default:
+			throw new Error('Unknown field spec type: ' + spec.type);
+	}
+}
+
+function validateFields(fields, value, prefix) {
+	const result = {};
+	for (const [name, spec] of Object.entries(fields)) {
+		const checked = validateField(spec, value[name], prefix + name);
+		if (checked.error) {
+			return checked;
+		}
+		if (checked.value !== undefined) {
+			result[name] = checked.value;
+		}
+	}
+	return { value: result };
+}
+
+/**
+ * Parses and validates a frame received from a client.
+ *
+ * @param data - The raw frame (string or ArrayBuffer)
+ * @returns `{ ok: true, message }` with only the fields the schema knows about,
+ *   or `{ ok: false, code, reason }` where code is one of ERROR_CODES
+ */
+export function parseClientMessage(data) {
+	if (typeof data !== 'string') {
+		return { ok: false, code: ERROR_CODES.INVALID_JSON, reason: 'Binary frames are not supported' };
+	}
+	if (new TextEncoder().encode(data).length > LIMITS.maxFrameBytes) {
+		return { ok: false, code: ERROR_CODES.FRAME_TOO_LARGE, reason: 'Frames are limited to ' + LIMITS.maxFrameBytes + ' bytes' };
+	}
+	let frame;
+	try {
+		frame = JSON.parse(data);
+	} catch {
+		return { ok: false, code: ERROR_CODES.INVALID_JSON, reason: 'Frame is not valid JSON' };
+	}
+	if (typeof frame !== 'object' || frame === null || Array.isArray(frame)) {
+		return { ok: false, code: ERROR_CODES.INVALID_JSON, reason: 'Frame must be a JSON object' };
+	}
+	if (frame.v !== PROTOCOL_VERSION) {
+		return { ok: false, code: ERROR_CODES.UNSUPPORTED_VERSION, reason: 'Expected protocol version ' + PROTOCOL_VERSION };
+	}
+	const schema = Object.hasOwn(CLIENT_MESSAGES, frame.type) ? CLIENT_MESSAGES[frame.type] : null;
+	if (!schema) {
+		return { ok: false, code: ERROR_CODES.UNKNOWN_TYPE, reason: 'Unknown message type: ' + String(frame.type).slice(0, 32) };
+	}
+	const { value, error } = validateFields(schema, frame, '');
+	if (error) {
+		return { ok: false, code: ERROR_CODES.INVALID_FIELD, reason: error };
+	}
+	return { ok: true, message: { v: PROTOCOL_VERSION, type: frame.type, ...value } };
+}
+
+/**
+ * Parses a frame received from the server. The server is trusted, so this only checks the envelope.
+ *
+ * @param data - The raw frame
+ * @returns The message, or null if it is not a message for this protocol version
+ */
+export function parseServerMessage(data) {
+	try {
+		const message = JSON.parse(data);
+		return message?.v === PROTOCOL_VERSION && typeof message.type === 'string' ? message : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Builds a message of this protocol version.
+ *
+ * @param type - The message type
+ * @param fields - The message fields
+ * @returns The message object, ready for JSON.stringify
+ */
+export function createMessage(type, fields = {}) {
+	return { v: PROTOCOL_VERSION, type, ...fields };
+}
@@ -0,0 +1,67 @@
+// push.js
+// Ringing from the browser's side: subscribing this device to Web Push so the room can ring it (the service
+// worker at /sw.js shows the notification), and describing how a ring is going for the people in the call.
+
+export const SERVICE_WORKER_URL = '/sw.js';
+
+// How each recipient's status reads, in the order they are listed
+const STATUS_TEXT = {
+	answered: 'answered',
+	declined: 'declined',
+	missed: "didn't answer",
+	failed: "couldn't be reached",
+};
+
+/**
+ * Checks whether this browser can receive ring notifications. iOS only offers Web Push to web apps added to
+ * the home screen.
+ */
+export function isPushSupported() {
+	return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Asks for notification permission and subscribes this device to Web Push, reusing an existing subscription.
+ *
+ * @param publicKey - The server's VAPID public key (base64url), from /api/push/public-key
+ * @returns The subscription as JSON, ready to register with the room
+ */
+export async function subscribeToPush(publicKey) {
+	if ((await Notification.requestPermission()) !== 'granted') {
+		throw new Error('Notifications are blocked for this site');
+	}
+	const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+	await navigator.serviceWorker.ready;
+	const subscription =
+		(await registration.pushManager.getSubscription()) ||
+		(await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlToBytes(publicKey) }));
+	return subscription.toJSON();
+}
+
+/**
+ * Describes a ring for the status line, e.g. "Bob is ringing Grandma and Grandpa… Uncle Joe declined."
+ *
+ * @param ring - The Ring from the server
+ * @returns The text
+ */
+export function describeRing(ring) {
+	const namesWith = (status) => ring.recipients.filter((recipient) => recipient.status === status).map(({ userName }) => userName);
+	const ringing = namesWith('ringing');
+	const parts = [ring.ended ? ring.callerName + ' rang the family.' : ring.callerName + ' is ringing ' + listNames(ringing) + '…'];
+	for (const [status, text] of Object.entries(STATUS_TEXT)) {
+		const names = namesWith(status);
+		if (names.length > 0) {
+			parts.push(listNames(names) + ' ' + text + '.');
+		}
+	}
+	return parts.join(' ');
+}
+
+function listNames(names) {
+	return names.length > 1 ? names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1] : names.join('');
+}
+
+function base64UrlToBytes(value) {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,315 @@
+// recorder.js
+// Records the call in the recorder's browser: every tile is drawn onto one canvas, every voice is mixed into one
+// audio track, and a MediaRecorder encodes the two. RecordingUploader cuts the output into equal parts and uploads
+// them to the Worker as a multipart upload that survives failed requests and dropped connections.
+import { LIMITS } from './protocol.js';
+
+export const RECORDING_WIDTH = 1280;
+export const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 15;
+const VIDEO_BITS_PER_SECOND = 2500000;
+// How often MediaRecorder hands over what it has encoded
+const RECORDER_TIMESLICE_MS = 1000;
+export const MAX_PART_ATTEMPTS = 5;
+const PART_RETRY_BASE_DELAY_MS = 1000;
+
+// Best first. Chrome and Firefox record WebM, Safari only MP4.
+const CANDIDATE_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+/**
+ * Picks the best recording format this browser supports.
+ *
+ * @param MediaRecorder - The MediaRecorder constructor (defaults to the browser's)
+ * @returns The full MIME type (with codecs) to give MediaRecorder, or null when the browser cannot record
+ */
+export function pickRecordingMimeType(MediaRecorder = globalThis.MediaRecorder) {
+	if (!MediaRecorder) {
+		return null;
+	}
+	return CANDIDATE_MIME_TYPES.find((mimeType) => MediaRecorder.isTypeSupported(mimeType)) || null;
+}
+
+/**
+ * Splits the recording frame into a grid of equal cells, with as many columns as make 16:9 tiles the biggest.
+ *
+ * @param count - How many tiles to draw
+ * @param width - Frame width
+ * @param height - Frame height
+ * @returns `{ x, y, width, height }` for each tile, row by row
+ */
+export function layoutComposite(count, width, height) {
+	let best = { columns: 1, tileWidth: 0 };
+	for (let columns = 1; columns <= count; columns++) {
+		const rows = Math.ceil(count / columns);
+		const tileWidth = Math.min(width / columns, ((height / rows) * 16) / 9);
+		// On a tie, prefer more columns: side by side suits a landscape frame
+		if (tileWidth >= best.tileWidth) {
+			best = { columns, tileWidth };
+		}
+	}
+	const { columns } = best;
+	const rows = Math.ceil(count / columns);
+	const cells = [];
+	for (let i = 0; i < count; i++) {
+		cells.push({
+			x: (i % columns) * (width / columns),
+			y: Math.floor(i / columns) * (height / rows),
+			width: width / columns,
+			height: height / rows,
+		});
+	}
+	return cells;
+}
+
+/**
+ * Mixes the call into one stream and records it. Call `start()` once and `stop()` once.
+ */
+export class RoomRecorder {
+	/**
+	 * @param options.getSources - Returns what to record right now, called for every frame: `{ label, video, videoOff,
+	 *   audioTrack }` per tile, where video is an HTMLVideoElement and audioTrack a MediaStreamTrack (either may be null)
+	 * @param options.audioContext - The AudioContext to mix the voices in
+	 * @param options.mimeType - The format, as returned by pickRecordingMimeType()
+	 * @param options.onData - Called with each Blob of recorded data, in order
+	 */
+	constructor({ getSources, audioContext, mimeType, onData }) {
+		this.getSources = getSources;
+		this.audioContext = audioContext;
+		this.mimeType = mimeType;
+		this.onData = onData;
+		this.audioSources = new Map(); // audio track id -> MediaStreamAudioSourceNode feeding the mix
+		this.drawTimer = null;
+	}
+
+	start() {
+		this.canvas = document.createElement('canvas');
+		this.canvas.width = RECORDING_WIDTH;
+		this.canvas.height = RECORDING_HEIGHT;
+		this.context = this.canvas.getContext('2d');
+		this.destination = this.audioContext.createMediaStreamDestination();
+		this.draw();
+		const stream = new MediaStream([
+			...this.canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+			...this.destination.stream.getAudioTracks(),
+		]);
+		this.mediaRecorder = new MediaRecorder(stream, { mimeType: this.mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+		this.mediaRecorder.addEventListener('dataavailable', (event) => {
+			if (event.data.size > 0) {
+				this.onData(event.data);
+			}
+		});
+		this.stopped = new Promise((resolve) => this.mediaRecorder.addEventListener('stop', resolve, { once: true }));
+		this.mediaRecorder.start(RECORDER_TIMESLICE_MS);
+		// A timer rather than requestAnimationFrame, which stops altogether while the tab is in the background
+		this.drawTimer = setInterval(() => this.draw(), 1000 / RECORDING_FPS);
+	}
+
+	/**
+	 * Stops recording. Resolves once the last data has been handed to onData.
+	 */
+	async stop() {
+		clearInterval(this.drawTimer);
+		this.drawTimer = null;
+		if (this.mediaRecorder.state !== 'inactive') {
+			this.mediaRecorder.stop();
+		}
+		await this.stopped;
+		this.mediaRecorder.stream.getTracks().forEach((track) => track.stop());
+		this.audioSources.forEach((source) => source.disconnect());
+		this.audioSources.clear();
+	}
+
+	draw() {
+		const sources = this.getSources();
+		this.syncAudio(sources);
+		const { context } = this;
+		context.fillStyle = '#111';
+		context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+		const cells = layoutComposite(sources.length, RECORDING_WIDTH, RECORDING_HEIGHT);
+		sources.forEach((source, i) => this.drawTile(source, cells[i]));
+	}
+
+	drawTile({ label, video, videoOff }, cell) {
+		const { context } = this;
+		if (video && !videoOff && video.videoWidth > 0) {
+			// Letterbox rather than crop, like the tiles on screen
+			const scale = Math.min(cell.width / video.videoWidth, cell.height / video.videoHeight);
+			const width = video.videoWidth * scale;
+			const height = video.videoHeight * scale;
+			context.drawImage(video, cell.x + (cell.width - width) / 2, cell.y + (cell.height - height) / 2, width, height);
+		}
+		context.font = '20px sans-serif';
+		context.textBaseline = 'bottom';
+		const textWidth = context.measureText(label).width;
+		context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+		context.fillRect(cell.x + 8, cell.y + cell.height - 36, textWidth + 16, 28);
+		context.fillStyle = '#fff';
+		context.fillText(label, cell.x + 16, cell.y + cell.height - 12);
+	}
+
+	/**
+	 * Connects the voices of everyone in the call to the mix, and disconnects those who have left.
+	 */
+	syncAudio(sources) {
+		const tracks = new Map(sources.filter(({ audioTrack }) => audioTrack).map(({ audioTrack }) => [audioTrack.id, audioTrack]));
+		for (const [id, source] of this.audioSources) {
+			if (!tracks.has(id)) {
+				source.disconnect();
+				this.audioSources.delete(id);
+			}
+		}
+		for (const [id, track] of tracks) {
+			if (!this.audioSources.has(id)) {
+				const source = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+				source.connect(this.destination);
+				this.audioSources.set(id, source);
+			}
+		}
+	}
+}
+
+/**
+ * Uploads a recording while it is being made. Data is buffered until a full part is ready (R2 needs every part but
+ * the last to be the same size), and parts go up one at a time. A part that keeps failing pauses the upload;
+ * `resume()` asks the server which parts it already has and carries on from there.
+ */
+export class RecordingUploader {
+	/**
+	 * @param options.url - The recording's URL, `/api/rooms/:room/recordings/:id`
+	 * @param options.uploadToken - The token the recorder was sent in `recordingStarted`
+	 * @param options.partSize - Bytes per part, except the last (defaults to LIMITS.recordingPartBytes)
+	 * @param options.retryDelayMs - Delay before the first retry of a failed part; it doubles with every attempt
+	 * @param options.onError - Called with the error when the upload pauses
+	 * @param options.fetch - The fetch implementation (defaults to the global fetch)
+	 */
+	constructor({
+		url,
+		uploadToken,
+		partSize = LIMITS.recordingPartBytes,
+		retryDelayMs = PART_RETRY_BASE_DELAY_MS,
+		onError = () => {},
+		fetch,
+	}) {
+		this.url = url;
+		this.uploadToken = uploadToken;
+		this.partSize = partSize;
+		this.retryDelayMs = retryDelayMs;
+		this.onError = onError;
+		this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+		this.buffered = []; // Blobs not yet cut into a part
+		this.bufferedBytes = 0;
+		this.nextPartNumber = 1;
+		this.queue = []; // `{ partNumber, blob }` waiting to be uploaded, in order
+		this.draining = null; // The running upload loop, if any
+		this.paused = false;
+		this.finishing = false; // True once finish() has been called
+	}
+
+	/**
+	 * Adds recorded data. Every full part is queued for upload straight away.
+	 *
+	 * @param blob - The next piece of the recording
+	 */
+	append(blob) {
+		this.buffered.push(blob);
+		this.bufferedBytes += blob.size;
+		while (this.bufferedBytes >= this.partSize) {
+			this.cutPart(this.partSize);
+		}
+		this.drain();
+	}
+
+	/**
+	 * Uploads whatever is left as the last part and completes the upload.
+	 *
+	 * @returns The saved recording, as listed by the room (null when nothing was recorded)
+	 */
+	async finish() {
+		this.finishing = true;
+		if (this.bufferedBytes > 0) {
+			this.cutPart(this.bufferedBytes);
+		}
+		await this.drain();
+		if (this.queue.length > 0) {
+			throw new Error('The recording upload is paused with ' + this.queue.length + ' part(s) to go');
+		}
+		const { recording } = await this.request('POST', '/complete');
+		return recording;
+	}
+
+	/**
+	 * Restarts a paused upload, skipping parts the server already has (a request may have failed after the part
+	 * arrived).
+	 */
+	async resume() {
+		const { parts } = await this.request('GET', '/upload');
+		const uploaded = new Map(parts.map(({ partNumber, size }) => [partNumber, size]));
+		this.queue = this.queue.filter(({ partNumber, blob }) => uploaded.get(partNumber) !== blob.size);
+		this.paused = false;
+		await this.drain();
+	}
+
+	cutPart(size) {
+		const all = new Blob(this.buffered);
+		this.queue.push({ partNumber: this.nextPartNumber++, blob: all.slice(0, size) });
+		const rest = all.slice(size);
+		this.buffered = rest.size > 0 ? [rest] : [];
+		this.bufferedBytes = rest.size;
+	}
+
+	/**
+	 * Uploads queued parts until the queue is empty or the upload pauses.
+	 *
+	 * @returns Resolves when that happens
+	 */
+	drain() {
+		if (!this.draining && this.queue.length > 0 && !this.paused) {
+			this.draining = this.uploadQueue();
+		}
+		return this.draining || Promise.resolve();
+	}
+
+	async uploadQueue() {
+		try {
+			while (this.queue.length > 0 && !this.paused) {
+				try {
+					await this.uploadPart(this.queue[0]);
+					this.queue.shift();
+				} catch (error) {
+					this.paused = true;
+					this.onError(error);
+				}
+			}
+		} finally {
+			this.draining = null;
+		}
+	}
+
+	async uploadPart({ partNumber, blob }) {
+		for (let attempt = 1; ; attempt++) {
+			try {
+				await this.request('PUT', '/parts/' + partNumber, blob);
+				return;
+			} catch (error) {
+				if (attempt >= MAX_PART_ATTEMPTS) {
+					throw error;
+				}
+				console.warn('Uploading recording part ' + partNumber + ' failed (attempt ' + attempt + '):', error);
+				await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+			}
+		}
+	}
+
+	async request(method, suffix, body) {
+		const res = await this.fetch(this.url + suffix, {
+			method,
+			headers: { Authorization: 'Bearer ' + this.uploadToken },
+			body,
+		});
+		const data = await res.json().catch(() => ({}));
+		if (!res.ok) {
+			throw new Error(data.error || 'Request failed with status ' + res.status);
+		}
+		return data;
+	}
+}
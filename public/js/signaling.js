@@ -0,0 +1,207 @@
+// signaling.js
+// The browser side of the ChatRoom signaling socket: opens it, sends joinRoom, keeps it alive with heartbeats and
+// reconnects with exponential backoff when it drops. Messages are built and checked with the shared protocol module.
+import {
+	CLOSE_CODES,
+	createMessage,
+	HEARTBEAT_INTERVAL_MS,
+	HEARTBEAT_PING,
+	HEARTBEAT_PONG,
+	HEARTBEAT_TIMEOUT_MS,
+	parseServerMessage,
+} from './protocol.js';
+
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+export const MAX_RECONNECT_ATTEMPTS = 8;
+
+// Close codes after which reconnecting would only be refused again (or fight the socket that replaced ours)
+const TERMINAL_CLOSE_CODES = [
+	CLOSE_CODES.PROTOCOL_VIOLATION,
+	CLOSE_CODES.REPLACED,
+	CLOSE_CODES.KICKED,
+	CLOSE_CODES.ROOM_LOCKED,
+	CLOSE_CODES.KNOCK_DENIED,
+	CLOSE_CODES.RATE_LIMITED,
+	CLOSE_CODES.ROOM_FULL,
+];
+
+/**
+ * One signaling connection to a room. The socket may be replaced many times (reconnects), but the
+ * callbacks see a single connection until it is closed for good.
+ */
+export class SignalingClient {
+	/**
+	 * @param options.getUrl - `async (resume) => url` for a new socket; resume is true when reconnecting
+	 * @param options.getJoinFields - Returns the joinRoom fields to send each time a socket opens
+	 * @param options.onMessage - Called with every valid server message
+	 * @param options.onOpen - Called when a socket opens (after joinRoom has been sent)
+	 * @param options.onReconnecting - Called with the delay and attempt number when a reconnect is scheduled
+	 * @param options.onDisconnected - Called with a close code and reason once the connection is gone for good;
+	 *   the code is null when we gave up reconnecting
+	 * @param options.WebSocket - The WebSocket constructor (defaults to the browser's)
+	 */
+	constructor({ getUrl, getJoinFields, onMessage, onOpen = () => {}, onReconnecting = () => {}, onDisconnected, WebSocket }) {
+		this.getUrl = getUrl;
+		this.getJoinFields = getJoinFields;
+		this.onMessage = onMessage;
+		this.onOpen = onOpen;
+		this.onReconnecting = onReconnecting;
+		this.onDisconnected = onDisconnected;
+		this.WebSocket = WebSocket || globalThis.WebSocket;
+		this.ws = null;
+		this.closed = false; // True once the connection is closed for good, so a closing socket doesn't trigger a reconnect
+		this.reconnectAttempts = 0;
+		this.reconnectTimer = null;
+		this.heartbeatTimer = null;
+		this.lastServerFrameAt = 0;
+	}
+
+	/**
+	 * Opens a socket and sends joinRoom once it is open.
+	 *
+	 * @param resume - True when resuming after a dropped connection
+	 */
+	async connect(resume = false) {
+		this.closed = false;
+		const url = await this.getUrl(resume);
+		const socket = new this.WebSocket(url);
+		this.ws = socket;
+
+		socket.onopen = () => {
+			console.log('WebSocket connected to signaling server!');
+			this.reconnectAttempts = 0;
+			this.send('joinRoom', this.getJoinFields());
+			console.log("Sent 'joinRoom' message to signaling server.");
+			this.startHeartbeat();
+			this.onOpen();
+		};
+
+		socket.onmessage = (event) => {
+			this.lastServerFrameAt = Date.now();
+			if (event.data === HEARTBEAT_PONG) {
+				return;
+			}
+			const message = parseServerMessage(event.data);
+			if (!message) {
+				console.warn('Ignoring signaling frame from an unknown protocol version:', event.data);
+				return;
+			}
+			this.onMessage(message);
+		};
+
+		socket.onclose = (event) => {
+			// Ignore sockets we have already given up on
+			if (socket === this.ws) {
+				this.handleClose(event.code, event.reason);
+			}
+		};
+		socket.onerror = (error) => {
+			console.error('WebSocket error:', error);
+		};
+	}
+
+	/**
+	 * Sends a protocol message if the socket is open; messages sent while reconnecting are dropped.
+	 */
+	send(type, fields) {
+		if (this.ws && this.ws.readyState === this.WebSocket.OPEN) {
+			this.ws.send(JSON.stringify(createMessage(type, fields)));
+		}
+	}
+
+	/**
+	 * Leaves the room: closes the socket and stops any heartbeat or pending reconnect.
+	 */
+	close() {
+		this.closed = true;
+		const socket = this.ws;
+		this.ws = null;
+		socket?.close(1000, 'Left the room');
+		this.stopHeartbeat();
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		this.reconnectAttempts = 0;
+	}
+
+	/**
+	 * True while waiting out the backoff before the next reconnect attempt.
+	 */
+	get reconnectPending() {
+		return this.reconnectTimer !== null;
+	}
+
+	handleClose(code, reason) {
+		console.log('WebSocket closed.', code, reason);
+		this.stopHeartbeat();
+		if (this.closed) {
+			return;
+		}
+		if (TERMINAL_CLOSE_CODES.includes(code)) {
+			this.close();
+			this.onDisconnected(code, reason);
+			return;
+		}
+		// The Calls session outlives the signaling socket, so only the socket needs to come back
+		this.scheduleReconnect();
+	}
+
+	/**
+	 * Retries the signaling connection with exponential backoff and jitter.
+	 */
+	scheduleReconnect() {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+			this.close();
+			this.onDisconnected(null, 'Lost the connection to the room.');
+			return;
+		}
+		const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts) * (0.5 + Math.random() / 2);
+		this.reconnectAttempts++;
+		console.log('Reconnecting in ' + Math.round(delay) + 'ms (attempt ' + this.reconnectAttempts + ')');
+		this.reconnectTimer = setTimeout(() => this.reconnectNow(), delay);
+		this.onReconnecting(delay, this.reconnectAttempts);
+	}
+
+	/**
+	 * Reconnects straight away instead of waiting out the backoff (e.g. when the browser comes back online).
+	 */
+	async reconnectNow() {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		try {
+			await this.connect(true);
+		} catch (error) {
+			console.error('Reconnect failed:', error);
+			if (!this.closed) {
+				this.scheduleReconnect();
+			}
+		}
+	}
+
+	/**
+	 * Pings the server; if nothing (not even a pong) arrives for HEARTBEAT_TIMEOUT_MS the socket is dead
+	 * even though the browser may not have noticed yet, so give up on it and reconnect.
+	 */
+	startHeartbeat() {
+		this.stopHeartbeat();
+		this.lastServerFrameAt = Date.now();
+		this.heartbeatTimer = setInterval(() => {
+			if (Date.now() - this.lastServerFrameAt > HEARTBEAT_TIMEOUT_MS) {
+				console.warn('No reply from the signaling server; reconnecting.');
+				const deadSocket = this.ws;
+				this.ws = null;
+				deadSocket?.close(CLOSE_CODES.HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+				this.handleClose(CLOSE_CODES.HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+			} else if (this.ws && this.ws.readyState === this.WebSocket.OPEN) {
+				this.ws.send(HEARTBEAT_PING);
+			}
+		}, HEARTBEAT_INTERVAL_MS);
+	}
+
+	stopHeartbeat() {
+		clearInterval(this.heartbeatTimer);
+		this.heartbeatTimer = null;
+	}
+}
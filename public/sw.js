@@ -0,0 +1,48 @@
+// sw.js
+// The service worker behind ringing (see js/push.js). It caches nothing: it only turns the room's ring and
+// reminder pushes into notifications, opens the call when one is tapped, and tells the caller when a ring is declined.
+
+self.addEventListener('push', (event) => {
+	const push = event.data?.json();
+	if (push?.type === 'reminder') {
+		const time = new Date(push.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+		event.waitUntil(
+			self.registration.showNotification(push.title + ' starts at ' + time, {
+				body: 'Tap to join the family call',
+				tag: 'reminder-' + push.room,
+				data: push,
+			}),
+		);
+		return;
+	}
+	if (push?.type !== 'ring') {
+		return;
+	}
+	event.waitUntil(
+		self.registration.showNotification(push.callerName + ' is calling', {
+			body: 'Tap to join the family call',
+			// A newer ring for the same room replaces the old notification
+			tag: 'ring-' + push.room,
+			renotify: true,
+			requireInteraction: true,
+			data: push,
+			actions: [{ action: 'decline', title: 'Decline' }],
+		}),
+	);
+});
+
+self.addEventListener('notificationclick', (event) => {
+	const push = event.notification.data;
+	event.notification.close();
+	if (event.action === 'decline') {
+		event.waitUntil(
+			fetch(push.declineUrl, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ token: push.token }),
+			}),
+		);
+		return;
+	}
+	event.waitUntil(self.clients.openWindow(push.url));
+});
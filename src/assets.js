@@ -0,0 +1,50 @@
+// assets.js
+// Serves the client (public/) through the ASSETS binding, adding the caching and security headers the
+// static asset server doesn't set on its own.
+
+// The one third-party script the page loads (with SRI); nothing else may run
+const ADAPTER_SCRIPT_URL = 'https://cdnjs.cloudflare.com/ajax/libs/webrtc-adapter/8.1.2/adapter.min.js';
+
+/**
+ * Builds the page's Content Security Policy. The signaling socket lives on this host, but 'self' does not
+ * cover ws: / wss: in every browser, so it is listed explicitly.
+ *
+ * @param url - The request URL
+ * @returns The policy
+ */
+function contentSecurityPolicy(url) {
+	const socketOrigin = (url.protocol === 'https:' ? 'wss://' : 'ws://') + url.host;
+	return [
+		"default-src 'self'",
+		"script-src 'self' " + ADAPTER_SCRIPT_URL,
+		"connect-src 'self' " + socketOrigin,
+		"img-src 'self' data:",
+		"object-src 'none'",
+		"base-uri 'none'",
+		"form-action 'self'",
+		"frame-ancestors 'none'",
+	].join('; ');
+}
+
+/**
+ * Serves a static asset. File names are not content-hashed, so browsers must revalidate (cheap, thanks
+ * to the ETag) before reusing a cached copy; otherwise a deploy could pair a new page with old modules.
+ *
+ * @param request - The request submitted to the Worker from the client
+ * @param env - The Worker environment (needs the ASSETS binding)
+ * @returns The asset response
+ */
+export async function serveAsset(request, env) {
+	const assetResponse = await env.ASSETS.fetch(request);
+	const response = new Response(assetResponse.body, assetResponse);
+	if (response.ok || response.status === 304) {
+		response.headers.set('Cache-Control', 'no-cache');
+	}
+	response.headers.set('X-Content-Type-Options', 'nosniff');
+	// Invite codes travel in the page URL; don't hand them to anyone else in a Referer header
+	response.headers.set('Referrer-Policy', 'same-origin');
+	if ((response.headers.get('Content-Type') || '').startsWith('text/html')) {
+		response.headers.set('Content-Security-Policy', contentSecurityPolicy(new URL(request.url)));
+	}
+	return response;
+}
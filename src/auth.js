@@ -0,0 +1,94 @@
+// auth.js
+// Room access: short-lived signed join tokens checked by ChatRoom before a WebSocket upgrade,
+// plus the random secrets used for room owners and invite links.
+import { getBearerToken } from './http.js';
+import { base64UrlDecode, base64UrlEncode, sign, verify } from './signing.js';
+
+// Join tokens only need to live long enough for the browser to open its WebSocket.
+export const JOIN_TOKEN_TTL_SECONDS = 60;
+
+/**
+ * Mints a join token for a room.
+ *
+ * @param env - The Worker environment (needs JOIN_TOKEN_SECRET)
+ * @param room - The room name the token is valid for
+ * @param claims - Extra claims to embed, e.g. `{ owner: true }`
+ * @returns The token, `<base64url payload>.<base64url signature>`
+ */
+export async function createJoinToken(env, room, claims = {}) {
+	const payload = base64UrlEncode(
+		new TextEncoder().encode(
+			JSON.stringify({
+				...claims,
+				room,
+				exp: Math.floor(Date.now() / 1000) + JOIN_TOKEN_TTL_SECONDS,
+			}),
+		),
+	);
+	return payload + '.' + (await sign(env.JOIN_TOKEN_SECRET, 'join:' + payload));
+}
+
+/**
+ * Verifies a join token for a room.
+ *
+ * @param env - The Worker environment (needs JOIN_TOKEN_SECRET)
+ * @param token - The token presented by the browser
+ * @param room - The room the browser is trying to enter
+ * @returns The token claims, or null when the token is missing, forged, expired or for another room
+ */
+export async function verifyJoinToken(env, token, room) {
+	const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+	if (!payload || !signature || extra !== undefined) {
+		return null;
+	}
+	if (!(await verify(env.JOIN_TOKEN_SECRET, 'join:' + payload, signature))) {
+		return null;
+	}
+	let claims;
+	try {
+		claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+	} catch {
+		return null;
+	}
+	if (claims?.room !== room || typeof claims.exp !== 'number' || claims.exp < Date.now() / 1000) {
+		return null;
+	}
+	return claims;
+}
+
+/**
+ * Generates a random url-safe secret (owner secrets, invite codes).
+ *
+ * @param byteLength - Number of random bytes (defaults to 24)
+ * @returns The base64url encoded secret
+ */
+export function randomToken(byteLength = 24) {
+	return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Hashes a secret for storage, so a leaked DO database does not leak usable owner secrets or invites.
+ *
+ * @param secret - The secret to hash
+ * @returns The hex encoded SHA-256 digest
+ */
+export async function hashSecret(secret) {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+	return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks whether a request carries the admin token (`Authorization: Bearer <ADMIN_TOKEN>`).
+ * Comparing digests keeps the comparison time independent of how much of the token matched.
+ *
+ * @param request - The incoming request
+ * @param env - The Worker environment (needs ADMIN_TOKEN; without it admin routes stay closed)
+ * @returns True if the request may use the admin routes
+ */
+export async function isAdminRequest(request, env) {
+	const token = getBearerToken(request);
+	if (!env.ADMIN_TOKEN || !token) {
+		return false;
+	}
+	return (await hashSecret(token)) === (await hashSecret(env.ADMIN_TOKEN));
+}
@@ -0,0 +1,229 @@
+// calls.js
+// Server-side proxy for the Cloudflare Calls API. The browser never sees APP_TOKEN: it talks to the
+// /api/calls/* routes below and the Worker forwards validated requests to rtc.live.cloudflare.com.
+// Sessions are billed to the app, so only browsers about to join a room get one.
+import { verifyJoinToken } from './auth.js';
+import { errorResponse, getBearerToken, jsonResponse, readJson } from './http.js';
+import { checkRateLimit } from './rate-limiter.js';
+import { sign, verify } from './signing.js';
+
+const DEFAULT_CALLS_API_BASE = 'https://rtc.live.cloudflare.com/v1';
+
+// Calls session ids are short opaque url-safe strings; anything else is rejected before we forward it.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Simulcast layers pushed by the client, highest quality first. Calls falls back between layers in
+// ascii order, so the names sort from best to worst.
+const SIMULCAST_RIDS = ['a', 'b', 'c'];
+
+/**
+ * Creates the token that proves a browser owns a Calls session. It is returned once, when the
+ * session is created, and must be sent as a bearer token on every later call for that session.
+ *
+ * @param env - The Worker environment (needs SESSION_SECRET)
+ * @param sessionId - The Calls session id
+ * @returns The session token
+ */
+export function createSessionToken(env, sessionId) {
+	return sign(env.SESSION_SECRET, 'calls-session:' + sessionId);
+}
+
+/**
+ * Checks a session token previously issued by `createSessionToken`.
+ *
+ * @param env - The Worker environment (needs SESSION_SECRET)
+ * @param sessionId - The Calls session id the caller claims to own
+ * @param token - The token presented by the caller
+ * @returns True when the caller owns the session
+ */
+export function verifySessionToken(env, sessionId, token) {
+	if (typeof token !== 'string' || !SESSION_ID_PATTERN.test(sessionId || '')) {
+		return Promise.resolve(false);
+	}
+	return verify(env.SESSION_SECRET, 'calls-session:' + sessionId, token);
+}
+
+function callsUrl(env, path) {
+	const base = (env.CALLS_API_BASE || DEFAULT_CALLS_API_BASE).replace(/\/+$/, '');
+	return base + '/apps/' + env.APP_ID + path;
+}
+
+async function callCallsApi(env, method, path, body) {
+	const response = await fetch(callsUrl(env, path), {
+		method,
+		headers: {
+			Authorization: 'Bearer ' + env.APP_TOKEN,
+			'Content-Type': 'application/json',
+		},
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	const data = await response.json().catch(() => ({ errorCode: 'invalid_upstream_response' }));
+	return { status: response.status, data };
+}
+
+function isSessionDescription(value, type) {
+	return !!value && value.type === type && typeof value.sdp === 'string' && value.sdp.length > 0;
+}
+
+/**
+ * Builds the Calls simulcast preference for a pulled track, or returns undefined when the client did
+ * not ask for a layer. Unknown layers are an error.
+ */
+function toSimulcastPreference(simulcast) {
+	if (simulcast === undefined) {
+		return undefined;
+	}
+	if (!SIMULCAST_RIDS.includes(simulcast?.preferredRid)) {
+		return null;
+	}
+	return { preferredRid: simulcast.preferredRid, priorityOrdering: 'asciibetical', ridNotAvailable: 'asciibetical' };
+}
+
+// --- Request body validation. Each returns the body to forward, or a string describing the problem.
+
+function validatePush(body) {
+	if (!isSessionDescription(body?.sessionDescription, 'offer')) {
+		return 'A push requires an offer sessionDescription';
+	}
+	if (!Array.isArray(body.tracks) || body.tracks.length === 0) {
+		return 'A push requires at least one track';
+	}
+	for (const track of body.tracks) {
+		if (track?.location !== 'local' || typeof track.mid !== 'string' || typeof track.trackName !== 'string') {
+			return 'Pushed tracks must be local tracks with a mid and trackName';
+		}
+	}
+	return {
+		sessionDescription: { type: 'offer', sdp: body.sessionDescription.sdp },
+		tracks: body.tracks.map(({ mid, trackName }) => ({ location: 'local', mid, trackName })),
+	};
+}
+
+function validatePull(body) {
+	if (!Array.isArray(body?.tracks) || body.tracks.length === 0) {
+		return 'A pull requires at least one track';
+	}
+	const tracks = [];
+	for (const track of body.tracks) {
+		if (track?.location !== 'remote' || typeof track.trackName !== 'string' || !SESSION_ID_PATTERN.test(track.sessionId || '')) {
+			return 'Pulled tracks must be remote tracks with a sessionId and trackName';
+		}
+		const simulcast = toSimulcastPreference(track.simulcast);
+		if (simulcast === null) {
+			return 'simulcast.preferredRid must be one of ' + SIMULCAST_RIDS.join(', ');
+		}
+		tracks.push({ location: 'remote', trackName: track.trackName, sessionId: track.sessionId, ...(simulcast && { simulcast }) });
+	}
+	return { tracks };
+}
+
+function validateUpdate(body) {
+	if (!Array.isArray(body?.tracks) || body.tracks.length === 0) {
+		return 'An update requires at least one track';
+	}
+	const tracks = [];
+	for (const track of body.tracks) {
+		if (
+			track?.location !== 'remote' ||
+			typeof track.trackName !== 'string' ||
+			typeof track.mid !== 'string' ||
+			!SESSION_ID_PATTERN.test(track.sessionId || '')
+		) {
+			return 'Updated tracks must be pulled tracks with a mid, sessionId and trackName';
+		}
+		const simulcast = toSimulcastPreference(track.simulcast);
+		if (!simulcast) {
+			return 'simulcast.preferredRid must be one of ' + SIMULCAST_RIDS.join(', ');
+		}
+		tracks.push({ location: 'remote', trackName: track.trackName, sessionId: track.sessionId, mid: track.mid, simulcast });
+	}
+	return { tracks };
+}
+
+function validateRenegotiate(body) {
+	if (!isSessionDescription(body?.sessionDescription, 'answer')) {
+		return 'Renegotiation requires an answer sessionDescription';
+	}
+	return { sessionDescription: { type: 'answer', sdp: body.sessionDescription.sdp } };
+}
+
+function validateClose(body) {
+	if (!Array.isArray(body?.tracks) || body.tracks.length === 0 || !body.tracks.every((t) => typeof t?.mid === 'string')) {
+		return 'Closing tracks requires a list of mids';
+	}
+	const forward = { tracks: body.tracks.map(({ mid }) => ({ mid })), force: body.force === true };
+	if (body.sessionDescription !== undefined) {
+		if (!isSessionDescription(body.sessionDescription, 'offer')) {
+			return 'Closing tracks accepts only an offer sessionDescription';
+		}
+		forward.sessionDescription = { type: 'offer', sdp: body.sessionDescription.sdp };
+	}
+	return forward;
+}
+
+// Routes that act on an existing session: [method, suffix, Calls API method, Calls API suffix, validator]
+const SESSION_ROUTES = [
+	['POST', '/tracks/push', 'POST', '/tracks/new', validatePush],
+	['POST', '/tracks/pull', 'POST', '/tracks/new', validatePull],
+	['PUT', '/renegotiate', 'PUT', '/renegotiate', validateRenegotiate],
+	['PUT', '/tracks/close', 'PUT', '/tracks/close', validateClose],
+	['PUT', '/tracks/update', 'PUT', '/tracks/update', validateUpdate],
+];
+
+/**
+ * Handles every request under /api/calls/.
+ *
+ * POST /api/calls/sessions/new `{ room, token }` needs a join token for the room (see /api/rooms/:room/join) and
+ * counts against the caller's session limit; every other route needs the session token as a bearer token.
+ *
+ * @param request - The request submitted to the Worker from the client
+ * @param env - The interface to reference bindings declared in wrangler.toml
+ * @returns The proxied Calls API response
+ */
+export async function handleCallsRequest(request, env) {
+	const url = new URL(request.url);
+	const path = url.pathname.replace(/^\/api\/calls/, '');
+
+	if (path === '/sessions/new') {
+		if (request.method !== 'POST') {
+			return errorResponse(405, 'Method Not Allowed');
+		}
+		const { room, token } = (await readJson(request)) || {};
+		if (typeof room !== 'string' || !(await verifyJoinToken(env, token, room))) {
+			return errorResponse(403, 'Expected a join token for the room the session is for');
+		}
+		const limited = await checkRateLimit(request, env, { room, callsSession: true });
+		if (limited) {
+			return limited;
+		}
+		const { status, data } = await callCallsApi(env, 'POST', '/sessions/new');
+		if (status !== 200 && status !== 201) {
+			console.error('Calls API: failed to create session', status, data);
+			return jsonResponse(data, status);
+		}
+		return jsonResponse({
+			sessionId: data.sessionId,
+			sessionToken: await createSessionToken(env, data.sessionId),
+		});
+	}
+
+	const match = path.match(/^\/sessions\/([^/]+)(\/.+)$/);
+	const route = match && SESSION_ROUTES.find(([method, suffix]) => suffix === match[2] && method === request.method);
+	if (!route) {
+		return errorResponse(404, 'Not Found');
+	}
+
+	const sessionId = match[1];
+	if (!(await verifySessionToken(env, sessionId, getBearerToken(request)))) {
+		return errorResponse(403, 'You do not own this session');
+	}
+
+	const [, , upstreamMethod, upstreamSuffix, validate] = route;
+	const forward = validate(await readJson(request));
+	if (typeof forward === 'string') {
+		return errorResponse(400, forward);
+	}
+
+	const { status, data } = await callCallsApi(env, upstreamMethod, '/sessions/' + sessionId + upstreamSuffix, forward);
+	return jsonResponse(data, status);
+}
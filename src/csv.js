@@ -0,0 +1,36 @@
+// csv.js
+// Minimal CSV writer for the admin exports (RFC 4180 quoting, CRLF line endings).
+
+// Spreadsheets run a field starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one value as a CSV field. Objects are written as JSON; null and undefined become empty fields.
+ * Text that a spreadsheet would take for a formula (e.g. a chat message "=HYPERLINK(...)") gets a leading
+ * apostrophe, so opening an export never runs anything a participant typed. Numbers are left alone.
+ */
+function toCsvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+	if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+		text = "'" + text;
+	}
+	return /[",\r\n]/.test(text) ? '"' + text.replaceAll('"', '""') + '"' : text;
+}
+
+/**
+ * Builds a CSV document with a header row.
+ *
+ * @param columns - The property names to write, in order; also used as the header
+ * @param rows - The objects to write
+ * @returns The CSV text
+ */
+export function toCsv(columns, rows) {
+	const lines = [columns.join(',')];
+	for (const row of rows) {
+		lines.push(columns.map((column) => toCsvField(row[column])).join(','));
+	}
+	return lines.join('\r\n') + '\r\n';
+}
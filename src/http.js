@@ -0,0 +1,57 @@
+// http.js
+// Small response helpers shared by the Worker routes and the ChatRoom Durable Object.
+
+/**
+ * Builds a JSON response.
+ *
+ * @param body - Any JSON-serialisable value
+ * @param status - HTTP status code (defaults to 200)
+ * @param headers - Extra headers to merge into the response
+ * @returns The JSON response
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: {
+			'content-type': 'application/json;charset=UTF-8',
+			...headers,
+		},
+	});
+}
+
+/**
+ * Builds a JSON error response of the shape `{ error: reason }`.
+ *
+ * @param status - HTTP status code
+ * @param reason - Human readable description of what went wrong
+ * @returns The JSON error response
+ */
+export function errorResponse(status, reason) {
+	return jsonResponse({ error: reason }, status);
+}
+
+/**
+ * Reads a JSON request body, returning `null` instead of throwing when the body is missing or malformed.
+ *
+ * @param request - The incoming request
+ * @returns The parsed body, or null
+ */
+export async function readJson(request) {
+	try {
+		return await request.json();
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header.
+ *
+ * @param request - The incoming request
+ * @returns The bearer token, or null when the header is absent
+ */
+export function getBearerToken(request) {
+	const header = request.headers.get('Authorization') || '';
+	const match = header.match(/^Bearer\s+(.+)$/i);
+	return match ? match[1].trim() : null;
+}
@@ -3,6 +3,50 @@ var __defProp = Object.defineProperty;
 var __name = (target, value) => __defProp(target, 'name', { value, configurable: true });
 // 1. IMPORTS AT THE VERY TOP
 import { DurableObject } from 'cloudflare:workers'; // Crucial for explicit DO declaration
+import { serveAsset } from './assets.js';
+import { handleCallsRequest, verifySessionToken } from './calls.js';
+import { hashSecret, isAdminRequest, randomToken, verifyJoinToken } from './auth.js';
+import { toCsv } from './csv.js';
+import { errorResponse, getBearerToken, jsonResponse, readJson } from './http.js';
+import { checkRateLimit, logLimitExceeded, RateLimiter } from './rate-limiter.js';
+import { completeRecordingUpload, createRecordingUpload, recordingObjectKey } from './recordings.js';
+import { avatarObjectKey, parseProfileFields } from './members.js';
+import { getRoomStub, handleRoomRequest } from './rooms.js';
+import { nextOccurrence, parseSchedule, sendReminderWebhook } from './schedules.js';
+import { isPushConfigured, parsePushSubscription, sendWebPush } from './web-push.js';
+import {
+	AVATAR_MIME_TYPES,
+	CLOSE_CODES,
+	createMessage,
+	ERROR_CODES,
+	HEARTBEAT_INTERVAL_MS,
+	HEARTBEAT_PING,
+	HEARTBEAT_PONG,
+	HEARTBEAT_TIMEOUT_MS,
+	LIMITS,
+	MAX_PROTOCOL_ERRORS,
+	parseClientMessage,
+	RECONNECT_GRACE_MS,
+	RING_TIMEOUT_MS,
+} from '../public/js/protocol.js';
+
+// Invites default to a week and can live at most a month
+const DEFAULT_INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_INVITE_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Admin event log pages
+const MAX_EVENTS_PAGE_SIZE = 200;
+// Chat, events and finished calls are deleted after HISTORY_RETENTION_DAYS (see wrangler.toml)
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+// Old history is swept at most this often, so a busy room does not wake up for every expiring row
+const HISTORY_CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a stopped recording waits for its recorder to upload the last parts before the room saves what it has
+const RECORDING_UPLOAD_GRACE_MS = 10 * 60 * 1000;
+// A ring notification still lets its recipient in for this long (they may sit in the lobby for a while)
+const RING_ANSWER_WINDOW_MS = 10 * 60 * 1000;
+const MAX_PUSH_SUBSCRIPTIONS = 50;
+const MAX_SCHEDULES = 20;
+const MAX_MEMBERS = 50;
 
 // 2. DURABLE OBJECT CLASS DEFINITION IMMEDIATELY AFTER IMPORTS
 var ChatRoom = class extends DurableObject {
@@ -20,9 +64,161 @@ var ChatRoom = class extends DurableObject {
 	constructor(state, env) {
 		super(state, env); // Call the parent constructor
 		this.env = env; // Access env for APP_ID, APP_TOKEN if needed by DO
-		this.sessions = []; // Array of WebSocket sessions connected to this room DO
-		// Store participant info: sessionId -> { ws (reference), trackInfo (array) }
-		this.participants = new Map();
+		// WebSockets are accepted through the Hibernation API, so nothing about connected sessions is kept
+		// on `this`: the roster is rebuilt from this.ctx.getWebSockets() and each socket's attachment.
+		this.sql = state.storage.sql;
+		this.initStorage();
+		// Heartbeats are answered by the runtime without waking the DO; the alarm reads the timestamps
+		this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair(HEARTBEAT_PING, HEARTBEAT_PONG));
+	}
+
+	/**
+	 * Creates the SQLite tables used by the room.
+	 * room_meta holds single values (e.g. the owner secret hash); invites holds invite links;
+	 * chat_messages holds the room's text chat history; reconnecting_participants holds participants whose
+	 * socket dropped, until they resume or their grace period runs out; recordings and recording_parts track
+	 * call recordings and the parts of them uploaded to R2 so far; push_subscriptions holds the devices to ring
+	 * (with the family member or guest session each belongs to), and rings / ring_recipients each ring and how
+	 * every device answered it; schedules holds the room's scheduled calls, with when the next reminder is due
+	 * (remind_at) and for which call (remind_for).
+	 */
+	initStorage() {
+		this.sql.exec(`
+			CREATE TABLE IF NOT EXISTS room_meta (
+				key TEXT PRIMARY KEY,
+				value TEXT NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS invites (
+				id TEXT PRIMARY KEY,
+				code_hash TEXT NOT NULL UNIQUE,
+				single_use INTEGER NOT NULL,
+				created_at INTEGER NOT NULL,
+				expires_at INTEGER NOT NULL,
+				uses INTEGER NOT NULL DEFAULT 0,
+				last_used_at INTEGER,
+				revoked_at INTEGER
+			);
+			CREATE TABLE IF NOT EXISTS chat_messages (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				sender_session_id TEXT NOT NULL,
+				sender_name TEXT NOT NULL,
+				body TEXT NOT NULL,
+				sent_at INTEGER NOT NULL,
+				edited_at INTEGER
+			);
+			CREATE TABLE IF NOT EXISTS reconnecting_participants (
+				session_id TEXT PRIMARY KEY,
+				attachment TEXT NOT NULL,
+				expires_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS room_events (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				type TEXT NOT NULL,
+				session_id TEXT,
+				user_name TEXT,
+				detail TEXT,
+				created_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS call_sessions (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				started_at INTEGER NOT NULL,
+				ended_at INTEGER,
+				peak_participants INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS recordings (
+				id TEXT PRIMARY KEY,
+				object_key TEXT NOT NULL,
+				upload_id TEXT,
+				upload_token_hash TEXT NOT NULL,
+				mime_type TEXT NOT NULL,
+				recorder_session_id TEXT NOT NULL,
+				recorder_name TEXT NOT NULL,
+				started_at INTEGER NOT NULL,
+				stopped_at INTEGER,
+				finish_after INTEGER,
+				completed_at INTEGER,
+				size INTEGER
+			);
+			CREATE TABLE IF NOT EXISTS recording_parts (
+				recording_id TEXT NOT NULL,
+				part_number INTEGER NOT NULL,
+				etag TEXT NOT NULL,
+				size INTEGER NOT NULL,
+				PRIMARY KEY (recording_id, part_number)
+			);
+			CREATE TABLE IF NOT EXISTS push_subscriptions (
+				endpoint TEXT PRIMARY KEY,
+				p256dh TEXT NOT NULL,
+				auth TEXT NOT NULL,
+				user_name TEXT NOT NULL,
+				member_id TEXT,
+				session_id TEXT,
+				created_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS rings (
+				id TEXT PRIMARY KEY,
+				caller_session_id TEXT NOT NULL,
+				caller_name TEXT NOT NULL,
+				started_at INTEGER NOT NULL,
+				expires_at INTEGER NOT NULL,
+				ended_at INTEGER
+			);
+			CREATE TABLE IF NOT EXISTS ring_recipients (
+				ring_id TEXT NOT NULL,
+				endpoint TEXT NOT NULL,
+				user_name TEXT NOT NULL,
+				token_hash TEXT NOT NULL UNIQUE,
+				status TEXT NOT NULL,
+				PRIMARY KEY (ring_id, endpoint)
+			);
+			CREATE TABLE IF NOT EXISTS schedules (
+				id TEXT PRIMARY KEY,
+				title TEXT NOT NULL,
+				start_local TEXT NOT NULL,
+				time_zone TEXT NOT NULL,
+				duration_minutes INTEGER NOT NULL,
+				repeats TEXT NOT NULL,
+				reminder_minutes INTEGER NOT NULL,
+				created_at INTEGER NOT NULL,
+				remind_at INTEGER,
+				remind_for INTEGER
+			);
+			CREATE TABLE IF NOT EXISTS members (
+				id TEXT PRIMARY KEY,
+				secret_hash TEXT NOT NULL UNIQUE,
+				display_name TEXT NOT NULL,
+				color TEXT NOT NULL,
+				avatar_type TEXT,
+				avatar_version INTEGER NOT NULL DEFAULT 0,
+				created_at INTEGER NOT NULL,
+				updated_at INTEGER NOT NULL
+			);
+		`);
+	}
+
+	getMeta(key) {
+		return this.sql.exec('SELECT value FROM room_meta WHERE key = ?', key).toArray()[0]?.value ?? null;
+	}
+
+	setMeta(key, value) {
+		this.sql.exec('INSERT INTO room_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value', key, value);
+	}
+
+	deleteMeta(key) {
+		this.sql.exec('DELETE FROM room_meta WHERE key = ?', key);
+	}
+
+	isLocked() {
+		return this.getMeta('locked') === '1';
+	}
+
+	/**
+	 * Checks whether the request carries this room's owner secret as a bearer token.
+	 */
+	async isOwner(request) {
+		const ownerSecretHash = this.getMeta('owner_secret_hash');
+		const secret = getBearerToken(request);
+		return !!ownerSecretHash && !!secret && (await hashSecret(secret)) === ownerSecretHash;
 	}
 
 	/**
@@ -39,618 +235,2143 @@ var ChatRoom = class extends DurableObject {
 				if (request.headers.get('Upgrade') !== 'websocket') {
 					return new Response('Expected WebSocket', { status: 426 });
 				}
+				// Only accept browsers holding a join token minted by the Worker for this room
+				const claims = await verifyJoinToken(this.env, url.searchParams.get('token'), url.searchParams.get('room'));
+				if (!claims) {
+					return new Response('Invalid or expired join token', { status: 401 });
+				}
 				const webSocketPair = new WebSocketPair();
 				const [client, server] = Object.values(webSocketPair);
 
-				server.accept();
-				this.handleWebSocket(server);
+				// Hibernatable accept: the DO can be evicted while sockets stay open, and wakes up in webSocketMessage()
+				// Rings link back to the room by name, and a Durable Object does not otherwise know its name
+				this.setMeta('room_name', url.searchParams.get('room'));
+				this.ctx.acceptWebSocket(server);
+				server.serializeAttachment({ owner: claims.owner === true, participant: null, protocolErrors: 0, connectedAt: Date.now() });
+				console.log('DO: New WebSocket connected. Total sessions:', this.ctx.getWebSockets().length);
+				await this.scheduleAlarm();
 
 				return new Response(null, { status: 101, webSocket: client });
 			}
-			default:
-				return new Response('Not Found', { status: 404 });
-		}
-	}
-
-	async handleWebSocket(ws) {
-		this.sessions.push(ws); // Add new WebSocket connection to room sessions
-		console.log('DO: New WebSocket connected. Total sessions:', this.sessions.length);
-
-		ws.addEventListener('message', async (event) => {
-			const message = JSON.parse(event.data);
-			console.log('DO received message:', message);
-
-			if (message.type === 'joinRoom') {
-				const { sessionId, userName, trackInfo } = message; // Added userName
-				// Store participant info
-				this.participants.set(sessionId, { ws, userName, trackInfo });
-				console.log(`DO: Participant ${userName} (${sessionId.substring(0, 8)}...) joined.`);
-
-				// Notify existing participants about the new one
-				this.sessions.forEach((session) => {
-					if (session !== ws && session.readyState === WebSocket.OPEN) {
-						session.send(
-							JSON.stringify({
-								type: 'participantJoined',
-								sessionId: sessionId,
-								userName: userName,
-								trackInfo: trackInfo,
-							})
-						);
-					}
-				});
-
-				// Send existing participants info to the newly joined participant
-				const existingParticipants = [];
-				for (const [id, data] of this.participants.entries()) {
-					if (id !== sessionId) {
-						// Don't send self's info back to self as existing
-						existingParticipants.push({
-							sessionId: id,
-							userName: data.userName,
-							trackInfo: data.trackInfo,
-						});
+			case '/claim':
+				return this.claimRoom(request);
+			case '/invites':
+				if (!(await this.isOwner(request))) {
+					return errorResponse(403, 'Only the room owner can manage invites');
+				}
+				return request.method === 'POST' ? this.createInvite(request) : this.listInvites();
+			case '/authorize':
+				return this.authorizeJoin(request);
+			case '/turn-credentials':
+				return this.authorizeTurn(request, url.searchParams.get('room'));
+			// Admin inspection routes; the Worker checks the admin token before forwarding here
+			case '/inspect':
+				return this.inspectRoom(url.searchParams.get('room'));
+			case '/events':
+				return this.listEvents(url.searchParams);
+			case '/export':
+				return this.exportHistory(url.searchParams);
+			case '/recordings':
+				if (!(await this.isOwner(request))) {
+					return errorResponse(403, 'Only the room owner can see its recordings');
+				}
+				return this.listRecordings();
+			case '/push-subscriptions':
+				return request.method === 'POST' ? this.subscribeToPush(request) : this.unsubscribeFromPush(request);
+			case '/schedules':
+				if (request.method !== 'POST') {
+					return this.listSchedules();
+				}
+				if (!(await this.isOwner(request))) {
+					return errorResponse(403, 'Only the room owner can schedule calls');
+				}
+				return this.createSchedule(request, url.searchParams);
+			case '/members':
+				if (request.method !== 'POST') {
+					return new Response('Not Found', { status: 404 });
+				}
+				return this.createMember(request, url.searchParams);
+			default: {
+				const memberMatch = url.pathname.match(/^\/members\/([A-Za-z0-9_-]+)(\/avatar|\/avatar-upload)?$/);
+				if (memberMatch) {
+					return this.handleMemberRequest(request, memberMatch[1], memberMatch[2], url.searchParams);
+				}
+				const scheduleMatch = url.pathname.match(/^\/schedules\/([A-Za-z0-9_-]+)$/);
+				if (scheduleMatch && request.method === 'DELETE') {
+					if (!(await this.isOwner(request))) {
+						return errorResponse(403, 'Only the room owner can schedule calls');
 					}
+					return this.deleteSchedule(scheduleMatch[1]);
 				}
-				if (ws.readyState === WebSocket.OPEN) {
-					ws.send(JSON.stringify({ type: 'existingParticipants', participants: existingParticipants }));
-					console.log(`DO: Sent existing participants to ${userName}.`);
+				const declineMatch = url.pathname.match(/^\/rings\/([A-Za-z0-9_-]+)\/decline$/);
+				if (declineMatch && request.method === 'POST') {
+					return this.declineRing(request, declineMatch[1]);
 				}
+				const recordingMatch = url.pathname.match(/^\/recordings\/([A-Za-z0-9_-]+)(\/upload|\/parts|\/complete)?$/);
+				if (recordingMatch) {
+					return this.handleRecordingRequest(request, recordingMatch[1], recordingMatch[2]);
+				}
+				const inviteMatch = url.pathname.match(/^\/invites\/([A-Za-z0-9_-]+)$/);
+				if (inviteMatch && request.method === 'DELETE') {
+					if (!(await this.isOwner(request))) {
+						return errorResponse(403, 'Only the room owner can manage invites');
+					}
+					return this.revokeInvite(inviteMatch[1]);
+				}
+				return new Response('Not Found', { status: 404 });
 			}
-			// You could add other message types here for advanced signaling
-			// e.g., 'iceCandidate', 'sdpOffer', 'sdpAnswer' if you weren't fully relying on Calls renegotiation
+		}
+	}
+
+	/**
+	 * Describes who is in the room right now, for the admin dashboard.
+	 *
+	 * @param roomName - The room name, echoed back
+	 */
+	inspectRoom(roomName) {
+		const hostSessionId = this.getMeta('host_session_id');
+		const describe = (attachment, reconnecting) => ({
+			sessionId: attachment.participant.sessionId,
+			userName: attachment.participant.userName,
+			joinedAt: attachment.participant.joinedAt ?? attachment.connectedAt,
+			owner: attachment.owner === true,
+			host: attachment.participant.sessionId === hostSessionId,
+			reconnecting,
+			audioEnabled: attachment.participant.audioEnabled !== false,
+			videoEnabled: attachment.participant.videoEnabled !== false,
+			tracks: attachment.participant.trackInfo.map(({ trackName, kind, source }) => ({ trackName, kind, source: source || 'camera' })),
 		});
+		const currentCall = this.sql.exec('SELECT * FROM call_sessions WHERE ended_at IS NULL').toArray()[0];
+		const recording = this.getActiveRecording();
+		return jsonResponse({
+			room: roomName,
+			claimed: !!this.getMeta('owner_secret_hash'),
+			locked: this.isLocked(),
+			waitingRoom: this.getMeta('waiting_room') === '1',
+			encrypted: this.getMeta('encrypted') === '1',
+			knocks: this.getPendingKnocks().map(({ pending }) => ({
+				sessionId: pending.sessionId,
+				userName: pending.userName,
+				knockedAt: pending.knockedAt,
+			})),
+			hostSessionId,
+			currentCall: currentCall ? toCallSession(currentCall) : null,
+			recording: recording ? toRecordingInfo(recording) : null,
+			participants: [
+				...this.getParticipants().map(({ ws }) => describe(this.getAttachment(ws), false)),
+				...this.getReconnecting().map((attachment) => describe(attachment, true)),
+			],
+		});
+	}
 
-		ws.addEventListener('close', async (event) => {
-			console.log('DO WebSocket closed:', event.code, event.reason);
-			// Remove session from list
-			this.sessions = this.sessions.filter((s) => s !== ws);
-
-			// Find and remove participant from map
-			let leavingSessionId;
-			for (const [id, data] of this.participants.entries()) {
-				if (data.ws === ws) {
-					leavingSessionId = id;
-					this.participants.delete(id);
-					break;
-				}
+	/**
+	 * Pages through the room's event log, oldest first.
+	 *
+	 * @param params - Query parameters: `after` (an event id) and `limit`
+	 */
+	listEvents(params) {
+		const after = Number.parseInt(params.get('after') ?? '0', 10) || 0;
+		const limit = Math.min(MAX_EVENTS_PAGE_SIZE, Math.max(1, Number.parseInt(params.get('limit') ?? '', 10) || MAX_EVENTS_PAGE_SIZE));
+		const events = this.sql.exec('SELECT * FROM room_events WHERE id > ? ORDER BY id LIMIT ?', after, limit).toArray().map(toRoomEvent);
+		return jsonResponse({ events, nextAfter: events.length ? events[events.length - 1].id : after });
+	}
+
+	/**
+	 * Exports the call sessions or the event log as a JSON or CSV download.
+	 *
+	 * @param params - Query parameters: `format` (`json` or `csv`) and `table` (`events` or `calls`)
+	 */
+	exportHistory(params) {
+		const format = params.get('format') || 'json';
+		const table = params.get('table') || 'events';
+		if (!['json', 'csv'].includes(format) || !['events', 'calls'].includes(table)) {
+			return errorResponse(400, 'Expected format=json|csv and table=events|calls');
+		}
+		const rows =
+			table === 'calls'
+				? this.sql.exec('SELECT * FROM call_sessions ORDER BY id').toArray().map(toCallSession)
+				: this.sql.exec('SELECT * FROM room_events ORDER BY id').toArray().map(toRoomEvent);
+		const filename = `${table}.${format}`;
+		if (format === 'json') {
+			return jsonResponse({ [table]: rows }, 200, { 'Content-Disposition': `attachment; filename="${filename}"` });
+		}
+		const columns =
+			table === 'calls'
+				? ['id', 'startedAt', 'endedAt', 'durationMs', 'peakParticipants']
+				: ['id', 'at', 'type', 'sessionId', 'userName', 'detail'];
+		return new Response(toCsv(columns, rows), {
+			headers: {
+				'Content-Type': 'text/csv; charset=utf-8',
+				'Content-Disposition': `attachment; filename="${filename}"`,
+			},
+		});
+	}
+
+	/**
+	 * Keeps the call_sessions row for the current call up to date: opens one when the first participant
+	 * arrives and raises its peak as people join. Reconnecting participants still count as present.
+	 */
+	trackCallJoin() {
+		const present = this.getParticipants().length + this.getReconnecting().length;
+		const updated = this.sql
+			.exec('UPDATE call_sessions SET peak_participants = MAX(peak_participants, ?) WHERE ended_at IS NULL RETURNING id', present)
+			.toArray();
+		if (updated.length === 0) {
+			this.sql.exec('INSERT INTO call_sessions (started_at, peak_participants) VALUES (?, ?)', Date.now(), present);
+			this.logEvent('call_started');
+		}
+	}
+
+	/**
+	 * Closes the current call_sessions row once the room is empty.
+	 */
+	endCall() {
+		const ended = this.sql.exec('UPDATE call_sessions SET ended_at = ? WHERE ended_at IS NULL RETURNING *', Date.now()).toArray()[0];
+		if (ended) {
+			const { durationMs, peakParticipants } = toCallSession(ended);
+			this.logEvent('call_ended', null, { durationMs, peakParticipants });
+		}
+	}
+
+	get historyRetentionMs() {
+		return (Number(this.env.HISTORY_RETENTION_DAYS) || DEFAULT_HISTORY_RETENTION_DAYS) * DAY_MS;
+	}
+
+	/**
+	 * When the oldest chat message, event or finished call falls out of the retention period.
+	 *
+	 * @returns A timestamp, or null when there is nothing to clean up
+	 */
+	getNextHistoryExpiry() {
+		const { oldest } = this.sql
+			.exec(
+				`SELECT MIN(t) AS oldest FROM (
+					SELECT MIN(sent_at) AS t FROM chat_messages
+					UNION ALL SELECT MIN(created_at) FROM room_events
+					UNION ALL SELECT MIN(ended_at) FROM call_sessions
+				)`,
+			)
+			.one();
+		return oldest === null ? null : oldest + this.historyRetentionMs;
+	}
+
+	/**
+	 * Deletes chat messages, events and finished calls older than the retention period.
+	 */
+	deleteExpiredHistory() {
+		const cutoff = Date.now() - this.historyRetentionMs;
+		const chat = this.sql.exec('DELETE FROM chat_messages WHERE sent_at <= ?', cutoff).rowsWritten;
+		const events = this.sql.exec('DELETE FROM room_events WHERE created_at <= ?', cutoff).rowsWritten;
+		const calls = this.sql.exec('DELETE FROM call_sessions WHERE ended_at <= ?', cutoff).rowsWritten;
+		if (chat || events || calls) {
+			console.log(`DO: Retention cleanup removed ${chat} chat messages, ${events} events and ${calls} calls.`);
+		}
+	}
+
+	/**
+	 * Appends to the room's event log.
+	 *
+	 * @param type - What happened, e.g. `joined`, `left`, `kicked`, `room_locked`
+	 * @param participant - The participant it happened to, if any
+	 * @param detail - Extra JSON-serialisable detail, if any
+	 */
+	logEvent(type, participant = null, detail = null) {
+		this.sql.exec(
+			'INSERT INTO room_events (type, session_id, user_name, detail, created_at) VALUES (?, ?, ?, ?, ?)',
+			type,
+			participant?.sessionId ?? null,
+			participant?.userName ?? null,
+			detail === null ? null : JSON.stringify(detail),
+			Date.now(),
+		);
+	}
+
+	/**
+	 * Makes an unclaimed room private. The returned owner secret is only ever shown once.
+	 *
+	 * Claiming shuts everyone else out for good, so it takes someone in the call right now (who proves it with
+	 * their Calls session, `{ sessionId, sessionToken }`) or the admin token: a stranger must not be able to take
+	 * over a family's open room.
+	 */
+	async claimRoom(request) {
+		const body = (await readJson(request)) || {};
+		const sessionVerified = typeof body.sessionId === 'string' && (await verifySessionToken(this.env, body.sessionId, body.sessionToken));
+		const admin = await isAdminRequest(request, this.env);
+		const ownerSecret = randomToken();
+		// Hash before checking, so a second claim cannot slip in between the check and taking the room
+		const ownerSecretHash = await hashSecret(ownerSecret);
+		if (!admin && !(sessionVerified && this.findParticipantAttachment(body.sessionId))) {
+			return errorResponse(403, 'Join the call to make this room private');
+		}
+		if (this.getMeta('owner_secret_hash')) {
+			return errorResponse(409, 'This room already has an owner');
+		}
+		this.setMeta('owner_secret_hash', ownerSecretHash);
+		// The participant who claimed the room is its owner from now on, as if they had joined with the secret
+		for (const { ws } of this.getParticipants().filter((entry) => entry.participant.sessionId === body.sessionId)) {
+			ws.serializeAttachment({ ...this.getAttachment(ws), owner: true });
+		}
+		return jsonResponse({ ownerSecret }, 201);
+	}
+
+	async createInvite(request) {
+		const body = (await readJson(request)) || {};
+		const ttlSeconds = Number.isInteger(body.expiresInSeconds)
+			? Math.min(Math.max(body.expiresInSeconds, 60), MAX_INVITE_TTL_SECONDS)
+			: DEFAULT_INVITE_TTL_SECONDS;
+		const id = randomToken(9);
+		const code = randomToken();
+		const now = Date.now();
+		const invite = { id, singleUse: body.singleUse === true, createdAt: now, expiresAt: now + ttlSeconds * 1000 };
+		this.sql.exec(
+			'INSERT INTO invites (id, code_hash, single_use, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+			id,
+			await hashSecret(code),
+			invite.singleUse ? 1 : 0,
+			invite.createdAt,
+			invite.expiresAt,
+		);
+		return jsonResponse({ ...invite, code }, 201);
+	}
+
+	listInvites() {
+		const invites = this.sql
+			.exec('SELECT id, single_use, created_at, expires_at, uses, last_used_at, revoked_at FROM invites ORDER BY created_at DESC')
+			.toArray()
+			.map((row) => ({
+				id: row.id,
+				singleUse: row.single_use === 1,
+				createdAt: row.created_at,
+				expiresAt: row.expires_at,
+				uses: row.uses,
+				lastUsedAt: row.last_used_at,
+				revokedAt: row.revoked_at,
+			}));
+		return jsonResponse({ invites });
+	}
+
+	revokeInvite(id) {
+		const { rowsWritten } = this.sql.exec('UPDATE invites SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', Date.now(), id);
+		if (!rowsWritten) {
+			return errorResponse(404, 'No active invite with that id');
+		}
+		return jsonResponse({ id, revoked: true });
+	}
+
+	/**
+	 * Decides whether a caller may get a join token. Unclaimed rooms are open to everyone; private rooms
+	 * need the owner secret or a valid invite code, and single-use invites are spent here.
+	 */
+	async authorizeJoin(request) {
+		const body = (await readJson(request)) || {};
+		// Following a ring notification answers it, and lets the recipient in like an invite would
+		const answeredRing = await this.answerRing(body.ring);
+		if (await this.isOwner(request)) {
+			return jsonResponse({ owner: true });
+		}
+		// A participant coming back after a dropped connection proves who they are with their Calls session
+		if (typeof body.sessionId === 'string' && (await verifySessionToken(this.env, body.sessionId, body.sessionToken))) {
+			const previous = this.findParticipantAttachment(body.sessionId);
+			if (previous) {
+				return jsonResponse({ owner: previous.owner === true });
 			}
+		}
+		if (this.isLocked()) {
+			return errorResponse(423, 'The host has locked this room');
+		}
+		if (answeredRing || !this.getMeta('owner_secret_hash')) {
+			return jsonResponse({ owner: false });
+		}
+		if (typeof body.invite !== 'string' || !body.invite) {
+			return errorResponse(403, 'This room is private: you need an invite link to join');
+		}
+		const codeHash = await hashSecret(body.invite);
+		// Everything below is synchronous SQL, so checking and spending the invite cannot interleave with another join
+		const invite = this.sql.exec('SELECT * FROM invites WHERE code_hash = ?', codeHash).toArray()[0];
+		const now = Date.now();
+		if (!invite || invite.revoked_at || invite.expires_at < now || (invite.single_use && invite.uses > 0)) {
+			return errorResponse(403, 'This invite link is invalid, expired or has been revoked');
+		}
+		this.sql.exec('UPDATE invites SET uses = uses + 1, last_used_at = ? WHERE id = ?', now, invite.id);
+		return jsonResponse({ owner: false });
+	}
 
-			// Notify other participants that someone left
-			if (leavingSessionId) {
-				console.log(`DO: Participant ${leavingSessionId.substring(0, 8)}... left.`);
-				this.sessions.forEach((session) => {
-					if (session.readyState === WebSocket.OPEN) {
-						session.send(JSON.stringify({ type: 'participantLeft', sessionId: leavingSessionId }));
-					}
-				});
+	/**
+	 * Checks that a browser asking for TURN credentials is in the room, or about to join it. The Worker mints
+	 * the credentials once this says yes.
+	 *
+	 * The body proves a Calls session (`{ sessionId, sessionToken }`) and either holds a join token for the room
+	 * (`token`, before the socket is open) or names a participant in the room (to renew during the call).
+	 *
+	 * @param request - The forwarded request
+	 * @param roomName - The room name the join token must be for
+	 * @returns `{ sessionId }`, or 403
+	 */
+	async authorizeTurn(request, roomName) {
+		const body = (await readJson(request)) || {};
+		if (typeof body.sessionId !== 'string' || !(await verifySessionToken(this.env, body.sessionId, body.sessionToken))) {
+			return errorResponse(403, 'Expected a Calls session you own');
+		}
+		const joining = typeof body.token === 'string' && !!(await verifyJoinToken(this.env, body.token, roomName));
+		if (!joining && !this.findParticipantAttachment(body.sessionId)) {
+			return errorResponse(403, 'Join the call to get TURN credentials for this room');
+		}
+		return jsonResponse({ sessionId: body.sessionId });
+	}
+
+	listRecordings() {
+		const recordings = this.sql.exec('SELECT * FROM recordings ORDER BY started_at DESC').toArray().map(toRecording);
+		return jsonResponse({ recordings });
+	}
+
+	/**
+	 * Handles /recordings/:id/*. Downloading is for the room owner; the upload routes are for the recorder,
+	 * who proves it with the upload token it was sent in `recordingStarted`. The Worker moves the bytes.
+	 *
+	 * @param request - The forwarded request
+	 * @param id - The recording id
+	 * @param action - `/upload`, `/parts`, `/complete`, or undefined for the recording itself
+	 */
+	async handleRecordingRequest(request, id, action) {
+		const row = this.sql.exec('SELECT * FROM recordings WHERE id = ?', id).toArray()[0];
+		if (!action && request.method === 'GET') {
+			if (!(await this.isOwner(request))) {
+				return errorResponse(403, 'Only the room owner can download its recordings');
 			}
-			console.log('DO: Current sessions:', this.sessions.length);
-			console.log('DO: Current participants:', this.participants.size);
-		});
+			if (!row || row.size === null) {
+				return errorResponse(404, 'No finished recording with that id');
+			}
+			return jsonResponse({ objectKey: row.object_key, mimeType: row.mime_type, startedAt: row.started_at });
+		}
+		const uploadToken = getBearerToken(request);
+		if (!row || !uploadToken || (await hashSecret(uploadToken)) !== row.upload_token_hash) {
+			return errorResponse(403, 'This upload token is not valid for the recording');
+		}
+		if (row.completed_at !== null) {
+			return errorResponse(409, 'This recording is already finished');
+		}
+		if (action === '/upload' && request.method === 'GET') {
+			const parts = this.sql
+				.exec('SELECT part_number, size FROM recording_parts WHERE recording_id = ? ORDER BY part_number', id)
+				.toArray()
+				.map((part) => ({ partNumber: part.part_number, size: part.size }));
+			return jsonResponse({ objectKey: row.object_key, uploadId: row.upload_id, parts });
+		}
+		if (action === '/parts' && request.method === 'POST') {
+			// Sent by the Worker once the part is in R2
+			const { partNumber, etag, size } = (await readJson(request)) || {};
+			if (!Number.isInteger(partNumber) || typeof etag !== 'string' || !Number.isInteger(size)) {
+				return errorResponse(400, 'Expected { partNumber, etag, size }');
+			}
+			this.sql.exec(
+				'INSERT OR REPLACE INTO recording_parts (recording_id, part_number, etag, size) VALUES (?, ?, ?, ?)',
+				id,
+				partNumber,
+				etag,
+				size,
+			);
+			return jsonResponse({ partNumber, size });
+		}
+		if (action === '/complete' && request.method === 'POST') {
+			try {
+				const recording = await this.finishRecording(row);
+				await this.scheduleAlarm();
+				return jsonResponse({ recording });
+			} catch (error) {
+				console.error('DO: Could not save recording', id, error);
+				return errorResponse(502, 'Could not save the recording; try again');
+			}
+		}
+		return errorResponse(404, 'Not Found');
+	}
 
-		ws.addEventListener('error', (error) => {
-			console.error('DO WebSocket error:', error);
-		});
+	/**
+	 * Reads the metadata attached to a socket. It survives hibernation, unlike anything stored on `this`.
+	 *
+	 * @param ws - A WebSocket accepted by this room
+	 * @returns `{ owner, participant, protocolErrors, messageWindowStart, messageCount }`, where participant is
+	 *   `{ sessionId, userName, profile, trackInfo }` once joined
+	 */
+	getAttachment(ws) {
+		return ws.deserializeAttachment() || { owner: false, participant: null, protocolErrors: 0 };
 	}
-};
 
-// 3. HTML CONTENT STRING AFTER ALL TOP-LEVEL IMPORTS AND EXPORTS
-const htmlContent = `
-<!doctype html>
-<html lang="en">
-  <head>
-    <meta charset="UTF-8" />
-    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-    <script
-      src="https://cdnjs.cloudflare.com/ajax/libs/webrtc-adapter/8.1.2/adapter.min.js"
-      integrity="sha512-l40eBFtXx+ve5RryIELC3y6/OM6Nu89mLGQd7fg1C93tN6XrkC3supb+/YiD/Y+B8P37kdJjtG1MT1kOO2VzxA=="
-      crossorigin="anonymous"
-      referrerpolicy="no-referrer"
-    ></script>
-    <style>
-      /* Styles are safe to ignore, just here for demo */
-
-      html {
-        color-scheme: light dark;
-        font-family:
-          system-ui,
-          -apple-system,
-          BlinkMacSystemFont,
-          "Segoe UI",
-          Roboto,
-          Oxygen,
-          Ubuntu,
-          Cantarell,
-          "Open Sans",
-          "Helvetica Neue",
-          sans-serif;
-        background: white;
-        color: black;
-      }
-      body,
-      h1,
-      h2 {
-        margin: 0;
-      }
-      h1,
-      h2 {
-        font-weight: 400;
-      }
-      h1 {
-        font-size: 1.5rem;
-        grid-column: 1 / -1;
-      }
-      h2 {
-        font-size: 1rem;
-        margin-bottom: 0.5rem;
-      }
-      video {
-        width: 100%;
-        max-width: 400px; /* Limit video size */
-        height: auto;
-        background-color: #333; /* Placeholder background */
-        border-radius: 8px;
-      }
-      .grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); /* Adjust for more videos */
-        gap: 1rem;
-        padding: 1rem;
-      }
-      .video-container {
-        border: 1px solid #ccc;
-        padding: 0.5rem;
-        text-align: center;
-        border-radius: 10px;
-        box-shadow: 2px 2px 8px rgba(0,0,0,0.1);
-        background-color: #f9f9f9;
-      }
-
-      @media (max-width: 500px) {
-        .grid {
-          grid-template-columns: minmax(0, 1fr);
-        }
-      }
-      input[type="text"], button {
-        padding: 10px;
-        margin: 5px;
-        font-size: 1rem;
-        border-radius: 5px;
-        border: 1px solid #ddd;
-      }
-      button {
-        background-color: #007bff;
-        color: white;
-        cursor: pointer;
-        transition: background-color 0.2s;
-      }
-      button:hover:not(:disabled) {
-        background-color: #0056b3;
-      }
-      button:disabled {
-        background-color: #cccccc;
-        cursor: not-allowed;
-      }
-      #controls {
-        grid-column: 1 / -1;
-        display: flex;
-        flex-wrap: wrap;
-        gap: 10px;
-        margin-bottom: 1rem;
-        align-items: center;
-      }
-    </style>
-  </head>
-
-  <body>
-    <div class="grid">
-      <div id="controls">
-        <h1>Cloudflare Calls Group Chat</h1>
-        <input type="text" id="userNameInput" placeholder="Your Name" value="Guest" />
-        <input type="text" id="roomIdInput" placeholder="Room ID" value="myfamilyroom" />
-        <button id="joinButton">Join Room</button>
-        <button id="leaveButton" disabled>Leave Room</button>
-      </div>
-
-      <div class="video-container" id="localVideoContainer">
-        <h2>Your Stream (<span id="localUserName"></span>)</h2>
-        <video id="local" autoplay muted playsinline></video>
-      </div>
-
-      </div>
-
-    <script type="module">
-      const APP_ID = "__APP_ID__";
-      const APP_TOKEN = "__APP_TOKEN__";
-
-      const headers = {
-        Authorization: 'Bearer ' + APP_TOKEN, // Changed to concatenation
-      };
-      const API_BASE = 'https://rtc.live.cloudflare.com/v1/apps/' + APP_ID; // Changed to concatenation
-
-      const localVideo = document.querySelector("video#local");
-      const localUserNameSpan = document.getElementById("localUserName");
-      const userNameInput = document.getElementById("userNameInput");
-      const roomIdInput = document.getElementById("roomIdInput");
-      const joinButton = document.getElementById("joinButton");
-      const leaveButton = document.getElementById("leaveButton");
-      const gridContainer = document.querySelector(".grid"); // For adding remote videos
-
-      if (!(localVideo instanceof HTMLVideoElement))
-        throw new Error("Local video element not found");
-
-      let ws; // WebSocket connection to the signaling server
-      let localSessionId;
-      let localPeerConnection;
-      let localStream;
-      let userName;
-      let roomId;
-
-      // Map to keep track of remote participants' video elements and streams
-      const remoteParticipantsMap = new Map(); // sessionId -> { videoElement, mediaStream, peerConnection (if separate) }
-
-      joinButton.addEventListener("click", joinRoom);
-      leaveButton.addEventListener("click", leaveRoom);
-
-      async function joinRoom() {
-        userName = userNameInput.value.trim() || "Guest";
-        roomId = roomIdInput.value.trim() || "default-room";
-
-        if (!userName || !roomId) {
-          alert("Please enter your name and a room ID.");
-          return;
-        }
-
-        joinButton.disabled = true;
-        leaveButton.disabled = false;
-        userNameInput.disabled = true;
-        roomIdInput.disabled = true;
-        localUserNameSpan.textContent = userName;
-
-        try {
-          // 1. Get local media (camera/mic)
-          localStream = await navigator.mediaDevices.getUserMedia({
-            audio: true,
-            video: true,
-          });
-          localVideo.srcObject = localStream;
-          console.log("Local media stream obtained.");
-
-          // 2. Create local Calls session
-          localSessionId = await createCallsSession();
-          console.log("Cloudflare Calls local session created:", localSessionId);
-
-          // 3. Create local RTCPeerConnection for sending our stream
-          localPeerConnection = await createPeerConnection(); // This will also set up the ontrack listener
-          console.log("Local RTCPeerConnection created.");
-
-          // Add local tracks to our peer connection for sending (sendonly)
-          // Store the transceiver objects themselves here
-          const transceivers = localStream.getTracks().map((track) =>
-            localPeerConnection.addTransceiver(track, {
-              direction: "sendonly",
-            }),
-          );
-
-          // --- IMPORTANT: These lines calculate localTracksInfo AFTER SDP is generated ---
-          // Create and set local offer
-          const localOffer = await localPeerConnection.createOffer();
-          await localPeerConnection.setLocalDescription(localOffer);
-          console.log("Local offer created and set.");
-
-          // NOW, after setLocalDescription(), the transceiver.mid should be populated
-          const localTracksInfo = transceivers.map(({ mid, sender }) => ({
-            mid,
-            trackName: sender.track?.id,
-            kind: sender.track?.kind,
-          }));
-          console.log("Local tracks added to peer connection, MIDs populated:", localTracksInfo.map(t => t.mid)); // Added log to verify MIDs
-
-          // Push our tracks to the Cloudflare Calls API
-          const pushTracksResponse = await fetch(
-            API_BASE + '/sessions/' + localSessionId + '/tracks/new',
-            {
-              method: "POST",
-              headers,
-              body: JSON.stringify({
-                sessionDescription: {
-                  sdp: localOffer.sdp,
-                  type: "offer",
-                },
-                tracks: localTracksInfo.map((t) => ({
-                  location: "local",
-                  mid: t.mid, // This will now have a value like "0" or "1"
-                  trackName: t.trackName,
-                })),
-              }),
-            },
-          ).then((res) => res.json());
-
-          // Handle the response from pushing tracks (this part stays the same)
-          await localPeerConnection.setRemoteDescription(
-            new RTCSessionDescription(pushTracksResponse.sessionDescription),
-          );
-          console.log("Pushed local tracks to Calls API and set remote description.");
-
-          // 4. Connect to the WebSocket signaling server
-          ws = new WebSocket('wss://' + location.host + '/websocket?room=' + roomId);
-
-          ws.onopen = () => {
-            console.log("WebSocket connected to signaling server!");
-            // Send our session ID and track info to the signaling server
-            ws.send(JSON.stringify({
-              type: "joinRoom",
-              sessionId: localSessionId,
-              userName: userName,
-              trackInfo: localTracksInfo,
-            }));
-            console.log("Sent 'joinRoom' message to signaling server.");
-          };
-
-          ws.onmessage = async (event) => {
-            const message = JSON.parse(event.data);
-            console.log("Received WS message:", message.type, message);
-
-            if (message.type === 'participantJoined') {
-              const { sessionId: remoteSessionId, userName: remoteUserName, trackInfo: remoteTrackInfo } = message;
-              console.log('New participant joined: ' + remoteUserName + ' (' + remoteSessionId.substring(0, 8) + '...)');
-              await handleNewRemoteParticipant(remoteSessionId, remoteUserName, remoteTrackInfo);
-            } else if (message.type === 'existingParticipants') {
-              const { participants } = message;
-              console.log('Received ' + participants.length + ' existing participants.');
-              for (const participant of participants) {
-                console.log('Existing participant: ' + participant.userName + ' (' + participant.sessionId.substring(0, 8) + '...)');
-                await handleNewRemoteParticipant(participant.sessionId, participant.userName, participant.trackInfo);
-              }
-            } else if (message.type === 'participantLeft') {
-              const { sessionId: leavingSessionId } = message;
-              console.log('Participant left: ' + leavingSessionId.substring(0, 8) + '...');
-              removeRemoteParticipant(leavingSessionId);
-            }
-          };
-
-          ws.onclose = () => {
-            console.log("WebSocket closed.");
-            cleanupSession();
-          };
-          ws.onerror = (error) => {
-            console.error("WebSocket error:", error);
-            cleanupSession();
-          };
-
-        } catch (error) {
-          console.error("Error joining room:", error);
-          alert("Failed to join room. Please check console for details.");
-          cleanupSession();
-        }
-      }
-
-
-      function leaveRoom() {
-        if (ws) {
-          ws.close();
-        }
-        cleanupSession();
-      }
-
-      function cleanupSession() {
-        console.log("Cleaning up session...");
-        joinButton.disabled = false;
-        leaveButton.disabled = true;
-        userNameInput.disabled = false;
-        roomIdInput.disabled = false;
-        localUserNameSpan.textContent = "";
-
-        if (localStream) {
-          localStream.getTracks().forEach(track => track.stop());
-          localVideo.srcObject = null;
-          console.log("Local stream stopped.");
-        }
-        if (localPeerConnection) {
-          localPeerConnection.close();
-          localPeerConnection = null;
-          console.log("Local peer connection closed.");
-        }
-        localSessionId = null;
-
-        // Remove all remote videos
-        remoteParticipantsMap.forEach(participant => {
-          if (participant.mediaStream) {
-            participant.mediaStream.getTracks().forEach(track => track.stop());
-          }
-          if (participant.videoElement.parentElement) { // Check if it's still in the DOM
-              participant.videoElement.parentElement.remove(); // Remove the entire container div
-          }
-        });
-        remoteParticipantsMap.clear(); // Clear the map
-        console.log("All remote streams and video elements removed.");
-      }
-
-
-      async function handleNewRemoteParticipant(remoteSessionId, remoteUserName, remoteTrackInfo) {
-        // Prevent adding duplicate remote participants if message is received multiple times
-        if (remoteParticipantsMap.has(remoteSessionId)) {
-          console.log('Participant ' + remoteUserName + ' already handled, skipping.');
-          return;
-        }
-
-        console.log('Handling new remote participant: ' + remoteUserName);
-
-        // Create a new container and video element for this remote participant
-        const remoteVideoContainer = document.createElement('div');
-        remoteVideoContainer.className = 'video-container';
-        remoteVideoContainer.id = 'container-' + remoteSessionId; // Unique ID for the container
-        remoteVideoContainer.innerHTML = '<h2>' + remoteUserName + "'s Stream</h2>" +
-                                          '<video id="remote-video-' + remoteSessionId + '" autoplay playsinline></video>';
-        gridContainer.appendChild(remoteVideoContainer);
-
-        const remoteVideoElement = document.getElementById('remote-video-' + remoteSessionId);
-        const remoteMediaStream = new MediaStream();
-        remoteVideoElement.srcObject = remoteMediaStream;
-
-        remoteParticipantsMap.set(remoteSessionId, {
-          videoElement: remoteVideoElement,
-          mediaStream: remoteMediaStream,
-        });
-
-        // Pull tracks from the remote participant's session using our localSessionId
-        const tracksToPull = remoteTrackInfo.map(t => ({
-          location: "remote",
-          trackName: t.trackName,
-          sessionId: remoteSessionId, // This links to the other participant's session
-        }));
-        console.log('Requesting to pull ' + tracksToPull.length + ' tracks from ' + remoteUserName + '.');
-
-        const pullResponse = await fetch(
-          API_BASE + '/sessions/' + localSessionId + '/tracks/new', // Changed to concatenation
-          {
-            method: "POST",
-            headers,
-            body: JSON.stringify({
-              tracks: tracksToPull,
-            }),
-          },
-        ).then((res) => res.json());
-
-        // Handle renegotiation if required by Calls API for this pull
-        if (pullResponse.requiresImmediateRenegotiation) {
-          console.log("Renegotiation required for pulling tracks.");
-          await localPeerConnection.setRemoteDescription(
-            pullResponse.sessionDescription,
-          );
-          const localAnswer = await localPeerConnection.createAnswer();
-          await localPeerConnection.setLocalDescription(localAnswer);
-
-          const renegotiateResponse = await fetch(
-            API_BASE + '/sessions/' + localSessionId + '/renegotiate', // Changed to concatenation
-            {
-              method: "PUT",
-              headers,
-              body: JSON.stringify({
-                sessionDescription: {
-                  sdp: localAnswer.sdp,
-                  type: "answer",
-                },
-              }),
-            },
-          ).then((res) => res.json());
-          if (renegotiateResponse.errorCode) {
-            throw new Error(renegotiateResponse.errorDescription);
-          }
-          console.log("Renegotiation complete.");
-        } else {
-            console.log("No renegotiation required for pulling tracks.");
-        }
-      }
-
-      function removeRemoteParticipant(sessionId) {
-        console.log('Removing remote participant: ' + sessionId.substring(0, 8) + '...');
-        const participantInfo = remoteParticipantsMap.get(sessionId);
-        if (participantInfo) {
-          // Stop all tracks in the stream to release camera/mic resources
-          if (participantInfo.mediaStream) {
-            participantInfo.mediaStream.getTracks().forEach(track => track.stop());
-            console.log('Stopped media tracks for ' + sessionId.substring(0, 8) + '...');
-          }
-          // Remove the video element's parent container from the DOM
-          if (participantInfo.videoElement.parentElement) {
-            participantInfo.videoElement.parentElement.remove();
-            console.log('Removed video element for ' + sessionId.substring(0, 8) + '...');
-          }
-          remoteParticipantsMap.delete(sessionId);
-        }
-      }
-
-      /**
-       * Creates a new Calls session
-       */
-      async function createCallsSession() {
-        const sessionResponse = await fetch(
-          API_BASE + '/sessions/new', // Changed to concatenation
-          {
-            method: "POST",
-            headers,
-          },
-        ).then((res) => res.json());
-        return sessionResponse.sessionId;
-      }
-
-      /**
-       * Creates a peer connection with some default settings
-       * and sets up the ontrack listener for all incoming remote tracks.
-       */
-      async function createPeerConnection() {
-        const peerConnection = new RTCPeerConnection({
-          iceServers: [
-            {
-              urls: "stun:stun.cloudflare.com:3478",
-            },
-          ],
-          bundlePolicy: "max-bundle",
-        });
-
-        // This ontrack listener receives all incoming tracks from the Calls API
-        // for ALL remote participants that we are pulling.
-        peerConnection.ontrack = (event) => {
-            console.log('Track received on localPeerConnection:', event.track.kind, event.track.id, 'from transceiver:', event.transceiver.mid);
-
-            let trackAdded = false;
-            // Iterate through your stored remote streams and find the one this track belongs to
-            remoteParticipantsMap.forEach(participant => {
-                // Check if the track is already part of this specific remote participant's stream
-                if (!participant.mediaStream.getTrackById(event.track.id)) {
-                    participant.mediaStream.addTrack(event.track);
-                    console.log('Added track ' + event.track.id + ' to remote stream for ' + participant.videoElement.id + '.');
-                    trackAdded = true;
-                }
-            });
-            if (!trackAdded) {
-                console.warn('Track ' + event.track.id + ' received but not added to any remote MediaStream (might be duplicate or unhandled).');
-            }
-        };
-
-        return peerConnection;
-      }
-    </script>
-  </body>
-</html>
-`;
-
-// 4. DEFAULT WORKER EXPORT AFTER ALL OTHER TOP-LEVEL DECLARATIONS
-var index_default = {
 	/**
-	 * This is the standard fetch handler for a Cloudflare Worker
+	 * Sends one protocol message to a socket, if it is still open.
 	 *
-	 * @param request - The request submitted to the Worker from the client
-	 * @param env - The interface to reference bindings declared in wrangler.jsonc
-	 * @param ctx - The execution context of the Worker
-	 * @returns The response to be sent back to the client
+	 * @param ws - The socket
+	 * @param type - The message type
+	 * @param fields - The message fields
 	 */
-	async fetch(request, env, ctx) {
-		const url = new URL(request.url);
+	send(ws, type, fields) {
+		if (ws.readyState === WebSocket.OPEN) {
+			ws.send(JSON.stringify(createMessage(type, fields)));
+		}
+	}
 
-		// Handle WebSocket connections for Durable Objects
-		if (url.pathname === '/websocket') {
-			const roomName = url.searchParams.get('room') || 'default-room';
-			// Get or create DO instance for this room based on the roomName
-			let id = env.CHAT_ROOM.idFromName(roomName);
-			let stub = env.CHAT_ROOM.get(id);
-			return stub.fetch(request); // Delegate the WebSocket request to the Durable Object
-		} else if (url.pathname === '/') {
-			// Serve the HTML page for the root path
-			const finalHtml = htmlContent.replace(/__APP_ID__/g, env.APP_ID).replace(/__APP_TOKEN__/g, env.APP_TOKEN);
-
-			return new Response(finalHtml, {
-				headers: {
-					'content-type': 'text/html;charset=UTF-8',
-				},
+	/**
+	 * Replies to an invalid frame with an `error` message, and disconnects sockets that keep sending them.
+	 *
+	 * @param ws - The offending socket
+	 * @param code - One of ERROR_CODES
+	 * @param reason - Human readable description of the problem
+	 */
+	rejectMessage(ws, code, reason) {
+		const attachment = this.getAttachment(ws);
+		const protocolErrors = (attachment.protocolErrors || 0) + 1;
+		ws.serializeAttachment({ ...attachment, protocolErrors });
+		console.warn(`DO: Rejected message (${code}): ${reason}`);
+		if (code === ERROR_CODES.FRAME_TOO_LARGE) {
+			logLimitExceeded('frame_bytes', { roomId: this.ctx.id.toString(), sessionId: attachment.participant?.sessionId });
+		}
+		this.send(ws, 'error', { code, reason });
+		if (protocolErrors >= MAX_PROTOCOL_ERRORS) {
+			ws.close(CLOSE_CODES.PROTOCOL_VIOLATION, 'Too many invalid messages');
+			this.handleDeparture(ws, false);
+		}
+	}
+
+	/**
+	 * Counts a frame against its socket's message rate (see protocol.js). The count lives in the attachment, like
+	 * protocolErrors, so it survives hibernation.
+	 *
+	 * @param ws - The socket the frame arrived on
+	 * @returns True when the frame may be handled, false when it must be dropped
+	 */
+	countMessage(ws) {
+		const attachment = this.getAttachment(ws);
+		const now = Date.now();
+		const inWindow = now - (attachment.messageWindowStart || 0) < LIMITS.messageWindowMs;
+		const messageWindowStart = inWindow ? attachment.messageWindowStart : now;
+		const messageCount = inWindow ? (attachment.messageCount || 0) + 1 : 1;
+		ws.serializeAttachment({ ...attachment, messageWindowStart, messageCount });
+		if (messageCount <= LIMITS.maxMessagesPerWindow) {
+			return true;
+		}
+		if (messageCount === LIMITS.maxMessagesPerWindow + 1) {
+			logLimitExceeded('messages', { roomId: this.ctx.id.toString(), sessionId: attachment.participant?.sessionId });
+			this.send(ws, 'error', {
+				code: ERROR_CODES.RATE_LIMITED,
+				reason: 'Too many messages: at most ' + LIMITS.maxMessagesPerWindow + ' every ' + LIMITS.messageWindowMs / 1000 + ' seconds',
 			});
+		} else if (messageCount === 2 * LIMITS.maxMessagesPerWindow + 1) {
+			ws.close(CLOSE_CODES.RATE_LIMITED, 'Too many messages');
+			this.handleDeparture(ws, false);
+		}
+		return false;
+	}
+
+	/**
+	 * Lists the joined participants of the room, rebuilt from the socket attachments.
+	 *
+	 * @param except - Optional socket to leave out (e.g. the one that is closing)
+	 * @returns Array of `{ ws, participant }`
+	 */
+	getParticipants(except) {
+		const participants = [];
+		for (const ws of this.ctx.getWebSockets()) {
+			const { participant } = this.getAttachment(ws);
+			if (ws !== except && participant) {
+				participants.push({ ws, participant });
+			}
+		}
+		return participants;
+	}
+
+	/**
+	 * Sends a message to every joined participant in the room. Sockets that have not sent `joinRoom`
+	 * yet are skipped; they get the full picture in `existingParticipants` when they join.
+	 *
+	 * @param type - The message type
+	 * @param fields - The message fields
+	 * @param except - Optional socket that should not receive it
+	 */
+	broadcast(type, fields, except) {
+		const data = JSON.stringify(createMessage(type, fields));
+		for (const { ws } of this.getParticipants(except)) {
+			if (ws.readyState === WebSocket.OPEN) {
+				ws.send(data);
+			}
+		}
+	}
+
+	async webSocketMessage(ws, data) {
+		if (!this.countMessage(ws)) {
+			return;
+		}
+		const parsed = parseClientMessage(data);
+		if (!parsed.ok) {
+			this.rejectMessage(ws, parsed.code, parsed.reason);
+			return;
+		}
+		const { message } = parsed;
+		console.log('DO received message:', message.type);
+
+		if (message.type === 'joinRoom') {
+			await this.handleJoin(ws, message);
+			return;
+		}
+		const { participant } = this.getAttachment(ws);
+		if (!participant) {
+			this.rejectMessage(ws, ERROR_CODES.NOT_JOINED, 'Send joinRoom before ' + message.type);
+			return;
+		}
+		switch (message.type) {
+			case 'chatMessage':
+				this.handleChatMessage(participant, message);
+				break;
+			case 'chatEdit':
+				this.handleChatEdit(ws, participant, message);
+				break;
+			case 'chatDelete':
+				this.handleChatDelete(ws, participant, message);
+				break;
+			case 'chatHistoryRequest':
+				this.send(ws, 'chatHistory', this.getChatHistory(message.before, message.limit));
+				break;
+			case 'trackStateChanged':
+				this.handleTrackStateChanged(ws, participant, message);
+				break;
+			case 'screenShareStarted':
+				this.handleScreenShareStarted(ws, participant, message);
+				break;
+			case 'screenShareStopped':
+				this.handleScreenShareStopped(ws, participant);
+				break;
+			case 'kickParticipant':
+			case 'requestMute':
+			case 'setRoomLock':
+			case 'setWaitingRoom':
+			case 'setEncryption':
+			case 'mediaKey':
+			case 'transferHost':
+				this.handleModeration(ws, participant, message);
+				break;
+			case 'answerKnock':
+				await this.handleAnswerKnock(participant, message);
+				break;
+			case 'startRecording':
+				await this.handleStartRecording(ws, participant, message);
+				break;
+			case 'stopRecording':
+				await this.handleStopRecording(ws, participant);
+				break;
+			case 'ring':
+				await this.handleRing(ws, participant);
+				break;
+		}
+	}
+
+	/**
+	 * Lists the sockets waiting in the waiting room.
+	 *
+	 * @returns Array of `{ ws, pending }`, where pending holds the joinRoom fields they sent
+	 */
+	getPendingKnocks() {
+		const knocks = [];
+		for (const ws of this.ctx.getWebSockets()) {
+			const { pending } = this.getAttachment(ws);
+			if (pending) {
+				knocks.push({ ws, pending });
+			}
+		}
+		return knocks.sort((a, b) => a.pending.knockedAt - b.pending.knockedAt);
+	}
+
+	/**
+	 * Lets a waiting participant in, or turns them away. Any participant already in the room may answer;
+	 * the first answer wins and the others are told the knock was dealt with.
+	 */
+	async handleAnswerKnock(participant, { sessionId, admit }) {
+		const knock = this.getPendingKnocks().find(({ pending }) => pending.sessionId === sessionId);
+		if (!knock) {
+			// Already answered by someone else, or they gave up
+			return;
+		}
+		const { ws, pending } = knock;
+		// The room may have filled up while they were waiting
+		const full = admit && this.isFull(ws);
+		this.logEvent(admit && !full ? 'knock_admitted' : 'knock_denied', pending, { by: participant.sessionId });
+		this.broadcast('knockAnswered', { sessionId, admitted: admit && !full });
+		if (full) {
+			ws.serializeAttachment({ ...this.getAttachment(ws), pending: null });
+			this.refuseFullRoom(ws, sessionId);
+		} else if (admit) {
+			await this.admitParticipant(ws, pending);
+		} else {
+			ws.serializeAttachment({ ...this.getAttachment(ws), pending: null });
+			ws.close(CLOSE_CODES.KNOCK_DENIED, 'Your request to join was declined');
+		}
+	}
+
+	/**
+	 * Checks whether the room has a seat left. Participants in their reconnect grace period keep theirs.
+	 *
+	 * @param except - The socket asking to join, if it is already counted among the participants
+	 * @returns True when the room already holds LIMITS.maxParticipants participants
+	 */
+	isFull(except) {
+		return this.getParticipants(except).length + this.getReconnecting().length >= LIMITS.maxParticipants;
+	}
+
+	refuseFullRoom(ws, sessionId) {
+		const reason = 'This room is full (at most ' + LIMITS.maxParticipants + ' people)';
+		logLimitExceeded('participants', { roomId: this.ctx.id.toString(), sessionId });
+		this.send(ws, 'error', { code: ERROR_CODES.ROOM_FULL, reason });
+		ws.close(CLOSE_CODES.ROOM_FULL, reason);
+	}
+
+	/**
+	 * Makes a participant the host and tells the room.
+	 *
+	 * @param sessionId - The new host's session id
+	 */
+	setHost(sessionId) {
+		this.setMeta('host_session_id', sessionId);
+		this.logEvent('host_changed', this.findParticipantAttachment(sessionId)?.participant ?? { sessionId });
+		console.log(`DO: Host is now ${sessionId.substring(0, 8)}...`);
+		this.broadcast('hostChanged', { hostSessionId: sessionId });
+	}
+
+	/**
+	 * Called once a participant has really gone (not merely reconnecting). Stops their recording, hands the
+	 * host role on if they held it; once the room is empty the host and lock are cleared for the next call.
+	 *
+	 * @param sessionId - The departed participant's session id
+	 */
+	handleParticipantGone(sessionId) {
+		// Nobody else has the recording's upload token, so it ends with its recorder
+		const recording = this.getActiveRecording();
+		if (recording?.recorder_session_id === sessionId) {
+			this.stopRecording(recording, { sessionId, userName: recording.recorder_name });
+		}
+		const connected = this.getParticipants();
+		if (connected.length === 0) {
+			// Nobody is left to answer the waiting room
+			for (const { ws } of this.getPendingKnocks()) {
+				ws.serializeAttachment({ ...this.getAttachment(ws), pending: null });
+				ws.close(CLOSE_CODES.KNOCK_DENIED, 'Everyone has left the room');
+			}
+		}
+		if (connected.length === 0 && this.getReconnecting().length === 0) {
+			this.deleteMeta('host_session_id');
+			this.deleteMeta('locked');
+			this.endCall();
+			return;
+		}
+		if (this.getMeta('host_session_id') !== sessionId) {
+			return;
+		}
+		// Prefer the room owner, then whoever has been here longest
+		const next = connected.find(({ ws }) => this.getAttachment(ws).owner) || connected[0];
+		if (next) {
+			this.setHost(next.participant.sessionId);
 		} else {
-			// Return 404 for any other undefined paths
-			return new Response('Not Found', { status: 404 });
+			this.deleteMeta('host_session_id');
+		}
+	}
+
+	/**
+	 * Handles the host-only messages. Every one of them is checked against the stored host identity.
+	 */
+	handleModeration(ws, participant, message) {
+		if (this.getMeta('host_session_id') !== participant.sessionId) {
+			this.rejectMessage(ws, ERROR_CODES.FORBIDDEN, 'Only the host can ' + message.type);
+			return;
+		}
+		if (message.type === 'setWaitingRoom') {
+			this.setMeta('waiting_room', message.enabled ? '1' : '0');
+			this.logEvent(message.enabled ? 'waiting_room_enabled' : 'waiting_room_disabled', participant);
+			this.broadcast('waitingRoomChanged', { enabled: message.enabled });
+			return;
 		}
+		if (message.type === 'setEncryption') {
+			this.setMeta('encrypted', message.enabled ? '1' : '0');
+			this.logEvent(message.enabled ? 'encryption_enabled' : 'encryption_disabled', participant);
+			this.broadcast('encryptionChanged', { enabled: message.enabled });
+			return;
+		}
+		if (message.type === 'setRoomLock') {
+			this.setMeta('locked', message.locked ? '1' : '0');
+			this.logEvent(message.locked ? 'room_locked' : 'room_unlocked', participant);
+			console.log(`DO: Room ${message.locked ? 'locked' : 'unlocked'} by the host.`);
+			this.broadcast('roomLockChanged', { locked: message.locked });
+			return;
+		}
+
+		const { sessionId } = message;
+		if (sessionId === participant.sessionId) {
+			this.rejectMessage(ws, ERROR_CODES.INVALID_FIELD, 'You cannot ' + message.type + ' yourself');
+			return;
+		}
+		const target = this.getParticipants(ws).find((p) => p.participant.sessionId === sessionId);
+
+		if (message.type === 'kickParticipant') {
+			const reason = message.reason || 'Removed by the host';
+			if (target) {
+				this.logEvent('kicked', target.participant, { reason, by: participant.sessionId });
+				this.broadcast('participantKicked', { sessionId, reason }, target.ws);
+				target.ws.close(CLOSE_CODES.KICKED, reason);
+				this.handleDeparture(target.ws, false);
+				return;
+			}
+			// Kicking someone mid-reconnect stops them from resuming
+			const reconnecting = this.takeReconnecting(sessionId);
+			if (reconnecting) {
+				this.logEvent('kicked', reconnecting.participant, { reason, by: participant.sessionId });
+				this.broadcast('participantKicked', { sessionId, reason });
+				this.broadcast('participantLeft', { sessionId });
+				this.handleParticipantGone(sessionId);
+			} else {
+				this.rejectMessage(ws, ERROR_CODES.NOT_FOUND, 'No such participant');
+			}
+			return;
+		}
+		if (!target) {
+			this.rejectMessage(ws, ERROR_CODES.NOT_FOUND, 'No such participant');
+			return;
+		}
+		if (message.type === 'requestMute') {
+			this.logEvent('mute_requested', target.participant, { by: participant.sessionId });
+			this.send(target.ws, 'muteRequested', { bySessionId: participant.sessionId });
+		} else if (message.type === 'transferHost') {
+			this.setHost(sessionId);
+		} else if (message.type === 'mediaKey') {
+			// Only the host hands out keys, so a participant cannot slip the others a key of their own
+			const { epoch, key, iv } = message;
+			this.send(target.ws, 'mediaKey', { fromSessionId: participant.sessionId, epoch, key, iv });
+		}
+	}
+
+	/**
+	 * Adds a participant's screen track to their trackInfo (replacing any earlier one), so late joiners
+	 * pull it too, and announces it.
+	 */
+	handleScreenShareStarted(ws, participant, { track }) {
+		if (track.kind !== 'video' || track.source !== 'screen') {
+			this.rejectMessage(ws, ERROR_CODES.INVALID_FIELD, 'A screen share must be a video track with source "screen"');
+			return;
+		}
+		const trackInfo = [...participant.trackInfo.filter((t) => t.source !== 'screen'), track];
+		if (trackInfo.length > LIMITS.maxTracks) {
+			this.rejectMessage(ws, ERROR_CODES.INVALID_FIELD, 'Too many tracks');
+			return;
+		}
+		ws.serializeAttachment({ ...this.getAttachment(ws), participant: { ...participant, trackInfo } });
+		this.broadcast('screenShareStarted', { sessionId: participant.sessionId, track }, ws);
+	}
+
+	handleScreenShareStopped(ws, participant) {
+		const screenTrack = participant.trackInfo.find((t) => t.source === 'screen');
+		if (!screenTrack) {
+			return;
+		}
+		const trackInfo = participant.trackInfo.filter((t) => t.source !== 'screen');
+		ws.serializeAttachment({ ...this.getAttachment(ws), participant: { ...participant, trackInfo } });
+		this.broadcast('screenShareStopped', { sessionId: participant.sessionId, trackName: screenTrack.trackName }, ws);
+	}
+
+	/**
+	 * Records a participant's mic/camera state so late joiners see it, and tells everyone else.
+	 */
+	handleTrackStateChanged(ws, participant, { audioEnabled, videoEnabled }) {
+		const updated = { ...participant, audioEnabled, videoEnabled };
+		ws.serializeAttachment({ ...this.getAttachment(ws), participant: updated });
+		if ((participant.audioEnabled !== false) !== audioEnabled) {
+			this.logEvent(audioEnabled ? 'unmuted' : 'muted', participant);
+		}
+		this.broadcast('trackStateChanged', { sessionId: participant.sessionId, audioEnabled, videoEnabled }, ws);
+	}
+
+	/**
+	 * The recording in progress, if any: started and not stopped yet. A room records at most one at a time.
+	 *
+	 * @returns The recordings row, or undefined
+	 */
+	getActiveRecording() {
+		return this.sql.exec('SELECT * FROM recordings WHERE stopped_at IS NULL').toArray()[0];
+	}
+
+	/**
+	 * Starts a recording with the host as the recorder. Only claimed rooms are recorded, so that somebody owns
+	 * the recordings; everyone in the room is told, and only the recorder gets the token to upload with.
+	 */
+	async handleStartRecording(ws, participant, { mimeType }) {
+		const id = randomToken(9);
+		const uploadToken = randomToken();
+		const objectKey = recordingObjectKey(this.ctx.id.toString(), id, mimeType);
+		// Hash before checking, so nothing can slip in between the checks and taking the slot
+		const uploadTokenHash = await hashSecret(uploadToken);
+		if (this.getMeta('host_session_id') !== participant.sessionId) {
+			this.rejectMessage(ws, ERROR_CODES.FORBIDDEN, 'Only the host can startRecording');
+			return;
+		}
+		let unavailable = null;
+		if (!this.env.RECORDINGS) {
+			unavailable = 'Recording is not set up on this server';
+		} else if (!this.getMeta('owner_secret_hash')) {
+			unavailable = 'Only private rooms can be recorded, so that the recordings have an owner';
+		} else if (this.getActiveRecording()) {
+			unavailable = 'The room is already being recorded';
+		}
+		if (unavailable) {
+			this.send(ws, 'error', { code: ERROR_CODES.RECORDING_UNAVAILABLE, reason: unavailable });
+			return;
+		}
+		// Take the room's one recording slot before waiting on R2, so a second startRecording meanwhile is refused
+		this.sql.exec(
+			`INSERT INTO recordings (id, object_key, upload_token_hash, mime_type, recorder_session_id, recorder_name, started_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?)`,
+			id,
+			objectKey,
+			uploadTokenHash,
+			mimeType,
+			participant.sessionId,
+			participant.userName,
+			Date.now(),
+		);
+		try {
+			const uploadId = await createRecordingUpload(this.env, objectKey, mimeType);
+			this.sql.exec('UPDATE recordings SET upload_id = ? WHERE id = ?', uploadId, id);
+		} catch (error) {
+			console.error('DO: Could not start a recording upload:', error);
+			this.sql.exec('DELETE FROM recordings WHERE id = ?', id);
+			this.send(ws, 'error', { code: ERROR_CODES.RECORDING_UNAVAILABLE, reason: 'Could not start the recording' });
+			return;
+		}
+		const row = this.sql.exec('SELECT * FROM recordings WHERE id = ?', id).one();
+		if (row.stopped_at !== null) {
+			// The recorder left while the upload was being created; the alarm tidies up
+			return;
+		}
+		console.log(`DO: ${participant.userName} started recording ${id}.`);
+		this.logEvent('recording_started', participant, { recordingId: id });
+		const recording = toRecordingInfo(row);
+		this.broadcast('recordingStarted', { recording }, ws);
+		this.send(ws, 'recordingStarted', { recording, uploadToken });
+	}
+
+	async handleStopRecording(ws, participant) {
+		const recording = this.getActiveRecording();
+		if (!recording) {
+			return;
+		}
+		if (participant.sessionId !== recording.recorder_session_id && this.getMeta('host_session_id') !== participant.sessionId) {
+			this.rejectMessage(ws, ERROR_CODES.FORBIDDEN, 'Only the host or the recorder can stopRecording');
+			return;
+		}
+		this.stopRecording(recording, participant);
+		await this.scheduleAlarm();
+	}
+
+	/**
+	 * Marks a recording as stopped and tells the room. The recorder then uploads what it still has and
+	 * completes the upload; if it doesn't within RECORDING_UPLOAD_GRACE_MS, the alarm saves the parts that arrived.
+	 *
+	 * @param recording - The recordings row
+	 * @param by - The participant who stopped it, for the event log
+	 */
+	stopRecording(recording, by) {
+		const now = Date.now();
+		this.sql.exec(
+			'UPDATE recordings SET stopped_at = ?, finish_after = ? WHERE id = ?',
+			now,
+			now + RECORDING_UPLOAD_GRACE_MS,
+			recording.id,
+		);
+		console.log(`DO: Recording ${recording.id} stopped.`);
+		this.logEvent('recording_stopped', by, { recordingId: recording.id });
+		this.broadcast('recordingStopped', { recordingId: recording.id });
+	}
+
+	/**
+	 * Completes a recording's multipart upload with the parts that have arrived. A recording without any parts
+	 * is dropped. Safe to call twice: only the first call does anything.
+	 *
+	 * @param row - The recordings row
+	 * @returns The finished recording, or null when there was nothing to save
+	 */
+	async finishRecording(row) {
+		if (row.stopped_at === null) {
+			// Completed without a stopRecording first (e.g. the recorder's socket was down at the time)
+			this.stopRecording(row, { sessionId: row.recorder_session_id, userName: row.recorder_name });
+		}
+		// Claim it first: the recorder's complete request and the alarm may both get here
+		const claimed = this.sql
+			.exec('UPDATE recordings SET completed_at = ? WHERE id = ? AND completed_at IS NULL RETURNING *', Date.now(), row.id)
+			.toArray()[0];
+		if (!claimed) {
+			return null;
+		}
+		const parts = this.sql
+			.exec('SELECT part_number, etag FROM recording_parts WHERE recording_id = ?', row.id)
+			.toArray()
+			.map((part) => ({ partNumber: part.part_number, etag: part.etag }));
+		let size = null;
+		try {
+			if (claimed.upload_id) {
+				size = await completeRecordingUpload(this.env, { objectKey: claimed.object_key, uploadId: claimed.upload_id }, parts);
+			}
+		} catch (error) {
+			this.sql.exec(
+				'UPDATE recordings SET completed_at = NULL, finish_after = ? WHERE id = ?',
+				Date.now() + RECORDING_UPLOAD_GRACE_MS,
+				row.id,
+			);
+			throw error;
+		}
+		this.sql.exec('DELETE FROM recording_parts WHERE recording_id = ?', row.id);
+		const recorder = { sessionId: claimed.recorder_session_id, userName: claimed.recorder_name };
+		if (size === null) {
+			this.sql.exec('DELETE FROM recordings WHERE id = ?', row.id);
+			this.logEvent('recording_discarded', recorder, { recordingId: row.id });
+			return null;
+		}
+		const saved = this.sql.exec('UPDATE recordings SET size = ? WHERE id = ? RETURNING *', size, row.id).one();
+		console.log(`DO: Recording ${row.id} saved (${size} bytes).`);
+		this.logEvent('recording_saved', recorder, { recordingId: row.id, size });
+		return toRecording(saved);
+	}
+
+	/**
+	 * Registers a device to be rung for calls in this room. Only people who could join anyway may register: the
+	 * owner, or someone in the call right now (who proves it with their Calls session). A participant's device
+	 * belongs to the family member they joined as; the owner may name the member a device is for (`memberId`).
+	 */
+	async subscribeToPush(request) {
+		const body = (await readJson(request)) || {};
+		let userName = null;
+		let memberId = null;
+		let sessionId = null;
+		if (typeof body.sessionId === 'string' && (await verifySessionToken(this.env, body.sessionId, body.sessionToken))) {
+			const participant = this.findParticipantAttachment(body.sessionId)?.participant;
+			userName = participant?.userName ?? null;
+			memberId = participant?.profile?.memberId ?? null;
+			sessionId = participant?.sessionId ?? null;
+		}
+		if (!userName && (await this.isOwner(request))) {
+			const member =
+				typeof body.memberId === 'string' ? this.sql.exec('SELECT * FROM members WHERE id = ?', body.memberId).toArray()[0] : undefined;
+			if (member) {
+				userName = member.display_name;
+				memberId = member.id;
+			} else if (typeof body.userName === 'string') {
+				userName = body.userName.trim().slice(0, LIMITS.maxUserNameLength) || null;
+			}
+		}
+		if (!userName) {
+			return errorResponse(403, 'Join the call to get rung for this room');
+		}
+		const subscription = parsePushSubscription(this.env, body.subscription);
+		if (!subscription) {
+			return errorResponse(400, 'Expected a push subscription from a known push service');
+		}
+		const existing = this.sql.exec('SELECT 1 FROM push_subscriptions WHERE endpoint = ?', subscription.endpoint).toArray().length > 0;
+		if (!existing && this.sql.exec('SELECT COUNT(*) AS count FROM push_subscriptions').one().count >= MAX_PUSH_SUBSCRIPTIONS) {
+			return errorResponse(409, 'This room already rings ' + MAX_PUSH_SUBSCRIPTIONS + ' devices');
+		}
+		this.sql.exec(
+			`INSERT INTO push_subscriptions (endpoint, p256dh, auth, user_name, member_id, session_id, created_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+			ON CONFLICT(endpoint) DO UPDATE SET p256dh = excluded.p256dh, auth = excluded.auth, user_name = excluded.user_name,
+				member_id = excluded.member_id, session_id = excluded.session_id`,
+			subscription.endpoint,
+			subscription.p256dh,
+			subscription.auth,
+			userName,
+			memberId,
+			sessionId,
+			Date.now(),
+		);
+		return jsonResponse({ userName, memberId }, 201);
+	}
+
+	/**
+	 * Stops ringing a device. The endpoint URL is only known to the device and its push service, so it is
+	 * proof enough.
+	 */
+	async unsubscribeFromPush(request) {
+		const { endpoint } = (await readJson(request)) || {};
+		if (typeof endpoint !== 'string') {
+			return errorResponse(400, 'Expected { endpoint }');
+		}
+		const removed = this.sql.exec('DELETE FROM push_subscriptions WHERE endpoint = ?', endpoint).rowsWritten > 0;
+		return jsonResponse({ removed });
+	}
+
+	/**
+	 * The registered devices of everyone who is not in the call: nobody needs their phone rung while they are
+	 * in it. A member's devices are matched by family member, since anyone can join under any name. A guest has
+	 * nothing better than the session they registered from or the name they registered under, so their devices
+	 * are matched by those.
+	 *
+	 * @returns The push_subscriptions rows
+	 */
+	getAbsentSubscriptions() {
+		const participants = this.getParticipants().map((entry) => entry.participant);
+		const memberIds = new Set(participants.map((participant) => participant.profile?.memberId).filter(Boolean));
+		const sessionIds = new Set(participants.map((participant) => participant.sessionId));
+		const names = new Set(participants.map((participant) => participant.userName.toLowerCase()));
+		return this.sql
+			.exec('SELECT * FROM push_subscriptions')
+			.toArray()
+			.filter((subscription) =>
+				subscription.member_id === null
+					? !sessionIds.has(subscription.session_id) && !names.has(subscription.user_name.toLowerCase())
+					: !memberIds.has(subscription.member_id),
+			);
+	}
+
+	getActiveRing() {
+		return this.sql.exec('SELECT * FROM rings WHERE ended_at IS NULL').toArray()[0];
+	}
+
+	/**
+	 * Describes a ring for the clients, with one entry per person (rather than per device).
+	 *
+	 * @param row - The rings row, or undefined
+	 * @returns The Ring, or null
+	 */
+	getRingInfo(row) {
+		if (!row) {
+			return null;
+		}
+		const recipients = this.sql.exec('SELECT user_name, status FROM ring_recipients WHERE ring_id = ?', row.id).toArray();
+		return toRing(row, recipients);
+	}
+
+	/**
+	 * Rings every registered device whose user is not in the room. The caller and everyone else in the room
+	 * see who is being rung, and later who answered.
+	 */
+	async handleRing(ws, participant) {
+		const refuse = (reason) => this.send(ws, 'error', { code: ERROR_CODES.RING_UNAVAILABLE, reason });
+		if (!isPushConfigured(this.env)) {
+			refuse('Ringing is not set up on this server');
+			return;
+		}
+		if (this.getActiveRing()) {
+			refuse('The family is already being rung');
+			return;
+		}
+		const subscriptions = this.getAbsentSubscriptions();
+		if (subscriptions.length === 0) {
+			refuse('Nobody to ring: everyone who gets rung for this room is already here');
+			return;
+		}
+
+		const id = randomToken(9);
+		const now = Date.now();
+		const ring = this.sql
+			.exec(
+				'INSERT INTO rings (id, caller_session_id, caller_name, started_at, expires_at) VALUES (?, ?, ?, ?, ?) RETURNING *',
+				id,
+				participant.sessionId,
+				participant.userName,
+				now,
+				now + RING_TIMEOUT_MS,
+			)
+			.one();
+		const roomName = this.getMeta('room_name');
+		const deliveries = [];
+		for (const subscription of subscriptions) {
+			const token = randomToken();
+			this.sql.exec(
+				"INSERT INTO ring_recipients (ring_id, endpoint, user_name, token_hash, status) VALUES (?, ?, ?, ?, 'ringing')",
+				id,
+				subscription.endpoint,
+				subscription.user_name,
+				await hashSecret(token),
+			);
+			const payload = {
+				type: 'ring',
+				ringId: id,
+				room: roomName,
+				callerName: participant.userName,
+				url: '/?' + new URLSearchParams({ room: roomName, ring: id, answer: token }),
+				declineUrl: '/api/rooms/' + encodeURIComponent(roomName) + '/rings/' + id + '/decline',
+				token,
+				expiresAt: ring.expires_at,
+			};
+			deliveries.push({ subscription, payload });
+		}
+		console.log(`DO: ${participant.userName} is ringing ${subscriptions.length} device(s).`);
+		this.logEvent('ring_started', participant, { ringId: id, devices: subscriptions.length });
+		this.broadcast('ringStarted', { ring: this.getRingInfo(ring) });
+		await this.scheduleAlarm();
+
+		const failed = await this.sendPushes(deliveries, { ttlSeconds: RING_TIMEOUT_MS / 1000, urgency: 'high' });
+		for (const endpoint of failed) {
+			this.sql.exec("UPDATE ring_recipients SET status = 'failed' WHERE ring_id = ? AND endpoint = ?", id, endpoint);
+		}
+		if (failed.length > 0) {
+			this.updateRing(id);
+		}
+	}
+
+	/**
+	 * Sends push messages to the room's devices, forgetting the devices whose browser dropped the subscription.
+	 *
+	 * @param deliveries - `{ subscription, payload }` for each device (subscription being a push_subscriptions row)
+	 * @param options - Passed on to sendWebPush
+	 * @returns The endpoints the push could not be delivered to
+	 */
+	async sendPushes(deliveries, options) {
+		const results = await Promise.allSettled(
+			deliveries.map(({ subscription, payload }) => sendWebPush(this.env, subscription, payload, options)),
+		);
+		const failed = [];
+		results.forEach((result, i) => {
+			const { endpoint } = deliveries[i].subscription;
+			if (result.status === 'fulfilled' && result.value.ok) {
+				return;
+			}
+			const status = result.status === 'fulfilled' ? result.value.status : null;
+			console.warn('DO: Pushing to a device failed:', status ?? result.reason);
+			// The browser dropped the subscription (uninstalled, permission revoked): stop pushing to it
+			if (status === 404 || status === 410) {
+				this.sql.exec('DELETE FROM push_subscriptions WHERE endpoint = ?', endpoint);
+			}
+			failed.push(endpoint);
+		});
+		return failed;
+	}
+
+	/**
+	 * Checks a ring answer token from a notification's link and marks that device as having answered.
+	 *
+	 * @param answer - `{ id, token }` from the join request, if any
+	 * @returns True when the token is valid
+	 */
+	async answerRing(answer) {
+		if (typeof answer?.id !== 'string' || typeof answer.token !== 'string') {
+			return false;
+		}
+		const recipient = await this.findRingRecipient(answer.id, answer.token);
+		if (!recipient) {
+			return false;
+		}
+		if (recipient.status !== 'answered') {
+			this.sql.exec("UPDATE ring_recipients SET status = 'answered' WHERE ring_id = ? AND endpoint = ?", answer.id, recipient.endpoint);
+			this.logEvent('ring_answered', { userName: recipient.user_name }, { ringId: answer.id });
+			this.updateRing(answer.id);
+		}
+		return true;
+	}
+
+	/**
+	 * Declines a ring from the notification. Declining after answering (or after the ring ended) changes nothing.
+	 */
+	async declineRing(request, ringId) {
+		const { token } = (await readJson(request)) || {};
+		const recipient = typeof token === 'string' ? await this.findRingRecipient(ringId, token) : null;
+		if (!recipient) {
+			return errorResponse(403, 'This ring link is invalid or has expired');
+		}
+		if (recipient.status === 'ringing') {
+			this.sql.exec("UPDATE ring_recipients SET status = 'declined' WHERE ring_id = ? AND endpoint = ?", ringId, recipient.endpoint);
+			this.logEvent('ring_declined', { userName: recipient.user_name }, { ringId });
+			this.updateRing(ringId);
+		}
+		return jsonResponse({ declined: recipient.status === 'ringing' });
+	}
+
+	/**
+	 * Finds the device a ring token was sent to, as long as the ring is recent enough to answer.
+	 */
+	async findRingRecipient(ringId, token) {
+		const recipient = this.sql
+			.exec(
+				`SELECT ring_recipients.* FROM ring_recipients JOIN rings ON rings.id = ring_recipients.ring_id
+				WHERE ring_id = ? AND token_hash = ? AND rings.started_at > ?`,
+				ringId,
+				await hashSecret(token),
+				Date.now() - RING_ANSWER_WINDOW_MS,
+			)
+			.toArray()[0];
+		return recipient ?? null;
+	}
+
+	/**
+	 * Tells the room how a ring is going, ending it once no device is still ringing.
+	 *
+	 * @param ringId - The ring's id
+	 */
+	updateRing(ringId) {
+		const ring = this.sql.exec('SELECT * FROM rings WHERE id = ?', ringId).toArray()[0];
+		if (!ring) {
+			return;
+		}
+		const stillRinging =
+			this.sql.exec("SELECT 1 FROM ring_recipients WHERE ring_id = ? AND status = 'ringing'", ringId).toArray().length > 0;
+		const updated =
+			ring.ended_at === null && !stillRinging
+				? this.sql.exec('UPDATE rings SET ended_at = ? WHERE id = ? RETURNING *', Date.now(), ringId).one()
+				: ring;
+		this.broadcast('ringUpdated', { ring: this.getRingInfo(updated) });
+	}
+
+	/**
+	 * Ends rings nobody answered in time (their devices count as missed), and forgets rings too old to answer.
+	 */
+	endExpiredRings() {
+		const now = Date.now();
+		for (const ring of this.sql.exec('SELECT * FROM rings WHERE ended_at IS NULL AND expires_at <= ?', now).toArray()) {
+			this.sql.exec("UPDATE ring_recipients SET status = 'missed' WHERE ring_id = ? AND status = 'ringing'", ring.id);
+			this.updateRing(ring.id);
+		}
+		this.sql.exec('DELETE FROM ring_recipients WHERE ring_id IN (SELECT id FROM rings WHERE started_at <= ?)', now - RING_ANSWER_WINDOW_MS);
+		this.sql.exec('DELETE FROM rings WHERE started_at <= ?', now - RING_ANSWER_WINDOW_MS);
+	}
+
+	/**
+	 * Schedules a call (or a series of them).
+	 *
+	 * @param request - The owner's request, with the schedule as its body (see parseSchedule)
+	 * @param params - Query parameters set by the Worker: `room` and `origin`, for the links in reminders
+	 */
+	async createSchedule(request, params) {
+		const schedule = parseSchedule(await readJson(request));
+		if (!schedule) {
+			return errorResponse(
+				400,
+				'Expected { title, start: "YYYY-MM-DDTHH:MM", timeZone, durationMinutes?, ' +
+					'repeat?: "never" | "daily" | "weekly", reminderMinutes? }',
+			);
+		}
+		if (this.sql.exec('SELECT COUNT(*) AS count FROM schedules').one().count >= MAX_SCHEDULES) {
+			return errorResponse(409, 'A room can have at most ' + MAX_SCHEDULES + ' scheduled calls');
+		}
+		this.setMeta('room_name', params.get('room'));
+		this.setMeta('origin', params.get('origin'));
+		const now = Date.now();
+		const remindFor = nextOccurrence(schedule, now);
+		const row = this.sql
+			.exec(
+				`INSERT INTO schedules
+				(id, title, start_local, time_zone, duration_minutes, repeats, reminder_minutes, created_at, remind_at, remind_for)
+				VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+				randomToken(9),
+				schedule.title,
+				schedule.start,
+				schedule.timeZone,
+				schedule.durationMinutes,
+				schedule.repeat,
+				schedule.reminderMinutes,
+				now,
+				remindFor === null ? null : remindFor - schedule.reminderMinutes * 60 * 1000,
+				remindFor,
+			)
+			.one();
+		this.logEvent('call_scheduled', null, { scheduleId: row.id, title: row.title });
+		await this.scheduleAlarm();
+		return jsonResponse(toSchedule(row), 201);
+	}
+
+	/**
+	 * Lists the room's schedules, the next call first. Anyone who knows the room name may see them, the same
+	 * way they could knock on the room.
+	 */
+	listSchedules() {
+		const schedules = this.sql
+			.exec('SELECT * FROM schedules')
+			.toArray()
+			.map(toSchedule)
+			.sort((a, b) => (a.nextStartsAt ?? Infinity) - (b.nextStartsAt ?? Infinity) || a.createdAt - b.createdAt);
+		return jsonResponse({ schedules });
+	}
+
+	async deleteSchedule(id) {
+		const { rowsWritten } = this.sql.exec('DELETE FROM schedules WHERE id = ?', id);
+		if (!rowsWritten) {
+			return errorResponse(404, 'No scheduled call with that id');
+		}
+		this.logEvent('call_unscheduled', null, { scheduleId: id });
+		await this.scheduleAlarm();
+		return jsonResponse({ deleted: true });
+	}
+
+	/**
+	 * Makes a new family member. The caller proves they may be in the room with a join token for it.
+	 *
+	 * @param request - The forwarded request, `{ token, displayName, color }`
+	 * @param params - The query parameters (`room`, `origin`)
+	 * @returns 201 `{ member: Profile, secret }`; the secret is only ever returned here
+	 */
+	async createMember(request, params) {
+		const body = (await readJson(request)) || {};
+		if (typeof body.token !== 'string' || !(await verifyJoinToken(this.env, body.token, params.get('room')))) {
+			return errorResponse(403, 'Expected a join token for this room');
+		}
+		const fields = parseProfileFields(body, true);
+		if (!fields) {
+			return errorResponse(400, 'Expected { token, displayName, color: "#rrggbb" }');
+		}
+		if (this.sql.exec('SELECT COUNT(*) AS count FROM members').one().count >= MAX_MEMBERS) {
+			return errorResponse(409, 'A room can have at most ' + MAX_MEMBERS + ' members');
+		}
+		this.setMeta('room_name', params.get('room'));
+		const secret = randomToken();
+		const now = Date.now();
+		const row = this.sql
+			.exec(
+				`INSERT INTO members (id, secret_hash, display_name, color, created_at, updated_at)
+				VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+				randomToken(16),
+				await hashSecret(secret),
+				fields.displayName,
+				fields.color,
+				now,
+				now,
+			)
+			.one();
+		this.logEvent('member_created', null, { memberId: row.id, displayName: row.display_name });
+		return jsonResponse({ member: this.toProfile(row), secret }, 201);
+	}
+
+	/**
+	 * Handles /members/:id/*. Editing needs the member's secret as the bearer token; the avatar itself is
+	 * public to anyone who has its URL, as an <img> cannot send one. The Worker moves the avatar bytes.
+	 *
+	 * @param request - The forwarded request
+	 * @param id - The member id
+	 * @param action - `/avatar-upload` (where to put a new avatar), `/avatar`, or undefined for the profile
+	 * @param params - The query parameters (`room`, `origin`)
+	 */
+	async handleMemberRequest(request, id, action, params) {
+		const row = this.sql.exec('SELECT * FROM members WHERE id = ?', id).toArray()[0];
+		if (action === '/avatar' && request.method === 'GET') {
+			if (!row || !row.avatar_type) {
+				return errorResponse(404, 'This member has no avatar');
+			}
+			return jsonResponse({ objectKey: avatarObjectKey(this.ctx.id.toString(), id), mimeType: row.avatar_type });
+		}
+		const secret = getBearerToken(request);
+		if (!row || !secret || (await hashSecret(secret)) !== row.secret_hash) {
+			return errorResponse(403, 'This member secret is not valid for the member');
+		}
+		this.setMeta('room_name', params.get('room'));
+		if (!action && request.method === 'PATCH') {
+			const fields = parseProfileFields(await readJson(request), false);
+			if (!fields) {
+				return errorResponse(400, 'Expected { displayName?, color?: "#rrggbb" }');
+			}
+			const updated = this.sql
+				.exec(
+					'UPDATE members SET display_name = ?, color = ?, updated_at = ? WHERE id = ? RETURNING *',
+					fields.displayName ?? row.display_name,
+					fields.color ?? row.color,
+					Date.now(),
+					id,
+				)
+				.one();
+			return jsonResponse({ member: this.updateMemberProfile(updated) });
+		}
+		if (action === '/avatar-upload' && request.method === 'GET') {
+			return jsonResponse({ objectKey: avatarObjectKey(this.ctx.id.toString(), id) });
+		}
+		if (action === '/avatar' && request.method === 'POST') {
+			// Sent by the Worker once the image is in R2
+			const { mimeType } = (await readJson(request)) || {};
+			if (!AVATAR_MIME_TYPES.includes(mimeType)) {
+				return errorResponse(400, 'Expected { mimeType }, one of ' + AVATAR_MIME_TYPES.join(', '));
+			}
+			const updated = this.sql
+				.exec(
+					'UPDATE members SET avatar_type = ?, avatar_version = avatar_version + 1, updated_at = ? WHERE id = ? RETURNING *',
+					mimeType,
+					Date.now(),
+					id,
+				)
+				.one();
+			return jsonResponse({ member: this.updateMemberProfile(updated) });
+		}
+		return errorResponse(404, 'Not Found');
+	}
+
+	/**
+	 * Turns a members row into the Profile participants see.
+	 */
+	toProfile(row) {
+		const avatarUrl = row.avatar_type
+			? '/api/rooms/' + encodeURIComponent(this.getMeta('room_name')) + '/members/' + row.id + '/avatar?v=' + row.avatar_version
+			: null;
+		return { memberId: row.id, displayName: row.display_name, color: row.color, avatarUrl };
+	}
+
+	/**
+	 * Looks up the member a joinRoom names, checking their secret.
+	 *
+	 * @returns The member's Profile, or null when the member does not exist or the secret is wrong
+	 */
+	async findMemberProfile(memberId, memberSecret) {
+		if (!memberId || !memberSecret) {
+			return null;
+		}
+		const row = this.sql.exec('SELECT * FROM members WHERE id = ?', memberId).toArray()[0];
+		return row && (await hashSecret(memberSecret)) === row.secret_hash ? this.toProfile(row) : null;
+	}
+
+	/**
+	 * Puts a member's edited profile on every session they are in the room with (connected or reconnecting)
+	 * and tells everyone.
+	 *
+	 * @param row - The updated members row
+	 * @returns The new Profile
+	 */
+	updateMemberProfile(row) {
+		const profile = this.toProfile(row);
+		const withProfile = (attachment) => ({
+			...attachment,
+			participant: { ...attachment.participant, userName: profile.displayName, profile },
+		});
+		for (const { ws, participant } of this.getParticipants()) {
+			if (participant.profile?.memberId === row.id) {
+				ws.serializeAttachment(withProfile(this.getAttachment(ws)));
+				this.broadcast('profileChanged', { sessionId: participant.sessionId, profile });
+			}
+		}
+		for (const attachment of this.getReconnecting()) {
+			if (attachment.participant.profile?.memberId === row.id) {
+				this.sql.exec(
+					'UPDATE reconnecting_participants SET attachment = ? WHERE session_id = ?',
+					JSON.stringify(withProfile(attachment)),
+					attachment.participant.sessionId,
+				);
+				this.broadcast('profileChanged', { sessionId: attachment.participant.sessionId, profile });
+			}
+		}
+		return profile;
+	}
+
+	/**
+	 * Sends the reminders that are due: to everyone in the room, to the registered devices of everyone who is
+	 * not, and to the reminder webhook. Then moves each schedule on to its next call.
+	 */
+	async sendDueReminders() {
+		const now = Date.now();
+		const due = this.sql.exec('SELECT * FROM schedules WHERE remind_at <= ?', now).toArray();
+		if (due.length === 0) {
+			return;
+		}
+		const roomName = this.getMeta('room_name');
+		const url = '/?' + new URLSearchParams({ room: roomName });
+		const subscriptions = this.getAbsentSubscriptions();
+		for (const row of due) {
+			const startsAt = row.remind_for;
+			const next = nextOccurrence(toSchedule(row), startsAt + 1);
+			this.sql.exec(
+				'UPDATE schedules SET remind_at = ?, remind_for = ? WHERE id = ?',
+				next === null ? null : next - row.reminder_minutes * 60 * 1000,
+				next,
+				row.id,
+			);
+			// The room was asleep past the whole call (e.g. a deploy): a late reminder would only confuse
+			if (startsAt + row.duration_minutes * 60 * 1000 <= now) {
+				continue;
+			}
+			console.log(`DO: Reminding the family of "${row.title}" at ${new Date(startsAt).toISOString()}.`);
+			this.logEvent('reminder_sent', null, { scheduleId: row.id, startsAt, devices: subscriptions.length });
+			this.broadcast('callStartingSoon', { schedule: toSchedule(row), startsAt });
+			const reminder = { room: roomName, title: row.title, startsAt, url };
+			const pushes = isPushConfigured(this.env)
+				? subscriptions.map((subscription) => ({ subscription, payload: { type: 'reminder', ...reminder } }))
+				: [];
+			const ttlSeconds = Math.max(60, Math.ceil((startsAt - now) / 1000));
+			const [webhook] = await Promise.allSettled([
+				sendReminderWebhook(this.env, { ...reminder, url: new URL(url, this.getMeta('origin')).toString() }),
+				this.sendPushes(pushes, { ttlSeconds, urgency: 'normal' }),
+			]);
+			if (webhook.status === 'rejected' || (webhook.value && !webhook.value.ok)) {
+				console.warn('DO: The reminder webhook failed:', webhook.reason ?? webhook.value.status);
+			}
+		}
+	}
+
+	async handleJoin(ws, message) {
+		const { sessionId, sessionToken, trackInfo, audioEnabled = true, videoEnabled = true, publicKey } = message;
+		const attachment = this.getAttachment(ws);
+		if (attachment.participant || attachment.pending) {
+			this.rejectMessage(ws, ERROR_CODES.ALREADY_JOINED, 'This socket has already joined the room');
+			return;
+		}
+		// Only the browser that created a Calls session holds its token, so nobody can impersonate another session
+		if (!(await verifySessionToken(this.env, sessionId, sessionToken))) {
+			this.rejectMessage(ws, ERROR_CODES.SESSION_NOT_OWNED, 'The session token does not match the sessionId');
+			return;
+		}
+		// Members join as their profile; anyone else (or a member whose secret does not check out) is a guest
+		const profile = (await this.findMemberProfile(message.memberId, message.memberSecret)) ?? toGuestProfile(message.userName);
+		const userName = profile.displayName;
+
+		// The same session coming back is a resume: either it is in its reconnect grace period, or the server
+		// has not noticed its old socket die yet (then the old socket is retired quietly).
+		const reconnecting = this.takeReconnecting(sessionId);
+		const stale = this.getParticipants(ws).find(({ participant }) => participant.sessionId === sessionId);
+		if (stale) {
+			stale.ws.serializeAttachment({ ...this.getAttachment(stale.ws), participant: null });
+			stale.ws.close(CLOSE_CODES.REPLACED, 'Replaced by a newer connection');
+		}
+		const resumed = !!(reconnecting || stale);
+		// Join tokens minted just before a lock are still refused; only the owner and returning participants get in
+		if (!resumed && !attachment.owner && this.isLocked()) {
+			this.send(ws, 'error', { code: ERROR_CODES.ROOM_LOCKED, reason: 'The host has locked this room' });
+			ws.close(CLOSE_CODES.ROOM_LOCKED, 'The host has locked this room');
+			return;
+		}
+		if (!resumed && this.isFull(ws)) {
+			this.refuseFullRoom(ws, sessionId);
+			return;
+		}
+		// With the waiting room on, newcomers wait until someone already inside lets them in. An empty room
+		// has nobody to ask, so the first person still walks straight in.
+		if (!resumed && !attachment.owner && this.getMeta('waiting_room') === '1' && this.getParticipants(ws).length > 0) {
+			const pending = { sessionId, userName, profile, trackInfo, audioEnabled, videoEnabled, publicKey, knockedAt: Date.now() };
+			ws.serializeAttachment({ ...attachment, pending });
+			console.log(`DO: ${userName} (${sessionId.substring(0, 8)}...) is waiting for approval.`);
+			this.logEvent('knocked', pending);
+			this.send(ws, 'waitingForApproval', {});
+			this.broadcast('knock', { sessionId, userName });
+			return;
+		}
+
+		await this.admitParticipant(ws, { ...message, userName, profile }, reconnecting, stale);
+	}
+
+	/**
+	 * Puts a participant into the room and runs the participantJoined / existingParticipants exchange.
+	 *
+	 * @param ws - The participant's socket
+	 * @param join - The (already validated) joinRoom fields
+	 * @param reconnecting - Their attachment from the reconnect grace period, when resuming
+	 * @param stale - Their previous, replaced socket entry, when resuming
+	 */
+	async admitParticipant(ws, join, reconnecting = null, stale = null) {
+		const { sessionId, userName, profile, trackInfo, audioEnabled = true, videoEnabled = true, publicKey = null } = join;
+		const attachment = this.getAttachment(ws);
+		const resumed = !!(reconnecting || stale);
+
+		// Store participant info on the socket itself so it survives hibernation
+		ws.serializeAttachment({
+			...attachment,
+			owner: attachment.owner || reconnecting?.owner === true,
+			pending: null,
+			participant: {
+				sessionId,
+				userName,
+				profile,
+				trackInfo,
+				audioEnabled,
+				videoEnabled,
+				publicKey,
+				joinedAt: reconnecting?.participant.joinedAt ?? stale?.participant.joinedAt ?? Date.now(),
+			},
+		});
+		console.log(`DO: Participant ${userName} (${sessionId.substring(0, 8)}...) ${resumed ? 'resumed' : 'joined'}.`);
+		this.logEvent(resumed ? 'resumed' : 'joined', { sessionId, userName });
+		this.trackCallJoin();
+
+		// Notify existing participants about the new (or returning) one
+		this.broadcast(resumed ? 'participantResumed' : 'participantJoined', toParticipantInfo(this.getAttachment(ws).participant), ws);
+
+		// The owner always takes the host role; otherwise the first person into a room without a host gets it
+		const hostSessionId = this.getMeta('host_session_id');
+		if (hostSessionId !== sessionId && (this.getAttachment(ws).owner || !hostSessionId || !this.findParticipantAttachment(hostSessionId))) {
+			this.setHost(sessionId);
+		}
+
+		// Send existing participants info to the newly joined participant, including anyone reconnecting
+		const existingParticipants = [
+			...this.getParticipants(ws).map(({ participant }) => ({ ...participant, reconnecting: false })),
+			...this.getReconnecting().map(({ participant }) => ({ ...participant, reconnecting: true })),
+		]
+			// Don't send self's info back to self as existing
+			.filter((participant) => participant.sessionId !== sessionId)
+			.map((participant) => ({ ...toParticipantInfo(participant), reconnecting: participant.reconnecting }));
+		const recording = this.getActiveRecording();
+		this.send(ws, 'existingParticipants', {
+			participants: existingParticipants,
+			hostSessionId: this.getMeta('host_session_id'),
+			locked: this.isLocked(),
+			waitingRoom: this.getMeta('waiting_room') === '1',
+			knocks: this.getPendingKnocks().map(({ pending }) => ({ sessionId: pending.sessionId, userName: pending.userName })),
+			recording: recording ? toRecordingInfo(recording) : null,
+			ring: this.getRingInfo(this.getActiveRing()),
+			encrypted: this.getMeta('encrypted') === '1',
+			profile,
+		});
+		// Followed by the most recent chat, so the newcomer can catch up on the conversation
+		this.send(ws, 'chatHistory', this.getChatHistory());
+		console.log(`DO: Sent existing participants to ${userName}.`);
+		await this.scheduleAlarm();
+	}
+
+	/**
+	 * Lists participants whose socket dropped and who may still resume.
+	 *
+	 * @returns Array of socket attachments (`{ owner, participant, ... }`)
+	 */
+	getReconnecting() {
+		return this.sql
+			.exec('SELECT attachment FROM reconnecting_participants ORDER BY expires_at')
+			.toArray()
+			.map((row) => JSON.parse(row.attachment));
+	}
+
+	/**
+	 * Removes a participant from the reconnecting list.
+	 *
+	 * @param sessionId - The participant's Calls session id
+	 * @returns The attachment they had before their socket dropped, or null if they were not reconnecting
+	 */
+	takeReconnecting(sessionId) {
+		const row = this.sql.exec('DELETE FROM reconnecting_participants WHERE session_id = ? RETURNING attachment', sessionId).toArray()[0];
+		return row ? JSON.parse(row.attachment) : null;
+	}
+
+	/**
+	 * Finds the attachment of a connected or reconnecting participant.
+	 *
+	 * @param sessionId - The participant's Calls session id
+	 * @returns The attachment, or null if the session is not part of the room
+	 */
+	findParticipantAttachment(sessionId) {
+		for (const ws of this.ctx.getWebSockets()) {
+			const attachment = this.getAttachment(ws);
+			if (attachment.participant?.sessionId === sessionId) {
+				return attachment;
+			}
+		}
+		const row = this.sql.exec('SELECT attachment FROM reconnecting_participants WHERE session_id = ?', sessionId).toArray()[0];
+		return row ? JSON.parse(row.attachment) : null;
+	}
+
+	/**
+	 * Reads one page of chat history.
+	 *
+	 * @param before - Only return messages with an id lower than this (omit for the latest page)
+	 * @param limit - Page size, at most LIMITS.chatHistoryPageSize
+	 * @returns `{ messages, hasMore }` with messages oldest first
+	 */
+	getChatHistory(before = Number.MAX_SAFE_INTEGER, limit = LIMITS.chatHistoryPageSize) {
+		// Fetch one extra row to find out whether there is an older page
+		const rows = this.sql.exec('SELECT * FROM chat_messages WHERE id < ? ORDER BY id DESC LIMIT ?', before, limit + 1).toArray();
+		return {
+			messages: rows.slice(0, limit).reverse().map(toChatMessage),
+			hasMore: rows.length > limit,
+		};
+	}
+
+	getChatRow(ws, id, participant) {
+		const row = this.sql.exec('SELECT * FROM chat_messages WHERE id = ?', id).toArray()[0];
+		if (!row) {
+			this.rejectMessage(ws, ERROR_CODES.NOT_FOUND, 'No chat message with id ' + id);
+			return null;
+		}
+		if (row.sender_session_id !== participant.sessionId) {
+			this.rejectMessage(ws, ERROR_CODES.FORBIDDEN, 'You can only change your own messages');
+			return null;
+		}
+		return row;
+	}
+
+	handleChatMessage(participant, { body }) {
+		const row = this.sql
+			.exec(
+				'INSERT INTO chat_messages (sender_session_id, sender_name, body, sent_at) VALUES (?, ?, ?, ?) RETURNING *',
+				participant.sessionId,
+				participant.userName,
+				body,
+				Date.now(),
+			)
+			.one();
+		// Everyone, including the sender, gets the stored message with its id
+		this.broadcast('chatMessage', { message: toChatMessage(row) });
+	}
+
+	handleChatEdit(ws, participant, { id, body }) {
+		if (!this.getChatRow(ws, id, participant)) {
+			return;
+		}
+		const row = this.sql.exec('UPDATE chat_messages SET body = ?, edited_at = ? WHERE id = ? RETURNING *', body, Date.now(), id).one();
+		this.broadcast('chatMessageEdited', { message: toChatMessage(row) });
+	}
+
+	handleChatDelete(ws, participant, { id }) {
+		if (!this.getChatRow(ws, id, participant)) {
+			return;
+		}
+		this.sql.exec('DELETE FROM chat_messages WHERE id = ?', id);
+		this.broadcast('chatMessageDeleted', { id });
+	}
+
+	async webSocketClose(ws, code, reason, wasClean) {
+		console.log('DO WebSocket closed:', code, reason);
+		// Complete the closing handshake; 1005/1006 are reserved and cannot be sent back
+		try {
+			ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+		} catch {
+			// Already closed
+		}
+		// 1000/1001 mean the browser left on purpose (Leave button, page closed); anything else may come back
+		this.handleDeparture(ws, code !== 1000 && code !== 1001);
+		await this.scheduleAlarm();
+	}
+
+	async webSocketError(ws, error) {
+		console.error('DO WebSocket error:', error);
+		this.handleDeparture(ws, true);
+		await this.scheduleAlarm();
+	}
+
+	/**
+	 * Handles the participant on a socket going away. Safe to call more than once per socket.
+	 *
+	 * @param ws - The socket that closed or errored
+	 * @param reconnectable - True to hold the participant as "reconnecting" for RECONNECT_GRACE_MS
+	 *   instead of announcing that they left
+	 */
+	handleDeparture(ws, reconnectable) {
+		const attachment = this.getAttachment(ws);
+		if (attachment.pending) {
+			ws.serializeAttachment({ ...attachment, pending: null });
+			this.broadcast('knockCancelled', { sessionId: attachment.pending.sessionId });
+			return;
+		}
+		const leaving = attachment.participant;
+		if (!leaving) {
+			return;
+		}
+		// Clear the participant so a later close/error event for the same socket doesn't announce it twice
+		ws.serializeAttachment({ ...attachment, participant: null });
+
+		// Another socket may have joined with the same session (e.g. a quick reload) - then nobody left
+		const stillPresent = this.getParticipants(ws).some(({ participant }) => participant.sessionId === leaving.sessionId);
+		if (stillPresent) {
+			return;
+		}
+		if (reconnectable) {
+			this.sql.exec(
+				'INSERT OR REPLACE INTO reconnecting_participants (session_id, attachment, expires_at) VALUES (?, ?, ?)',
+				leaving.sessionId,
+				JSON.stringify(attachment),
+				Date.now() + RECONNECT_GRACE_MS,
+			);
+			console.log(`DO: Participant ${leaving.sessionId.substring(0, 8)}... is reconnecting.`);
+			this.logEvent('reconnecting', leaving);
+			this.broadcast('participantReconnecting', { sessionId: leaving.sessionId }, ws);
+		} else {
+			console.log(`DO: Participant ${leaving.sessionId.substring(0, 8)}... left.`);
+			this.logEvent('left', leaving);
+			this.broadcast('participantLeft', { sessionId: leaving.sessionId }, ws);
+			this.handleParticipantGone(leaving.sessionId);
+		}
+		console.log('DO: Current participants:', this.getParticipants(ws).length);
+	}
+
+	/**
+	 * Makes sure the alarm fires in time for the earliest pending job: expiring a reconnect grace period,
+	 * saving a recording whose recorder never finished the upload, ending or forgetting a ring, the next
+	 * reminder of a scheduled call, or the next heartbeat check while any socket is connected.
+	 *
+	 * @param force - Replace the current alarm even if it is earlier (used from within alarm())
+	 */
+	async scheduleAlarm(force = false) {
+		const candidates = [];
+		const nextExpiry = this.sql.exec('SELECT MIN(expires_at) AS next FROM reconnecting_participants').one().next;
+		if (nextExpiry !== null) {
+			candidates.push(nextExpiry);
+		}
+		if (this.ctx.getWebSockets().length > 0) {
+			candidates.push(Date.now() + HEARTBEAT_INTERVAL_MS * 2);
+		}
+		const nextRecordingDeadline = this.sql.exec('SELECT MIN(finish_after) AS next FROM recordings WHERE completed_at IS NULL').one().next;
+		if (nextRecordingDeadline !== null) {
+			candidates.push(nextRecordingDeadline);
+		}
+		const { nextRingTimeout, nextRingCleanup } = this.sql
+			.exec('SELECT MIN(CASE WHEN ended_at IS NULL THEN expires_at END) AS nextRingTimeout, MIN(started_at) AS nextRingCleanup FROM rings')
+			.one();
+		if (nextRingTimeout !== null) {
+			candidates.push(nextRingTimeout);
+		}
+		if (nextRingCleanup !== null) {
+			candidates.push(nextRingCleanup + RING_ANSWER_WINDOW_MS);
+		}
+		const nextReminder = this.sql.exec('SELECT MIN(remind_at) AS next FROM schedules').one().next;
+		if (nextReminder !== null) {
+			candidates.push(nextReminder);
+		}
+		const historyExpiry = this.getNextHistoryExpiry();
+		if (historyExpiry !== null) {
+			const lastCleanup = Number(this.getMeta('history_cleaned_at') || 0);
+			candidates.push(Math.max(historyExpiry, lastCleanup + HISTORY_CLEANUP_INTERVAL_MS));
+		}
+		if (candidates.length === 0) {
+			await this.ctx.storage.deleteAlarm();
+			return;
+		}
+		const next = Math.min(...candidates);
+		const current = await this.ctx.storage.getAlarm();
+		if (force || current === null || next < current) {
+			await this.ctx.storage.setAlarm(next);
+		}
+	}
+
+	async alarm() {
+		this.closeDeadSockets();
+		this.expireReconnecting();
+		await this.finishAbandonedRecordings();
+		this.endExpiredRings();
+		await this.sendDueReminders();
+		const historyExpiry = this.getNextHistoryExpiry();
+		if (historyExpiry !== null && historyExpiry <= Date.now()) {
+			this.deleteExpiredHistory();
+			this.setMeta('history_cleaned_at', String(Date.now()));
+		}
+		await this.scheduleAlarm(true);
+	}
+
+	/**
+	 * Closes sockets whose client has stopped sending heartbeats; their participants go into the
+	 * reconnecting state, like any other dropped connection.
+	 */
+	closeDeadSockets() {
+		const now = Date.now();
+		for (const ws of this.ctx.getWebSockets()) {
+			const attachment = this.getAttachment(ws);
+			const lastPing = this.ctx.getWebSocketAutoResponseTimestamp(ws)?.getTime() ?? 0;
+			const lastSeen = Math.max(lastPing, attachment.connectedAt || 0);
+			if (now - lastSeen > HEARTBEAT_TIMEOUT_MS) {
+				console.log('DO: Closing socket without a heartbeat for', now - lastSeen, 'ms');
+				try {
+					ws.close(CLOSE_CODES.HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+				} catch {
+					// Already closed
+				}
+				this.handleDeparture(ws, true);
+			}
+		}
+	}
+
+	/**
+	 * Saves the recordings whose recorder stopped uploading (closed the tab, lost the connection for good).
+	 */
+	async finishAbandonedRecordings() {
+		const abandoned = this.sql.exec('SELECT * FROM recordings WHERE completed_at IS NULL AND finish_after <= ?', Date.now()).toArray();
+		for (const row of abandoned) {
+			console.log(`DO: Recording ${row.id} was not completed by its recorder; saving the parts that arrived.`);
+			try {
+				await this.finishRecording(row);
+			} catch (error) {
+				// finishRecording() pushed finish_after back, so this is retried later
+				console.error('DO: Could not save recording', row.id, error);
+			}
+		}
+	}
+
+	/**
+	 * Announces participantLeft for everyone whose reconnect grace period has run out.
+	 */
+	expireReconnecting() {
+		const expired = this.sql
+			.exec('DELETE FROM reconnecting_participants WHERE expires_at <= ? RETURNING session_id, attachment', Date.now())
+			.toArray();
+		for (const { session_id: sessionId, attachment } of expired) {
+			console.log(`DO: Participant ${sessionId.substring(0, 8)}... did not reconnect in time.`);
+			this.logEvent('left', JSON.parse(attachment).participant, { reason: 'reconnect_expired' });
+			this.broadcast('participantLeft', { sessionId });
+			this.handleParticipantGone(sessionId);
+		}
+	}
+};
+
+/**
+ * Picks the fields of a participant record that other participants get to see.
+ */
+function toParticipantInfo(participant) {
+	return {
+		sessionId: participant.sessionId,
+		// Participants from before profiles only have a name
+		profile: participant.profile ?? toGuestProfile(participant.userName),
+		trackInfo: participant.trackInfo,
+		// Records from before mute support have neither flag: treat them as unmuted
+		audioEnabled: participant.audioEnabled !== false,
+		videoEnabled: participant.videoEnabled !== false,
+		publicKey: participant.publicKey ?? null,
+	};
+}
+
+/**
+ * The profile of someone who joined without a member: just the name they typed.
+ */
+function toGuestProfile(userName) {
+	return { memberId: null, displayName: userName, color: null, avatarUrl: null };
+}
+
+/**
+ * Converts a room_events row into the shape returned by the admin events route.
+ */
+function toRoomEvent(row) {
+	return {
+		id: row.id,
+		type: row.type,
+		sessionId: row.session_id,
+		userName: row.user_name,
+		detail: row.detail === null ? null : JSON.parse(row.detail),
+		at: row.created_at,
+	};
+}
+
+/**
+ * Converts a call_sessions row into the shape used by the admin routes. Calls still in progress have
+ * no end and no duration yet.
+ */
+function toCallSession(row) {
+	return {
+		id: row.id,
+		startedAt: row.started_at,
+		endedAt: row.ended_at,
+		durationMs: row.ended_at === null ? null : row.ended_at - row.started_at,
+		peakParticipants: row.peak_participants,
+	};
+}
+
+/**
+ * Converts a recordings row into the Recording shape of the signaling protocol.
+ */
+function toRecordingInfo(row) {
+	return {
+		id: row.id,
+		recorderSessionId: row.recorder_session_id,
+		recorderName: row.recorder_name,
+		startedAt: row.started_at,
+	};
+}
+
+/**
+ * Converts a schedules row into the Schedule shape of the signaling protocol.
+ */
+function toSchedule(row) {
+	const schedule = {
+		id: row.id,
+		title: row.title,
+		start: row.start_local,
+		timeZone: row.time_zone,
+		durationMinutes: row.duration_minutes,
+		repeat: row.repeats,
+		reminderMinutes: row.reminder_minutes,
+		createdAt: row.created_at,
+	};
+	// A call that has started but not ended yet is still the next one
+	schedule.nextStartsAt = nextOccurrence(schedule, Date.now() - schedule.durationMinutes * 60 * 1000);
+	return schedule;
+}
+
+/**
+ * Converts a recordings row into the shape listed to the room owner.
+ */
+function toRecording(row) {
+	let status = 'recording';
+	if (row.size !== null) {
+		status = 'saved';
+	} else if (row.stopped_at !== null) {
+		status = 'uploading';
+	}
+	return {
+		...toRecordingInfo(row),
+		mimeType: row.mime_type,
+		stoppedAt: row.stopped_at,
+		size: row.size,
+		status,
+	};
+}
+
+// When one person has several devices, the best answer from any of them is theirs
+const RING_STATUS_ORDER = ['answered', 'ringing', 'declined', 'missed', 'failed'];
+
+/**
+ * Converts a rings row and its ring_recipients rows into the Ring sent to clients.
+ */
+function toRing(row, recipients) {
+	const byName = new Map();
+	for (const { user_name: userName, status } of recipients) {
+		const current = byName.get(userName);
+		if (!current || RING_STATUS_ORDER.indexOf(status) < RING_STATUS_ORDER.indexOf(current)) {
+			byName.set(userName, status);
+		}
+	}
+	return {
+		id: row.id,
+		callerSessionId: row.caller_session_id,
+		callerName: row.caller_name,
+		startedAt: row.started_at,
+		expiresAt: row.expires_at,
+		ended: row.ended_at !== null,
+		recipients: [...byName].map(([userName, status]) => ({ userName, status })),
+	};
+}
+
+/**
+ * Converts a chat_messages row into the ChatMessage shape of the signaling protocol.
+ */
+function toChatMessage(row) {
+	return {
+		id: row.id,
+		senderSessionId: row.sender_session_id,
+		senderName: row.sender_name,
+		body: row.body,
+		sentAt: row.sent_at,
+		editedAt: row.edited_at,
+	};
+}
+
+// 3. DEFAULT WORKER EXPORT AFTER ALL OTHER TOP-LEVEL DECLARATIONS
+var index_default = {
+	/**
+	 * This is the standard fetch handler for a Cloudflare Worker
+	 *
+	 * @param request - The request submitted to the Worker from the client
+	 * @param env - The interface to reference bindings declared in wrangler.jsonc
+	 * @param ctx - The execution context of the Worker
+	 * @returns The response to be sent back to the client
+	 */
+	async fetch(request, env, ctx) {
+		const url = new URL(request.url);
+
+		// Proxy Cloudflare Calls API requests so APP_TOKEN never leaves the Worker
+		if (url.pathname.startsWith('/api/calls/')) {
+			return handleCallsRequest(request, env);
+		}
+
+		// The VAPID key browsers subscribe to rings with (null when ringing is not set up)
+		if (url.pathname === '/api/push/public-key' && request.method === 'GET') {
+			return jsonResponse({ publicKey: env.VAPID_PUBLIC_KEY || null });
+		}
+
+		// Room ownership, invites and join tokens
+		if (url.pathname.startsWith('/api/rooms/')) {
+			return handleRoomRequest(request, env);
+		}
+
+		// Handle WebSocket connections for Durable Objects
+		if (url.pathname === '/websocket') {
+			const roomName = url.searchParams.get('room') || 'default-room';
+			const limited = await checkRateLimit(request, env, { connection: true, room: roomName });
+			if (limited) {
+				return limited;
+			}
+			let stub = getRoomStub(env, roomName);
+			// The DO checks the join token against this room name before accepting the upgrade
+			const doUrl = new URL(request.url);
+			doUrl.searchParams.set('room', roomName);
+			return stub.fetch(new Request(doUrl, request)); // Delegate the WebSocket request to the Durable Object
+		}
+
+		// Everything else is the client in public/ (index.html for /), or a 404 from the asset server.
+		// It holds no secrets: Calls requests go through /api/calls/.
+		return serveAsset(request, env);
 	},
 };
 
-export { ChatRoom, index_default as default };
+export { ChatRoom, RateLimiter, index_default as default };
@@ -0,0 +1,79 @@
+// members.js
+// Family members: the people who keep coming back to a room, each with a stable id, a display name, a colour
+// and an avatar. ChatRoom keeps the profiles, with a hash of each member's secret (the device keeps the secret
+// to prove who it is); these helpers validate profile edits and move avatar images between the Worker and the
+// RECORDINGS bucket, the same way recordings move.
+import { errorResponse } from './http.js';
+import { LIMITS } from '../public/js/protocol.js';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+/**
+ * Validates the profile fields a member sends.
+ *
+ * @param value - The untrusted body: `{ displayName?, color? }`
+ * @param required - Whether both fields must be there (creating a member) rather than either (editing one)
+ * @returns `{ displayName?, color? }` with the name trimmed and the colour lower-cased, or null when malformed
+ */
+export function parseProfileFields(value, required) {
+	const { displayName, color } = value || {};
+	const fields = {};
+	if (displayName !== undefined || required) {
+		if (typeof displayName !== 'string' || !displayName.trim() || displayName.trim().length > LIMITS.maxUserNameLength) {
+			return null;
+		}
+		fields.displayName = displayName.trim();
+	}
+	if (color !== undefined || required) {
+		if (typeof color !== 'string' || !COLOR_PATTERN.test(color.toLowerCase())) {
+			return null;
+		}
+		fields.color = color.toLowerCase();
+	}
+	return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Where a member's avatar is stored. Like recordings, keys are grouped by the room's Durable Object id.
+ *
+ * @param roomId - The ChatRoom's Durable Object id, as a string
+ * @param memberId - The member id
+ * @returns The R2 object key
+ */
+export function avatarObjectKey(roomId, memberId) {
+	return 'avatars/' + roomId + '/' + memberId;
+}
+
+/**
+ * Stores an avatar image, replacing the member's previous one.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param objectKey - The R2 object key
+ * @param bytes - The image
+ * @param mimeType - One of AVATAR_MIME_TYPES
+ */
+export async function storeAvatar(env, objectKey, bytes, mimeType) {
+	await env.RECORDINGS.put(objectKey, bytes, { httpMetadata: { contentType: mimeType } });
+}
+
+/**
+ * Serves an avatar image. Avatar URLs change with every new avatar, so browsers may keep them for good.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param avatar - `{ objectKey, mimeType }` as returned by ChatRoom
+ * @returns The response with the image
+ */
+export async function serveAvatar(env, { objectKey, mimeType }) {
+	const object = await env.RECORDINGS.get(objectKey);
+	if (!object) {
+		return errorResponse(404, 'The avatar image is missing');
+	}
+	return new Response(object.body, {
+		headers: {
+			'Content-Type': mimeType,
+			'Content-Length': String(object.size),
+			'Cache-Control': 'private, max-age=31536000, immutable',
+			ETag: object.httpEtag,
+		},
+	});
+}
@@ -0,0 +1,180 @@
+// rate-limiter.js
+// Per-IP limits on what a client may create, kept in a RateLimiter Durable Object (one instance per client IP)
+// so they hold across every Worker isolate. Four things are counted: signaling socket connections, rooms, Calls
+// sessions created (each billed to the app) and TURN credentials issued (each lets its holder relay media through
+// our TURN server).
+// `idFromName` makes a ChatRoom for any name at all, so every room name an IP has not used within the window
+// counts against its room limit; going back to a room it already used is free.
+import { DurableObject } from 'cloudflare:workers';
+import { jsonResponse, readJson } from './http.js';
+
+export const RATE_LIMITS = {
+	connections: { limit: 30, windowMs: 60 * 1000 },
+	rooms: { limit: 20, windowMs: 60 * 60 * 1000 },
+	// Enough for a household joining and rejoining calls, with an hourly renewal for everyone in them
+	turnCredentials: { limit: 30, windowMs: 60 * 60 * 1000 },
+	// One per join; a household joining a few calls an hour stays well within it
+	callsSessions: { limit: 30, windowMs: 60 * 60 * 1000 },
+};
+
+/**
+ * Writes a limit violation to the Worker's logs as a structured entry, so Workers Logs can filter on its fields.
+ *
+ * @param limit - Which limit was exceeded, e.g. `connections` or `messages`
+ * @param details - What to log with it (IP, room, session...)
+ */
+export function logLimitExceeded(limit, details) {
+	console.warn({ message: 'Limit exceeded: ' + limit, limit, ...details });
+}
+
+/**
+ * Counts a request against the caller's limits.
+ *
+ * @param request - The incoming request; the caller is identified by its CF-Connecting-IP header
+ * @param env - The Worker environment (needs the RATE_LIMITER binding)
+ * @param usage - What the request uses: `{ connection?: true, room?: name, turnCredentials?: true, callsSession?: true }`
+ * @returns A 429 response when a limit is exceeded, or null to carry on
+ */
+export async function checkRateLimit(request, env, { connection = false, room = null, turnCredentials = false, callsSession = false }) {
+	// Set by Cloudflare's edge on every request. Without it (a local test client) there is nobody to limit.
+	const ip = request.headers.get('CF-Connecting-IP');
+	if (!ip) {
+		return null;
+	}
+	const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(ip));
+	const response = await stub.fetch('https://rate-limiter.internal/check', {
+		method: 'POST',
+		body: JSON.stringify({ connection, room, turnCredentials, callsSession }),
+	});
+	const result = await response.json();
+	if (result.allowed) {
+		return null;
+	}
+	logLimitExceeded(result.limit, { ip, room, path: new URL(request.url).pathname });
+	const reason = LIMIT_REASONS[result.limit];
+	return jsonResponse({ error: reason }, 429, { 'Retry-After': String(result.retryAfterSeconds) });
+}
+
+const LIMIT_REASONS = {
+	connections: 'Too many connections from your network; try again later',
+	rooms: 'Too many different rooms from your network; try again later',
+	turnCredentials: 'Too many relay credentials requested from your network; try again later',
+	callsSessions: 'Too many calls joined from your network; try again later',
+};
+
+export class RateLimiter extends DurableObject {
+	/**
+	 * @param state - The interface for interacting with Durable Object state
+	 * @param env - The interface to reference bindings declared in wrangler.toml
+	 */
+	constructor(state, env) {
+		super(state, env);
+		this.sql = state.storage.sql;
+		this.initStorage();
+	}
+
+	/**
+	 * connections, calls_sessions and turn_credentials hold the time of each recent connection, session and
+	 * credential; rooms holds each room name used recently and when it was first used.
+	 */
+	initStorage() {
+		this.sql.exec(`
+			CREATE TABLE IF NOT EXISTS connections (
+				connected_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS rooms (
+				name TEXT PRIMARY KEY,
+				first_used_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS turn_credentials (
+				issued_at INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS calls_sessions (
+				created_at INTEGER NOT NULL
+			);
+		`);
+	}
+
+	async fetch(request) {
+		const url = new URL(request.url);
+		if (url.pathname === '/check' && request.method === 'POST') {
+			const { connection, room, turnCredentials, callsSession } = (await readJson(request)) || {};
+			return jsonResponse(
+				await this.check(connection === true, typeof room === 'string' ? room : null, turnCredentials === true, callsSession === true),
+			);
+		}
+		return new Response('Not Found', { status: 404 });
+	}
+
+	/**
+	 * Checks every limit and, only when none is exceeded, records the usage.
+	 *
+	 * @param connection - Whether the request opens a connection
+	 * @param room - The room it uses, if any
+	 * @param turnCredentials - Whether the request gets TURN credentials
+	 * @param callsSession - Whether the request creates a Calls session
+	 * @returns `{ allowed: true }`, or `{ allowed: false, limit, retryAfterSeconds }`
+	 */
+	async check(connection, room, turnCredentials = false, callsSession = false) {
+		const now = Date.now();
+		const { connections, rooms, turnCredentials: turnCredentialLimit, callsSessions } = RATE_LIMITS;
+		this.sql.exec('DELETE FROM connections WHERE connected_at <= ?', now - connections.windowMs);
+		this.sql.exec('DELETE FROM rooms WHERE first_used_at <= ?', now - rooms.windowMs);
+		this.sql.exec('DELETE FROM turn_credentials WHERE issued_at <= ?', now - turnCredentialLimit.windowMs);
+		this.sql.exec('DELETE FROM calls_sessions WHERE created_at <= ?', now - callsSessions.windowMs);
+
+		const newRoom = room !== null && this.sql.exec('SELECT 1 FROM rooms WHERE name = ?', room).toArray().length === 0;
+		if (newRoom) {
+			const { count, oldest } = this.sql.exec('SELECT COUNT(*) AS count, MIN(first_used_at) AS oldest FROM rooms').one();
+			if (count >= rooms.limit) {
+				return refusal('rooms', oldest + rooms.windowMs - now);
+			}
+		}
+		if (connection) {
+			const { count, oldest } = this.sql.exec('SELECT COUNT(*) AS count, MIN(connected_at) AS oldest FROM connections').one();
+			if (count >= connections.limit) {
+				return refusal('connections', oldest + connections.windowMs - now);
+			}
+		}
+		if (turnCredentials) {
+			const { count, oldest } = this.sql.exec('SELECT COUNT(*) AS count, MIN(issued_at) AS oldest FROM turn_credentials').one();
+			if (count >= turnCredentialLimit.limit) {
+				return refusal('turnCredentials', oldest + turnCredentialLimit.windowMs - now);
+			}
+		}
+
+		if (callsSession) {
+			const { count, oldest } = this.sql.exec('SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM calls_sessions').one();
+			if (count >= callsSessions.limit) {
+				return refusal('callsSessions', oldest + callsSessions.windowMs - now);
+			}
+		}
+
+		if (newRoom) {
+			this.sql.exec('INSERT INTO rooms (name, first_used_at) VALUES (?, ?)', room, now);
+		}
+		if (connection) {
+			this.sql.exec('INSERT INTO connections (connected_at) VALUES (?)', now);
+		}
+		if (turnCredentials) {
+			this.sql.exec('INSERT INTO turn_credentials (issued_at) VALUES (?)', now);
+		}
+		if (callsSession) {
+			this.sql.exec('INSERT INTO calls_sessions (created_at) VALUES (?)', now);
+		}
+		// Once the IP has been quiet for the longest window, everything stored has expired
+		await this.ctx.storage.setAlarm(now + Math.max(...Object.values(RATE_LIMITS).map(({ windowMs }) => windowMs)));
+		return { allowed: true };
+	}
+
+	alarm() {
+		this.sql.exec('DELETE FROM connections');
+		this.sql.exec('DELETE FROM rooms');
+		this.sql.exec('DELETE FROM turn_credentials');
+		this.sql.exec('DELETE FROM calls_sessions');
+	}
+}
+
+function refusal(limit, retryAfterMs) {
+	return { allowed: false, limit, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+}
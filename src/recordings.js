@@ -0,0 +1,89 @@
+// recordings.js
+// Call recordings in the RECORDINGS R2 bucket. The recorder's browser mixes the call into one stream and uploads it
+// as a multipart upload, part by part (see public/js/protocol.js). ChatRoom decides who may upload and remembers
+// which parts have arrived; these helpers move the bytes for it and for the Worker routes in rooms.js.
+import { errorResponse } from './http.js';
+
+const EXTENSIONS = { 'video/webm': 'webm', 'video/mp4': 'mp4' };
+
+/**
+ * Where a recording is stored. Keys are grouped by the room's Durable Object id, which never changes for a room name.
+ *
+ * @param roomId - The ChatRoom's Durable Object id, as a string
+ * @param recordingId - The recording id
+ * @param mimeType - The container, one of RECORDING_MIME_TYPES
+ * @returns The R2 object key
+ */
+export function recordingObjectKey(roomId, recordingId, mimeType) {
+	return 'recordings/' + roomId + '/' + recordingId + '.' + EXTENSIONS[mimeType];
+}
+
+/**
+ * Starts the multipart upload a recording is uploaded into.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param objectKey - The R2 object key
+ * @param mimeType - The recording's container
+ * @returns The upload id
+ */
+export async function createRecordingUpload(env, objectKey, mimeType) {
+	const upload = await env.RECORDINGS.createMultipartUpload(objectKey, { httpMetadata: { contentType: mimeType } });
+	return upload.uploadId;
+}
+
+/**
+ * Uploads one part. Uploading the same part number again replaces it, so a failed part can simply be retried.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param upload - `{ objectKey, uploadId }` as returned by ChatRoom
+ * @param partNumber - The part number, from 1
+ * @param bytes - The part's contents
+ * @returns `{ partNumber, etag, size }`
+ */
+export async function uploadRecordingPart(env, { objectKey, uploadId }, partNumber, bytes) {
+	const part = await env.RECORDINGS.resumeMultipartUpload(objectKey, uploadId).uploadPart(partNumber, bytes);
+	return { partNumber: part.partNumber, etag: part.etag, size: bytes.byteLength };
+}
+
+/**
+ * Turns the uploaded parts into the finished recording. An upload without any parts is aborted instead.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param upload - `{ objectKey, uploadId }`
+ * @param parts - `{ partNumber, etag }` for every uploaded part
+ * @returns The size of the recording in bytes, or null when there was nothing to keep
+ */
+export async function completeRecordingUpload(env, { objectKey, uploadId }, parts) {
+	const multipartUpload = env.RECORDINGS.resumeMultipartUpload(objectKey, uploadId);
+	if (parts.length === 0) {
+		await multipartUpload.abort();
+		return null;
+	}
+	const object = await multipartUpload.complete(
+		[...parts].sort((a, b) => a.partNumber - b.partNumber).map(({ partNumber, etag }) => ({ partNumber, etag })),
+	);
+	return object.size;
+}
+
+/**
+ * Downloads a finished recording as an attachment named after the time it started.
+ *
+ * @param env - The Worker environment (needs the RECORDINGS bucket)
+ * @param recording - `{ objectKey, mimeType, startedAt }` as returned by ChatRoom
+ * @returns The response streaming the recording
+ */
+export async function serveRecording(env, { objectKey, mimeType, startedAt }) {
+	const object = await env.RECORDINGS.get(objectKey);
+	if (!object) {
+		return errorResponse(404, 'The recording file is missing');
+	}
+	const filename = 'recording-' + new Date(startedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-') + '.' + EXTENSIONS[mimeType];
+	return new Response(object.body, {
+		headers: {
+			'Content-Type': mimeType,
+			'Content-Length': String(object.size),
+			'Content-Disposition': `attachment; filename="${filename}"`,
+			ETag: object.httpEtag,
+		},
+	});
+}
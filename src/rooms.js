@@ -0,0 +1,300 @@
+// rooms.js
+// Worker-side /api/rooms/:room/* routes. Room state (owner, invites) lives in the room's ChatRoom
+// Durable Object; these routes forward to it and mint join tokens for callers it lets in.
+import { createJoinToken, isAdminRequest, JOIN_TOKEN_TTL_SECONDS } from './auth.js';
+import { AVATAR_MIME_TYPES, LIMITS } from '../public/js/protocol.js';
+import { errorResponse, jsonResponse } from './http.js';
+import { serveAvatar, storeAvatar } from './members.js';
+import { checkRateLimit } from './rate-limiter.js';
+import { serveRecording, uploadRecordingPart } from './recordings.js';
+import { toICalendar } from './schedules.js';
+import { createTurnCredentials, isTurnConfigured } from './turn.js';
+
+const MAX_ROOM_NAME_LENGTH = 64;
+// R2 multipart uploads have at most 10000 parts
+const MAX_RECORDING_PARTS = 10000;
+
+/**
+ * Gets the ChatRoom Durable Object stub for a room name.
+ *
+ * @param env - The Worker environment (needs the CHAT_ROOM binding)
+ * @param roomName - The room name
+ * @returns The Durable Object stub
+ */
+export function getRoomStub(env, roomName) {
+	// Get or create DO instance for this room based on the roomName
+	const id = env.CHAT_ROOM.idFromName(roomName);
+	return env.CHAT_ROOM.get(id);
+}
+
+/**
+ * Forwards a request to an internal ChatRoom path, keeping the method, body and Authorization header.
+ *
+ * @param stub - The ChatRoom stub
+ * @param request - The original request
+ * @param path - The ChatRoom path, e.g. `/invites`
+ * @param roomName - The room name, passed along as the `room` query parameter (with the Worker's origin as `origin`)
+ * @param override - Optional `{ method, body }` to send instead of the original request's method and body
+ * @returns The Durable Object's response
+ */
+async function forwardToRoom(stub, request, path, roomName, override = {}) {
+	const url = new URL(path, 'https://chat-room.internal');
+	// Pass query parameters through (e.g. paging), but the room name always comes from the path
+	url.search = new URL(request.url).search;
+	url.searchParams.set('room', roomName);
+	url.searchParams.set('origin', new URL(request.url).origin);
+	const headers = new Headers({ 'Content-Type': 'application/json' });
+	if (request.headers.has('Authorization')) {
+		headers.set('Authorization', request.headers.get('Authorization'));
+	}
+	const method = override.method || request.method;
+	let body = override.body;
+	if (body === undefined && method !== 'GET' && method !== 'HEAD') {
+		// Buffer the body: the DO may answer without reading it, which must not leave a half-read stream behind
+		body = await request.text();
+	}
+	return stub.fetch(url.toString(), { method, headers, body });
+}
+
+/**
+ * Handles every request under /api/rooms/.
+ *
+ * POST   /api/rooms/:room/claim                        - make an unclaimed room private `{ sessionId, sessionToken }` (a
+ *                                                         participant, or the admin token); returns the owner secret
+ * GET    /api/rooms/:room/invites                      - (owner) list invites
+ * POST   /api/rooms/:room/invites                      - (owner) create an invite link `{ singleUse?, expiresInSeconds? }`
+ * DELETE /api/rooms/:room/invites/:id                  - (owner) revoke an invite
+ * POST   /api/rooms/:room/join                         - exchange an invite, ring answer or owner secret for a short-lived join token
+ * POST   /api/rooms/:room/turn-credentials             - short-lived TURN credentials `{ sessionId, sessionToken, token? }`, for
+ *                                                         a participant or (with a join token) someone about to join
+ * POST   /api/rooms/:room/push-subscriptions           - get rung for calls in the room `{ subscription, sessionId, sessionToken }`,
+ *                                                         or (owner) register someone's device `{ subscription, memberId | userName }`
+ * DELETE /api/rooms/:room/push-subscriptions           - stop getting rung `{ endpoint }`
+ * POST   /api/rooms/:room/rings/:id/decline            - decline a ring `{ token }` (the token from the push)
+ * GET    /api/rooms/:room/schedules                    - the room's scheduled calls, the next one first
+ * POST   /api/rooms/:room/schedules                    - (owner) schedule a call `{ title, start, timeZone, repeat?, ... }`
+ * DELETE /api/rooms/:room/schedules/:id                - (owner) cancel a scheduled call
+ * GET    /api/rooms/:room/calendar.ics                 - the scheduled calls as a calendar feed to subscribe to
+ * POST   /api/rooms/:room/members                      - become a family member `{ token, displayName, color }`; returns
+ *                                                         the profile and the member secret
+ * PATCH  /api/rooms/:room/members/:id                  - (member) edit the profile `{ displayName?, color? }`
+ * PUT    /api/rooms/:room/members/:id/avatar           - (member) upload a new avatar (the image as the body)
+ * GET    /api/rooms/:room/members/:id/avatar           - the member's avatar
+ * GET    /api/rooms/:room                              - (admin) who is in the room, with join times, tracks and lock state
+ * GET    /api/rooms/:room/events                       - (admin) the room's event log, `?after=<event id>&limit=<n>`
+ * GET    /api/rooms/:room/export                       - (admin) download the event log or call sessions,
+ *                                                         `?format=json|csv&table=events|calls`
+ * GET    /api/rooms/:room/recordings                   - (owner) list the room's recordings
+ * GET    /api/rooms/:room/recordings/:id               - (owner) download a finished recording
+ * GET    /api/rooms/:room/recordings/:id/upload        - (recorder) which parts have arrived, to resume an upload
+ * PUT    /api/rooms/:room/recordings/:id/parts/:number - (recorder) upload one part
+ * POST   /api/rooms/:room/recordings/:id/complete      - (recorder) finish the recording
+ *
+ * Owner routes expect `Authorization: Bearer <owner secret>`, admin routes `Authorization: Bearer <ADMIN_TOKEN>`,
+ * recorder routes `Authorization: Bearer <upload token>` (sent to the recorder in `recordingStarted`), member routes
+ * `Authorization: Bearer <member secret>`.
+ * Everything but the admin routes counts against the caller's room limit (src/rate-limiter.js) and may answer 429;
+ * TURN credentials the room agrees to hand out also count against the caller's credential limit.
+ *
+ * @param request - The request submitted to the Worker from the client
+ * @param env - The interface to reference bindings declared in wrangler.toml
+ * @returns The response to be sent back to the client
+ */
+export async function handleRoomRequest(request, env) {
+	const url = new URL(request.url);
+	const match = url.pathname.match(/^\/api\/rooms\/([^/]+)(\/.*)?$/);
+	if (!match) {
+		return errorResponse(404, 'Not Found');
+	}
+	let roomName;
+	try {
+		roomName = decodeURIComponent(match[1]);
+	} catch {
+		// A malformed escape such as %E0%A4%A
+		return errorResponse(400, 'Invalid room name');
+	}
+	const action = match[2] || '/';
+	if (roomName.length > MAX_ROOM_NAME_LENGTH) {
+		return errorResponse(400, 'Room names are limited to ' + MAX_ROOM_NAME_LENGTH + ' characters');
+	}
+	const stub = getRoomStub(env, roomName);
+
+	if ((action === '/' || action === '/events' || action === '/export') && request.method === 'GET') {
+		if (!(await isAdminRequest(request, env))) {
+			return errorResponse(401, 'Admin token required');
+		}
+		return forwardToRoom(stub, request, action === '/' ? '/inspect' : action, roomName);
+	}
+	const limited = await checkRateLimit(request, env, { room: roomName });
+	if (limited) {
+		return limited;
+	}
+	if (action === '/claim' && request.method === 'POST') {
+		return forwardToRoom(stub, request, '/claim', roomName);
+	}
+	if (action === '/invites' && (request.method === 'GET' || request.method === 'POST')) {
+		const response = await forwardToRoom(stub, request, '/invites', roomName);
+		if (request.method !== 'POST' || !response.ok) {
+			return response;
+		}
+		// Turn the bare invite code into a link the owner can share
+		const invite = await response.json();
+		const link = new URL('/', url.origin);
+		link.searchParams.set('room', roomName);
+		link.searchParams.set('invite', invite.code);
+		return jsonResponse({ ...invite, url: link.toString() }, 201);
+	}
+	if (action === '/recordings' && request.method === 'GET') {
+		return forwardToRoom(stub, request, '/recordings', roomName);
+	}
+	const recordingMatch = action.match(/^\/recordings\/([A-Za-z0-9_-]+)(\/.*)?$/);
+	if (recordingMatch) {
+		return handleRecordingRequest(request, env, stub, roomName, recordingMatch[1], recordingMatch[2] || '/');
+	}
+	if (action === '/members' && request.method === 'POST') {
+		return forwardToRoom(stub, request, '/members', roomName);
+	}
+	const memberMatch = action.match(/^\/members\/([A-Za-z0-9_-]+)(\/avatar)?$/);
+	if (memberMatch) {
+		return handleMemberRequest(request, env, stub, roomName, memberMatch[1], memberMatch[2] || '/');
+	}
+	const inviteMatch = action.match(/^\/invites\/([A-Za-z0-9_-]+)$/);
+	if (inviteMatch && request.method === 'DELETE') {
+		return forwardToRoom(stub, request, '/invites/' + inviteMatch[1], roomName);
+	}
+	if (action === '/push-subscriptions' && (request.method === 'POST' || request.method === 'DELETE')) {
+		return forwardToRoom(stub, request, '/push-subscriptions', roomName);
+	}
+	if (action === '/schedules' && (request.method === 'GET' || request.method === 'POST')) {
+		return forwardToRoom(stub, request, '/schedules', roomName);
+	}
+	const scheduleMatch = action.match(/^\/schedules\/([A-Za-z0-9_-]+)$/);
+	if (scheduleMatch && request.method === 'DELETE') {
+		return forwardToRoom(stub, request, '/schedules/' + scheduleMatch[1], roomName);
+	}
+	if (action === '/calendar.ics' && request.method === 'GET') {
+		const response = await forwardToRoom(stub, request, '/schedules', roomName);
+		if (!response.ok) {
+			return response;
+		}
+		const { schedules } = await response.json();
+		const link = new URL('/', url.origin);
+		link.searchParams.set('room', roomName);
+		return new Response(toICalendar(roomName, schedules, link.toString()), {
+			headers: {
+				'Content-Type': 'text/calendar;charset=UTF-8',
+				'Content-Disposition': 'inline; filename="family-calls.ics"',
+			},
+		});
+	}
+	const declineMatch = action.match(/^\/rings\/([A-Za-z0-9_-]+)\/decline$/);
+	if (declineMatch && request.method === 'POST') {
+		return forwardToRoom(stub, request, '/rings/' + declineMatch[1] + '/decline', roomName);
+	}
+	if (action === '/turn-credentials' && request.method === 'POST') {
+		// Without a TURN server, STUN is all there is
+		if (!isTurnConfigured(env)) {
+			return jsonResponse({ iceServers: [], expiresIn: null });
+		}
+		const response = await forwardToRoom(stub, request, '/turn-credentials', roomName);
+		if (!response.ok) {
+			return response;
+		}
+		// Only credentials the room agreed to hand out count against the limit
+		const turnLimited = await checkRateLimit(request, env, { turnCredentials: true });
+		if (turnLimited) {
+			return turnLimited;
+		}
+		const { sessionId } = await response.json();
+		return jsonResponse(await createTurnCredentials(env, sessionId));
+	}
+	if (action === '/join' && request.method === 'POST') {
+		const response = await forwardToRoom(stub, request, '/authorize', roomName);
+		if (!response.ok) {
+			return response;
+		}
+		const { owner } = await response.json();
+		return jsonResponse({
+			token: await createJoinToken(env, roomName, { owner }),
+			expiresIn: JOIN_TOKEN_TTL_SECONDS,
+		});
+	}
+	return errorResponse(404, 'Not Found');
+}
+
+/**
+ * Handles /api/rooms/:room/recordings/:id/*. ChatRoom checks the caller and knows where the recording lives;
+ * the bytes go straight between the Worker and the bucket.
+ */
+async function handleRecordingRequest(request, env, stub, roomName, recordingId, action) {
+	const path = '/recordings/' + recordingId;
+	if (action === '/' && request.method === 'GET') {
+		const response = await forwardToRoom(stub, request, path, roomName);
+		return response.ok ? serveRecording(env, await response.json()) : response;
+	}
+	if (action === '/upload' && request.method === 'GET') {
+		const response = await forwardToRoom(stub, request, path + '/upload', roomName);
+		// Where the recording lives in the bucket is none of the browser's business
+		return response.ok ? jsonResponse({ parts: (await response.json()).parts }) : response;
+	}
+	if (action === '/complete' && request.method === 'POST') {
+		return forwardToRoom(stub, request, path + '/complete', roomName);
+	}
+	const partMatch = action.match(/^\/parts\/(\d{1,5})$/);
+	if (partMatch && request.method === 'PUT') {
+		const partNumber = Number(partMatch[1]);
+		if (partNumber < 1 || partNumber > MAX_RECORDING_PARTS) {
+			return errorResponse(400, 'Part numbers go from 1 to ' + MAX_RECORDING_PARTS);
+		}
+		// Check the upload token (and that the recording is still open) before reading the part
+		const authorized = await forwardToRoom(stub, request, path + '/upload', roomName, { method: 'GET' });
+		if (!authorized.ok) {
+			return authorized;
+		}
+		const upload = await authorized.json();
+		const bytes = await request.arrayBuffer();
+		if (bytes.byteLength === 0 || bytes.byteLength > LIMITS.recordingPartBytes) {
+			return errorResponse(400, 'Parts must be between 1 and ' + LIMITS.recordingPartBytes + ' bytes');
+		}
+		const part = await uploadRecordingPart(env, upload, partNumber, bytes);
+		return forwardToRoom(stub, request, path + '/parts', roomName, { method: 'POST', body: JSON.stringify(part) });
+	}
+	return errorResponse(404, 'Not Found');
+}
+
+/**
+ * Handles /api/rooms/:room/members/:id/*. ChatRoom checks the member secret and keeps the profile; avatar images
+ * go straight between the Worker and the bucket.
+ */
+async function handleMemberRequest(request, env, stub, roomName, memberId, action) {
+	const path = '/members/' + memberId;
+	if (action === '/' && request.method === 'PATCH') {
+		return forwardToRoom(stub, request, path, roomName);
+	}
+	if (action !== '/avatar' || (request.method !== 'GET' && request.method !== 'PUT')) {
+		return errorResponse(404, 'Not Found');
+	}
+	if (!env.RECORDINGS) {
+		return errorResponse(503, 'Avatars are not enabled on this deployment');
+	}
+	if (request.method === 'GET') {
+		const response = await forwardToRoom(stub, request, path + '/avatar', roomName);
+		return response.ok ? serveAvatar(env, await response.json()) : response;
+	}
+	const mimeType = (request.headers.get('Content-Type') || '').split(';')[0].trim();
+	if (!AVATAR_MIME_TYPES.includes(mimeType)) {
+		return errorResponse(415, 'Avatars must be one of ' + AVATAR_MIME_TYPES.join(', '));
+	}
+	// Check the member secret before reading the image
+	const authorized = await forwardToRoom(stub, request, path + '/avatar-upload', roomName, { method: 'GET' });
+	if (!authorized.ok) {
+		return authorized;
+	}
+	const { objectKey } = await authorized.json();
+	const bytes = await request.arrayBuffer();
+	if (bytes.byteLength === 0 || bytes.byteLength > LIMITS.maxAvatarBytes) {
+		return errorResponse(413, 'Avatars must be between 1 and ' + LIMITS.maxAvatarBytes + ' bytes');
+	}
+	await storeAvatar(env, objectKey, bytes, mimeType);
+	return forwardToRoom(stub, request, path + '/avatar', roomName, { method: 'POST', body: JSON.stringify({ mimeType }) });
+}
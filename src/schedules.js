@@ -0,0 +1,196 @@
+// schedules.js
+// Scheduled family calls. A schedule is a wall-clock start time in the creator's time zone ("Sundays at 17:00,
+// Europe/London"), so a weekly call stays at 17:00 across daylight saving changes. ChatRoom stores the schedules
+// and sends the reminders; these helpers validate them, work out when they next happen, write the room's
+// calendar feed and call the reminder webhook.
+
+export const SCHEDULE_REPEATS = ['never', 'daily', 'weekly'];
+export const MAX_SCHEDULE_TITLE_LENGTH = 100;
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 12 * 60;
+const DEFAULT_REMINDER_MINUTES = 15;
+const MAX_REMINDER_MINUTES = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPEAT_DAYS = { daily: 1, weekly: 7 };
+const ICS_REPEAT_RULES = { daily: 'FREQ=DAILY', weekly: 'FREQ=WEEKLY' };
+
+/**
+ * Validates a schedule sent by the room owner.
+ *
+ * @param value - The untrusted body: `{ title, start, timeZone, durationMinutes?, repeat?, reminderMinutes? }`, where
+ *   `start` is a local date and time like `2026-10-25T17:00` and `timeZone` an IANA name like `Europe/London`
+ * @returns The schedule with defaults filled in, or null when it is malformed
+ */
+export function parseSchedule(value) {
+	const { title, start, timeZone, durationMinutes = DEFAULT_DURATION_MINUTES, repeat = 'weekly' } = value || {};
+	const reminderMinutes = value?.reminderMinutes ?? DEFAULT_REMINDER_MINUTES;
+	if (typeof title !== 'string' || !title.trim() || title.length > MAX_SCHEDULE_TITLE_LENGTH) {
+		return null;
+	}
+	if (typeof start !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(start) || Number.isNaN(Date.parse(start + 'Z'))) {
+		return null;
+	}
+	if (!isTimeZone(timeZone) || !SCHEDULE_REPEATS.includes(repeat)) {
+		return null;
+	}
+	if (!isWholeNumberIn(durationMinutes, 1, MAX_DURATION_MINUTES) || !isWholeNumberIn(reminderMinutes, 0, MAX_REMINDER_MINUTES)) {
+		return null;
+	}
+	return { title: title.trim(), start, timeZone, durationMinutes, repeat, reminderMinutes };
+}
+
+/**
+ * Works out when a schedule next starts.
+ *
+ * @param schedule - `{ start, timeZone, repeat }`
+ * @param after - A time (ms since the epoch); the occurrence returned starts at or after it
+ * @returns The start time (ms since the epoch), or null when a one-off call is already over
+ */
+export function nextOccurrence(schedule, after) {
+	// The start as if its wall-clock time were UTC; repeats are whole days of wall-clock time from it
+	const localStart = Date.parse(schedule.start + 'Z');
+	const first = zonedTimeToUtc(localStart, schedule.timeZone);
+	if (schedule.repeat === 'never') {
+		return first >= after ? first : null;
+	}
+	const periodMs = REPEAT_DAYS[schedule.repeat] * DAY_MS;
+	// Jump close, then step: an occurrence's length in real time changes by an hour around daylight saving changes
+	let count = Math.max(0, Math.floor((after - first) / periodMs) - 1);
+	let occurrence = zonedTimeToUtc(localStart + count * periodMs, schedule.timeZone);
+	while (occurrence < after) {
+		count++;
+		occurrence = zonedTimeToUtc(localStart + count * periodMs, schedule.timeZone);
+	}
+	return occurrence;
+}
+
+/**
+ * Writes a room's schedules as an iCalendar feed (RFC 5545) people can subscribe to from their calendar app.
+ *
+ * @param roomName - The room name, for the calendar's name
+ * @param schedules - The room's schedules, as listed by ChatRoom
+ * @param joinUrl - The link into the room
+ * @returns The feed
+ */
+export function toICalendar(roomName, schedules, joinUrl) {
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//familyrealtime//Scheduled calls//EN',
+		'CALSCALE:GREGORIAN',
+		'X-WR-CALNAME:' + escapeText('Family calls: ' + roomName),
+	];
+	for (const schedule of schedules) {
+		// Calendar apps resolve IANA time zone ids themselves, so no VTIMEZONE definitions are included
+		lines.push(
+			'BEGIN:VEVENT',
+			'UID:' + schedule.id + '@familyrealtime',
+			'DTSTAMP:' + toIcsUtc(schedule.createdAt),
+			'DTSTART;TZID=' + schedule.timeZone + ':' + schedule.start.replace(/[-:]/g, '') + '00',
+			'DURATION:PT' + schedule.durationMinutes + 'M',
+		);
+		if (schedule.repeat !== 'never') {
+			lines.push('RRULE:' + ICS_REPEAT_RULES[schedule.repeat]);
+		}
+		lines.push('SUMMARY:' + escapeText(schedule.title), 'URL:' + joinUrl, 'DESCRIPTION:' + escapeText('Join the call: ' + joinUrl));
+		if (schedule.reminderMinutes > 0) {
+			lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT' + schedule.reminderMinutes + 'M');
+			lines.push('DESCRIPTION:' + escapeText(schedule.title), 'END:VALARM');
+		}
+		lines.push('END:VEVENT');
+	}
+	lines.push('END:VCALENDAR');
+	return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Posts a reminder to the webhook in REMINDER_WEBHOOK_URL (a family chat bot, a home assistant...), if there is one.
+ *
+ * @param env - The Worker environment
+ * @param reminder - `{ room, title, startsAt, url }`
+ * @returns The webhook's response, or null when no webhook is configured
+ */
+export async function sendReminderWebhook(env, reminder) {
+	if (!env.REMINDER_WEBHOOK_URL) {
+		return null;
+	}
+	return fetch(env.REMINDER_WEBHOOK_URL, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ type: 'callStartingSoon', ...reminder }),
+	});
+}
+
+function isTimeZone(timeZone) {
+	if (typeof timeZone !== 'string' || !timeZone) {
+		return false;
+	}
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+function isWholeNumberIn(value, min, max) {
+	return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a real time. A time skipped by a daylight saving change comes
+ * out an hour later; a time that happens twice is the first of the two.
+ *
+ * @param localTime - The wall-clock time, as if it were UTC (ms)
+ * @param timeZone - The IANA time zone
+ * @returns The time (ms since the epoch)
+ */
+function zonedTimeToUtc(localTime, timeZone) {
+	const guess = localTime - timeZoneOffset(timeZone, localTime);
+	return localTime - timeZoneOffset(timeZone, guess);
+}
+
+// How far ahead of UTC the zone's clocks are at the given time (ms)
+function timeZoneOffset(timeZone, time) {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: 'numeric',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: 'numeric',
+		second: 'numeric',
+	}).formatToParts(time);
+	const get = (type) => Number(parts.find((part) => part.type === type).value);
+	const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+	return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+function toIcsUtc(time) {
+	return new Date(time)
+		.toISOString()
+		.replace(/[-:]/g, '')
+		.replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+	return text.replace(/[\\;,]/g, (char) => '\\' + char).replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+	const chunks = [];
+	let rest = line;
+	while (new TextEncoder().encode(rest).length > 75) {
+		let length = 74;
+		// Don't split a multi-byte character
+		while (new TextEncoder().encode(rest.slice(0, length)).length > 74 || /[\uD800-\uDBFF]/.test(rest[length - 1])) {
+			length--;
+		}
+		chunks.push(rest.slice(0, length));
+		rest = rest.slice(length);
+	}
+	chunks.push(rest);
+	return chunks.join('\r\n ');
+}
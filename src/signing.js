@@ -0,0 +1,74 @@
+// signing.js
+// HMAC-SHA256 helpers used to sign values handed out to browsers (Calls session ownership, join tokens).
+
+const encoder = new TextEncoder();
+
+/**
+ * Encodes bytes as unpadded base64url.
+ *
+ * @param bytes - An ArrayBuffer or Uint8Array
+ * @returns The base64url string
+ */
+export function base64UrlEncode(bytes) {
+	const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+	let binary = '';
+	for (const byte of view) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes an unpadded base64url string.
+ *
+ * @param value - The base64url string
+ * @returns The decoded bytes, or null when the input is not valid base64url
+ */
+export function base64UrlDecode(value) {
+	if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+		return null;
+	}
+	const base64 = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4);
+	try {
+		return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+	} catch {
+		return null;
+	}
+}
+
+async function importHmacKey(secret) {
+	if (!secret) {
+		throw new Error('Signing secret is not configured');
+	}
+	return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Signs a string with HMAC-SHA256.
+ *
+ * @param secret - The Worker secret used as the HMAC key
+ * @param value - The string to sign
+ * @returns The base64url encoded signature
+ */
+export async function sign(secret, value) {
+	const key = await importHmacKey(secret);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+	return base64UrlEncode(signature);
+}
+
+/**
+ * Verifies an HMAC-SHA256 signature in constant time.
+ *
+ * @param secret - The Worker secret used as the HMAC key
+ * @param value - The string that was signed
+ * @param signature - The base64url encoded signature to check
+ * @returns True when the signature matches
+ */
+export async function verify(secret, value, signature) {
+	const signatureBytes = base64UrlDecode(signature);
+	if (!signatureBytes) {
+		return false;
+	}
+	const key = await importHmacKey(secret);
+	return crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(value));
+}
@@ -0,0 +1,44 @@
+// turn.js
+// Short-lived TURN credentials, for relatives behind networks that block WebRTC's direct paths (hospitals,
+// offices). They follow the time-limited scheme TURN servers share with coturn's `use-auth-secret`: the username
+// is `<expiry>:<user>` and the password the base64 HMAC-SHA1 of the username under TURN_SECRET, so the TURN
+// server can check them with the shared secret alone, without asking the Worker.
+//
+// TURN_URLS lists the servers, e.g. "turn:turn.example.com:3478?transport=udp turns:turn.example.com:5349".
+// Pointing it at a local coturn (`turnserver --use-auth-secret --static-auth-secret=<TURN_SECRET>`) is enough
+// to test relayed calls on one machine.
+
+export const TURN_CREDENTIAL_TTL_SECONDS = 60 * 60;
+
+const encoder = new TextEncoder();
+
+/**
+ * Whether this deployment has a TURN server to hand out credentials for.
+ *
+ * @param env - The Worker environment
+ */
+export function isTurnConfigured(env) {
+	return !!env.TURN_SECRET && parseTurnUrls(env.TURN_URLS).length > 0;
+}
+
+/**
+ * Mints TURN credentials.
+ *
+ * @param env - The Worker environment (needs TURN_SECRET and TURN_URLS)
+ * @param userId - Who the credentials are for (the Calls session id), so the TURN server's logs can tell callers apart
+ * @param now - The current time (ms since the epoch)
+ * @returns `{ iceServers, expiresIn }`: RTCIceServer entries to add to the peer connection, and their lifetime in seconds
+ */
+export async function createTurnCredentials(env, userId, now = Date.now()) {
+	const username = Math.floor(now / 1000) + TURN_CREDENTIAL_TTL_SECONDS + ':' + userId;
+	const key = await crypto.subtle.importKey('raw', encoder.encode(env.TURN_SECRET), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+	const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(username)));
+	return {
+		iceServers: [{ urls: parseTurnUrls(env.TURN_URLS), username, credential: btoa(String.fromCharCode(...signature)) }],
+		expiresIn: TURN_CREDENTIAL_TTL_SECONDS,
+	};
+}
+
+function parseTurnUrls(value) {
+	return typeof value === 'string' ? value.split(/[\s,]+/).filter((url) => /^turns?:/.test(url)) : [];
+}
@@ -0,0 +1,167 @@
+// web-push.js
+// Sends Web Push messages (RFC 8030) without a library: the payload is encrypted for the subscriber with
+// aes128gcm (RFC 8291) and the request is signed with the server's VAPID key (RFC 8292), all with WebCrypto.
+//
+// Keys come from `npx web-push generate-vapid-keys` (or any P-256 key pair): VAPID_PUBLIC_KEY is the
+// base64url uncompressed public point browsers subscribe with, VAPID_PRIVATE_KEY the base64url private scalar.
+import { base64UrlDecode, base64UrlEncode } from './signing.js';
+
+// Push services browsers hand out subscriptions for. Subscriptions elsewhere are refused, so a client cannot
+// make the Worker post to arbitrary URLs. PUSH_SERVICE_HOSTS replaces the list (e.g. for a local stand-in).
+const DEFAULT_PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'push.services.mozilla.com', 'push.apple.com', 'notify.windows.com'];
+const DEFAULT_VAPID_SUBJECT = 'mailto:admin@example.com';
+// VAPID tokens may live up to 24 hours
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+// One record holds the whole payload; push services accept about 4 KiB
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD_BYTES = 3000;
+
+const encoder = new TextEncoder();
+
+/**
+ * Checks whether the server has a VAPID key pair to send pushes with.
+ *
+ * @param env - The Worker environment
+ */
+export function isPushConfigured(env) {
+	return !!(env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY);
+}
+
+/**
+ * Validates a PushSubscription (as serialised by `subscription.toJSON()` in the browser).
+ *
+ * @param env - The Worker environment (PUSH_SERVICE_HOSTS is optional)
+ * @param value - The untrusted subscription
+ * @returns `{ endpoint, p256dh, auth }`, or null when it is malformed or not for a known push service
+ */
+export function parsePushSubscription(env, value) {
+	const { endpoint, keys } = value || {};
+	let url;
+	try {
+		url = new URL(endpoint);
+	} catch {
+		return null;
+	}
+	const hosts = env.PUSH_SERVICE_HOSTS ? env.PUSH_SERVICE_HOSTS.split(',').map((host) => host.trim()) : DEFAULT_PUSH_SERVICE_HOSTS;
+	const knownHost = hosts.some((host) => url.hostname === host || url.hostname.endsWith('.' + host));
+	if (url.protocol !== 'https:' || !knownHost || endpoint.length > 1024) {
+		return null;
+	}
+	// An uncompressed P-256 point and a 16-byte secret
+	if (base64UrlDecode(keys?.p256dh)?.length !== 65 || base64UrlDecode(keys?.auth)?.length !== 16) {
+		return null;
+	}
+	return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+}
+
+/**
+ * Sends one push message.
+ *
+ * @param env - The Worker environment (needs VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY; VAPID_SUBJECT is optional)
+ * @param subscription - `{ endpoint, p256dh, auth }` as returned by parsePushSubscription
+ * @param payload - Any JSON-serialisable value, delivered to the service worker's `push` event
+ * @param options.ttlSeconds - How long the push service should keep trying to deliver it
+ * @param options.urgency - `very-low`, `low`, `normal` or `high`
+ * @returns The push service's response: 201 when accepted, 404 or 410 when the subscription is gone
+ */
+export async function sendWebPush(env, subscription, payload, { ttlSeconds, urgency = 'normal' }) {
+	const body = await encryptPayload(subscription, encoder.encode(JSON.stringify(payload)));
+	return fetch(subscription.endpoint, {
+		method: 'POST',
+		headers: {
+			Authorization: 'vapid t=' + (await createVapidToken(env, new URL(subscription.endpoint).origin)) + ', k=' + env.VAPID_PUBLIC_KEY,
+			'Content-Encoding': 'aes128gcm',
+			'Content-Type': 'application/octet-stream',
+			TTL: String(ttlSeconds),
+			Urgency: urgency,
+		},
+		body,
+	});
+}
+
+/**
+ * Signs the VAPID JWT that identifies this server to the push service.
+ *
+ * @param env - The Worker environment
+ * @param audience - The push service origin
+ * @returns The ES256 JWT
+ */
+async function createVapidToken(env, audience) {
+	const publicKey = base64UrlDecode(env.VAPID_PUBLIC_KEY);
+	const key = await crypto.subtle.importKey(
+		'jwk',
+		{
+			kty: 'EC',
+			crv: 'P-256',
+			x: base64UrlEncode(publicKey.slice(1, 33)),
+			y: base64UrlEncode(publicKey.slice(33, 65)),
+			d: env.VAPID_PRIVATE_KEY,
+		},
+		{ name: 'ECDSA', namedCurve: 'P-256' },
+		false,
+		['sign'],
+	);
+	const header = base64UrlEncode(encoder.encode(JSON.stringify({ typ: 'JWT', alg: 'ES256' })));
+	const claims = base64UrlEncode(
+		encoder.encode(
+			JSON.stringify({
+				aud: audience,
+				exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+				sub: env.VAPID_SUBJECT || DEFAULT_VAPID_SUBJECT,
+			}),
+		),
+	);
+	// WebCrypto produces the raw r || s signature JWS expects
+	const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, encoder.encode(header + '.' + claims));
+	return header + '.' + claims + '.' + base64UrlEncode(signature);
+}
+
+/**
+ * Encrypts a payload for one subscriber as a single aes128gcm record (RFC 8291 section 3).
+ *
+ * @param subscription - `{ p256dh, auth }`
+ * @param plaintext - The payload bytes
+ * @returns The request body: the aes128gcm header followed by the ciphertext
+ */
+async function encryptPayload({ p256dh, auth }, plaintext) {
+	if (plaintext.length > MAX_PAYLOAD_BYTES) {
+		throw new Error('Push payloads are limited to ' + MAX_PAYLOAD_BYTES + ' bytes');
+	}
+	const subscriberKey = base64UrlDecode(p256dh);
+	const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+	const serverKey = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+	const subscriberPublicKey = await crypto.subtle.importKey('raw', subscriberKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+	const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: subscriberPublicKey }, ephemeral.privateKey, 256);
+
+	const keyInfo = concat(encoder.encode('WebPush: info\0'), subscriberKey, serverKey);
+	const inputKey = await hkdf(base64UrlDecode(auth), sharedSecret, keyInfo, 32);
+	const salt = crypto.getRandomValues(new Uint8Array(16));
+	const contentKey = await hkdf(salt, inputKey, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+	const nonce = await hkdf(salt, inputKey, encoder.encode('Content-Encoding: nonce\0'), 12);
+
+	const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+	// 0x02 marks the last (here: only) record
+	const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, aesKey, concat(plaintext, new Uint8Array([2])));
+
+	const header = new Uint8Array(16 + 4 + 1 + serverKey.length);
+	header.set(salt, 0);
+	new DataView(header.buffer).setUint32(16, RECORD_SIZE);
+	header[20] = serverKey.length;
+	header.set(serverKey, 21);
+	return concat(header, new Uint8Array(ciphertext));
+}
+
+async function hkdf(salt, inputKeyMaterial, info, length) {
+	const key = await crypto.subtle.importKey('raw', inputKeyMaterial, 'HKDF', false, ['deriveBits']);
+	return new Uint8Array(await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8));
+}
+
+function concat(...arrays) {
+	const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+	let offset = 0;
+	for (const array of arrays) {
+		result.set(array, offset);
+		offset += array.length;
+	}
+	return result;
+}
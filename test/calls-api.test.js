@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { CallsApiClient, readCallsResponse } from '../public/js/calls-api.js';
+import { FakeCallsApi } from './fakes/fake-calls-api.js';
+
+describe('CallsApiClient', () => {
+	it('creates a session and presents its token on later calls', async () => {
+		const api = new FakeCallsApi();
+		const calls = new CallsApiClient({ fetch: api.fetch });
+
+		expect(await calls.createSession('family', 'join-token')).toBe('session1');
+		expect(calls.sessionToken).toBe('token-session1');
+		expect(api.requestsTo('/sessions/new')[0].body).toEqual({ room: 'family', token: 'join-token' });
+
+		await calls.push({ type: 'offer', sdp: 'offer-sdp' }, [{ mid: '0', trackName: 'mic', kind: 'audio' }]);
+		const [push] = api.requestsTo('/tracks/push');
+		expect(push.path).toBe('/api/calls/sessions/session1/tracks/push');
+		expect(push.headers.Authorization).toBe('Bearer token-session1');
+		expect(push.body).toEqual({
+			sessionDescription: { type: 'offer', sdp: 'offer-sdp' },
+			tracks: [{ location: 'local', mid: '0', trackName: 'mic' }],
+		});
+	});
+
+	it('pulls remote tracks with their simulcast preference', async () => {
+		const api = new FakeCallsApi();
+		api.addRemoteSession('alice', ['alice-mic', 'alice-cam']);
+		const calls = new CallsApiClient({ fetch: api.fetch });
+		await calls.createSession();
+
+		const response = await calls.pull([
+			{ sessionId: 'alice', trackName: 'alice-mic' },
+			{ sessionId: 'alice', trackName: 'alice-cam', simulcast: { preferredRid: 'b' } },
+		]);
+
+		expect(api.requestsTo('/tracks/pull')[0].body.tracks).toEqual([
+			{ location: 'remote', sessionId: 'alice', trackName: 'alice-mic' },
+			{ location: 'remote', sessionId: 'alice', trackName: 'alice-cam', simulcast: { preferredRid: 'b' } },
+		]);
+		expect(response.tracks.map((track) => track.mid)).toEqual(['0', '1']);
+	});
+
+	it('closes tracks by mid with our offer', async () => {
+		const api = new FakeCallsApi();
+		const calls = new CallsApiClient({ fetch: api.fetch });
+		await calls.createSession();
+
+		await calls.closeTracks(['2', '3'], { type: 'offer', sdp: 'close-offer' });
+
+		expect(api.requestsTo('/tracks/close')[0]).toMatchObject({
+			method: 'PUT',
+			body: { tracks: [{ mid: '2' }, { mid: '3' }], sessionDescription: { type: 'offer', sdp: 'close-offer' }, force: false },
+		});
+	});
+
+	it('throws on proxy errors', async () => {
+		const api = new FakeCallsApi();
+		const calls = new CallsApiClient({ fetch: api.fetch });
+		await calls.createSession();
+		calls.sessionToken = 'stolen';
+
+		await expect(calls.renegotiate({ type: 'answer', sdp: 'x' })).rejects.toThrow('You do not own this session');
+	});
+});
+
+describe('readCallsResponse', () => {
+	it('turns Calls API errors in a 200 response into exceptions', async () => {
+		const response = new Response(JSON.stringify({ errorCode: 'bad', errorDescription: 'Bad SDP' }), { status: 200 });
+		await expect(readCallsResponse(response)).rejects.toThrow('Bad SDP');
+	});
+});
@@ -0,0 +1,147 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MediaEncryption, unwrapMediaKey, verificationCode, wrapMediaKey } from '../public/js/e2ee.js';
+import { decryptFrame, encryptFrame } from '../public/js/frame-crypto.js';
+
+function aesKey() {
+	return crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, false, ['encrypt', 'decrypt']);
+}
+
+async function ecdhKeyPair() {
+	const keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+	const raw = new Uint8Array(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+	const publicKey = Buffer.from(raw).toString('base64url');
+	return { privateKey: keyPair.privateKey, publicKey };
+}
+
+const FRAME = Uint8Array.from({ length: 40 }, (_, i) => i);
+
+describe('encryptFrame and decryptFrame', () => {
+	it('round-trips a frame, leaving the codec header readable', async () => {
+		const key = await aesKey();
+		const encrypted = new Uint8Array(await encryptFrame(FRAME.buffer, 'key', key, 7));
+		expect([...encrypted.subarray(0, 10)]).toEqual([...FRAME.subarray(0, 10)]);
+		expect([...encrypted.subarray(10, 40)]).not.toEqual([...FRAME.subarray(10, 40)]);
+		expect(encrypted[encrypted.length - 1]).toBe(7);
+
+		const decrypted = await decryptFrame(encrypted.buffer, 'key', new Map([[7, key]]));
+		expect(new Uint8Array(decrypted)).toEqual(FRAME);
+		// Audio keeps only its first byte in the clear
+		const audio = await encryptFrame(FRAME.buffer, undefined, key, 7);
+		expect(new Uint8Array(await decryptFrame(audio, undefined, new Map([[7, key]])))).toEqual(FRAME);
+	});
+
+	it('drops frames it has no key for, and frames that were tampered with', async () => {
+		const key = await aesKey();
+		const encrypted = new Uint8Array(await encryptFrame(FRAME.buffer, 'delta', key, 1));
+		expect(await decryptFrame(encrypted.buffer, 'delta', new Map([[2, key]]))).toBeNull();
+		expect(await decryptFrame(encrypted.buffer, 'delta', new Map([[1, await aesKey()]]))).toBeNull();
+
+		const tampered = encrypted.slice();
+		// The header is in the clear but still authenticated
+		tampered[0] ^= 1;
+		expect(await decryptFrame(tampered.buffer, 'delta', new Map([[1, key]]))).toBeNull();
+		// An unencrypted frame too short to carry a trailer
+		expect(await decryptFrame(new Uint8Array(8).buffer, 'delta', new Map([[0, key]]))).toBeNull();
+	});
+});
+
+describe('wrapMediaKey and unwrapMediaKey', () => {
+	it('hands a media key from the host to one participant', async () => {
+		const host = await ecdhKeyPair();
+		const guest = await ecdhKeyPair();
+		const mediaKey = crypto.getRandomValues(new Uint8Array(16));
+
+		const wrapped = await wrapMediaKey(host.privateKey, guest.publicKey, 3, mediaKey);
+		expect(wrapped.key).toMatch(/^[A-Za-z0-9_-]+$/);
+		expect(await unwrapMediaKey(guest.privateKey, host.publicKey, 3, wrapped.key, wrapped.iv)).toEqual(mediaKey);
+	});
+
+	it('refuses a key wrapped for someone else or sent with another epoch', async () => {
+		const host = await ecdhKeyPair();
+		const guest = await ecdhKeyPair();
+		const eavesdropper = await ecdhKeyPair();
+		const wrapped = await wrapMediaKey(host.privateKey, guest.publicKey, 3, new Uint8Array(16));
+
+		await expect(unwrapMediaKey(eavesdropper.privateKey, host.publicKey, 3, wrapped.key, wrapped.iv)).rejects.toThrow();
+		await expect(unwrapMediaKey(guest.privateKey, host.publicKey, 4, wrapped.key, wrapped.iv)).rejects.toThrow();
+	});
+});
+
+describe('MediaEncryption', () => {
+	// Node has no Worker; this one just keeps what it is told
+	class FakeWorker {
+		constructor() {
+			this.messages = [];
+		}
+
+		postMessage(message) {
+			this.messages.push(message);
+		}
+	}
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('only moves on to newer keys from the host', async () => {
+		vi.stubGlobal('Worker', FakeWorker);
+		const host = new MediaEncryption({ workerUrl: 'e2ee-worker.js' });
+		const guest = new MediaEncryption({ workerUrl: 'e2ee-worker.js' });
+		const hostPublicKey = await host.init();
+		const guestPublicKey = await guest.init();
+
+		await host.rotateKey();
+		const first = await host.wrapFor(guestPublicKey);
+		await host.rotateKey();
+		const second = await host.wrapFor(guestPublicKey);
+		expect([first.epoch, second.epoch]).toEqual([1, 2]);
+
+		expect(await guest.receiveKey(hostPublicKey, second)).toBe(true);
+		// The first key arriving late, or the second again, changes nothing
+		expect(await guest.receiveKey(hostPublicKey, first)).toBe(false);
+		expect(await guest.receiveKey(hostPublicKey, second)).toBe(false);
+		expect(guest.epoch).toBe(2);
+		expect(guest.mediaKey).toEqual(host.mediaKey);
+		expect(guest.worker.messages.filter((message) => message.type === 'setKey').map((message) => message.epoch)).toEqual([2]);
+
+		// After leaving, the next call's keys start again from 1
+		guest.reset();
+		expect(await guest.receiveKey(hostPublicKey, first)).toBe(true);
+	});
+
+	it('takes keys from a new host whose epochs start below the old one', async () => {
+		vi.stubGlobal('Worker', FakeWorker);
+		const host = new MediaEncryption({ workerUrl: 'e2ee-worker.js' });
+		const guest = new MediaEncryption({ workerUrl: 'e2ee-worker.js' });
+		const hostPublicKey = await host.init();
+		const guestPublicKey = await guest.init();
+		for (let i = 0; i < 3; i++) {
+			await host.rotateKey();
+		}
+		const oldKey = await host.wrapFor(guestPublicKey);
+		expect(await guest.receiveKey(hostPublicKey, oldKey)).toBe(true);
+
+		// The owner joins mid-call and becomes host, with a counter that has never moved
+		const owner = new MediaEncryption({ workerUrl: 'e2ee-worker.js' });
+		const ownerPublicKey = await owner.init();
+		await owner.rotateKey();
+		const newKey = await owner.wrapFor(guestPublicKey);
+		expect(newKey.epoch).toBeLessThan(oldKey.epoch);
+		expect(await guest.receiveKey(ownerPublicKey, newKey)).toBe(true);
+		expect(guest.mediaKey).toEqual(owner.mediaKey);
+
+		// Each host's own keys still only move forward
+		expect(await guest.receiveKey(ownerPublicKey, newKey)).toBe(false);
+		expect(await guest.receiveKey(hostPublicKey, oldKey)).toBe(false);
+		expect(guest.mediaKey).toEqual(owner.mediaKey);
+	});
+});
+
+describe('verificationCode', () => {
+	it('gives the same key the same eight digits', async () => {
+		const mediaKey = crypto.getRandomValues(new Uint8Array(16));
+		const code = await verificationCode(mediaKey);
+		expect(code).toMatch(/^\d{4} \d{4}$/);
+		expect(await verificationCode(mediaKey.slice())).toBe(code);
+	});
+});
@@ -0,0 +1,76 @@
+// fake-calls-api.js
+// An in-memory stand-in for the Worker's /api/calls/* proxy and the Calls API behind it. `fetch` can be
+// handed to CallsApiClient; `requests` records every call so tests can check what was sent.
+
+export class FakeCallsApi {
+	constructor() {
+		this.sessions = new Map(); // sessionId -> { token, pushed: Set<trackName>, nextMid }
+		this.requests = [];
+		this.nextSessionNumber = 1;
+		this.fetch = this.fetch.bind(this);
+	}
+
+	/**
+	 * Adds a session that has pushed the given tracks, as another participant would have.
+	 */
+	addRemoteSession(sessionId, trackNames) {
+		this.sessions.set(sessionId, { token: 'token-' + sessionId, pushed: new Set(trackNames), nextMid: 0 });
+	}
+
+	/**
+	 * The requests made to a route, e.g. requestsTo('/tracks/pull').
+	 */
+	requestsTo(suffix) {
+		return this.requests.filter((request) => request.path.endsWith(suffix));
+	}
+
+	async fetch(url, init = {}) {
+		const path = new URL(url, 'https://app.example').pathname;
+		const body = init.body === undefined ? undefined : JSON.parse(init.body);
+		this.requests.push({ method: init.method || 'GET', path, body, headers: init.headers || {} });
+
+		if (path === '/api/calls/sessions/new') {
+			const sessionId = 'session' + this.nextSessionNumber++;
+			this.addRemoteSession(sessionId, []);
+			return jsonResponse({ sessionId, sessionToken: 'token-' + sessionId });
+		}
+		const match = path.match(/^\/api\/calls\/sessions\/([^/]+)(\/.+)$/);
+		const session = match && this.sessions.get(match[1]);
+		if (!session) {
+			return jsonResponse({ error: 'Not Found' }, 404);
+		}
+		if (init.headers?.Authorization !== 'Bearer ' + session.token) {
+			return jsonResponse({ error: 'You do not own this session' }, 403);
+		}
+
+		switch (match[2]) {
+			case '/tracks/push':
+				for (const track of body.tracks) {
+					session.pushed.add(track.trackName);
+				}
+				return jsonResponse({ sessionDescription: { type: 'answer', sdp: 'answer-to-' + body.sessionDescription.sdp } });
+			case '/tracks/pull':
+				return jsonResponse({
+					requiresImmediateRenegotiation: true,
+					sessionDescription: { type: 'offer', sdp: 'pull-offer' },
+					tracks: body.tracks.map((track) =>
+						this.sessions.get(track.sessionId)?.pushed.has(track.trackName)
+							? { trackName: track.trackName, sessionId: track.sessionId, mid: String(session.nextMid++) }
+							: { trackName: track.trackName, sessionId: track.sessionId, error: { errorCode: 'not_found' } },
+					),
+				});
+			case '/renegotiate':
+				return jsonResponse({});
+			case '/tracks/close':
+				return jsonResponse({ sessionDescription: { type: 'answer', sdp: 'close-answer' }, tracks: body.tracks });
+			case '/tracks/update':
+				return jsonResponse({ tracks: body.tracks });
+			default:
+				return jsonResponse({ error: 'Not Found' }, 404);
+		}
+	}
+}
+
+function jsonResponse(body, status = 200) {
+	return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
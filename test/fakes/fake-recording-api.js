@@ -0,0 +1,62 @@
+// fake-recording-api.js
+// An in-memory stand-in for the Worker's /api/rooms/:room/recordings/:id/* upload routes. `fetch` can be handed to
+// RecordingUploader; `failures` makes the next requests fail, as a flaky connection would.
+
+export const RECORDING_URL = '/api/rooms/family/recordings/rec1';
+
+export class FakeRecordingApi {
+	constructor(uploadToken = 'upload-token') {
+		this.uploadToken = uploadToken;
+		this.parts = new Map(); // partNumber -> Uint8Array
+		this.requests = [];
+		this.failures = 0; // How many of the next part uploads fail
+		this.failAfterStoring = false; // Whether a failing part upload still stores the part (the response got lost)
+		this.completed = false;
+		this.fetch = this.fetch.bind(this);
+	}
+
+	/**
+	 * Everything uploaded so far, parts in order.
+	 */
+	get bytes() {
+		const parts = [...this.parts.entries()].sort(([a], [b]) => a - b).map(([, part]) => [...part]);
+		return parts.flat();
+	}
+
+	async fetch(url, init = {}) {
+		const method = init.method || 'GET';
+		const suffix = url.slice(RECORDING_URL.length);
+		this.requests.push({ method, suffix });
+		if (init.headers?.Authorization !== 'Bearer ' + this.uploadToken) {
+			return jsonResponse({ error: 'This upload token is not valid for the recording' }, 403);
+		}
+		if (this.completed) {
+			return jsonResponse({ error: 'This recording is already finished' }, 409);
+		}
+		const partMatch = suffix.match(/^\/parts\/(\d+)$/);
+		if (partMatch && method === 'PUT') {
+			const bytes = new Uint8Array(await init.body.arrayBuffer());
+			if (this.failures > 0) {
+				this.failures--;
+				if (this.failAfterStoring) {
+					this.parts.set(Number(partMatch[1]), bytes);
+				}
+				throw new TypeError('Failed to fetch');
+			}
+			this.parts.set(Number(partMatch[1]), bytes);
+			return jsonResponse({ partNumber: Number(partMatch[1]), size: bytes.length });
+		}
+		if (suffix === '/upload' && method === 'GET') {
+			return jsonResponse({ parts: [...this.parts].map(([partNumber, part]) => ({ partNumber, size: part.length })) });
+		}
+		if (suffix === '/complete' && method === 'POST') {
+			this.completed = true;
+			return jsonResponse({ recording: this.parts.size ? { id: 'rec1', size: this.bytes.length, status: 'saved' } : null });
+		}
+		return jsonResponse({ error: 'Not Found' }, 404);
+	}
+}
+
+function jsonResponse(body, status = 200) {
+	return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
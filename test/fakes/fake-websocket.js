@@ -0,0 +1,74 @@
+// fake-websocket.js
+// A stand-in for the browser WebSocket: records what the client sends and lets a test play the server.
+
+export class FakeWebSocket {
+	static CONNECTING = 0;
+	static OPEN = 1;
+	static CLOSING = 2;
+	static CLOSED = 3;
+
+	// Every socket created since the last reset(), oldest first
+	static instances = [];
+
+	static reset() {
+		FakeWebSocket.instances = [];
+	}
+
+	static get latest() {
+		return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+	}
+
+	constructor(url) {
+		this.url = url;
+		this.readyState = FakeWebSocket.CONNECTING;
+		this.sent = [];
+		this.closedWith = null;
+		this.onopen = null;
+		this.onmessage = null;
+		this.onclose = null;
+		this.onerror = null;
+		FakeWebSocket.instances.push(this);
+	}
+
+	send(data) {
+		if (this.readyState !== FakeWebSocket.OPEN) {
+			throw new Error('send() on a socket that is not open');
+		}
+		this.sent.push(data);
+	}
+
+	/**
+	 * Client-side close. Like a browser, the close event follows asynchronously.
+	 */
+	close(code = 1000, reason = '') {
+		if (this.readyState === FakeWebSocket.CLOSED) {
+			return;
+		}
+		this.readyState = FakeWebSocket.CLOSED;
+		this.closedWith = { code, reason };
+		queueMicrotask(() => this.onclose?.({ code, reason }));
+	}
+
+	/**
+	 * The JSON messages sent so far (heartbeat pings are left out).
+	 */
+	get messages() {
+		return this.sent.filter((data) => data !== 'ping').map((data) => JSON.parse(data));
+	}
+
+	// --- Server side
+
+	open() {
+		this.readyState = FakeWebSocket.OPEN;
+		this.onopen?.({});
+	}
+
+	receive(data) {
+		this.onmessage?.({ data: typeof data === 'string' ? data : JSON.stringify(data) });
+	}
+
+	serverClose(code, reason = '') {
+		this.readyState = FakeWebSocket.CLOSED;
+		this.onclose?.({ code, reason });
+	}
+}
@@ -0,0 +1,302 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CallsApiClient } from '../public/js/calls-api.js';
+import { chooseSimulcastLayer, ParticipantManager } from '../public/js/participants.js';
+import { FakeCallsApi } from './fakes/fake-calls-api.js';
+
+class FakeMediaStream {
+	constructor(tracks = []) {
+		this.tracks = [...tracks];
+	}
+	getTracks() {
+		return this.tracks;
+	}
+	getVideoTracks() {
+		return this.tracks.filter((track) => track.kind === 'video');
+	}
+	getTrackById(id) {
+		return this.tracks.find((track) => track.id === id) || null;
+	}
+	addTrack(track) {
+		this.tracks.push(track);
+	}
+	removeTrack(track) {
+		this.tracks = this.tracks.filter((t) => t !== track);
+	}
+}
+
+function fakeTrack(id, kind) {
+	return {
+		id,
+		kind,
+		stopped: false,
+		stop() {
+			this.stopped = true;
+		},
+	};
+}
+
+// Just enough RTCPeerConnection for the manager's offer / answer exchanges
+function fakePeerConnection() {
+	const transceivers = [];
+	return {
+		transceivers,
+		remoteDescriptions: [],
+		async setRemoteDescription(description) {
+			this.remoteDescriptions.push(description);
+		},
+		async setLocalDescription() {},
+		async createAnswer() {
+			return { type: 'answer', sdp: 'our-answer' };
+		},
+		async createOffer() {
+			return { type: 'offer', sdp: 'our-offer' };
+		},
+		getTransceivers() {
+			return transceivers;
+		},
+	};
+}
+
+// Records what the manager asks the view to do
+function fakeTiles() {
+	return {
+		created: [],
+		removed: [],
+		audio: [],
+		createParticipantTile(sessionId) {
+			this.created.push(sessionId);
+			return { container: { id: 'container-' + sessionId }, videoElement: { clientWidth: 600 } };
+		},
+		setTrackState(participant, state) {
+			participant.trackState = { audioEnabled: state.audioEnabled !== false, videoEnabled: state.videoEnabled !== false };
+		},
+		setReconnecting(participant, reconnecting) {
+			participant.reconnecting = reconnecting;
+		},
+		setProfile(participant) {
+			participant.shownName = participant.profile.displayName;
+		},
+		removeParticipantTile(sessionId) {
+			this.removed.push(sessionId);
+		},
+		createScreenShareTile(sessionId) {
+			this.created.push('screen-' + sessionId);
+			return { container: { id: 'screen-' + sessionId } };
+		},
+		removeScreenShareTile(share) {
+			this.removed.push(share.container.id);
+		},
+		audioTrackReceived(sessionId, track) {
+			this.audio.push([sessionId, track.id]);
+		},
+		layoutChanged() {},
+	};
+}
+
+const ALICE_TRACKS = [
+	{ mid: '0', trackName: 'alice-mic', kind: 'audio' },
+	{ mid: '1', trackName: 'alice-cam', kind: 'video', simulcast: true },
+];
+
+async function setup() {
+	const api = new FakeCallsApi();
+	api.addRemoteSession('alice', ['alice-mic', 'alice-cam', 'alice-screen']);
+	api.addRemoteSession('bob', ['bob-mic']);
+	const calls = new CallsApiClient({ fetch: api.fetch });
+	await calls.createSession();
+	const tiles = fakeTiles();
+	const manager = new ParticipantManager({ calls, tiles, MediaStream: FakeMediaStream });
+	manager.peerConnection = fakePeerConnection();
+	return { api, tiles, manager };
+}
+
+// What the peer connection would fire for a pulled track arriving on a mid
+function trackEvent(manager, mid, track) {
+	const transceiver = {
+		mid,
+		stopped: false,
+		stop() {
+			this.stopped = true;
+		},
+	};
+	manager.peerConnection.transceivers.push(transceiver);
+	manager.handleTrack({ transceiver, track });
+	return transceiver;
+}
+
+describe('ParticipantManager', () => {
+	beforeEach(() => {
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('pulls a new participant and answers the renegotiation offer', async () => {
+		const { api, tiles, manager } = await setup();
+
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS, { audioEnabled: false });
+
+		expect(tiles.created).toEqual(['alice']);
+		const alice = manager.participants.get('alice');
+		expect(alice.trackState).toEqual({ audioEnabled: false, videoEnabled: true });
+		expect(api.requestsTo('/tracks/pull')[0].body.tracks).toEqual([
+			{ location: 'remote', sessionId: 'alice', trackName: 'alice-mic' },
+			{ location: 'remote', sessionId: 'alice', trackName: 'alice-cam', simulcast: { preferredRid: 'a' } },
+		]);
+		expect(alice.mids).toEqual(['0', '1']);
+		expect(alice.videoRid).toBe('a');
+		expect(manager.peerConnection.remoteDescriptions).toEqual([{ type: 'offer', sdp: 'pull-offer' }]);
+		expect(api.requestsTo('/renegotiate')[0].body.sessionDescription).toEqual({ type: 'answer', sdp: 'our-answer' });
+	});
+
+	it('routes each arriving track to its tile by mid', async () => {
+		const { tiles, manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+		await manager.addParticipant('bob', 'Bob', [{ mid: '0', trackName: 'bob-mic', kind: 'audio' }]);
+
+		trackEvent(manager, '2', fakeTrack('t-bob-mic', 'audio'));
+		trackEvent(manager, '1', fakeTrack('t-alice-cam', 'video'));
+		trackEvent(manager, '9', fakeTrack('stray', 'audio'));
+
+		expect(
+			manager.participants
+				.get('bob')
+				.mediaStream.getTracks()
+				.map((t) => t.id),
+		).toEqual(['t-bob-mic']);
+		expect(
+			manager.participants
+				.get('alice')
+				.mediaStream.getTracks()
+				.map((t) => t.id),
+		).toEqual(['t-alice-cam']);
+		expect(tiles.audio).toEqual([['bob', 't-bob-mic']]);
+	});
+
+	it('does not pull a participant twice, but updates their badges', async () => {
+		const { api, tiles, manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS, { videoEnabled: false });
+
+		expect(tiles.created).toEqual(['alice']);
+		expect(api.requestsTo('/tracks/pull')).toHaveLength(1);
+		expect(manager.participants.get('alice').trackState.videoEnabled).toBe(false);
+	});
+
+	it('shows a profile edited during the call on the existing tile', async () => {
+		const { api, tiles, manager } = await setup();
+		const profile = { memberId: 'm1', displayName: 'Grandma', color: '#aa3366', avatarUrl: null };
+		await manager.addParticipant('alice', 'Grandma', ALICE_TRACKS, { profile });
+		expect(manager.participants.get('alice').profile).toEqual(profile);
+
+		manager.setProfile('alice', { ...profile, displayName: 'Granny' });
+		// Rejoining after a reconnect brings the latest profile along
+		await manager.addParticipant('alice', 'Granny', ALICE_TRACKS, { profile: { ...profile, displayName: 'Nana' } });
+
+		const alice = manager.participants.get('alice');
+		expect(alice.userName).toBe('Nana');
+		expect(alice.shownName).toBe('Nana');
+		expect(tiles.created).toEqual(['alice']);
+		expect(api.requestsTo('/tracks/pull')).toHaveLength(1);
+	});
+
+	it('gives a screen share its own tile and pulls it separately', async () => {
+		const { api, tiles, manager } = await setup();
+
+		await manager.addParticipant('alice', 'Alice', [
+			...ALICE_TRACKS,
+			{ mid: '2', trackName: 'alice-screen', kind: 'video', source: 'screen' },
+		]);
+		await manager.negotiationQueue;
+
+		expect(tiles.created).toEqual(['alice', 'screen-alice']);
+		expect(manager.participants.get('alice').trackInfo.map((t) => t.trackName)).toEqual(['alice-mic', 'alice-cam']);
+		const pulls = api.requestsTo('/tracks/pull').map((request) => request.body.tracks.map((t) => t.trackName));
+		expect(pulls).toContainEqual(['alice-screen']);
+	});
+
+	it('closes the pulled tracks of a participant who leaves', async () => {
+		const { api, tiles, manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+		const mic = fakeTrack('t-alice-mic', 'audio');
+		const transceiver = trackEvent(manager, '0', mic);
+
+		manager.removeParticipant('alice');
+		await manager.negotiationQueue;
+
+		expect(tiles.removed).toEqual(['alice']);
+		expect(mic.stopped).toBe(true);
+		expect(transceiver.stopped).toBe(true);
+		expect(api.requestsTo('/tracks/close')[0].body.tracks).toEqual([{ mid: '0' }, { mid: '1' }]);
+		expect(manager.pulledTracksByMid.size).toBe(0);
+	});
+
+	it('stops pulling video for a hidden tile and pulls it again when it is back in view', async () => {
+		vi.useFakeTimers();
+		const { api, manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+		const camera = fakeTrack('t-alice-cam', 'video');
+		trackEvent(manager, '1', camera);
+
+		manager.setVisible('alice', false, 3000);
+		await vi.advanceTimersByTimeAsync(3000);
+		await manager.negotiationQueue;
+
+		const alice = manager.participants.get('alice');
+		expect(alice.videoPaused).toBe(true);
+		expect(alice.mids).toEqual(['0']);
+		expect(camera.stopped).toBe(true);
+		expect(api.requestsTo('/tracks/close')[0].body.tracks).toEqual([{ mid: '1' }]);
+
+		manager.setVisible('alice', true, 3000);
+		await manager.negotiationQueue;
+
+		expect(alice.videoPaused).toBe(false);
+		expect(
+			api
+				.requestsTo('/tracks/pull')
+				.at(-1)
+				.body.tracks.map((t) => t.trackName),
+		).toEqual(['alice-cam']);
+		expect(alice.mids).toEqual(['0', '2']);
+	});
+
+	it('drops remote video in audio-only mode', async () => {
+		const { manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+
+		manager.setAudioOnly(true);
+		await manager.negotiationQueue;
+
+		expect(manager.participants.get('alice').videoPaused).toBe(true);
+	});
+
+	it('moves a tile to a lower simulcast layer when the connection gets worse', async () => {
+		const { api, manager } = await setup();
+		await manager.addParticipant('alice', 'Alice', ALICE_TRACKS);
+
+		manager.connectionQuality = 'fair';
+		manager.updateSimulcastLayers();
+		await vi.waitFor(() => expect(api.requestsTo('/tracks/update')).toHaveLength(1));
+
+		expect(api.requestsTo('/tracks/update')[0].body.tracks).toEqual([
+			{ location: 'remote', sessionId: 'alice', trackName: 'alice-cam', mid: '1', simulcast: { preferredRid: 'b' } },
+		]);
+		expect(manager.participants.get('alice').videoRid).toBe('b');
+	});
+});
+
+describe('chooseSimulcastLayer', () => {
+	it('picks by tile width and steps down on a weak connection', () => {
+		expect(chooseSimulcastLayer(800, 'good')).toBe('a');
+		expect(chooseSimulcastLayer(300, 'good')).toBe('b');
+		expect(chooseSimulcastLayer(100, 'good')).toBe('c');
+		expect(chooseSimulcastLayer(800, 'poor')).toBe('b');
+		expect(chooseSimulcastLayer(100, 'fair')).toBe('c');
+	});
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { defaultColor, forgetIdentity, initials, loadIdentity, saveIdentity } from '../public/js/profile.js';
+
+// Just enough localStorage
+function fakeStorage() {
+	const items = new Map();
+	return {
+		getItem: (key) => (items.has(key) ? items.get(key) : null),
+		setItem: (key, value) => items.set(key, String(value)),
+		removeItem: (key) => items.delete(key),
+	};
+}
+
+describe('initials', () => {
+	it('takes the first letter of the first two words', () => {
+		expect(initials('grandma')).toBe('G');
+		expect(initials('  Uncle  Joe Smith ')).toBe('UJ');
+		expect(initials('Émilie Zoë')).toBe('ÉZ');
+		expect(initials('   ')).toBe('?');
+	});
+});
+
+describe('defaultColor', () => {
+	it('gives the same name the same colour', () => {
+		expect(defaultColor('Grandma')).toMatch(/^#[0-9a-f]{6}$/);
+		expect(defaultColor(' grandma ')).toBe(defaultColor('Grandma'));
+	});
+});
+
+describe('loadIdentity and saveIdentity', () => {
+	it('remembers a member per room until it is forgotten', () => {
+		const storage = fakeStorage();
+		const identity = { id: 'member-1', secret: 'secret-1', displayName: 'Grandma', color: '#aa3366' };
+		saveIdentity(storage, 'family', identity);
+
+		expect(loadIdentity(storage, 'family')).toEqual(identity);
+		expect(loadIdentity(storage, 'other-room')).toBeNull();
+		forgetIdentity(storage, 'family');
+		expect(loadIdentity(storage, 'family')).toBeNull();
+	});
+
+	it('ignores whatever else is stored under its key', () => {
+		const storage = fakeStorage();
+		storage.setItem('familyrealtime.member.family', 'not json');
+		expect(loadIdentity(storage, 'family')).toBeNull();
+		storage.setItem('familyrealtime.member.family', '{"id":"member-1"}');
+		expect(loadIdentity(storage, 'family')).toBeNull();
+	});
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { describeRing } from '../public/js/push.js';
+
+function ring(ended, ...recipients) {
+	return {
+		callerName: 'Bob',
+		ended,
+		recipients: recipients.map(([userName, status]) => ({ userName, status })),
+	};
+}
+
+describe('describeRing', () => {
+	it('lists who is still being rung', () => {
+		expect(describeRing(ring(false, ['Grandma', 'ringing']))).toBe('Bob is ringing Grandma…');
+		expect(describeRing(ring(false, ['Grandma', 'ringing'], ['Grandpa', 'ringing'], ['Joe', 'ringing']))).toBe(
+			'Bob is ringing Grandma, Grandpa and Joe…',
+		);
+	});
+
+	it('adds how everyone else replied', () => {
+		expect(describeRing(ring(false, ['Grandma', 'ringing'], ['Joe', 'declined'], ['Ann', 'failed']))).toBe(
+			"Bob is ringing Grandma… Joe declined. Ann couldn't be reached.",
+		);
+		expect(describeRing(ring(true, ['Grandma', 'answered'], ['Grandpa', 'missed'], ['Joe', 'missed']))).toBe(
+			"Bob rang the family. Grandma answered. Grandpa and Joe didn't answer.",
+		);
+	});
+});
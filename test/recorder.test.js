@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { layoutComposite, MAX_PART_ATTEMPTS, pickRecordingMimeType, RecordingUploader } from '../public/js/recorder.js';
+import { FakeRecordingApi, RECORDING_URL } from './fakes/fake-recording-api.js';
+
+const PART_SIZE = 4;
+
+function bytes(...values) {
+	return new Blob([new Uint8Array(values)]);
+}
+
+function createUploader(api, overrides = {}) {
+	return new RecordingUploader({
+		url: RECORDING_URL,
+		uploadToken: 'upload-token',
+		partSize: PART_SIZE,
+		retryDelayMs: 0,
+		fetch: api.fetch,
+		...overrides,
+	});
+}
+
+describe('layoutComposite', () => {
+	it('gives a single tile the whole frame', () => {
+		expect(layoutComposite(1, 1280, 720)).toEqual([{ x: 0, y: 0, width: 1280, height: 720 }]);
+	});
+
+	it('puts two tiles side by side and four in a square', () => {
+		expect(layoutComposite(2, 1280, 720)).toEqual([
+			{ x: 0, y: 0, width: 640, height: 720 },
+			{ x: 640, y: 0, width: 640, height: 720 },
+		]);
+		expect(layoutComposite(4, 1280, 720).map(({ x, y }) => [x, y])).toEqual([
+			[0, 0],
+			[640, 0],
+			[0, 360],
+			[640, 360],
+		]);
+	});
+});
+
+describe('pickRecordingMimeType', () => {
+	it('prefers WebM and falls back to MP4', () => {
+		expect(pickRecordingMimeType({ isTypeSupported: () => true })).toBe('video/webm;codecs=vp9,opus');
+		expect(pickRecordingMimeType({ isTypeSupported: (type) => type === 'video/mp4' })).toBe('video/mp4');
+		expect(pickRecordingMimeType({ isTypeSupported: () => false })).toBeNull();
+		expect(pickRecordingMimeType(undefined)).toBeNull();
+	});
+});
+
+describe('RecordingUploader', () => {
+	beforeEach(() => {
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('uploads equal parts as data arrives and the rest as a shorter last part', async () => {
+		const api = new FakeRecordingApi();
+		const uploader = createUploader(api);
+
+		uploader.append(bytes(1, 2, 3));
+		expect(api.requests).toEqual([]);
+		uploader.append(bytes(4, 5, 6, 7, 8, 9, 10));
+		await uploader.drain();
+		expect([...api.parts.keys()]).toEqual([1, 2]);
+		expect(api.parts.get(2)).toEqual(new Uint8Array([5, 6, 7, 8]));
+
+		const recording = await uploader.finish();
+		expect(api.parts.get(3)).toEqual(new Uint8Array([9, 10]));
+		expect(api.bytes).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+		expect(api.requests.at(-1)).toEqual({ method: 'POST', suffix: '/complete' });
+		expect(recording).toMatchObject({ id: 'rec1', size: 10 });
+	});
+
+	it('retries a failed part', async () => {
+		const api = new FakeRecordingApi();
+		api.failures = 2;
+		const uploader = createUploader(api);
+
+		uploader.append(bytes(1, 2, 3, 4));
+		await uploader.finish();
+		expect(api.requests.filter(({ suffix }) => suffix === '/parts/1')).toHaveLength(3);
+		expect(api.bytes).toEqual([1, 2, 3, 4]);
+	});
+
+	it('pauses after repeated failures and resumes without uploading parts the server already has', async () => {
+		const api = new FakeRecordingApi();
+		const onError = vi.fn();
+		const uploader = createUploader(api, { onError });
+
+		uploader.append(bytes(1, 2, 3, 4));
+		await uploader.drain();
+		api.failures = MAX_PART_ATTEMPTS;
+		api.failAfterStoring = true;
+		uploader.append(bytes(5, 6, 7, 8, 9));
+		await uploader.drain();
+		expect(onError).toHaveBeenCalledOnce();
+		expect(uploader.paused).toBe(true);
+		await expect(uploader.finish()).rejects.toThrow('paused with 2 part(s) to go');
+
+		// Part 2 arrived even though every response got lost; only the last part is still needed
+		const uploadsBefore = api.requests.filter(({ method }) => method === 'PUT').length;
+		await uploader.resume();
+		expect(api.requests.filter(({ method }) => method === 'PUT').length).toBe(uploadsBefore + 1);
+		expect(uploader.finishing).toBe(true);
+		await uploader.finish();
+		expect(api.bytes).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+		expect(api.completed).toBe(true);
+	});
+
+	it('completes an empty recording without uploading anything', async () => {
+		const api = new FakeRecordingApi();
+		expect(await createUploader(api).finish()).toBeNull();
+		expect(api.requests).toEqual([{ method: 'POST', suffix: '/complete' }]);
+	});
+});
@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CLOSE_CODES, HEARTBEAT_INTERVAL_MS, HEARTBEAT_TIMEOUT_MS, PROTOCOL_VERSION } from '../public/js/protocol.js';
+import { MAX_RECONNECT_ATTEMPTS, RECONNECT_MAX_DELAY_MS, SignalingClient } from '../public/js/signaling.js';
+import { FakeWebSocket } from './fakes/fake-websocket.js';
+
+const JOIN_FIELDS = {
+	sessionId: 'me',
+	sessionToken: 'my-token',
+	userName: 'Grandma',
+	trackInfo: [],
+	audioEnabled: true,
+	videoEnabled: true,
+};
+
+function createClient(overrides = {}) {
+	const callbacks = {
+		getUrl: vi.fn(async (resume) => 'wss://app.example/websocket?room=family&resume=' + resume),
+		getJoinFields: () => JOIN_FIELDS,
+		onMessage: vi.fn(),
+		onOpen: vi.fn(),
+		onReconnecting: vi.fn(),
+		onDisconnected: vi.fn(),
+		...overrides,
+	};
+	return { client: new SignalingClient({ ...callbacks, WebSocket: FakeWebSocket }), ...callbacks };
+}
+
+describe('SignalingClient', () => {
+	beforeEach(() => {
+		FakeWebSocket.reset();
+		vi.useFakeTimers();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('sends joinRoom as soon as the socket opens', async () => {
+		const { client, onOpen } = createClient();
+		await client.connect();
+
+		const socket = FakeWebSocket.latest;
+		expect(socket.url).toBe('wss://app.example/websocket?room=family&resume=false');
+		socket.open();
+
+		expect(socket.messages).toEqual([{ v: PROTOCOL_VERSION, type: 'joinRoom', ...JOIN_FIELDS }]);
+		expect(onOpen).toHaveBeenCalledOnce();
+	});
+
+	it('passes valid server messages on and drops pongs and unknown versions', async () => {
+		const { client, onMessage } = createClient();
+		await client.connect();
+		const socket = FakeWebSocket.latest;
+		socket.open();
+
+		socket.receive('pong');
+		socket.receive({ v: PROTOCOL_VERSION + 1, type: 'participantLeft', sessionId: 'abc' });
+		socket.receive({ v: PROTOCOL_VERSION, type: 'participantLeft', sessionId: 'abc' });
+
+		expect(onMessage).toHaveBeenCalledOnce();
+		expect(onMessage).toHaveBeenCalledWith({ v: PROTOCOL_VERSION, type: 'participantLeft', sessionId: 'abc' });
+	});
+
+	it('does not send while the socket is not open', async () => {
+		const { client } = createClient();
+		await client.connect();
+
+		client.send('chatMessage', { body: 'hello' });
+
+		expect(FakeWebSocket.latest.sent).toEqual([]);
+	});
+
+	it('pings on an interval and reconnects when the server goes quiet', async () => {
+		const { client, getUrl } = createClient();
+		await client.connect();
+		const socket = FakeWebSocket.latest;
+		socket.open();
+
+		vi.advanceTimersByTime(HEARTBEAT_INTERVAL_MS);
+		expect(socket.sent).toContain('ping');
+
+		await vi.advanceTimersByTimeAsync(HEARTBEAT_TIMEOUT_MS + RECONNECT_MAX_DELAY_MS);
+
+		expect(socket.closedWith).toEqual({ code: CLOSE_CODES.HEARTBEAT_TIMEOUT, reason: 'Heartbeat timeout' });
+		expect(getUrl).toHaveBeenLastCalledWith(true);
+		expect(FakeWebSocket.instances).toHaveLength(2);
+	});
+
+	it('reconnects with a resume after the socket drops, and sends joinRoom again', async () => {
+		const { client, getUrl, onReconnecting } = createClient();
+		await client.connect();
+		FakeWebSocket.latest.open();
+
+		FakeWebSocket.latest.serverClose(1006);
+		expect(onReconnecting).toHaveBeenCalledWith(expect.any(Number), 1);
+		expect(client.reconnectPending).toBe(true);
+
+		await vi.runOnlyPendingTimersAsync();
+		expect(getUrl).toHaveBeenLastCalledWith(true);
+		const second = FakeWebSocket.latest;
+		second.open();
+
+		expect(second.messages[0].type).toBe('joinRoom');
+		expect(client.reconnectAttempts).toBe(0);
+	});
+
+	it('backs off exponentially and gives up after the last attempt', async () => {
+		const { client, onReconnecting, onDisconnected } = createClient();
+		vi.spyOn(Math, 'random').mockReturnValue(1);
+		await client.connect();
+		FakeWebSocket.latest.open();
+
+		for (let attempt = 0; attempt < MAX_RECONNECT_ATTEMPTS; attempt++) {
+			FakeWebSocket.latest.serverClose(1006);
+			await vi.runOnlyPendingTimersAsync();
+		}
+		expect(onReconnecting.mock.calls.map(([delay]) => delay)).toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000, 30000]);
+
+		FakeWebSocket.latest.serverClose(1006);
+		expect(onDisconnected).toHaveBeenCalledWith(null, 'Lost the connection to the room.');
+		expect(client.reconnectPending).toBe(false);
+	});
+
+	it.each([
+		['kicked', CLOSE_CODES.KICKED],
+		['replaced by another tab', CLOSE_CODES.REPLACED],
+		['refused by a locked room', CLOSE_CODES.ROOM_LOCKED],
+		['denied entry', CLOSE_CODES.KNOCK_DENIED],
+		['closed for flooding the room', CLOSE_CODES.RATE_LIMITED],
+		['refused by a full room', CLOSE_CODES.ROOM_FULL],
+	])('does not reconnect when %s', async (_, code) => {
+		const { client, onDisconnected } = createClient();
+		await client.connect();
+		FakeWebSocket.latest.open();
+
+		FakeWebSocket.latest.serverClose(code, 'Bye');
+
+		expect(onDisconnected).toHaveBeenCalledWith(code, 'Bye');
+		expect(client.reconnectPending).toBe(false);
+		await vi.runAllTimersAsync();
+		expect(FakeWebSocket.instances).toHaveLength(1);
+	});
+
+	it('stays closed after leaving', async () => {
+		const { client, onDisconnected } = createClient();
+		await client.connect();
+		const socket = FakeWebSocket.latest;
+		socket.open();
+
+		client.close();
+		await vi.runAllTimersAsync();
+
+		expect(socket.closedWith).toEqual({ code: 1000, reason: 'Left the room' });
+		expect(onDisconnected).not.toHaveBeenCalled();
+		expect(FakeWebSocket.instances).toHaveLength(1);
+	});
+});
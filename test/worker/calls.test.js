@@ -0,0 +1,94 @@
+import { env, SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createSessionToken, verifySessionToken } from '../../src/calls.js';
+import { CALLS_API_BASE, createSession, mockCallsApi, ORIGIN } from './helpers.js';
+
+function callsRequest(sessionId, suffix, { method = 'POST', token, body }) {
+	return SELF.fetch(ORIGIN + '/api/calls/sessions/' + sessionId + suffix, {
+		method,
+		headers: { 'Content-Type': 'application/json', ...(token && { Authorization: 'Bearer ' + token }) },
+		body: JSON.stringify(body),
+	});
+}
+
+const PULL = { tracks: [{ location: 'remote', sessionId: 'someone-else', trackName: 'mic' }] };
+
+describe('Calls API proxy', () => {
+	let callsApi;
+
+	// The requests that reached the (stubbed) Calls API, other than creating sessions
+	function upstreamRequests() {
+		return callsApi.mock.calls
+			.map(([input, init]) => new Request(input, init))
+			.filter((request) => request.url.startsWith(CALLS_API_BASE) && !request.url.endsWith('/sessions/new'));
+	}
+
+	beforeEach(() => {
+		callsApi = mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('signs session tokens that only prove ownership of their own session', async () => {
+		const token = await createSessionToken(env, 'session-a');
+		expect(await verifySessionToken(env, 'session-a', token)).toBe(true);
+		expect(await verifySessionToken(env, 'session-b', token)).toBe(false);
+		expect(await verifySessionToken(env, 'session-a', token.slice(0, -2) + 'xx')).toBe(false);
+		expect(await verifySessionToken(env, 'session-a', undefined)).toBe(false);
+		// Session ids that could not come from the Calls API are refused before any crypto
+		expect(await verifySessionToken(env, '../session-a', await createSessionToken(env, '../session-a'))).toBe(false);
+	});
+
+	it('forwards a request for our own session with the app token and only the fields it knows', async () => {
+		const { sessionId, sessionToken } = await createSession();
+		const response = await callsRequest(sessionId, '/tracks/pull', {
+			token: sessionToken,
+			body: { tracks: [{ ...PULL.tracks[0], bitrate: 99 }], autoDiscover: true },
+		});
+		expect(response.status).toBe(200);
+
+		const [upstream] = upstreamRequests();
+		expect(upstream.url).toBe(CALLS_API_BASE + '/apps/test-app/sessions/' + sessionId + '/tracks/new');
+		expect(upstream.headers.get('Authorization')).toBe('Bearer test-app-token');
+		expect(await upstream.json()).toEqual(PULL);
+	});
+
+	it("refuses requests for someone else's session, or without a valid session token", async () => {
+		const { sessionId } = await createSession();
+		const { sessionToken: otherToken } = await createSession();
+
+		for (const token of [otherToken, 'forged', undefined]) {
+			const response = await callsRequest(sessionId, '/tracks/pull', { token, body: PULL });
+			expect(response.status, String(token)).toBe(403);
+		}
+		const renegotiate = await callsRequest(sessionId, '/renegotiate', {
+			method: 'PUT',
+			token: otherToken,
+			body: { sessionDescription: { type: 'answer', sdp: 'v=0' } },
+		});
+		expect(renegotiate.status).toBe(403);
+		expect(upstreamRequests()).toEqual([]);
+	});
+
+	it('refuses malformed requests before they reach the Calls API', async () => {
+		const { sessionId, sessionToken } = await createSession();
+
+		const noTracks = await callsRequest(sessionId, '/tracks/pull', { token: sessionToken, body: { tracks: [] } });
+		expect(noTracks.status).toBe(400);
+		const badLayer = await callsRequest(sessionId, '/tracks/pull', {
+			token: sessionToken,
+			body: { tracks: [{ ...PULL.tracks[0], simulcast: { preferredRid: 'z' } }] },
+		});
+		expect(badLayer.status).toBe(400);
+		const offerAsAnswer = await callsRequest(sessionId, '/renegotiate', {
+			method: 'PUT',
+			token: sessionToken,
+			body: { sessionDescription: { type: 'offer', sdp: 'v=0' } },
+		});
+		expect(offerAsAnswer.status).toBe(400);
+		expect(upstreamRequests()).toEqual([]);
+	});
+});
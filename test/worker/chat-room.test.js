@@ -0,0 +1,154 @@
+import { env, runDurableObjectAlarm, runInDurableObject } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES } from '../../public/js/protocol.js';
+import { mockCallsApi, TestClient } from './helpers.js';
+
+const CAMERA_TRACKS = [
+	{ mid: '0', trackName: 'audio-1', kind: 'audio' },
+	{ mid: '1', trackName: 'video-1', kind: 'video', simulcast: true },
+];
+
+// Each test gets its own room, so Durable Object state never leaks between tests
+let roomNumber = 0;
+function newRoom() {
+	return 'room-' + ++roomNumber;
+}
+
+// The room lists participants in no particular order
+function byName(participants) {
+	return [...participants].sort((a, b) => a.profile.displayName.localeCompare(b.profile.displayName));
+}
+
+describe('ChatRoom signaling', () => {
+	let clients;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		// Let the room finish handling the closes before the console spies go away
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('tells everyone already in the room about a newcomer', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const bob = await connect(room, { userName: 'Bob' });
+		const carol = await connect(room, { userName: 'Carol', trackInfo: CAMERA_TRACKS });
+
+		expect((await alice.next('participantJoined')).sessionId).toBe(bob.sessionId);
+		const carolJoined = await alice.next('participantJoined');
+		expect(carolJoined).toMatchObject({
+			sessionId: carol.sessionId,
+			profile: { displayName: 'Carol', memberId: null },
+			trackInfo: CAMERA_TRACKS,
+		});
+		expect(await bob.next('participantJoined')).toEqual(carolJoined);
+		// Nobody hears about themselves
+		expect(carol.pending('participantJoined')).toEqual([]);
+	});
+
+	it('sends the newcomer everyone already in the room, with their tracks and the room state', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice', trackInfo: CAMERA_TRACKS });
+		const bob = await connect(room, { userName: 'Bob' });
+		const carol = await connect(room, { userName: 'Carol', join: false });
+		const existing = await carol.join();
+
+		expect(byName(existing.participants)).toEqual([
+			expect.objectContaining({
+				sessionId: alice.sessionId,
+				profile: expect.objectContaining({ displayName: 'Alice' }),
+				trackInfo: CAMERA_TRACKS,
+				audioEnabled: true,
+				videoEnabled: true,
+				reconnecting: false,
+			}),
+			expect.objectContaining({
+				sessionId: bob.sessionId,
+				profile: expect.objectContaining({ displayName: 'Bob' }),
+				trackInfo: [],
+				reconnecting: false,
+			}),
+		]);
+		expect(existing).toMatchObject({ hostSessionId: alice.sessionId, locked: false, waitingRoom: false, knocks: [] });
+	});
+
+	it('sends the first participant an empty room and makes them host', async () => {
+		const alice = await connect(newRoom(), { userName: 'Alice', join: false });
+		const existing = await alice.join();
+		expect(existing.participants).toEqual([]);
+		expect(existing.hostSessionId).toBe(alice.sessionId);
+	});
+
+	it('announces participantLeft when a participant leaves', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const bob = await connect(room, { userName: 'Bob' });
+		const carol = await connect(room, { userName: 'Carol' });
+
+		bob.close();
+		expect((await alice.next('participantLeft')).sessionId).toBe(bob.sessionId);
+		expect((await carol.next('participantLeft')).sessionId).toBe(bob.sessionId);
+
+		// Someone joining afterwards doesn't see them any more
+		const dave = await connect(room, { userName: 'Dave', join: false });
+		const existing = await dave.join();
+		expect(byName(existing.participants).map((participant) => participant.sessionId)).toEqual([alice.sessionId, carol.sessionId]);
+	});
+
+	it('holds a dropped participant as reconnecting until the grace period runs out', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const bob = await connect(room, { userName: 'Bob' });
+
+		bob.close(4000, 'Network changed');
+		expect((await alice.next('participantReconnecting')).sessionId).toBe(bob.sessionId);
+		expect(alice.pending('participantLeft')).toEqual([]);
+
+		const stub = env.CHAT_ROOM.get(env.CHAT_ROOM.idFromName(room));
+		await runInDurableObject(stub, (instance) => {
+			instance.sql.exec('UPDATE reconnecting_participants SET expires_at = 0');
+		});
+		await runDurableObjectAlarm(stub);
+		expect((await alice.next('participantLeft')).sessionId).toBe(bob.sessionId);
+	});
+
+	it('keeps rooms apart', async () => {
+		const alice = await connect(newRoom(), { userName: 'Alice' });
+		const bob = await connect(newRoom(), { userName: 'Bob', join: false });
+		const existing = await bob.join();
+
+		expect(existing.participants).toEqual([]);
+		bob.close();
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		expect(alice.pending('participantJoined')).toEqual([]);
+		expect(alice.pending('participantLeft')).toEqual([]);
+	});
+
+	it('refuses a joinRoom for a session the socket does not own', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const mallory = await connect(room, { userName: 'Mallory', join: false });
+
+		mallory.send('joinRoom', { sessionId: alice.sessionId, sessionToken: mallory.sessionToken, userName: 'Alice', trackInfo: [] });
+		expect((await mallory.next('error')).code).toBe(ERROR_CODES.SESSION_NOT_OWNED);
+		expect(alice.pending('participantJoined')).toEqual([]);
+	});
+});
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { toCsv } from '../../src/csv.js';
+
+describe('toCsv', () => {
+	it('quotes fields with separators, quotes or line breaks', () => {
+		const csv = toCsv(['name', 'body', 'detail'], [{ name: 'Grandma', body: 'Hi, "all"\nx', detail: { a: 1 } }, { name: null }]);
+		expect(csv).toBe('name,body,detail\r\nGrandma,"Hi, ""all""\nx","{""a"":1}"\r\n,,\r\n');
+	});
+
+	it('keeps spreadsheets from running text as a formula', () => {
+		const rows = ['=1+1', '+1', '-1', '@SUM(A1)', '\t=1', '=HYPERLINK("https://evil.test","Hi")'].map((body) => ({ body }));
+		expect(toCsv(['body'], rows).split('\r\n').slice(1, -1)).toEqual([
+			"'=1+1",
+			"'+1",
+			"'-1",
+			"'@SUM(A1)",
+			"'\t=1",
+			'"\'=HYPERLINK(""https://evil.test"",""Hi"")"',
+		]);
+		// Numbers are data, not formulas
+		expect(toCsv(['size'], [{ size: -5 }])).toBe('size\r\n-5\r\n');
+	});
+});
@@ -0,0 +1,82 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES } from '../../public/js/protocol.js';
+import { mockCallsApi, TestClient } from './helpers.js';
+
+// Stand-ins: the room only checks their shape, never their contents
+const ALICE_KEY = 'BAlice' + 'A'.repeat(81);
+const BOB_KEY = 'BBob' + 'B'.repeat(83);
+const WRAPPED = { epoch: 1, key: 'w'.repeat(43), iv: 'i'.repeat(16) };
+
+let roomNumber = 0;
+function newRoom() {
+	return 'encrypted-room-' + ++roomNumber;
+}
+
+describe('End-to-end encryption signaling', () => {
+	let clients;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it("shares everyone's public key, and null for clients without one", async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice', publicKey: ALICE_KEY });
+		const bob = await connect(room, { userName: 'Bob', join: false });
+		const existing = await bob.join();
+
+		expect(existing.participants).toEqual([expect.objectContaining({ sessionId: alice.sessionId, publicKey: ALICE_KEY })]);
+		expect(existing.encrypted).toBe(false);
+		expect(await alice.next('participantJoined')).toMatchObject({ sessionId: bob.sessionId, publicKey: null });
+	});
+
+	it('lets only the host turn encryption on, and tells newcomers', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice', publicKey: ALICE_KEY });
+		const bob = await connect(room, { userName: 'Bob', publicKey: BOB_KEY });
+
+		bob.send('setEncryption', { enabled: true });
+		expect((await bob.next('error')).code).toBe(ERROR_CODES.FORBIDDEN);
+
+		alice.send('setEncryption', { enabled: true });
+		expect(await alice.next('encryptionChanged')).toMatchObject({ enabled: true });
+		expect(await bob.next('encryptionChanged')).toMatchObject({ enabled: true });
+		const carol = await connect(room, { userName: 'Carol', join: false });
+		expect((await carol.join()).encrypted).toBe(true);
+	});
+
+	it("relays the host's wrapped keys to one participant only", async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice', publicKey: ALICE_KEY });
+		const bob = await connect(room, { userName: 'Bob', publicKey: BOB_KEY });
+		const carol = await connect(room, { userName: 'Carol', publicKey: BOB_KEY });
+
+		alice.send('mediaKey', { sessionId: bob.sessionId, ...WRAPPED });
+		expect(await bob.next('mediaKey')).toMatchObject({ fromSessionId: alice.sessionId, ...WRAPPED });
+		// A participant can't hand out a key of their own
+		bob.send('mediaKey', { sessionId: carol.sessionId, ...WRAPPED });
+		expect((await bob.next('error')).code).toBe(ERROR_CODES.FORBIDDEN);
+		alice.send('mediaKey', { sessionId: bob.sessionId, ...WRAPPED, key: 'not base64url!' });
+		expect((await alice.next('error')).code).toBe(ERROR_CODES.INVALID_FIELD);
+		expect(carol.pending('mediaKey')).toEqual([]);
+	});
+});
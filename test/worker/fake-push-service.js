@@ -0,0 +1,98 @@
+// fake-push-service.js
+// A stand-in for a browser's push service at https://push.test (see PUSH_SERVICE_HOSTS in vitest.config.mjs).
+// It hands out subscriptions with real keys, checks the VAPID signature on every push like a real service
+// would, and decrypts the payload the way the browser would, so tests see exactly what a device would get.
+import { env } from 'cloudflare:test';
+import { base64UrlDecode, base64UrlEncode } from '../../src/signing.js';
+
+const PUSH_ORIGIN = 'https://push.test';
+const encoder = new TextEncoder();
+
+export class FakePushService {
+	constructor() {
+		this.devices = new Map(); // endpoint -> { privateKey, publicKey, auth }
+		this.received = []; // `{ endpoint, ttl, urgency, payload }` for every accepted push, in order
+		this.gone = new Set(); // Endpoints that answer 410, like an unsubscribed browser
+		this.handle = (request) => this.receive(request);
+	}
+
+	/**
+	 * Creates a device subscription, as `PushSubscription.toJSON()` would return it.
+	 */
+	async subscribe() {
+		const keys = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+		const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey));
+		const auth = crypto.getRandomValues(new Uint8Array(16));
+		const endpoint = PUSH_ORIGIN + '/send/' + base64UrlEncode(crypto.getRandomValues(new Uint8Array(12)));
+		this.devices.set(endpoint, { privateKey: keys.privateKey, publicKey, auth });
+		return { endpoint, keys: { p256dh: base64UrlEncode(publicKey), auth: base64UrlEncode(auth) } };
+	}
+
+	/**
+	 * The pushes one device received.
+	 */
+	pushesTo(subscription) {
+		return this.received.filter(({ endpoint }) => endpoint === subscription.endpoint).map(({ payload }) => payload);
+	}
+
+	async receive(request) {
+		const device = this.devices.get(request.url);
+		if (!device || request.method !== 'POST') {
+			return new Response('Not Found', { status: 404 });
+		}
+		if (this.gone.has(request.url)) {
+			return new Response('Gone', { status: 410 });
+		}
+		if (!(await verifyVapid(request.headers.get('Authorization')))) {
+			return new Response('Bad VAPID', { status: 403 });
+		}
+		if (request.headers.get('Content-Encoding') !== 'aes128gcm') {
+			return new Response('Unsupported encoding', { status: 415 });
+		}
+		const payload = JSON.parse(new TextDecoder().decode(await decrypt(device, new Uint8Array(await request.arrayBuffer()))));
+		this.received.push({
+			endpoint: request.url,
+			ttl: Number(request.headers.get('TTL')),
+			urgency: request.headers.get('Urgency'),
+			payload,
+		});
+		return new Response(null, { status: 201 });
+	}
+}
+
+async function verifyVapid(authorization) {
+	const match = /^vapid t=([^,]+), k=(.+)$/.exec(authorization || '');
+	if (!match || match[2] !== env.VAPID_PUBLIC_KEY) {
+		return false;
+	}
+	const [header, claims, signature] = match[1].split('.');
+	const { aud, exp } = JSON.parse(new TextDecoder().decode(base64UrlDecode(claims)));
+	if (aud !== PUSH_ORIGIN || exp < Date.now() / 1000) {
+		return false;
+	}
+	const key = await crypto.subtle.importKey('raw', base64UrlDecode(match[2]), { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+	return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, base64UrlDecode(signature), encoder.encode(header + '.' + claims));
+}
+
+// RFC 8291 from the receiving end
+async function decrypt(device, body) {
+	const salt = body.slice(0, 16);
+	const keyIdLength = body[20];
+	const serverKey = body.slice(21, 21 + keyIdLength);
+	const ciphertext = body.slice(21 + keyIdLength);
+	const serverPublicKey = await crypto.subtle.importKey('raw', serverKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+	const sharedSecret = await crypto.subtle.deriveBits({ name: 'ECDH', public: serverPublicKey }, device.privateKey, 256);
+	const keyInfo = new Uint8Array([...encoder.encode('WebPush: info\0'), ...device.publicKey, ...serverKey]);
+	const inputKey = await hkdf(device.auth, sharedSecret, keyInfo, 32);
+	const contentKey = await hkdf(salt, inputKey, encoder.encode('Content-Encoding: aes128gcm\0'), 16);
+	const nonce = await hkdf(salt, inputKey, encoder.encode('Content-Encoding: nonce\0'), 12);
+	const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['decrypt']);
+	const padded = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce }, aesKey, ciphertext));
+	// Strip the padding: the content ends at the last-record delimiter
+	return padded.slice(0, padded.lastIndexOf(2));
+}
+
+async function hkdf(salt, inputKeyMaterial, info, length) {
+	const key = await crypto.subtle.importKey('raw', inputKeyMaterial, 'HKDF', false, ['deriveBits']);
+	return new Uint8Array(await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8));
+}
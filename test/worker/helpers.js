@@ -0,0 +1,286 @@
+// helpers.js
+// Drives the Worker like a browser would: creates Calls sessions through the proxy, fetches join tokens and
+// opens signaling sockets. The Calls API itself is replaced by a fetch spy, so the suite runs offline.
+import { SELF } from 'cloudflare:test';
+import { vi } from 'vitest';
+import { createMessage, parseServerMessage } from '../../public/js/protocol.js';
+
+export const ORIGIN = 'https://app.test';
+export const CALLS_API_BASE = 'https://calls.test/v1';
+export const ADMIN_TOKEN = 'test-admin-token';
+
+const MESSAGE_TIMEOUT_MS = 2000;
+
+let nextSessionNumber = 1;
+
+/**
+ * Answers requests to the Calls API the way it would for a fresh app: every `sessions/new` creates a
+ * session with a new id. Other Calls routes answer with an empty success. Anything else goes to
+ * `otherRequests`, or the real fetch.
+ *
+ * @param otherRequests - Optional `(request) => response` for requests that are not for the Calls API
+ * @returns The spy, so tests can inspect the upstream requests
+ */
+export function mockCallsApi(otherRequests) {
+	const realFetch = globalThis.fetch;
+	return vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+		const request = new Request(input, init);
+		if (!request.url.startsWith(CALLS_API_BASE + '/')) {
+			return otherRequests ? otherRequests(request) : realFetch(input, init);
+		}
+		if (request.headers.get('Authorization') !== 'Bearer test-app-token') {
+			return Response.json({ errorCode: 'unauthorized' }, { status: 401 });
+		}
+		if (request.url.endsWith('/sessions/new')) {
+			return Response.json({ sessionId: 'session' + nextSessionNumber++ }, { status: 201 });
+		}
+		return Response.json({});
+	});
+}
+
+/**
+ * Creates a Calls session through the Worker proxy, which wants a join token for the room the session is for.
+ *
+ * @param room - The room the session is for (any open room will do when the test does not care)
+ * @param token - A join token for the room; fetched when not given, which only works for open rooms
+ * @returns `{ sessionId, sessionToken }`
+ */
+export async function createSession(room = 'sessions', token) {
+	const response = await SELF.fetch(ORIGIN + '/api/calls/sessions/new', {
+		method: 'POST',
+		body: JSON.stringify({ room, token: token ?? (await getJoinToken(room)) }),
+	});
+	if (!response.ok) {
+		throw new Error('Creating a session failed with status ' + response.status);
+	}
+	return response.json();
+}
+
+/**
+ * Claims a room, making it private. Uses the admin token, so the room needs nobody in it.
+ *
+ * @param room - The room name
+ * @returns The owner secret
+ */
+export async function claimRoom(room) {
+	const response = await SELF.fetch(ORIGIN + '/api/rooms/' + encodeURIComponent(room) + '/claim', {
+		method: 'POST',
+		headers: { Authorization: 'Bearer ' + ADMIN_TOKEN },
+	});
+	if (!response.ok) {
+		throw new Error('Claiming the room failed with status ' + response.status);
+	}
+	return (await response.json()).ownerSecret;
+}
+
+/**
+ * Creates an invite to a claimed room.
+ *
+ * @param room - The room name
+ * @param ownerSecret - The owner secret
+ * @returns The invite code
+ */
+export async function createInvite(room, ownerSecret) {
+	const response = await SELF.fetch(ORIGIN + '/api/rooms/' + encodeURIComponent(room) + '/invites', {
+		method: 'POST',
+		headers: { Authorization: 'Bearer ' + ownerSecret },
+		body: '{}',
+	});
+	if (!response.ok) {
+		throw new Error('Creating an invite failed with status ' + response.status);
+	}
+	return (await response.json()).code;
+}
+
+/**
+ * Gets a join token. Claimed rooms need the owner secret or an invite.
+ *
+ * @param room - The room name
+ * @param options.ownerSecret - The owner secret, to join as the owner
+ * @param options.invite - An invite code
+ * @returns The token
+ */
+export async function getJoinToken(room, { ownerSecret, invite } = {}) {
+	const response = await SELF.fetch(ORIGIN + '/api/rooms/' + encodeURIComponent(room) + '/join', {
+		method: 'POST',
+		headers: ownerSecret ? { Authorization: 'Bearer ' + ownerSecret } : {},
+		body: JSON.stringify(invite ? { invite } : {}),
+	});
+	if (!response.ok) {
+		throw new Error('Getting a join token failed with status ' + response.status);
+	}
+	return (await response.json()).token;
+}
+
+/**
+ * Makes someone a family member of an open room.
+ *
+ * @param room - The room name
+ * @param fields - The profile, `{ displayName, color }`
+ * @returns `{ id, secret, profile }`, where `{ id, secret }` can be passed to TestClient.connect as `member`
+ */
+export async function createMember(room, fields) {
+	const response = await SELF.fetch(ORIGIN + '/api/rooms/' + encodeURIComponent(room) + '/members', {
+		method: 'POST',
+		body: JSON.stringify({ token: await getJoinToken(room), ...fields }),
+	});
+	if (response.status !== 201) {
+		throw new Error('Creating a member failed with status ' + response.status);
+	}
+	const { member, secret } = await response.json();
+	return { id: member.memberId, secret, profile: member };
+}
+
+/**
+ * Asks the Worker to upgrade a /websocket request.
+ *
+ * @param query - The query parameters (`room`, `token`)
+ * @returns The response; `webSocket` is set when the upgrade was accepted
+ */
+export function openSocket(query) {
+	return SELF.fetch(ORIGIN + '/websocket?' + new URLSearchParams(query), { headers: { Upgrade: 'websocket' } });
+}
+
+/**
+ * One simulated browser in a room: a Calls session plus a signaling socket.
+ */
+export class TestClient {
+	/**
+	 * Creates a session, opens a socket to the room and (unless `join` is false) sends joinRoom.
+	 *
+	 * @param room - The room name
+	 * @param options.userName - The display name to join with
+	 * @param options.trackInfo - The tracks to announce
+	 * @param options.join - False to stay connected without joining
+	 * @param options.ownerSecret - The owner secret, to join a claimed room as its owner
+	 * @param options.invite - An invite code, to join a claimed room as a guest
+	 * @param options.publicKey - The end-to-end encryption public key to join with
+	 * @param options.member - `{ id, secret }` of the family member to join as
+	 */
+	static async connect(room, { userName = 'Guest', trackInfo = [], join = true, ownerSecret, invite, publicKey, member } = {}) {
+		// One join token gets the session and opens the socket, as the browser does (an invite may only be good for one)
+		const token = await getJoinToken(room, { ownerSecret, invite });
+		const { sessionId, sessionToken } = await createSession(room, token);
+		const response = await openSocket({ room, token });
+		if (response.status !== 101) {
+			throw new Error('The socket upgrade failed with status ' + response.status);
+		}
+		const client = new TestClient(response.webSocket, { sessionId, sessionToken, userName, trackInfo, publicKey, member });
+		if (join) {
+			await client.join();
+		}
+		return client;
+	}
+
+	constructor(ws, { sessionId, sessionToken, userName, trackInfo, publicKey, member }) {
+		this.ws = ws;
+		this.sessionId = sessionId;
+		this.sessionToken = sessionToken;
+		this.userName = userName;
+		this.trackInfo = trackInfo;
+		this.publicKey = publicKey;
+		this.member = member;
+		this.messages = [];
+		this.waiters = [];
+		this.closeEvent = null;
+		ws.accept();
+		ws.addEventListener('message', (event) => {
+			const message = parseServerMessage(event.data);
+			if (message) {
+				this.messages.push(message);
+				this.notify();
+			}
+		});
+		ws.addEventListener('close', (event) => {
+			this.closeEvent = { code: event.code, reason: event.reason };
+			this.notify();
+		});
+	}
+
+	/**
+	 * Sends joinRoom and waits for the room's reply.
+	 *
+	 * @returns The existingParticipants message
+	 */
+	join() {
+		this.send('joinRoom', {
+			sessionId: this.sessionId,
+			sessionToken: this.sessionToken,
+			userName: this.userName,
+			trackInfo: this.trackInfo,
+			audioEnabled: true,
+			videoEnabled: true,
+			...(this.publicKey && { publicKey: this.publicKey }),
+			...(this.member && { memberId: this.member.id, memberSecret: this.member.secret }),
+		});
+		return this.next('existingParticipants');
+	}
+
+	send(type, fields) {
+		this.ws.send(JSON.stringify(createMessage(type, fields)));
+	}
+
+	/**
+	 * Waits for the next message of a type that no earlier call has returned, and marks it as seen.
+	 *
+	 * @param type - The message type
+	 * @returns The message
+	 */
+	next(type) {
+		return this.waitUntil(
+			() => {
+				const index = this.messages.findIndex((message) => message.type === type);
+				return index === -1 ? undefined : this.messages.splice(index, 1)[0];
+			},
+			'a ' + type + ' message',
+		);
+	}
+
+	/**
+	 * Waits for the server to close the socket.
+	 *
+	 * @returns `{ code, reason }`
+	 */
+	closed() {
+		return this.waitUntil(() => this.closeEvent ?? undefined, 'the socket to close');
+	}
+
+	/**
+	 * Lists the unseen messages of a type without waiting.
+	 */
+	pending(type) {
+		return this.messages.filter((message) => message.type === type);
+	}
+
+	close(code = 1000, reason = 'Left the room') {
+		this.ws.close(code, reason);
+	}
+
+	waitUntil(check, description) {
+		const result = check();
+		if (result !== undefined) {
+			return Promise.resolve(result);
+		}
+		return new Promise((resolve, reject) => {
+			const waiter = () => {
+				const value = check();
+				if (value !== undefined) {
+					clearTimeout(timer);
+					this.waiters = this.waiters.filter((other) => other !== waiter);
+					resolve(value);
+				}
+			};
+			const timer = setTimeout(() => {
+				this.waiters = this.waiters.filter((other) => other !== waiter);
+				reject(new Error(this.userName + ' timed out waiting for ' + description));
+			}, MESSAGE_TIMEOUT_MS);
+			this.waiters.push(waiter);
+		});
+	}
+
+	notify() {
+		for (const waiter of [...this.waiters]) {
+			waiter();
+		}
+	}
+}
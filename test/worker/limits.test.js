@@ -0,0 +1,111 @@
+import { SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CLOSE_CODES, ERROR_CODES, LIMITS } from '../../public/js/protocol.js';
+import { RATE_LIMITS } from '../../src/rate-limiter.js';
+import { mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+// Each test comes from its own IP and uses its own rooms, so no limit carries over between tests
+let testNumber = 0;
+let ip;
+let room;
+let warn;
+
+function fromIp(init = {}) {
+	return { ...init, headers: { ...init.headers, 'CF-Connecting-IP': ip } };
+}
+
+function joinRoom(name) {
+	return SELF.fetch(ORIGIN + '/api/rooms/' + name + '/join', fromIp({ method: 'POST', body: '{}' }));
+}
+
+describe('Abuse limits', () => {
+	let clients;
+
+	async function connect(options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	beforeEach(() => {
+		testNumber++;
+		ip = '192.0.2.' + testNumber;
+		room = 'limited-room-' + testNumber;
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('limits socket connections per IP', async () => {
+		for (let i = 0; i < RATE_LIMITS.connections.limit; i++) {
+			// Refused by the room for the missing upgrade, but counted first
+			expect((await SELF.fetch(ORIGIN + '/websocket?room=' + room, fromIp())).status).toBe(426);
+		}
+		const refused = await SELF.fetch(ORIGIN + '/websocket?room=' + room, fromIp());
+		expect(refused.status).toBe(429);
+		expect(Number(refused.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(warn).toHaveBeenCalledWith(expect.objectContaining({ limit: 'connections', ip }));
+
+		// Another IP is not affected
+		const other = await SELF.fetch(ORIGIN + '/websocket?room=' + room, { headers: { 'CF-Connecting-IP': '198.51.100.1' } });
+		expect(other.status).toBe(426);
+	});
+
+	it('limits how many different rooms an IP uses, but not going back to one', async () => {
+		for (let i = 0; i < RATE_LIMITS.rooms.limit; i++) {
+			expect((await joinRoom(room + '-' + i)).status).toBe(200);
+		}
+		const refused = await joinRoom(room + '-new');
+		expect(refused.status).toBe(429);
+		expect((await refused.json()).error).toMatch(/Too many different rooms/);
+		expect((await joinRoom(room + '-0')).status).toBe(200);
+	});
+
+	it('drops messages over the rate limit and closes a socket that keeps flooding', async () => {
+		const alice = await connect({ userName: 'Alice' });
+		const flood = () => alice.send('chatHistoryRequest', {});
+		// joinRoom was the first message of the window
+		for (let i = 1; i < LIMITS.maxMessagesPerWindow; i++) {
+			flood();
+		}
+		await alice.waitUntil(() => (alice.pending('chatHistory').length === LIMITS.maxMessagesPerWindow ? true : undefined), 'chat history');
+
+		flood();
+		expect((await alice.next('error')).code).toBe(ERROR_CODES.RATE_LIMITED);
+		for (let i = 0; i < LIMITS.maxMessagesPerWindow; i++) {
+			flood();
+		}
+		expect((await alice.closed()).code).toBe(CLOSE_CODES.RATE_LIMITED);
+		// Nothing over the limit was answered
+		expect(alice.pending('chatHistory')).toHaveLength(LIMITS.maxMessagesPerWindow);
+	});
+
+	it('turns people away from a full room', async () => {
+		const members = [];
+		for (let i = 0; i < LIMITS.maxParticipants; i++) {
+			members.push(await connect({ userName: 'Member ' + i }));
+		}
+		const latecomer = await connect({ userName: 'Latecomer', join: false });
+		latecomer.send('joinRoom', {
+			sessionId: latecomer.sessionId,
+			sessionToken: latecomer.sessionToken,
+			userName: 'Latecomer',
+			trackInfo: [],
+		});
+
+		expect((await latecomer.next('error')).code).toBe(ERROR_CODES.ROOM_FULL);
+		expect((await latecomer.closed()).code).toBe(CLOSE_CODES.ROOM_FULL);
+		expect(members[0].pending('participantJoined').map(({ profile }) => profile.displayName)).not.toContain('Latecomer');
+	});
+});
@@ -0,0 +1,122 @@
+import { SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LIMITS } from '../../public/js/protocol.js';
+import { claimRoom, createInvite, createMember, getJoinToken, mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+let roomNumber = 0;
+function newRoom() {
+	return 'family-room-' + ++roomNumber;
+}
+
+function membersUrl(room, suffix = '') {
+	return ORIGIN + '/api/rooms/' + room + '/members' + suffix;
+}
+
+function asMember(member, method, body, headers = {}) {
+	return { method, headers: { Authorization: 'Bearer ' + member.secret, ...headers }, body };
+}
+
+// A 1x1 PNG is enough for the room; the browser would send a resized photo
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGP4z8DwHwAFAAH/iZk9HQAAAABJRU5ErkJggg==';
+const PNG = Uint8Array.from(atob(PNG_BASE64), (char) => char.charCodeAt(0));
+
+describe('Family members', () => {
+	let clients;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('shows a member by their profile, and a guest by the name they typed', async () => {
+		const room = newRoom();
+		const grandma = await createMember(room, { displayName: '  Grandma ', color: '#AA3366' });
+		expect(grandma.profile).toEqual({ memberId: grandma.id, displayName: 'Grandma', color: '#aa3366', avatarUrl: null });
+
+		const alice = await connect(room, { userName: 'Alice' });
+		const existing = await (await connect(room, { userName: 'Whatever I typed', member: grandma, join: false })).join();
+		expect(existing.profile).toEqual(grandma.profile);
+		expect((await alice.next('participantJoined')).profile).toEqual(grandma.profile);
+		expect(existing.participants[0].profile).toEqual({ memberId: null, displayName: 'Alice', color: null, avatarUrl: null });
+
+		// A wrong secret joins as a guest, so the device knows to forget the member
+		const impostor = await connect(room, { userName: 'Mallory', member: { id: grandma.id, secret: 'wrong' }, join: false });
+		expect((await impostor.join()).profile).toMatchObject({ memberId: null, displayName: 'Mallory' });
+	});
+
+	it('needs a join token for the room to become a member', async () => {
+		const room = newRoom();
+		const ownerSecret = await claimRoom(room);
+		const post = (body) => SELF.fetch(membersUrl(room), { method: 'POST', body: JSON.stringify(body) });
+
+		expect((await post({ displayName: 'Grandma', color: '#aa3366' })).status).toBe(403);
+		expect((await post({ token: await getJoinToken(newRoom()), displayName: 'Grandma', color: '#aa3366' })).status).toBe(403);
+		const token = await getJoinToken(room, { invite: await createInvite(room, ownerSecret) });
+		expect((await post({ token, displayName: 'Grandma', color: 'red' })).status).toBe(400);
+		expect((await post({ token, displayName: 'x'.repeat(LIMITS.maxUserNameLength + 1), color: '#aa3366' })).status).toBe(400);
+		expect((await post({ token, displayName: 'Grandma', color: '#aa3366' })).status).toBe(201);
+	});
+
+	it('tells the call when a member edits their profile', async () => {
+		const room = newRoom();
+		const grandma = await createMember(room, { displayName: 'Grandma', color: '#aa3366' });
+		const alice = await connect(room, { userName: 'Alice' });
+		const member = await connect(room, { member: grandma });
+
+		expect((await SELF.fetch(membersUrl(room, '/' + grandma.id), { method: 'PATCH', body: '{"color":"#000000"}' })).status).toBe(403);
+		const response = await SELF.fetch(membersUrl(room, '/' + grandma.id), asMember(grandma, 'PATCH', '{"displayName":"Granny"}'));
+		expect(response.status).toBe(200);
+		const { member: profile } = await response.json();
+		expect(profile).toMatchObject({ displayName: 'Granny', color: '#aa3366' });
+		expect(await alice.next('profileChanged')).toMatchObject({ sessionId: member.sessionId, profile });
+
+		// Chat goes out under the new name
+		member.send('chatMessage', { body: 'Hello' });
+		expect((await alice.next('chatMessage')).message.senderName).toBe('Granny');
+	});
+
+	it('stores an avatar and serves it at a URL that changes with it', async () => {
+		const room = newRoom();
+		const grandma = await createMember(room, { displayName: 'Grandma', color: '#aa3366' });
+		const alice = await connect(room, { userName: 'Alice' });
+		await connect(room, { member: grandma });
+		const avatarUrl = membersUrl(room, '/' + grandma.id + '/avatar');
+
+		expect((await SELF.fetch(avatarUrl)).status).toBe(404);
+		expect((await SELF.fetch(avatarUrl, { method: 'PUT', headers: { 'Content-Type': 'image/png' }, body: PNG })).status).toBe(403);
+		expect((await SELF.fetch(avatarUrl, asMember(grandma, 'PUT', PNG, { 'Content-Type': 'image/gif' }))).status).toBe(415);
+		const tooBig = new Uint8Array(LIMITS.maxAvatarBytes + 1);
+		expect((await SELF.fetch(avatarUrl, asMember(grandma, 'PUT', tooBig, { 'Content-Type': 'image/png' }))).status).toBe(413);
+
+		const uploaded = await SELF.fetch(avatarUrl, asMember(grandma, 'PUT', PNG, { 'Content-Type': 'image/png' }));
+		expect(uploaded.status).toBe(200);
+		const { member: profile } = await uploaded.json();
+		expect(profile.avatarUrl).toBe('/api/rooms/' + room + '/members/' + grandma.id + '/avatar?v=1');
+		expect((await alice.next('profileChanged')).profile).toEqual(profile);
+
+		const served = await SELF.fetch(ORIGIN + profile.avatarUrl);
+		expect(served.status).toBe(200);
+		expect(served.headers.get('Content-Type')).toBe('image/png');
+		expect(new Uint8Array(await served.arrayBuffer())).toEqual(PNG);
+
+		const replaced = await SELF.fetch(avatarUrl, asMember(grandma, 'PUT', PNG, { 'Content-Type': 'image/webp' }));
+		expect((await replaced.json()).member.avatarUrl).toMatch(/\?v=2$/);
+	});
+});
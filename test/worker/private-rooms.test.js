@@ -0,0 +1,90 @@
+import { env, runInDurableObject, SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ADMIN_TOKEN, createInvite, createSession, mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+let roomNumber = 0;
+function newRoom() {
+	return 'private-room-' + ++roomNumber;
+}
+
+function claim(room, { body, headers = {} } = {}) {
+	return SELF.fetch(ORIGIN + '/api/rooms/' + room + '/claim', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: body && JSON.stringify(body),
+	});
+}
+
+describe('Private rooms', () => {
+	let clients;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('only lets someone in the call claim a room', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const elsewhere = await connect(newRoom(), { userName: 'Mallory' });
+		const stranger = await createSession(room);
+
+		for (const body of [
+			undefined,
+			{ sessionId: alice.sessionId, sessionToken: 'forged' },
+			{ sessionId: alice.sessionId, sessionToken: elsewhere.sessionToken },
+			{ sessionId: elsewhere.sessionId, sessionToken: elsewhere.sessionToken },
+			stranger,
+		]) {
+			const response = await claim(room, { body });
+			expect(response.status, JSON.stringify(body)).toBe(403);
+		}
+		// A wrong admin token is no better
+		expect((await claim(room, { headers: { Authorization: 'Bearer wrong' } })).status).toBe(403);
+
+		const claimed = await claim(room, { body: { sessionId: alice.sessionId, sessionToken: alice.sessionToken } });
+		expect(claimed.status).toBe(201);
+		const { ownerSecret } = await claimed.json();
+		expect(await createInvite(room, ownerSecret)).toEqual(expect.any(String));
+		expect((await claim(room, { body: { sessionId: alice.sessionId, sessionToken: alice.sessionToken } })).status).toBe(409);
+	});
+
+	it('gives a room only one owner when two claims arrive at once', async () => {
+		const room = newRoom();
+		const stub = env.CHAT_ROOM.get(env.CHAT_ROOM.idFromName(room));
+		// Straight into the room, so nothing on the way there puts one claim after the other
+		const results = await runInDurableObject(stub, async (instance) => {
+			const request = () => new Request('https://room/claim', { method: 'POST', headers: { Authorization: 'Bearer ' + ADMIN_TOKEN } });
+			const responses = await Promise.all([instance.claimRoom(request()), instance.claimRoom(request())]);
+			return Promise.all(responses.map(async (response) => ({ status: response.status, ...(await response.json()) })));
+		});
+		expect(results.map((result) => result.status).sort()).toEqual([201, 409]);
+
+		// The secret that was handed out is the one the room keeps
+		const { ownerSecret } = results.find((result) => result.status === 201);
+		expect(await createInvite(room, ownerSecret)).toEqual(expect.any(String));
+	});
+
+	it('lets the admin claim a room nobody is in', async () => {
+		const response = await claim(newRoom(), { headers: { Authorization: 'Bearer ' + ADMIN_TOKEN } });
+		expect(response.status).toBe(201);
+		expect((await response.json()).ownerSecret).toEqual(expect.any(String));
+	});
+});
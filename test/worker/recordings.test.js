@@ -0,0 +1,142 @@
+import { SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES, LIMITS } from '../../public/js/protocol.js';
+import { claimRoom, createInvite, mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+let roomNumber = 0;
+function newRoom() {
+	return 'recorded-room-' + ++roomNumber;
+}
+
+function recordingsUrl(room, suffix = '') {
+	return ORIGIN + '/api/rooms/' + room + '/recordings' + suffix;
+}
+
+function uploadRequest(token, method, body) {
+	return { method, headers: { Authorization: 'Bearer ' + token }, body };
+}
+
+describe('Call recordings', () => {
+	let clients;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	// A claimed room with its owner (the host) and an invited guest
+	async function claimedRoom() {
+		const room = newRoom();
+		const ownerSecret = await claimRoom(room);
+		const owner = await connect(room, { userName: 'Owner', ownerSecret });
+		const guest = await connect(room, { userName: 'Guest', invite: await createInvite(room, ownerSecret) });
+		return { room, ownerSecret, owner, guest };
+	}
+
+	async function startRecording(owner, guest) {
+		owner.send('startRecording', { mimeType: 'video/webm' });
+		const started = await owner.next('recordingStarted');
+		await guest.next('recordingStarted');
+		return started;
+	}
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('announces a recording to everyone and gives only the recorder the upload token', async () => {
+		const { room, ownerSecret, owner, guest } = await claimedRoom();
+		owner.send('startRecording', { mimeType: 'video/webm' });
+
+		const started = await owner.next('recordingStarted');
+		expect(started.recording).toMatchObject({ recorderSessionId: owner.sessionId, recorderName: 'Owner' });
+		expect(started.uploadToken).toEqual(expect.any(String));
+		const announced = await guest.next('recordingStarted');
+		expect(announced.recording).toEqual(started.recording);
+		expect(announced.uploadToken).toBeUndefined();
+
+		// Latecomers hear about it when they join
+		const latecomer = await connect(room, { userName: 'Latecomer', invite: await createInvite(room, ownerSecret), join: false });
+		const existing = await latecomer.join();
+		expect(existing.recording).toEqual(started.recording);
+	});
+
+	it('only records claimed rooms, and only for the host', async () => {
+		const alice = await connect(newRoom(), { userName: 'Alice' });
+		alice.send('startRecording', { mimeType: 'video/webm' });
+		expect((await alice.next('error')).code).toBe(ERROR_CODES.RECORDING_UNAVAILABLE);
+
+		const { guest } = await claimedRoom();
+		guest.send('startRecording', { mimeType: 'video/webm' });
+		expect((await guest.next('error')).code).toBe(ERROR_CODES.FORBIDDEN);
+	});
+
+	it('stores the uploaded parts as one recording the owner can download', async () => {
+		const { room, ownerSecret, owner, guest } = await claimedRoom();
+		const { recording, uploadToken } = await startRecording(owner, guest);
+		const url = recordingsUrl(room, '/' + recording.id);
+
+		const first = new Uint8Array(LIMITS.recordingPartBytes).fill(1);
+		const last = new Uint8Array([2, 3, 4]);
+		expect((await SELF.fetch(url + '/parts/1', uploadRequest(uploadToken, 'PUT', first))).status).toBe(200);
+		expect((await SELF.fetch(url + '/parts/2', uploadRequest(uploadToken, 'PUT', last))).status).toBe(200);
+		const upload = await (await SELF.fetch(url + '/upload', uploadRequest(uploadToken, 'GET'))).json();
+		expect(upload).toEqual({
+			parts: [
+				{ partNumber: 1, size: first.byteLength },
+				{ partNumber: 2, size: 3 },
+			],
+		});
+
+		const completed = await SELF.fetch(url + '/complete', uploadRequest(uploadToken, 'POST'));
+		expect((await completed.json()).recording).toMatchObject({ id: recording.id, status: 'saved', size: first.byteLength + 3 });
+		expect((await guest.next('recordingStopped')).recordingId).toBe(recording.id);
+
+		const listed = await SELF.fetch(recordingsUrl(room), { headers: { Authorization: 'Bearer ' + ownerSecret } });
+		expect((await listed.json()).recordings).toEqual([expect.objectContaining({ id: recording.id, status: 'saved' })]);
+		const download = await SELF.fetch(url, { headers: { Authorization: 'Bearer ' + ownerSecret } });
+		expect(download.headers.get('Content-Type')).toBe('video/webm');
+		expect(download.headers.get('Content-Disposition')).toMatch(/^attachment; filename="recording-.+\.webm"$/);
+		const bytes = new Uint8Array(await download.arrayBuffer());
+		expect(bytes.byteLength).toBe(first.byteLength + 3);
+		expect([...bytes.slice(-4)]).toEqual([1, 2, 3, 4]);
+
+		// A finished recording takes no more parts
+		expect((await SELF.fetch(url + '/parts/3', uploadRequest(uploadToken, 'PUT', last))).status).toBe(409);
+	});
+
+	it('keeps recordings from anyone without the owner secret or the upload token', async () => {
+		const { room, owner, guest } = await claimedRoom();
+		const { recording, uploadToken } = await startRecording(owner, guest);
+		const url = recordingsUrl(room, '/' + recording.id);
+
+		expect((await SELF.fetch(recordingsUrl(room))).status).toBe(403);
+		expect((await SELF.fetch(url, { headers: { Authorization: 'Bearer ' + uploadToken } })).status).toBe(403);
+		expect((await SELF.fetch(url + '/parts/1', uploadRequest('wrong-token', 'PUT', new Uint8Array([1])))).status).toBe(403);
+		expect((await SELF.fetch(url + '/parts/0', uploadRequest(uploadToken, 'PUT', new Uint8Array([1])))).status).toBe(400);
+		const tooBig = new Uint8Array(LIMITS.recordingPartBytes + 1);
+		expect((await SELF.fetch(url + '/parts/1', uploadRequest(uploadToken, 'PUT', tooBig))).status).toBe(400);
+	});
+
+	it('stops the recording when the recorder leaves', async () => {
+		const { owner, guest } = await claimedRoom();
+		const { recording } = await startRecording(owner, guest);
+
+		owner.close();
+		expect((await guest.next('recordingStopped')).recordingId).toBe(recording.id);
+	});
+});
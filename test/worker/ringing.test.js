@@ -0,0 +1,193 @@
+import { env, runDurableObjectAlarm, runInDurableObject, SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES, RING_TIMEOUT_MS } from '../../public/js/protocol.js';
+import { FakePushService } from './fake-push-service.js';
+import { claimRoom, createMember, mockCallsApi, ORIGIN, openSocket, TestClient } from './helpers.js';
+
+let roomNumber = 0;
+function newRoom() {
+	return 'ringing-room-' + ++roomNumber;
+}
+
+function roomApi(room, suffix) {
+	return ORIGIN + '/api/rooms/' + room + suffix;
+}
+
+function postJson(url, body, headers = {}) {
+	return SELF.fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+describe('Ringing the family', () => {
+	let clients;
+	let push;
+
+	async function connect(room, options) {
+		const client = await TestClient.connect(room, options);
+		clients.push(client);
+		return client;
+	}
+
+	// Registers a new device for a participant while they are in the call
+	async function subscribe(room, client) {
+		const subscription = await push.subscribe();
+		const response = await postJson(roomApi(room, '/push-subscriptions'), {
+			subscription,
+			sessionId: client.sessionId,
+			sessionToken: client.sessionToken,
+		});
+		expect(response.status).toBe(201);
+		return subscription;
+	}
+
+	// Grandma registers her phone during one call and hangs up; Bob is in the next one. Both are family members.
+	async function grandmaAway(room = newRoom()) {
+		const grandma = await connect(room, { member: await createMember(room, { displayName: 'Grandma', color: '#aa3366' }) });
+		const phone = await subscribe(room, grandma);
+		grandma.close();
+		await grandma.closed();
+		const bob = await connect(room, { member: await createMember(room, { displayName: 'Bob', color: '#2980b9' }) });
+		return { room, phone, bob };
+	}
+
+	beforeEach(() => {
+		clients = [];
+		push = new FakePushService();
+		mockCallsApi(push.handle);
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('only registers devices of people in the call, for known push services', async () => {
+		const room = newRoom();
+		const alice = await connect(room, { userName: 'Alice' });
+		const subscription = await push.subscribe();
+
+		const stranger = await postJson(roomApi(room, '/push-subscriptions'), { subscription, sessionId: 'session999', sessionToken: 'x' });
+		expect(stranger.status).toBe(403);
+		const elsewhere = await postJson(roomApi(room, '/push-subscriptions'), {
+			subscription: { ...subscription, endpoint: 'https://evil.test/collect' },
+			sessionId: alice.sessionId,
+			sessionToken: alice.sessionToken,
+		});
+		expect(elsewhere.status).toBe(400);
+		await subscribe(room, alice);
+	});
+
+	it('pushes an encrypted ring with a link into the room to everyone who is not there', async () => {
+		const { room, phone, bob } = await grandmaAway();
+		// Bob's own device is not rung: he is in the call. A guest who calls themselves Grandma is not her.
+		await subscribe(room, bob);
+		await connect(room, { userName: 'Grandma' });
+		// Carol is a guest, so her device is known by her name: she is back in the call, so it is not rung either
+		const carol = await connect(room, { userName: 'Carol' });
+		await subscribe(room, carol);
+		carol.close();
+		await carol.closed();
+		await connect(room, { userName: 'carol' });
+		bob.send('ring', {});
+
+		const { ring } = await bob.next('ringStarted');
+		expect(ring).toMatchObject({ callerSessionId: bob.sessionId, callerName: 'Bob', ended: false });
+		expect(ring.recipients).toEqual([{ userName: 'Grandma', status: 'ringing' }]);
+		expect(ring.expiresAt - ring.startedAt).toBe(RING_TIMEOUT_MS);
+
+		await bob.waitUntil(() => (push.received.length > 0 ? true : undefined), 'the push');
+		expect(push.received).toHaveLength(1);
+		expect(push.received[0]).toMatchObject({ ttl: RING_TIMEOUT_MS / 1000, urgency: 'high' });
+		const [payload] = push.pushesTo(phone);
+		expect(payload).toMatchObject({ type: 'ring', ringId: ring.id, room, callerName: 'Bob' });
+		const link = new URL(payload.url, ORIGIN);
+		expect(Object.fromEntries(link.searchParams)).toEqual({ room, ring: ring.id, answer: payload.token });
+
+		// Only one ring at a time
+		bob.send('ring', {});
+		expect((await bob.next('error')).code).toBe(ERROR_CODES.RING_UNAVAILABLE);
+	});
+
+	it('lets the person rung into a private room and tells the caller they answered', async () => {
+		const room = newRoom();
+		const ownerSecret = await claimRoom(room);
+		// Nobody gets into a claimed room without an invite, so the owner registers Grandma's phone for her
+		const phone = await push.subscribe();
+		const registered = await postJson(
+			roomApi(room, '/push-subscriptions'),
+			{ subscription: phone, userName: 'Grandma' },
+			{ Authorization: 'Bearer ' + ownerSecret },
+		);
+		expect(registered.status).toBe(201);
+		const bob = await connect(room, { userName: 'Bob', ownerSecret });
+		bob.send('ring', {});
+		await bob.next('ringStarted');
+		await bob.waitUntil(() => (push.received.length > 0 ? true : undefined), 'the push');
+		const [payload] = push.pushesTo(phone);
+
+		// The link's token works like an invite
+		const join = await postJson(roomApi(room, '/join'), { ring: { id: payload.ringId, token: payload.token } });
+		expect(join.status).toBe(200);
+		const { ring } = await bob.next('ringUpdated');
+		expect(ring).toMatchObject({ ended: true, recipients: [{ userName: 'Grandma', status: 'answered' }] });
+		const socket = await openSocket({ room, token: (await join.json()).token });
+		expect(socket.status).toBe(101);
+		socket.webSocket.accept();
+		socket.webSocket.close();
+
+		const forged = await postJson(roomApi(room, '/join'), { ring: { id: payload.ringId, token: 'forged' } });
+		expect(forged.status).toBe(403);
+	});
+
+	it('shows the caller who declined', async () => {
+		const { room, phone, bob } = await grandmaAway();
+		bob.send('ring', {});
+		await bob.next('ringStarted');
+		await bob.waitUntil(() => (push.received.length > 0 ? true : undefined), 'the push');
+		const [payload] = push.pushesTo(phone);
+
+		const declined = await postJson(ORIGIN + payload.declineUrl, { token: payload.token });
+		expect(await declined.json()).toEqual({ declined: true });
+		const { ring } = await bob.next('ringUpdated');
+		expect(ring).toMatchObject({ ended: true, recipients: [{ userName: 'Grandma', status: 'declined' }] });
+		expect((await postJson(ORIGIN + payload.declineUrl, { token: 'wrong' })).status).toBe(403);
+	});
+
+	it('ends a ring nobody answers, and forgets devices that unsubscribed', async () => {
+		const { room, phone, bob } = await grandmaAway();
+		const oldPhone = await push.subscribe();
+		push.gone.add(oldPhone.endpoint);
+		const stub = env.CHAT_ROOM.get(env.CHAT_ROOM.idFromName(room));
+		await runInDurableObject(stub, (instance) => {
+			instance.sql.exec(
+				"INSERT INTO push_subscriptions (endpoint, p256dh, auth, user_name, created_at) VALUES (?, ?, ?, 'Grandpa', 0)",
+				oldPhone.endpoint,
+				oldPhone.keys.p256dh,
+				oldPhone.keys.auth,
+			);
+		});
+
+		bob.send('ring', {});
+		await bob.next('ringStarted');
+		const failed = await bob.next('ringUpdated');
+		expect(failed.ring.recipients).toContainEqual({ userName: 'Grandpa', status: 'failed' });
+		expect(push.pushesTo(phone)).toHaveLength(1);
+
+		await runInDurableObject(stub, (instance) => {
+			instance.sql.exec('UPDATE rings SET expires_at = 0');
+		});
+		await runDurableObjectAlarm(stub);
+		const { ring } = await bob.next('ringUpdated');
+		expect(ring.ended).toBe(true);
+		expect(ring.recipients).toContainEqual({ userName: 'Grandma', status: 'missed' });
+		await runInDurableObject(stub, (instance) => {
+			expect(instance.sql.exec('SELECT endpoint FROM push_subscriptions').toArray()).toEqual([{ endpoint: phone.endpoint }]);
+		});
+	});
+});
@@ -0,0 +1,104 @@
+import { SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RATE_LIMITS } from '../../src/rate-limiter.js';
+import { CALLS_API_BASE, createSession, getJoinToken, mockCallsApi, openSocket, ORIGIN } from './helpers.js';
+
+describe('Worker routing', () => {
+	let callsApi;
+
+	beforeEach(() => {
+		callsApi = mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	it('serves the client and 404s for unknown paths', async () => {
+		const page = await SELF.fetch(ORIGIN + '/');
+		expect(page.status).toBe(200);
+		expect(page.headers.get('Content-Security-Policy')).toContain("default-src 'self'");
+		await page.body.cancel();
+
+		for (const path of ['/nope', '/api/rooms/', '/api/rooms/family/nope', '/api/calls/nope']) {
+			const response = await SELF.fetch(ORIGIN + path);
+			expect(response.status, path).toBe(404);
+			await response.body?.cancel();
+		}
+	});
+
+	it('only upgrades /websocket requests that ask for a WebSocket', async () => {
+		const token = await getJoinToken('family');
+		const response = await SELF.fetch(ORIGIN + '/websocket?room=family&token=' + token);
+		expect(response.status).toBe(426);
+		expect(response.webSocket).toBeNull();
+	});
+
+	it('refuses a socket without a valid join token for that room', async () => {
+		const token = await getJoinToken('family');
+		for (const query of [{ room: 'family' }, { room: 'family', token: 'forged' }, { room: 'neighbours', token }, { token }]) {
+			const response = await openSocket(query);
+			expect(response.status, JSON.stringify(query)).toBe(401);
+			expect(response.webSocket).toBeNull();
+		}
+		const accepted = await openSocket({ room: 'family', token });
+		expect(accepted.status).toBe(101);
+		accepted.webSocket.accept();
+		accepted.webSocket.close(1000, 'Done');
+	});
+
+	it('rejects room names that are too long', async () => {
+		const response = await SELF.fetch(ORIGIN + '/api/rooms/' + 'x'.repeat(65) + '/join', { method: 'POST', body: '{}' });
+		expect(response.status).toBe(400);
+	});
+
+	it('rejects room names that are not valid percent-encoding', async () => {
+		const response = await SELF.fetch(ORIGIN + '/api/rooms/%E0%A4%A/join', { method: 'POST', body: '{}' });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Invalid room name' });
+	});
+
+	it('proxies Calls sessions with the app token and hands out a session token', async () => {
+		const { sessionId, sessionToken } = await createSession();
+		expect(sessionId).toMatch(/^session\d+$/);
+		expect(sessionToken).toEqual(expect.any(String));
+
+		const [upstream] = callsApi.mock.calls.map(([input, init]) => new Request(input, init));
+		expect(upstream.url).toBe(CALLS_API_BASE + '/apps/test-app/sessions/new');
+		expect(upstream.headers.get('Authorization')).toBe('Bearer test-app-token');
+	});
+
+	it('only creates Calls sessions for someone with a join token for the room, and limits how many', async () => {
+		const newSession = (body, headers = {}) =>
+			SELF.fetch(ORIGIN + '/api/calls/sessions/new', { method: 'POST', headers, body: JSON.stringify(body) });
+		const token = await getJoinToken('family');
+
+		for (const body of [{}, { room: 'family' }, { room: 'family', token: 'forged' }, { room: 'neighbours', token }]) {
+			const response = await newSession(body);
+			expect(response.status, JSON.stringify(body)).toBe(403);
+		}
+		expect(callsApi.mock.calls.filter(([input]) => new Request(input).url.startsWith(CALLS_API_BASE))).toEqual([]);
+
+		const headers = { 'CF-Connecting-IP': '198.51.100.9' };
+		for (let i = 0; i < RATE_LIMITS.callsSessions.limit; i++) {
+			expect((await newSession({ room: 'family', token }, headers)).status).toBe(200);
+		}
+		const refused = await newSession({ room: 'family', token }, headers);
+		expect(refused.status).toBe(429);
+		expect(Number(refused.headers.get('Retry-After'))).toBeGreaterThan(0);
+	});
+
+	it('refuses Calls requests for a session the caller does not own', async () => {
+		const { sessionId } = await createSession();
+		const { sessionToken: otherToken } = await createSession();
+		const response = await SELF.fetch(ORIGIN + '/api/calls/sessions/' + sessionId + '/tracks/pull', {
+			method: 'POST',
+			headers: { Authorization: 'Bearer ' + otherToken, 'Content-Type': 'application/json' },
+			body: JSON.stringify({ tracks: [] }),
+		});
+		expect(response.status).toBe(403);
+		expect(callsApi.mock.calls.filter(([input]) => new Request(input).url.includes('/tracks/'))).toEqual([]);
+	});
+});
@@ -0,0 +1,179 @@
+import { env, runDurableObjectAlarm, runInDurableObject, SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { nextOccurrence, parseSchedule, toICalendar } from '../../src/schedules.js';
+import { FakePushService } from './fake-push-service.js';
+import { claimRoom, createMember, mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+const WEBHOOK_URL = 'https://hooks.test/reminders';
+
+let roomNumber = 0;
+function newRoom() {
+	return 'scheduled-room-' + ++roomNumber;
+}
+
+function schedulesApi(room, suffix = '') {
+	return ORIGIN + '/api/rooms/' + room + '/schedules' + suffix;
+}
+
+function createSchedule(room, ownerSecret, schedule) {
+	return SELF.fetch(schedulesApi(room), {
+		method: 'POST',
+		headers: ownerSecret ? { Authorization: 'Bearer ' + ownerSecret } : {},
+		body: JSON.stringify(schedule),
+	});
+}
+
+// The UK leaves summer time on Sunday 25 October 2026
+const SUNDAY_CALL = { title: 'Sunday call', start: '2026-10-18T17:00', timeZone: 'Europe/London', repeat: 'weekly' };
+
+describe('Schedules', () => {
+	it('keeps a weekly call at the same wall-clock time across a daylight saving change', () => {
+		const schedule = parseSchedule(SUNDAY_CALL);
+		expect(schedule).toMatchObject({ durationMinutes: 60, reminderMinutes: 15 });
+		expect(nextOccurrence(schedule, 0)).toBe(Date.parse('2026-10-18T16:00Z'));
+		expect(nextOccurrence(schedule, Date.parse('2026-10-18T16:00Z'))).toBe(Date.parse('2026-10-18T16:00Z'));
+		expect(nextOccurrence(schedule, Date.parse('2026-10-19T00:00Z'))).toBe(Date.parse('2026-10-25T17:00Z'));
+		expect(nextOccurrence(schedule, Date.parse('2027-06-01T00:00Z'))).toBe(Date.parse('2027-06-06T16:00Z'));
+		expect(nextOccurrence({ ...schedule, repeat: 'never' }, Date.parse('2026-10-19T00:00Z'))).toBeNull();
+	});
+
+	it('refuses malformed schedules', () => {
+		expect(parseSchedule({ ...SUNDAY_CALL, timeZone: 'Mars/Olympus_Mons' })).toBeNull();
+		expect(parseSchedule({ ...SUNDAY_CALL, start: '2026-10-18 17:00' })).toBeNull();
+		expect(parseSchedule({ ...SUNDAY_CALL, start: '2026-13-18T17:00' })).toBeNull();
+		expect(parseSchedule({ ...SUNDAY_CALL, repeat: 'hourly' })).toBeNull();
+		expect(parseSchedule({ ...SUNDAY_CALL, title: ' ' })).toBeNull();
+		expect(parseSchedule({ ...SUNDAY_CALL, durationMinutes: 0 })).toBeNull();
+	});
+
+	it('writes a calendar feed with the time zone, repeat rule and reminder', () => {
+		const schedule = { ...parseSchedule({ ...SUNDAY_CALL, title: 'Grandma; cake, and news' }), id: 'abc', createdAt: 0 };
+		const feed = toICalendar('smiths', [schedule], 'https://app.test/?room=smiths');
+		const lines = feed.split('\r\n');
+		expect(lines).toContain('DTSTART;TZID=Europe/London:20261018T170000');
+		expect(lines).toContain('RRULE:FREQ=WEEKLY');
+		expect(lines).toContain('DURATION:PT60M');
+		expect(lines).toContain('TRIGGER:-PT15M');
+		expect(lines).toContain('SUMMARY:Grandma\\; cake\\, and news');
+		expect(lines.every((line) => new TextEncoder().encode(line).length <= 75)).toBe(true);
+		expect(feed.endsWith('END:VCALENDAR\r\n')).toBe(true);
+	});
+});
+
+describe('Scheduled calls in a room', () => {
+	let clients;
+	let push;
+	let webhookCalls;
+
+	beforeEach(() => {
+		clients = [];
+		webhookCalls = [];
+		push = new FakePushService();
+		mockCallsApi(async (request) => {
+			if (request.url === WEBHOOK_URL) {
+				webhookCalls.push(await request.json());
+				return new Response(null, { status: 204 });
+			}
+			return push.handle(request);
+		});
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('lets the owner schedule calls that anyone can see and subscribe to', async () => {
+		const room = newRoom();
+		const ownerSecret = await claimRoom(room);
+		expect((await createSchedule(room, null, SUNDAY_CALL)).status).toBe(403);
+		expect((await createSchedule(room, ownerSecret, { ...SUNDAY_CALL, timeZone: 'Nowhere' })).status).toBe(400);
+		const created = await createSchedule(room, ownerSecret, SUNDAY_CALL);
+		expect(created.status).toBe(201);
+		const schedule = await created.json();
+		expect(schedule).toMatchObject({ title: 'Sunday call', repeat: 'weekly', reminderMinutes: 15 });
+		expect(schedule.nextStartsAt).toBeGreaterThan(Date.now() - 60 * 60 * 1000);
+
+		const { schedules } = await (await SELF.fetch(schedulesApi(room))).json();
+		expect(schedules).toEqual([schedule]);
+		const feed = await SELF.fetch(ORIGIN + '/api/rooms/' + room + '/calendar.ics');
+		expect(feed.headers.get('Content-Type')).toMatch(/^text\/calendar/);
+		const body = await feed.text();
+		expect(body).toContain('UID:' + schedule.id + '@familyrealtime');
+		expect(body).toContain('URL:' + ORIGIN + '/?room=' + room);
+
+		const forbidden = await SELF.fetch(schedulesApi(room, '/' + schedule.id), { method: 'DELETE' });
+		expect(forbidden.status).toBe(403);
+		const deleted = await SELF.fetch(schedulesApi(room, '/' + schedule.id), {
+			method: 'DELETE',
+			headers: { Authorization: 'Bearer ' + ownerSecret },
+		});
+		expect(await deleted.json()).toEqual({ deleted: true });
+		expect((await (await SELF.fetch(schedulesApi(room))).json()).schedules).toEqual([]);
+	});
+
+	it('reminds the people in the call, the devices of everyone else and the webhook', async () => {
+		const room = newRoom();
+		const grandma = await createMember(room, { displayName: 'Grandma', color: '#aa3366' });
+		const bobMember = await createMember(room, { displayName: 'Bob', color: '#2980b9' });
+		const ownerSecret = await claimRoom(room);
+		// The owner registers a phone for each of them
+		const register = async (memberId) => {
+			const subscription = await push.subscribe();
+			const registered = await SELF.fetch(ORIGIN + '/api/rooms/' + room + '/push-subscriptions', {
+				method: 'POST',
+				headers: { Authorization: 'Bearer ' + ownerSecret },
+				body: JSON.stringify({ subscription, memberId }),
+			});
+			expect(await registered.json()).toEqual({ userName: expect.any(String), memberId });
+			return subscription;
+		};
+		const phone = await register(grandma.id);
+		const bobsPhone = await register(bobMember.id);
+		const bob = await TestClient.connect(room, { ownerSecret, member: bobMember });
+		clients.push(bob);
+		// Someone calling themselves Grandma is not her, so her phone still gets the reminder
+		clients.push(await TestClient.connect(room, { userName: 'Grandma', ownerSecret }));
+		// A guest in the call registers their own phone, which needs no reminder either
+		const carol = await TestClient.connect(room, { userName: 'Carol', ownerSecret });
+		clients.push(carol);
+		const carolsPhone = await push.subscribe();
+		const carolRegistered = await SELF.fetch(ORIGIN + '/api/rooms/' + room + '/push-subscriptions', {
+			method: 'POST',
+			body: JSON.stringify({ subscription: carolsPhone, sessionId: carol.sessionId, sessionToken: carol.sessionToken }),
+		});
+		expect(await carolRegistered.json()).toEqual({ userName: 'Carol', memberId: null });
+
+		// Ten minutes from now, well inside the 15 minute reminder: the reminder is due straight away
+		const start = new Date(Date.now() + 10 * 60 * 1000).toISOString().slice(0, 16);
+		const schedule = await (await createSchedule(room, ownerSecret, { ...SUNDAY_CALL, start, timeZone: 'UTC' })).json();
+		const stub = env.CHAT_ROOM.get(env.CHAT_ROOM.idFromName(room));
+		await runDurableObjectAlarm(stub);
+
+		const reminder = await bob.next('callStartingSoon');
+		expect(reminder).toMatchObject({ schedule: { id: schedule.id, title: 'Sunday call' }, startsAt: Date.parse(start + 'Z') });
+		// Nothing more comes over Bob's socket, so poll for the push and the webhook
+		await vi.waitFor(() => expect(push.received.length + webhookCalls.length).toBe(2));
+		expect(push.pushesTo(phone)).toEqual([
+			{ type: 'reminder', room, title: 'Sunday call', startsAt: reminder.startsAt, url: '/?room=' + room },
+		]);
+		expect(push.pushesTo(bobsPhone)).toEqual([]);
+		expect(push.pushesTo(carolsPhone)).toEqual([]);
+		expect(webhookCalls).toEqual([
+			{ type: 'callStartingSoon', room, title: 'Sunday call', startsAt: reminder.startsAt, url: ORIGIN + '/?room=' + room },
+		]);
+
+		// The next reminder is for next week's call
+		await runInDurableObject(stub, (instance) => {
+			const row = instance.sql.exec('SELECT remind_for FROM schedules').one();
+			expect(row.remind_for).toBe(reminder.startsAt + 7 * 24 * 60 * 60 * 1000);
+		});
+	});
+});
@@ -0,0 +1,114 @@
+import { SELF } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RATE_LIMITS } from '../../src/rate-limiter.js';
+import { createTurnCredentials, isTurnConfigured, TURN_CREDENTIAL_TTL_SECONDS } from '../../src/turn.js';
+import { claimRoom, createSession, getJoinToken, mockCallsApi, ORIGIN, TestClient } from './helpers.js';
+
+const TURN_SECRET = 'test-turn-secret';
+const TURN_URLS = ['turn:turn.test:3478?transport=udp', 'turns:turn.test:5349?transport=tcp'];
+
+let roomNumber = 0;
+function newRoom() {
+	return 'relayed-room-' + ++roomNumber;
+}
+
+function requestCredentials(room, body, headers = {}) {
+	return SELF.fetch(ORIGIN + '/api/rooms/' + room + '/turn-credentials', { method: 'POST', headers, body: JSON.stringify(body) });
+}
+
+// What a TURN server with `static-auth-secret` does with the credentials it is given
+async function isValidForTurnServer({ username, credential }) {
+	const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(TURN_SECRET), { name: 'HMAC', hash: 'SHA-1' }, false, [
+		'verify',
+	]);
+	const signature = Uint8Array.from(atob(credential), (char) => char.charCodeAt(0));
+	const expiry = Number(username.split(':')[0]);
+	return (await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(username))) && expiry > Date.now() / 1000;
+}
+
+describe('TURN credentials', () => {
+	let clients;
+	let warn;
+
+	beforeEach(() => {
+		clients = [];
+		mockCallsApi();
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(async () => {
+		for (const client of clients) {
+			if (!client.closeEvent) {
+				client.close();
+			}
+		}
+		await Promise.all(clients.map((client) => client.closed()));
+		vi.restoreAllMocks();
+	});
+
+	it('signs a username that expires, the way TURN servers check it', async () => {
+		const now = Date.parse('2026-10-19T12:00:00Z');
+		const credentials = await createTurnCredentials({ TURN_SECRET, TURN_URLS: TURN_URLS.join(' ') }, 'session-1', now);
+		expect(credentials.expiresIn).toBe(TURN_CREDENTIAL_TTL_SECONDS);
+		const [server] = credentials.iceServers;
+		expect(server).toMatchObject({ urls: TURN_URLS, username: now / 1000 + TURN_CREDENTIAL_TTL_SECONDS + ':session-1' });
+		expect(isTurnConfigured({ TURN_SECRET })).toBe(false);
+		expect(isTurnConfigured({ TURN_SECRET, TURN_URLS: 'https://not-a-turn-server.test' })).toBe(false);
+	});
+
+	it('gives credentials to someone with a join token for the room', async () => {
+		const room = newRoom();
+		const ownerSecret = await claimRoom(room);
+		const session = await createSession();
+
+		expect((await requestCredentials(room, session)).status).toBe(403);
+		// A join token for another room doesn't count
+		const otherToken = await getJoinToken(newRoom());
+		expect((await requestCredentials(room, { ...session, token: otherToken })).status).toBe(403);
+		const token = await getJoinToken(room, { ownerSecret });
+		// Nor does a join token without the Calls session it claims
+		expect((await requestCredentials(room, { ...session, sessionToken: 'forged', token })).status).toBe(403);
+
+		const response = await requestCredentials(room, { ...session, token });
+		expect(response.status).toBe(200);
+		const { iceServers, expiresIn } = await response.json();
+		expect(expiresIn).toBe(TURN_CREDENTIAL_TTL_SECONDS);
+		expect(iceServers).toHaveLength(1);
+		expect(iceServers[0].urls).toEqual(TURN_URLS);
+		expect(iceServers[0].username).toMatch(new RegExp(':' + session.sessionId + '$'));
+		expect(await isValidForTurnServer(iceServers[0])).toBe(true);
+	});
+
+	it('renews credentials for participants in the call', async () => {
+		const room = newRoom();
+		const alice = await TestClient.connect(room, { userName: 'Alice' });
+		clients.push(alice);
+
+		const response = await requestCredentials(room, { sessionId: alice.sessionId, sessionToken: alice.sessionToken });
+		expect(response.status).toBe(200);
+		expect(await isValidForTurnServer((await response.json()).iceServers[0])).toBe(true);
+		// Someone else's room knows nothing of Alice
+		expect((await requestCredentials(newRoom(), { sessionId: alice.sessionId, sessionToken: alice.sessionToken })).status).toBe(403);
+	});
+
+	it('limits how many credentials one network gets, counting only those the room hands out', async () => {
+		const room = newRoom();
+		const alice = await TestClient.connect(room, { userName: 'Alice' });
+		clients.push(alice);
+		const body = { sessionId: alice.sessionId, sessionToken: alice.sessionToken };
+		const headers = { 'CF-Connecting-IP': '198.51.100.7' };
+
+		// Requests the room refuses don't use up the limit
+		for (let i = 0; i < RATE_LIMITS.turnCredentials.limit; i++) {
+			expect((await requestCredentials(room, { ...body, sessionToken: 'forged' }, headers)).status).toBe(403);
+		}
+		for (let i = 0; i < RATE_LIMITS.turnCredentials.limit; i++) {
+			expect((await requestCredentials(room, body, headers)).status).toBe(200);
+		}
+		const refused = await requestCredentials(room, body, headers);
+		expect(refused.status).toBe(429);
+		expect(Number(refused.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(warn).toHaveBeenCalledWith(expect.objectContaining({ limit: 'turnCredentials' }));
+	});
+});
@@ -0,0 +1,52 @@
+// vitest.config.mjs
+// Two test projects: the browser modules in public/js run in Node with fakes (test/*.test.js), and the
+// Worker and ChatRoom run in a local Workers runtime with the bindings from wrangler.toml (test/worker/).
+import { cloudflareTest } from '@cloudflare/vitest-pool-workers';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+	test: {
+		projects: [
+			{
+				test: {
+					name: 'client',
+					include: ['test/*.test.js'],
+					environment: 'node',
+				},
+			},
+			{
+				plugins: [
+					cloudflareTest({
+						main: './src/index.js',
+						wrangler: { configPath: './wrangler.toml' },
+						miniflare: {
+							// Secrets normally set with `wrangler secret put`. CALLS_API_BASE, PUSH_SERVICE_HOSTS and
+							// REMINDER_WEBHOOK_URL point at hosts the tests intercept, so nothing ever reaches the real Calls
+							// API, a real push service or a real webhook.
+							// The VAPID key pair was generated for the tests only; turn.test is not a real TURN server either.
+							bindings: {
+								APP_ID: 'test-app',
+								APP_TOKEN: 'test-app-token',
+								SESSION_SECRET: 'test-session-secret',
+								JOIN_TOKEN_SECRET: 'test-join-token-secret',
+								ADMIN_TOKEN: 'test-admin-token',
+								CALLS_API_BASE: 'https://calls.test/v1',
+								VAPID_PUBLIC_KEY: 'BCWGh9sovo7JF9u8AJ1Ny-1JZldBpic-XlIgs9sEYbb117OOaJHeRvulzVdYFQMwFBqJwme_oEr_O_POsr2GD4k',
+								VAPID_PRIVATE_KEY: 'F2NtwuwYf-V11VWjJqLjcEeRW-BJ_dHVmH1apElk5zE',
+								VAPID_SUBJECT: 'mailto:test@app.test',
+								PUSH_SERVICE_HOSTS: 'push.test',
+								REMINDER_WEBHOOK_URL: 'https://hooks.test/reminders',
+								TURN_SECRET: 'test-turn-secret',
+								TURN_URLS: 'turn:turn.test:3478?transport=udp turns:turn.test:5349?transport=tcp',
+							},
+						},
+					}),
+				],
+				test: {
+					name: 'worker',
+					include: ['test/worker/**/*.test.js'],
+				},
+			},
+		],
+	},
+});